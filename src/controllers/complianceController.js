@@ -0,0 +1,186 @@
+const moment = require("moment");
+const worklogCache = require("../services/worklogCache");
+const config = require("../utils/config");
+const Logger = require("../utils/logger");
+const WorkSchedule = require("../utils/workSchedule");
+const timeTrackingController = require("./timeTrackingController");
+
+/**
+ * Checks booked time against the expected schedule (config.workSchedule,
+ * public holidays and the absence calendar): missing hours, unbooked gaps
+ * between worklogs and days above schedule.maxHoursPerDay. Days after today
+ * are not checked.
+ */
+class ComplianceController {
+  constructor() {
+    this.logger = new Logger(config);
+  }
+
+  /**
+   * Returns { from, to, days, totals, findings } - findings is empty when
+   * everything up to today is booked as expected.
+   */
+  async check(dateFrom, dateTo, logger = null, today = moment()) {
+    const log = logger || this.logger;
+    const schedule = WorkSchedule.fromConfig(config);
+    const accountId = config.userAccountId;
+
+    log.info(`🔍 Checking booked hours from ${dateFrom} to ${dateTo}`);
+
+    const params = { from: dateFrom, to: dateTo };
+    if (accountId) {
+      params.author = accountId;
+    }
+    const response = await worklogCache.getWorklogs(params, true);
+    const worklogs = (response.results || []).filter(
+      (wl) =>
+        !accountId ||
+        (wl.author?.accountId || wl.authorAccountId) === accountId,
+    );
+
+    const lastDay = today.format("YYYY-MM-DD");
+    const days = timeTrackingController
+      .getDateRange(dateFrom, dateTo)
+      .filter((date) => date <= lastDay)
+      .map((date) =>
+        this.checkDay(
+          date,
+          worklogs.filter((wl) => wl.startDate === date),
+          schedule,
+        ),
+      );
+
+    const findings = days.flatMap((day) =>
+      day.findings.map((finding) => ({ date: day.date, ...finding })),
+    );
+    const totals = {
+      expectedHours: this.round(days.reduce((sum, d) => sum + d.expected, 0)),
+      bookedHours: this.round(days.reduce((sum, d) => sum + d.booked, 0)),
+      missingHours: this.round(days.reduce((sum, d) => sum + d.missing, 0)),
+      findings: findings.length,
+    };
+
+    this.printReport({ from: dateFrom, to: dateTo, days, totals }, log);
+    return { from: dateFrom, to: dateTo, days, totals, findings };
+  }
+
+  checkDay(date, worklogs, schedule) {
+    const expected = schedule.expectedHours(date);
+    const holiday = schedule.holidayOn(date);
+    const absences = schedule.absencesOn(date);
+    const booked = this.round(
+      worklogs.reduce((sum, wl) => sum + wl.timeSpentSeconds, 0) / 3600,
+    );
+    const missing = this.round(Math.max(0, expected - booked));
+    const findings = [];
+
+    if (missing > 0) {
+      findings.push({
+        type: "missing",
+        hours: missing,
+        message: `${missing}h missing`,
+      });
+    }
+    if (schedule.maxHoursPerDay && booked > schedule.maxHoursPerDay) {
+      findings.push({
+        type: "over",
+        hours: this.round(booked - schedule.maxHoursPerDay),
+        message: `${booked}h booked, more than the ${schedule.maxHoursPerDay}h maximum`,
+      });
+    }
+    for (const gap of this.findGaps(worklogs, schedule.maxGapMinutes)) {
+      findings.push({
+        type: "gap",
+        ...gap,
+        message: `unbooked ${gap.start.slice(0, 5)}-${gap.end.slice(0, 5)} (${gap.minutes} min)`,
+      });
+    }
+
+    return {
+      date,
+      weekday: moment(date, "YYYY-MM-DD").format("ddd"),
+      expected,
+      booked,
+      missing,
+      absence:
+        [holiday?.name, ...absences.map((absence) => absence.reason)]
+          .filter(Boolean)
+          .join(", ") || null,
+      findings,
+    };
+  }
+
+  /**
+   * Unbooked time between the first and last worklog of a day that is longer
+   * than maxGapMinutes (shorter breaks such as lunch are fine)
+   */
+  findGaps(worklogs, maxGapMinutes) {
+    if (maxGapMinutes === null || maxGapMinutes === undefined) return [];
+
+    const slots = worklogs
+      .map((wl) => {
+        const start = wl.startTime || "09:00:00";
+        return {
+          start,
+          end: timeTrackingController.calculateEndTime(
+            start,
+            wl.timeSpentSeconds / 3600,
+          ),
+        };
+      })
+      .sort((a, b) => a.start.localeCompare(b.start));
+
+    const gaps = [];
+    let bookedUntil = null;
+    for (const slot of slots) {
+      if (bookedUntil && slot.start > bookedUntil) {
+        const minutes = moment(slot.start, "HH:mm:ss").diff(
+          moment(bookedUntil, "HH:mm:ss"),
+          "minutes",
+        );
+        if (minutes > maxGapMinutes) {
+          gaps.push({ start: bookedUntil, end: slot.start, minutes });
+        }
+      }
+      if (!bookedUntil || slot.end > bookedUntil) {
+        bookedUntil = slot.end;
+      }
+    }
+    return gaps;
+  }
+
+  printReport({ from, to, days, totals }, log) {
+    log.result(`\n📋 Booked hours ${from} to ${to}`);
+    log.info("Date        Day  Expected  Booked");
+    log.info("─".repeat(50));
+
+    for (const day of days) {
+      const row = `${day.date}  ${day.weekday}  ${day.expected.toFixed(2).padStart(8)}  ${day.booked.toFixed(2).padStart(6)}`;
+      const note = day.absence ? `  🏖️  ${day.absence}` : "";
+      if (day.findings.length === 0) {
+        log.info(`${row}  ✅${note}`);
+        continue;
+      }
+      log.warn(`${row}  ❌${note}`);
+      for (const finding of day.findings) {
+        log.warn(`      ${finding.message}`);
+      }
+    }
+
+    log.info("─".repeat(50));
+    log.result(
+      `📊 Expected ${totals.expectedHours}h, booked ${totals.bookedHours}h, missing ${totals.missingHours}h`,
+    );
+    if (totals.findings === 0) {
+      log.success("✅ All working days are booked as expected");
+    } else {
+      log.warn(`⚠️  ${totals.findings} finding(s) - see above`);
+    }
+  }
+
+  round(hours) {
+    return Math.round(hours * 100) / 100;
+  }
+}
+
+module.exports = new ComplianceController();
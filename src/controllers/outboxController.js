@@ -0,0 +1,251 @@
+const moment = require("moment");
+const tempoApiService = require("../services/tempoApiService");
+const config = require("../utils/config");
+const Logger = require("../utils/logger");
+const Outbox = require("../utils/outbox");
+const timeTrackingController = require("./timeTrackingController");
+
+/**
+ * Replays the offline outbox (see TimeTrackingController.sendOrQueue).
+ *
+ * Before each change is sent it is compared with what Tempo holds now:
+ * creates that already reached Tempo are dropped, creates that would overlap
+ * another worklog and updates/deletes of worklogs changed in Tempo since they
+ * were queued are kept as conflicts until forced or dropped.
+ */
+class OutboxController {
+  constructor() {
+    this.logger = new Logger(config);
+  }
+
+  pendingCount() {
+    return Outbox.pendingCount(config.outboxFile);
+  }
+
+  list(logger = null) {
+    const log = logger || this.logger;
+    const outbox = Outbox.open(config.outboxFile);
+
+    if (outbox.entries.length === 0) {
+      log.info("📭 Outbox is empty");
+      return [];
+    }
+
+    log.result(`📤 ${outbox.entries.length} change(s) waiting for Tempo:`);
+    for (const entry of outbox.entries) {
+      log.info(`  #${entry.seq} ${this.describe(entry)}`);
+      if (entry.conflict) {
+        log.warn(`      conflict: ${entry.conflict}`);
+      } else if (entry.lastError) {
+        log.warn(`      last error: ${entry.lastError}`);
+      }
+    }
+    return outbox.entries;
+  }
+
+  drop(seq, logger = null) {
+    const log = logger || this.logger;
+    const outbox = Outbox.open(config.outboxFile);
+    const entry = outbox.find(seq);
+    if (!entry) {
+      throw new Error(`No outbox entry #${seq}`);
+    }
+    outbox.remove(entry);
+    log.warn(`🗑️  Dropped #${seq} ${this.describe(entry)}`);
+    return entry;
+  }
+
+  /**
+   * Send every queued change in order. With force, conflicts are sent anyway.
+   * Stops at the first network failure since the rest would fail too.
+   */
+  async sync({ force = false } = {}, logger = null) {
+    const log = logger || this.logger;
+    const outbox = Outbox.open(config.outboxFile);
+    const summary = { sent: [], alreadyApplied: [], conflicts: [], failed: [] };
+
+    if (outbox.entries.length === 0) {
+      log.info("📭 Outbox is empty - nothing to sync");
+      return { ...summary, pending: 0 };
+    }
+
+    log.transaction(`Syncing ${outbox.entries.length} queued change(s)`);
+
+    for (const entry of [...outbox.entries]) {
+      const label = `#${entry.seq} ${this.describe(entry)}`;
+      try {
+        const check = await this.checkAgainstTempo(entry);
+
+        if (check.alreadyApplied) {
+          outbox.remove(entry);
+          summary.alreadyApplied.push(entry.seq);
+          log.info(`✓ ${label} - already in Tempo`);
+          continue;
+        }
+
+        if (check.conflict && !force) {
+          outbox.markConflict(entry, check.conflict);
+          summary.conflicts.push({ seq: entry.seq, conflict: check.conflict });
+          log.warn(`⚠️  ${label} - ${check.conflict}`);
+          continue;
+        }
+
+        const tempoWorklogId = await this.send(entry);
+        outbox.remove(entry);
+        summary.sent.push({
+          seq: entry.seq,
+          operation: entry.operation,
+          issueKey: entry.issueKey,
+          tempoWorklogId,
+        });
+        log.success(`✓ ${label}`);
+      } catch (error) {
+        outbox.fail(entry, error);
+        summary.failed.push({ seq: entry.seq, error: error.message });
+        log.error(`✗ ${label} - ${error.message}`);
+
+        if (error.isNetworkError) {
+          log.warn("Tempo is still unreachable - stopping, try again later");
+          break;
+        }
+      }
+    }
+
+    const pending = outbox.entries.length;
+    if (summary.conflicts.length > 0) {
+      log.warn(
+        '💡 Resolve conflicts with "tempo-booker sync --force" or "tempo-booker sync --drop <n>"',
+      );
+    }
+    log.result(
+      `📊 Sync: ${summary.sent.length} sent, ${summary.alreadyApplied.length} already in Tempo, ${summary.conflicts.length} conflict(s), ${summary.failed.length} failed, ${pending} still queued`,
+    );
+    return { ...summary, pending };
+  }
+
+  async send(entry) {
+    switch (entry.operation) {
+      case "create": {
+        const result = await tempoApiService.createWorklog(entry.payload);
+        return result?.tempoWorklogId || null;
+      }
+      case "update":
+        await tempoApiService.updateWorklog(
+          entry.tempoWorklogId,
+          entry.payload,
+        );
+        return entry.tempoWorklogId;
+      case "delete":
+        await tempoApiService.deleteWorklog(entry.tempoWorklogId);
+        return entry.tempoWorklogId;
+      default:
+        throw new Error(`Unknown outbox operation: ${entry.operation}`);
+    }
+  }
+
+  /**
+   * Compare a queued change with the current Tempo state.
+   * Returns { alreadyApplied, conflict } - conflict is a message or null.
+   */
+  async checkAgainstTempo(entry) {
+    if (entry.operation === "create") {
+      return this.checkCreate(entry);
+    }
+
+    const current = await tempoApiService.getWorklog(
+      entry.tempoWorklogId,
+      true,
+    );
+    if (!current) {
+      return entry.operation === "delete"
+        ? { alreadyApplied: true, conflict: null }
+        : {
+            alreadyApplied: false,
+            conflict: `worklog ${entry.tempoWorklogId} no longer exists in Tempo`,
+          };
+    }
+
+    if (
+      current.updatedAt &&
+      new Date(current.updatedAt) > new Date(entry.queuedAt)
+    ) {
+      return {
+        alreadyApplied: false,
+        conflict: `worklog ${entry.tempoWorklogId} was changed in Tempo at ${moment(current.updatedAt).format("YYYY-MM-DD HH:mm")}, after it was queued`,
+      };
+    }
+    return { alreadyApplied: false, conflict: null };
+  }
+
+  async checkCreate(entry) {
+    const { payload } = entry;
+    const params = { from: payload.startDate, to: payload.startDate };
+    if (payload.authorAccountId) {
+      params.author = payload.authorAccountId;
+    }
+    const response = await tempoApiService.getWorklogs(params, true);
+    const dayWorklogs = (response.results || []).filter(
+      (wl) =>
+        wl.startDate === payload.startDate &&
+        (!payload.authorAccountId ||
+          (wl.author?.accountId || wl.authorAccountId) ===
+            payload.authorAccountId),
+    );
+
+    // A create whose response was lost may have reached Tempo anyway
+    const sameWorklog = dayWorklogs.find(
+      (wl) =>
+        wl.startTime === payload.startTime &&
+        wl.timeSpentSeconds === payload.timeSpentSeconds &&
+        (String(wl.issue?.id) === String(payload.issueId) ||
+          timeTrackingController.extractIssueKeyFromWorklog(wl) ===
+            entry.issueKey),
+    );
+    if (sameWorklog) {
+      return { alreadyApplied: true, conflict: null };
+    }
+
+    const slot = {
+      startDate: payload.startDate,
+      startTime: payload.startTime,
+      endTime: timeTrackingController.calculateEndTime(
+        payload.startTime,
+        payload.timeSpentSeconds / 3600,
+      ),
+      issueKey: entry.issueKey || "queued worklog",
+    };
+    const existing = dayWorklogs.map((wl) => ({
+      startDate: wl.startDate,
+      startTime: wl.startTime || "09:00:00",
+      endTime: timeTrackingController.calculateEndTime(
+        wl.startTime || "09:00:00",
+        wl.timeSpentSeconds / 3600,
+      ),
+      issueKey:
+        timeTrackingController.extractIssueKeyFromWorklog(wl) || "unknown",
+    }));
+    const overlaps = timeTrackingController
+      .findTimeConflicts([...existing, slot])
+      .filter((conflict) => conflict.entries.includes(slot));
+
+    if (overlaps.length > 0) {
+      const other = overlaps[0].entries.find((wl) => wl !== slot);
+      return {
+        alreadyApplied: false,
+        conflict: `overlaps ${other.issueKey} ${other.startTime.slice(0, 5)}-${other.endTime.slice(0, 5)} on ${payload.startDate}`,
+      };
+    }
+    return { alreadyApplied: false, conflict: null };
+  }
+
+  describe(entry) {
+    const target = entry.issueKey || `worklog ${entry.tempoWorklogId}`;
+    if (entry.operation === "create") {
+      const hours = entry.payload.timeSpentSeconds / 3600;
+      return `create ${target} ${entry.payload.startDate} ${entry.payload.startTime.slice(0, 5)} ${hours}h`;
+    }
+    return `${entry.operation} ${target}`;
+  }
+}
+
+module.exports = new OutboxController();
@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const config = require("../utils/config");
+const Logger = require("../utils/logger");
+const Profiles = require("../utils/profiles");
+
+/**
+ * `profile list|add|use|remove`: manages the registry of utils/profiles.js.
+ * A new profile gets its own workspace with a config.yaml (Jira site,
+ * account ID, issue mappings) and its own keychain entry for the Tempo token.
+ */
+class ProfileController {
+  constructor() {
+    this.logger = new Logger(config);
+  }
+
+  /**
+   * Every profile with its config file and Jira site; the active one
+   * (--profile or the current one of the registry) is marked
+   */
+  list(logger = null) {
+    const log = logger || this.logger;
+    const registry = Profiles.open();
+    const profiles = registry.names().map((name) => {
+      const configPath =
+        name === Profiles.DEFAULT
+          ? config.profile === name
+            ? config.getConfigPath()
+            : null
+          : registry.configPath(name);
+      const settings = this.readSettings(configPath);
+      return {
+        name,
+        active: name === config.profile,
+        current: name === registry.current,
+        config: configPath,
+        jiraBaseUrl: settings.api?.jiraBaseUrl || null,
+        accountId: settings.user?.accountId || null,
+      };
+    });
+
+    log.result(`👥 ${profiles.length} profile(s):`);
+    for (const profile of profiles) {
+      log.info(
+        `  ${profile.active ? "*" : " "} ${profile.name}${profile.current ? " (current)" : ""}`,
+      );
+      if (profile.jiraBaseUrl) {
+        log.info(`      ${profile.jiraBaseUrl}`);
+      }
+      if (profile.config) {
+        log.info(`      ${profile.config}`);
+      }
+    }
+    return profiles;
+  }
+
+  /**
+   * Register a profile and create its workspace. options: { jiraUrl,
+   * accountId, name, workspace }; the Jira URL and the token are
+   * asked for when missing, the account ID is looked up in Tempo.
+   */
+  async add(name, options = {}, logger = null) {
+    const log = logger || this.logger;
+    const registry = Profiles.open();
+    Profiles.validateName(name);
+    if (registry.has(name)) {
+      throw new Error(`Profile "${name}" already exists`);
+    }
+
+    const workspaceDir = path.resolve(
+      options.workspace ||
+        path.join(path.dirname(registry.filePath), "profiles", name),
+    );
+    const configPath = path.join(workspaceDir, "config.yaml");
+    if (fs.existsSync(configPath)) {
+      throw new Error(
+        `${configPath} already exists - pass another --workspace or remove it`,
+      );
+    }
+
+    const answers = await this.askForSite(options);
+    const user = await this.findUser(answers, options);
+
+    fs.mkdirSync(workspaceDir, { recursive: true });
+    fs.writeFileSync(
+      configPath,
+      `# tempo-booker configuration of profile ${name}\n` +
+        "# Every setting of docs/CONFIGURATION.md can be used here\n" +
+        yaml.dump({
+          user: { ...user, workspaceDir },
+          api: { jiraBaseUrl: answers.jiraBaseUrl },
+          issueMapping: {},
+        }),
+      "utf8",
+    );
+
+    const SecureTokenManager = require("../utils/secureTokenManager");
+    await new SecureTokenManager().storeToken(answers.token, name);
+
+    registry.add(name, configPath);
+    log.result(`✅ Added profile ${name}: ${configPath}`);
+    log.info(
+      `   Use it with --profile ${name}, or switch to it: tempo-booker profile use ${name}`,
+    );
+    return { name, config: configPath, workspaceDir, ...user };
+  }
+
+  use(name, logger = null) {
+    const log = logger || this.logger;
+    const registry = Profiles.open();
+    registry.use(name);
+    log.result(`✅ Now using profile ${name}`);
+    return { current: name };
+  }
+
+  /**
+   * Unregister a profile; its workspace stays on disk. With deleteToken its
+   * Tempo token is removed from the keychain as well.
+   */
+  async remove(name, { deleteToken = false } = {}, logger = null) {
+    const log = logger || this.logger;
+    const registry = Profiles.open();
+    const configPath = registry.configPath(name);
+    const wasCurrent = registry.current === name;
+    registry.remove(name);
+
+    if (deleteToken) {
+      const SecureTokenManager = require("../utils/secureTokenManager");
+      await new SecureTokenManager().deleteToken(name);
+    }
+
+    log.result(`🗑️  Removed profile ${name}`);
+    log.info(`   Its files are still in ${path.dirname(configPath)}`);
+    if (wasCurrent) {
+      log.info("   Using the default profile again");
+    }
+    return { removed: name, config: configPath, current: registry.current };
+  }
+
+  readSettings(configPath) {
+    try {
+      return configPath && fs.existsSync(configPath)
+        ? yaml.load(fs.readFileSync(configPath, "utf8")) || {}
+        : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Jira site and Tempo token of the new profile; the token is checked
+   * against Tempo before anything is written
+   */
+  async askForSite(options) {
+    const inquirer = require("inquirer");
+    const TokenHelpers = require("../utils/tokenHelpers");
+
+    const answers = await inquirer.prompt(
+      [
+        {
+          type: "input",
+          name: "jiraBaseUrl",
+          message: "Jira base URL (e.g., https://client.atlassian.net):",
+          validate: (input) => {
+            try {
+              new URL(input.trim());
+              return true;
+            } catch {
+              return "Please enter a valid URL";
+            }
+          },
+          filter: (input) => input.trim().replace(/\/+$/, ""),
+        },
+        {
+          type: "password",
+          name: "token",
+          message: "Tempo API token of this site:",
+          mask: "*",
+          validate: (input) =>
+            input.trim().length >= 10 || "Token seems too short",
+          filter: (input) => input.trim(),
+        },
+      ],
+      // Given on the command line: not asked for
+      { jiraBaseUrl: options.jiraUrl },
+    );
+    answers.jiraBaseUrl = answers.jiraBaseUrl.trim().replace(/\/+$/, "");
+    if (!/^https?:\/\//.test(answers.jiraBaseUrl)) {
+      throw new Error(
+        `The Jira base URL must start with https:// (got "${answers.jiraBaseUrl}")`,
+      );
+    }
+
+    const validation = await TokenHelpers.validateTempoToken(
+      answers.token,
+      answers.jiraBaseUrl,
+    );
+    if (!validation.valid) {
+      throw new Error(`Tempo API token was not accepted: ${validation.error}`);
+    }
+    return answers;
+  }
+
+  /**
+   * name and accountId of the user: section, from the options, Tempo or
+   * a prompt
+   */
+  async findUser({ jiraBaseUrl, token }, options) {
+    if (options.accountId) {
+      return { name: options.name || "", accountId: options.accountId };
+    }
+
+    const TokenHelpers = require("../utils/tokenHelpers");
+    const found = await TokenHelpers.getAccountIdFromTempo(token, jiraBaseUrl);
+    if (found.success) {
+      return { name: options.name || found.name, accountId: found.accountId };
+    }
+
+    const inquirer = require("inquirer");
+    return inquirer.prompt([
+      {
+        type: "input",
+        name: "name",
+        message: "Your name:",
+        default: options.name,
+        filter: (input) => input.trim(),
+      },
+      {
+        type: "input",
+        name: "accountId",
+        message: "Your Atlassian Account ID on this site (712020:...):",
+        validate: (input) =>
+          input.includes(":") || "Account ID should look like 712020:xxx",
+        filter: (input) => input.trim(),
+      },
+    ]);
+  }
+}
+
+module.exports = new ProfileController();
@@ -0,0 +1,107 @@
+const config = require("../utils/config");
+const Logger = require("../utils/logger");
+const WorkSchedule = require("../utils/workSchedule");
+const { parseTemplates, occursOn } = require("../utils/worklogTemplates");
+const timeTrackingController = require("./timeTrackingController");
+
+/**
+ * Turns the recurring entries of config.yaml templates: into worklogs.
+ * Entries go through the regular import diff, so applying a week twice
+ * leaves the existing worklogs as noChange.
+ */
+class TemplateController {
+  constructor() {
+    this.logger = new Logger(config);
+  }
+
+  templates(only = null) {
+    const templates = parseTemplates(config.worklogTemplates);
+    if (!only) return templates;
+
+    const selected = templates.filter(
+      (template) => template.name.toLowerCase() === only.toLowerCase(),
+    );
+    if (selected.length === 0) {
+      throw new Error(
+        `No template named "${only}" - available: ${templates.map((t) => t.name).join(", ") || "none"}`,
+      );
+    }
+    return selected;
+  }
+
+  /**
+   * Import entries (as normalizeWorklogData returns them) for every template
+   * occurrence between dateFrom and dateTo
+   */
+  expand(dateFrom, dateTo, { only = null } = {}, logger = null) {
+    const log = logger || this.logger;
+    const templates = this.templates(only);
+    const schedule = WorkSchedule.fromConfig(config);
+    const entries = [];
+
+    for (const date of timeTrackingController.getDateRange(dateFrom, dateTo)) {
+      const dayOff = schedule.dayOff(date);
+      for (const template of templates) {
+        if (!occursOn(template, date)) continue;
+
+        if (
+          template.skipHolidays &&
+          dayOff &&
+          (dayOff.kind === "holiday" || dayOff.kind === "absence")
+        ) {
+          log.debug(`Skipping ${template.name} on ${date}: ${dayOff.reason}`);
+          continue;
+        }
+
+        const entry = timeTrackingController.normalizeWorklogData(
+          {
+            date,
+            startTime: template.startTime,
+            endTime: template.endTime,
+            issue: template.issueKey,
+            description: template.description,
+          },
+          log,
+        );
+        if (entry) {
+          entries.push({ ...entry, template: template.name });
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Materialize the templates for a date range. options: { only, dryRun,
+   * planFile }. Returns the import plan (dry run) or the import summary.
+   */
+  async apply(dateFrom, dateTo, options = {}, logger = null) {
+    const log = logger || this.logger;
+    const entries = this.expand(dateFrom, dateTo, options, log);
+    const source = `templates ${dateFrom} to ${dateTo}`;
+
+    log.transaction(
+      `${entries.length} template entr${entries.length === 1 ? "y" : "ies"} from ${dateFrom} to ${dateTo}`,
+    );
+
+    if (options.dryRun) {
+      return timeTrackingController.planImportEntries(
+        entries,
+        {
+          source,
+          dateFilter: { from: dateFrom, to: dateTo },
+          planFile: options.planFile || null,
+        },
+        log,
+      );
+    }
+
+    if (entries.length === 0) {
+      log.result("No template entries in this period");
+      return { source, entries: 0 };
+    }
+    return timeTrackingController.importEntries(entries, { source }, log);
+  }
+}
+
+module.exports = new TemplateController();
@@ -1,10 +1,21 @@
 const tempoApiService = require("../services/tempoApiService");
+const worklogCache = require("../services/worklogCache");
 const jiraApiService = require("../services/jiraApiService");
 const Worklog = require("../models/worklog");
 const moment = require("moment");
 const chalk = require("chalk");
 const config = require("../utils/config");
 const Logger = require("../utils/logger");
+const { parseCsv, stringifyCsv } = require("../utils/csv");
+const ImportJournal = require("../utils/importJournal");
+const Outbox = require("../utils/outbox");
+const WorkSchedule = require("../utils/workSchedule");
+const IssueKeyRules = require("../utils/issueKeyRules");
+const {
+  parseDateInput,
+  parseTimeInput,
+  parseWeekRange,
+} = require("../utils/dateInput");
 
 class TimeTrackingController {
   constructor() {
@@ -16,35 +27,7 @@ class TimeTrackingController {
     try {
       // Get current user if not provided
       if (!worklogData.authorAccountId) {
-        // First try to use the account ID from config
-        const configAccountId = config.userAccountId;
-        if (configAccountId) {
-          worklogData.authorAccountId = configAccountId;
-          log.info(`Using account ID from config: ${configAccountId}`);
-        } else {
-          // Fallback to API methods if config doesn't have account ID
-          try {
-            const currentUser = await tempoApiService.getCurrentUser();
-            worklogData.authorAccountId = currentUser.accountId;
-            log.info(
-              `Using account ID: ${currentUser.accountId} (${currentUser.displayName || currentUser.name || "Unknown"})`,
-            );
-          } catch (userError) {
-            log.info("Extracting user info from existing worklogs...");
-            try {
-              const extractedAccountId =
-                await tempoApiService.getAuthorAccountIdFromWorklogs();
-              if (extractedAccountId) {
-                worklogData.authorAccountId = extractedAccountId;
-                log.info(`Using extracted account ID: ${extractedAccountId}`);
-              } else {
-                log.error("Could not determine author account ID");
-              }
-            } catch (extractError) {
-              log.error("Failed to extract account ID from worklogs");
-            }
-          }
-        }
+        worklogData.authorAccountId = await this.resolveAuthorAccountId(log);
       }
 
       // Try to resolve issue ID from issue key
@@ -52,7 +35,7 @@ class TimeTrackingController {
         log.info("Resolving issue ID...");
         try {
           // Use the enhanced issue resolver
-          const issueResolver = require("../services/staticIssueResolver");
+          const issueResolver = require("../services/issueResolver");
           const issueDetails = await issueResolver.resolveIssue(
             worklogData.issueKey,
             false,
@@ -84,7 +67,18 @@ class TimeTrackingController {
       const apiPayload = worklog.toApiFormat();
       log.info("Payload:", JSON.stringify(apiPayload, null, 2));
 
-      const result = await tempoApiService.createWorklog(apiPayload);
+      const { result, entry } = await this.sendOrQueue(
+        {
+          operation: "create",
+          issueKey: worklog.issueKey,
+          payload: apiPayload,
+        },
+        () => tempoApiService.createWorklog(apiPayload),
+        log,
+      );
+      if (entry) {
+        return { ...apiPayload, tempoWorklogId: null, outboxSeq: entry.seq };
+      }
 
       log.success("✓ Time logged successfully!");
       log.info(`Issue: ${worklog.issueKey}`);
@@ -99,6 +93,250 @@ class TimeTrackingController {
     }
   }
 
+  /**
+   * Account ID to log time as: config first, then the Tempo/Jira user, then
+   * the author of existing worklogs. Returns undefined when none works.
+   */
+  async resolveAuthorAccountId(logger = null) {
+    const log = logger || this.logger;
+
+    // First try to use the account ID from config
+    const configAccountId = config.userAccountId;
+    if (configAccountId) {
+      log.info(`Using account ID from config: ${configAccountId}`);
+      return configAccountId;
+    }
+
+    // Fallback to API methods if config doesn't have account ID
+    try {
+      const currentUser = await tempoApiService.getCurrentUser();
+      log.info(
+        `Using account ID: ${currentUser.accountId} (${currentUser.displayName || currentUser.name || "Unknown"})`,
+      );
+      return currentUser.accountId;
+    } catch (userError) {
+      log.info("Extracting user info from existing worklogs...");
+      try {
+        const extractedAccountId =
+          await tempoApiService.getAuthorAccountIdFromWorklogs();
+        if (extractedAccountId) {
+          log.info(`Using extracted account ID: ${extractedAccountId}`);
+          return extractedAccountId;
+        }
+        log.error("Could not determine author account ID");
+      } catch (extractError) {
+        log.error("Failed to extract account ID from worklogs");
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * logTimeAt() request from loosely typed input (MCP tool arguments, HTTP
+   * bodies): dates as parseDateInput() accepts them, times as HH:MM
+   */
+  parseLogRequest({ issueKey, hours, description, date, startTime, endTime }) {
+    if (!issueKey) {
+      throw new Error("issueKey is required");
+    }
+    const start = startTime ? parseTimeInput(startTime) : null;
+    const end = endTime ? parseTimeInput(endTime) : null;
+    const hasHours = hours !== undefined && hours !== null && hours !== "";
+    if (!hasHours && !(start && end)) {
+      throw new Error("Give hours, or both startTime and endTime");
+    }
+    if (hasHours && !(parseFloat(hours) > 0)) {
+      throw new Error(`hours must be a number greater than 0, got ${hours}`);
+    }
+
+    return {
+      issueKey: String(issueKey).toUpperCase(),
+      hours: hasHours ? parseFloat(hours) : null,
+      description: description || "",
+      date: parseDateInput(date || "today"),
+      startTime: start,
+      endTime: end,
+    };
+  }
+
+  /**
+   * Quick log with an explicit or automatic time slot.
+   * request: { issueKey, hours, description, date, startTime, endTime } where
+   * date is YYYY-MM-DD and times are HH:mm:ss. hours may be omitted when both
+   * times are given; without startTime the worklog goes right after the last
+   * existing worklog of that day.
+   */
+  async logTimeAt(request, logger = null) {
+    const log = logger || this.logger;
+    const authorAccountId = await this.resolveAuthorAccountId(log);
+    const slot = await this.placeWorklog({ ...request, authorAccountId }, log);
+
+    log.info(
+      `🕒 ${slot.startDate} ${slot.startTime.slice(0, 5)}-${slot.endTime.slice(0, 5)} (${slot.hours}h)`,
+    );
+
+    return this.logTime(
+      {
+        issueKey: request.issueKey,
+        description: request.description,
+        hours: slot.hours,
+        startDate: slot.startDate,
+        startTime: slot.startTime,
+        authorAccountId,
+      },
+      log,
+    );
+  }
+
+  /**
+   * Work out startTime, endTime and hours for a new worklog on one day and
+   * make sure it does not overlap the author's existing worklogs
+   */
+  async placeWorklog(
+    { issueKey, hours, date, startTime, endTime, authorAccountId },
+    logger = null,
+  ) {
+    const log = logger || this.logger;
+    const startDate = date || moment().format("YYYY-MM-DD");
+
+    if (startTime && endTime) {
+      const minutes = moment(endTime, "HH:mm:ss").diff(
+        moment(startTime, "HH:mm:ss"),
+        "minutes",
+      );
+      if (minutes <= 0) {
+        throw new Error(
+          `End time must be after start time (${startTime} - ${endTime})`,
+        );
+      }
+      const rangeHours = Math.round((minutes / 60) * 100) / 100;
+      if (hours && Math.abs(hours - rangeHours) > 0.01) {
+        throw new Error(
+          `${hours}h does not match ${startTime.slice(0, 5)}-${endTime.slice(0, 5)} (${rangeHours}h)`,
+        );
+      }
+      hours = rangeHours;
+    }
+
+    if (!hours || hours <= 0) {
+      throw new Error("Hours must be greater than 0");
+    }
+
+    // Offline the day cannot be checked; sync detects overlaps later
+    let response = { results: [] };
+    if (config.offlineMode) {
+      log.warn(`Offline mode - ${startDate} not checked for overlaps`);
+    } else {
+      try {
+        response = await tempoApiService.getWorklogs(
+          authorAccountId
+            ? { from: startDate, to: startDate, author: authorAccountId }
+            : { from: startDate, to: startDate },
+          true,
+        );
+      } catch (error) {
+        if (!error.isNetworkError) throw error;
+        log.warn(
+          `Tempo unreachable - ${startDate} not checked for overlaps (${error.message})`,
+        );
+      }
+    }
+    const dayWorklogs = (response.results || [])
+      .filter(
+        (wl) =>
+          wl.startDate === startDate &&
+          (!authorAccountId ||
+            (wl.author?.accountId || wl.authorAccountId) === authorAccountId),
+      )
+      .map((wl) => {
+        const start = wl.startTime || "09:00:00";
+        return {
+          startDate,
+          startTime: start,
+          endTime: this.calculateEndTime(start, wl.timeSpentSeconds / 3600),
+          issueKey: this.extractIssueKeyFromWorklog(wl) || "unknown",
+        };
+      });
+
+    if (!startTime && endTime) {
+      startTime = moment(endTime, "HH:mm:ss")
+        .subtract(hours, "hours")
+        .format("HH:mm:ss");
+      if (startTime > endTime) {
+        throw new Error(`${hours}h before ${endTime} starts before midnight`);
+      }
+    } else if (!startTime) {
+      // Right after the last worklog of the day, or the usual 09:00 start
+      startTime = dayWorklogs.reduce(
+        (latest, wl) => (wl.endTime > latest ? wl.endTime : latest),
+        dayWorklogs.length > 0 ? "00:00:00" : "09:00:00",
+      );
+      if (dayWorklogs.length > 0) {
+        log.info(`Placing after the last worklog of ${startDate}`);
+      }
+    }
+
+    const end = moment(`${startDate} ${startTime}`, "YYYY-MM-DD HH:mm:ss").add(
+      hours,
+      "hours",
+    );
+    if (end.format("YYYY-MM-DD") !== startDate) {
+      throw new Error(
+        `${hours}h from ${startTime.slice(0, 5)} runs past midnight`,
+      );
+    }
+    endTime = endTime || this.calculateEndTime(startTime, hours);
+
+    const slot = {
+      startDate,
+      startTime,
+      endTime,
+      hours,
+      issueKey: issueKey || "new worklog",
+    };
+    const overlaps = this.findTimeConflicts([...dayWorklogs, slot]).filter(
+      (conflict) => conflict.entries.includes(slot),
+    );
+    if (overlaps.length > 0) {
+      overlaps.forEach((conflict) => {
+        log.error(`   ${conflict.date} - ${conflict.type}:`);
+        log.error(`      ${conflict.wl1}`);
+        log.error(`      ${conflict.wl2}`);
+      });
+      throw new Error(
+        `${startDate} ${startTime.slice(0, 5)}-${endTime.slice(0, 5)} overlaps ${overlaps.length} existing worklog(s)`,
+      );
+    }
+
+    return { startDate, startTime, endTime, hours };
+  }
+
+  /**
+   * Run a single worklog change against Tempo, or park it in the offline
+   * outbox when offline mode is on or Tempo cannot be reached. Other errors
+   * are thrown as usual. Returns { result, entry } - entry is the outbox
+   * entry when the change was queued.
+   */
+  async sendOrQueue(change, send, logger = null) {
+    const log = logger || this.logger;
+    let reason = "offline mode";
+
+    if (!config.offlineMode) {
+      try {
+        return { result: await send(), entry: null };
+      } catch (error) {
+        if (!error.isNetworkError) throw error;
+        reason = error.message;
+      }
+    }
+
+    const entry = Outbox.open(config.outboxFile).enqueue({ ...change, reason });
+    log.warn(
+      `📤 ${reason === "offline mode" ? "Offline mode" : "Tempo unreachable"} - queued ${change.operation} #${entry.seq}${change.issueKey ? ` (${change.issueKey})` : ""}. Run "tempo-booker sync" to send it.`,
+    );
+    return { result: null, entry };
+  }
+
   async validateIssue(issueKey) {
     // Tempo API will validate the issue key when creating worklog
     // Skip JIRA validation to avoid authentication complexity
@@ -137,18 +375,8 @@ class TimeTrackingController {
     log.warn("\n📋 Your Recent Worklogs:");
     log.info("─".repeat(80));
 
-    // Predefined issue list (same as time table)
-    const predefinedIssueKeys = new Set([
-      "DAU-2579",
-      "DAU-2655",
-      "ITST-14651",
-      "ITST-14619",
-      "ITST-14439",
-      "ITST-14440",
-      "ITST-14455",
-      "ITST-14456",
-      "ITST-15191",
-    ]);
+    // Issues from config.yaml (same as time table)
+    const predefinedIssueKeys = this.knownIssueKeys();
 
     let displayIndex = 1;
     for (const worklog of worklogs) {
@@ -234,21 +462,26 @@ class TimeTrackingController {
         const earliestDate = dates[0];
         log.info(`Debug - Date range: ${earliestDate} to ${latestDate}`);
 
-        // Check for today's entries (Aug 22nd)
+        // Check for today's and yesterday's entries
+        const today = moment().format("YYYY-MM-DD");
+        const yesterday = moment().subtract(1, "day").format("YYYY-MM-DD");
         const todayEntries = worklogs.results.filter(
-          (w) => w.startDate === "2025-08-22",
+          (w) => w.startDate === today,
         );
         const yesterdayEntries = worklogs.results.filter(
-          (w) => w.startDate === "2025-08-21",
+          (w) => w.startDate === yesterday,
         );
         log.info(
-          `Debug - Aug 21st entries: ${yesterdayEntries.length}, Aug 22nd entries: ${todayEntries.length}`,
+          `Debug - ${yesterday} entries: ${yesterdayEntries.length}, ${today} entries: ${todayEntries.length}`,
         );
 
         // Show recent entries
         log.info("Debug - Recent worklog dates and hours:");
         worklogs.results
-          .filter((w) => w.startDate >= "2025-08-20")
+          .filter(
+            (w) =>
+              w.startDate >= moment().subtract(2, "days").format("YYYY-MM-DD"),
+          )
           .forEach((worklog, idx) => {
             log.info(
               `  ${worklog.startDate}: ${(worklog.timeSpentSeconds / 3600).toFixed(1)}h - Issue ${worklog.issue?.id}`,
@@ -296,6 +529,7 @@ class TimeTrackingController {
     const log = logger || this.logger;
     log.warn("\n📋 Your Recent Worklogs:");
     log.info("─".repeat(80));
+    const predefinedIssueKeys = this.knownIssueKeys();
 
     worklogs.forEach((worklog, index) => {
       const hours = (worklog.timeSpentSeconds / 3600).toFixed(2);
@@ -342,10 +576,24 @@ class TimeTrackingController {
       }
 
       log.info("Updating worklog...");
-      const result = await tempoApiService.updateWorklog(
-        worklogId,
-        worklog.toApiFormat(),
+      const apiPayload = worklog.toApiFormat();
+      const { result, entry } = await this.sendOrQueue(
+        {
+          operation: "update",
+          issueKey: worklog.issueKey,
+          tempoWorklogId: worklogId,
+          payload: apiPayload,
+        },
+        () => tempoApiService.updateWorklog(worklogId, apiPayload),
+        log,
       );
+      if (entry) {
+        return {
+          ...apiPayload,
+          tempoWorklogId: worklogId,
+          outboxSeq: entry.seq,
+        };
+      }
 
       log.success("✓ Worklog updated successfully!");
       return result;
@@ -359,8 +607,14 @@ class TimeTrackingController {
     const log = logger || this.logger;
     try {
       log.info("Deleting worklog...");
-      await tempoApiService.deleteWorklog(worklogId);
-      log.success("✓ Worklog deleted successfully!");
+      const { entry } = await this.sendOrQueue(
+        { operation: "delete", tempoWorklogId: worklogId },
+        () => tempoApiService.deleteWorklog(worklogId),
+        log,
+      );
+      if (!entry) {
+        log.success("✓ Worklog deleted successfully!");
+      }
     } catch (error) {
       log.error("✗ Failed to delete worklog:", error.message);
       throw error;
@@ -425,9 +679,6 @@ class TimeTrackingController {
           );
           await tempoApiService.deleteWorklog(worklog.tempoWorklogId);
           deletedCount++;
-
-          // Small delay to avoid rate limiting
-          await new Promise((resolve) => setTimeout(resolve, 100));
         } catch (error) {
           log.warn(
             `Failed to delete worklog ${worklog.tempoWorklogId}: ${error.message}`,
@@ -472,7 +723,7 @@ class TimeTrackingController {
         params.author = authorAccountId;
       }
 
-      const worklogs = await tempoApiService.getWorklogs(params, true); // silent mode
+      const worklogs = await worklogCache.getWorklogs(params, true); // silent mode
 
       if (!worklogs.results || worklogs.results.length === 0) {
         log.warn("No worklogs found for the specified period.");
@@ -542,16 +793,19 @@ class TimeTrackingController {
         from: moment(dateFrom).format("YYYY-MM-DD"),
         to: moment(dateTo).format("YYYY-MM-DD"),
       };
+      // Only the current user's worklogs, like the report and the import
+      if (config.userAccountId) {
+        params.author = config.userAccountId;
+      }
 
-      const worklogs = await tempoApiService.getWorklogs(params);
+      const worklogs = await worklogCache.getWorklogs(params);
 
       if (!worklogs.results || worklogs.results.length === 0) {
         log.warn("No worklogs found for the specified period.");
         return;
       }
 
-      this.generateTimeTable(worklogs.results, dateFrom, dateTo, log);
-      return worklogs;
+      return this.generateTimeTable(worklogs.results, dateFrom, dateTo, log);
     } catch (error) {
       log.error("✗ Failed to generate time table:", error.message);
       throw error;
@@ -646,10 +900,49 @@ class TimeTrackingController {
       dailyTotals[date] += hours;
     });
 
-    this.printSimpleTimeTable(dateRange, dailyData, dailyTotals, log);
+    // Weekends, public holidays and full-day absences need no bookings
+    const daysOff = this.getDaysOff(dateRange);
+
+    this.printSimpleTimeTable(dateRange, dailyData, dailyTotals, daysOff, log);
+
+    // Structured form of the printed table
+    const issueKeys = new Set();
+    Object.values(dailyData).forEach((dayData) => {
+      Object.keys(dayData).forEach((issueKey) => issueKeys.add(issueKey));
+    });
+
+    return {
+      from: dateRange[0],
+      to: dateRange[dateRange.length - 1],
+      dates: dateRange,
+      issues: Array.from(issueKeys)
+        .sort()
+        .map((issueKey) => {
+          const hoursByDate = {};
+          dateRange.forEach((date) => {
+            if (dailyData[date][issueKey]) {
+              hoursByDate[date] = dailyData[date][issueKey];
+            }
+          });
+          return {
+            issueKey,
+            totalHours: Object.values(hoursByDate).reduce((a, b) => a + b, 0),
+            hoursByDate,
+          };
+        }),
+      dailyTotals,
+      totalHours: Object.values(dailyTotals).reduce((a, b) => a + b, 0),
+      daysOff,
+    };
   }
 
-  printSimpleTimeTable(dateRange, dailyData, dailyTotals, logger = null) {
+  printSimpleTimeTable(
+    dateRange,
+    dailyData,
+    dailyTotals,
+    daysOff = {},
+    logger = null,
+  ) {
     const log = logger || this.logger;
     log.info("\n📅 Tempo Timesheet - Weekly View");
 
@@ -780,6 +1073,8 @@ class TimeTrackingController {
       const total = dailyTotals[date];
       if (total > 0) {
         totalsRow += chalk.green.bold(total.toFixed(1).padEnd(dateColWidth));
+      } else if (daysOff[date]) {
+        totalsRow += chalk.gray("off".padEnd(dateColWidth));
       } else {
         totalsRow += chalk.gray("0".padEnd(dateColWidth));
       }
@@ -795,6 +1090,18 @@ class TimeTrackingController {
     log.info(
       `📊 Period: ${periodStart} - ${periodEnd} | Total Hours: ${grandTotal.toFixed(1)}h`,
     );
+
+    const namedDaysOff = dateRange.filter((date) => daysOff[date]?.reason);
+    if (namedDaysOff.length > 0) {
+      log.info(
+        `🏖️  Days off: ${namedDaysOff
+          .map(
+            (date) =>
+              `${moment(date).format("DD/MMM")} ${daysOff[date].reason}`,
+          )
+          .join(", ")}`,
+      );
+    }
   }
 
   async displayDetailedList(dateFrom, dateTo, logger = null) {
@@ -805,16 +1112,19 @@ class TimeTrackingController {
         from: moment(dateFrom).format("YYYY-MM-DD"),
         to: moment(dateTo).format("YYYY-MM-DD"),
       };
+      // Only the current user's worklogs, like the report and the import
+      if (config.userAccountId) {
+        params.author = config.userAccountId;
+      }
 
-      const worklogs = await tempoApiService.getWorklogs(params);
+      const worklogs = await worklogCache.getWorklogs(params);
 
       if (!worklogs.results || worklogs.results.length === 0) {
         log.warn("No worklogs found for the specified period.");
         return;
       }
 
-      this.printDetailedList(worklogs.results, dateFrom, dateTo, log);
-      return worklogs;
+      return this.printDetailedList(worklogs.results, dateFrom, dateTo, log);
     } catch (error) {
       log.error("✗ Failed to generate detailed list:", error.message);
       throw error;
@@ -825,18 +1135,8 @@ class TimeTrackingController {
     // Use provided logger or fallback to instance logger or console
     const logger = log || this.logger || console;
 
-    // Predefined issue list for filtering
-    const predefinedIssueKeys = new Set([
-      "DAU-2579",
-      "DAU-2655",
-      "ITST-14651",
-      "ITST-14619",
-      "ITST-14439",
-      "ITST-14440",
-      "ITST-14455",
-      "ITST-14456",
-      "ITST-15191",
-    ]);
+    // Issues from config.yaml for filtering
+    const predefinedIssueKeys = this.knownIssueKeys();
 
     // Build issue ID to key mapping using configured mappings
     const config = require("../utils/config");
@@ -870,6 +1170,13 @@ class TimeTrackingController {
         issueKey = issueIdToKeyMap[worklog.issue.id];
       }
 
+      // Strategy 3: issueRules from config.yaml
+      if (!issueKey) {
+        issueKey =
+          IssueKeyRules.fromConfig(config).match(worklog.description)
+            ?.issueKey || null;
+      }
+
       // Only include if we found a valid issue key that's in our predefined list
       if (issueKey && predefinedIssueKeys.has(issueKey)) {
         const startTime = worklog.startTime || "09:00:00";
@@ -944,6 +1251,21 @@ class TimeTrackingController {
 
     logger.info("─".repeat(120));
     logger.success(`📊 Grand Total: ${(totalSeconds / 3600).toFixed(1)}h`);
+
+    return {
+      from: moment(dateFrom).format("YYYY-MM-DD"),
+      to: moment(dateTo).format("YYYY-MM-DD"),
+      entries: filteredWorklogs,
+      totalHours: totalSeconds / 3600,
+    };
+  }
+
+  // Exports keep the description verbatim so an unedited file re-imports as NO CHANGE
+  getExportDescription(description, issueKey) {
+    if (!description || description === "worklog.description.anonymized") {
+      return `Working on ${issueKey}`;
+    }
+    return description;
   }
 
   getCleanDescription(description, issueKey) {
@@ -974,95 +1296,367 @@ class TimeTrackingController {
       log.transaction(`Importing worklogs from: ${filePath}`);
       log.system(`User: ${config.userName} (${config.userAccountId})`);
 
-      // Read and parse file
-      const fs = require("fs");
-      const path = require("path");
-
-      if (!fs.existsSync(filePath)) {
-        throw new Error(`File not found: ${filePath}`);
+      const interrupted = ImportJournal.findResumable(config.backupDir);
+      if (interrupted) {
+        log.warn(
+          `⚠️  A previous import of ${interrupted.data.source || "a file"} did not finish. Run "tempo-booker import --resume" to continue it instead of importing again.`,
+        );
       }
 
-      log.system(`Reading file: ${filePath}`);
-      const fileContent = fs.readFileSync(filePath, "utf8");
-      const extension = path.extname(filePath).toLowerCase();
+      const worklogsData = this.readImportFile(filePath, dateFilter, log);
+      if (worklogsData.length === 0) return;
 
-      let worklogsData = [];
+      return await this.importEntries(worklogsData, { source: filePath }, log);
+    } catch (error) {
+      // Let the CLI handle error display to avoid duplicate messages
+      throw error;
+    }
+  }
 
-      if (extension === ".json") {
-        worklogsData = JSON.parse(fileContent);
-        log.system(`Parsed JSON format with ${worklogsData.length} entries`);
-      } else if (extension === ".csv") {
-        worklogsData = this.parseCSV(fileContent, log);
-        log.system(`Parsed CSV format with ${worklogsData.length} entries`);
-      } else {
-        throw new Error("Unsupported file format. Use .csv or .json");
-      }
+  /**
+   * Import already normalized entries (see normalizeWorklogData) through the
+   * conflict check and the add/update/replace/noChange diff
+   */
+  async importEntries(worklogsData, options = {}, logger = null) {
+    const log = logger || this.logger;
+    log.transaction(`Found ${worklogsData.length} worklog entries to process`);
 
-      // Apply date filter if provided
-      if (dateFilter) {
-        const originalCount = worklogsData.length;
-        worklogsData = worklogsData.filter((worklog) => {
-          const worklogDate = worklog.startDate || worklog.date;
-          return worklogDate >= dateFilter.from && worklogDate <= dateFilter.to;
-        });
+    // Validate for conflicts and either proceed or quit with warnings
+    const hasConflicts = await this.validateWorklogsForImport(
+      worklogsData,
+      log,
+    );
 
-        log.system(
-          `Date filter applied: ${dateFilter.from} to ${dateFilter.to}`,
+    if (hasConflicts) {
+      log.error(
+        "❌ Import cancelled due to conflicts. Please resolve conflicts and try again.",
+      );
+      throw new Error("Import cancelled due to validation conflicts");
+    }
+
+    await this.resolveImportIssueKeys(worklogsData, log);
+
+    // No conflicts, proceed with import
+    return await this.executeWorklogOperations(worklogsData, log, {
+      source: options.source || null,
+    });
+  }
+
+  /**
+   * Resolve the distinct issue keys missing from issueMapping before an
+   * import runs, as one batch through the issue resolver chain (one JQL
+   * search per 50 keys instead of a Jira request per worklog)
+   */
+  async resolveImportIssueKeys(worklogsData, logger = null) {
+    const log = logger || this.logger;
+    const issueResolver = require("../services/issueResolver");
+
+    const unmapped = [
+      ...new Set(worklogsData.map((worklog) => worklog.issueKey)),
+    ].filter((issueKey) => issueKey && !issueResolver.hasIssue(issueKey));
+    if (unmapped.length === 0) {
+      return {};
+    }
+
+    log.info(`Resolving ${unmapped.length} issue key(s) not in issueMapping`);
+    const resolved = await issueResolver.resolveIssues(unmapped, true);
+
+    const resolvedKeys = Object.keys(resolved);
+    if (resolvedKeys.length > 0) {
+      log.success(
+        `✓ Resolved ${resolvedKeys.length} issue key(s): ${resolvedKeys.map((issueKey) => `${issueKey} (${resolved[issueKey].method})`).join(", ")}`,
+      );
+    }
+    const missing = unmapped.filter((issueKey) => !resolved[issueKey]);
+    if (missing.length > 0) {
+      log.warn(
+        `Could not resolve ${missing.join(", ")} - see "tempo-booker resolve <key> --explain"`,
+      );
+    }
+    return resolved;
+  }
+
+  /**
+   * Read a .csv or .json import file and apply the optional date filter
+   */
+  readImportFile(filePath, dateFilter = null, logger = null) {
+    const log = logger || this.logger;
+
+    // Read and parse file
+    const fs = require("fs");
+    const path = require("path");
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    log.system(`Reading file: ${filePath}`);
+    const fileContent = fs.readFileSync(filePath, "utf8");
+    const extension = path.extname(filePath).toLowerCase();
+
+    let worklogsData = [];
+
+    if (extension === ".json") {
+      worklogsData = JSON.parse(fileContent);
+      log.system(`Parsed JSON format with ${worklogsData.length} entries`);
+    } else if (extension === ".csv") {
+      worklogsData = this.parseCSV(fileContent, log);
+      log.system(`Parsed CSV format with ${worklogsData.length} entries`);
+    } else {
+      throw new Error("Unsupported file format. Use .csv or .json");
+    }
+
+    // Apply date filter if provided
+    if (dateFilter) {
+      const originalCount = worklogsData.length;
+      worklogsData = worklogsData.filter((worklog) => {
+        const worklogDate = worklog.startDate || worklog.date;
+        return worklogDate >= dateFilter.from && worklogDate <= dateFilter.to;
+      });
+
+      log.system(`Date filter applied: ${dateFilter.from} to ${dateFilter.to}`);
+      log.system(
+        `Filtered from ${originalCount} to ${worklogsData.length} entries`,
+      );
+    }
+
+    if (worklogsData.length === 0) {
+      log.result(
+        dateFilter
+          ? "No worklogs found in the specified date range."
+          : "No worklog entries found in the file.",
+      );
+    }
+
+    return worklogsData;
+  }
+
+  /**
+   * Entries of an import given as { file } (relative to the workspace) or
+   * inline { csv }, optionally limited to the days from..to (parseDateInput
+   * formats): { entries, source, dateFilter }. Used by the MCP and HTTP APIs.
+   */
+  readImportInput({ file, csv, from, to }, logger = null) {
+    const log = logger || this.logger;
+    if (!file === !csv) {
+      throw new Error("Give either file or csv");
+    }
+    const dateFilter =
+      from || to
+        ? {
+            from: from ? parseDateInput(from) : "0000-01-01",
+            to: to ? parseDateInput(to) : "9999-12-31",
+          }
+        : null;
+
+    if (file) {
+      const path = require("path");
+      const source = path.isAbsolute(file)
+        ? file
+        : path.join(config.workspaceDir, file);
+      return {
+        entries: this.readImportFile(source, dateFilter, log),
+        source,
+        dateFilter,
+      };
+    }
+
+    const entries = this.parseCSV(String(csv), log).filter((entry) => {
+      const date = entry.startDate || entry.date;
+      return !dateFilter || (date >= dateFilter.from && date <= dateFilter.to);
+    });
+    return { entries, source: "inline CSV", dateFilter };
+  }
+
+  /**
+   * Entries of a week edited in the dashboard, as rows of an import file
+   * ({ date, startTime, endTime, issue, description, delete }), all inside
+   * from..to: { entries, source, dateFilter }. A row the import would skip
+   * is an error here, so a submitted edit is never dropped silently.
+   */
+  readWeekEntries({ from, to, entries }, logger = null) {
+    const log = logger || this.logger;
+    if (!Array.isArray(entries)) {
+      throw new Error("entries must be a list of worklog rows");
+    }
+    const { dateFrom, dateTo } = parseWeekRange(from, to);
+    const dateFilter = { from: dateFrom, to: dateTo };
+
+    const normalized = entries.map((row, index) => {
+      const entry =
+        row &&
+        typeof row === "object" &&
+        this.normalizeWorklogData(
+          { ...row, delete: row.delete === true ? "true" : row.delete },
+          log,
+          index + 1,
         );
-        log.system(
-          `Filtered from ${originalCount} to ${worklogsData.length} entries`,
+      if (!entry) {
+        throw new Error(
+          `Entry ${index + 1} is invalid: ${JSON.stringify(row)}`,
+        );
+      }
+      if (
+        entry.startDate < dateFilter.from ||
+        entry.startDate > dateFilter.to
+      ) {
+        throw new Error(
+          `Entry ${index + 1} (${entry.startDate}) is outside ${dateFilter.from}..${dateFilter.to}`,
         );
-
-        if (worklogsData.length === 0) {
-          log.result("No worklogs found in the specified date range.");
-          return;
-        }
       }
+      return entry;
+    });
 
-      log.transaction(
-        `Found ${worklogsData.length} worklog entries to process`,
-      );
+    return { entries: normalized, source: "dashboard", dateFilter };
+  }
 
-      // Validate for conflicts and either proceed or quit with warnings
+  /**
+   * Dry run of an import: parse, validate and categorize the file exactly as
+   * importWorklogs would, print the plan and stop before any Tempo write.
+   * Returns the plan; options.planFile additionally writes it as JSON.
+   */
+  async dryRunImport(filePath, dateFilter = null, logger = null, options = {}) {
+    const log = logger || this.logger;
+    log.transaction(`Dry run: planning import from ${filePath}`);
+
+    const worklogsData = this.readImportFile(filePath, dateFilter, log);
+    return this.planImportEntries(
+      worklogsData,
+      { source: filePath, dateFilter, planFile: options.planFile },
+      log,
+    );
+  }
+
+  /**
+   * Dry run for normalized entries: the plan importEntries() would execute.
+   * options: { source, dateFilter, planFile }
+   */
+  async planImportEntries(worklogsData, options = {}, logger = null) {
+    const log = logger || this.logger;
+    let operations = {
+      add: [],
+      update: [],
+      delete: [],
+      replace: [],
+      noChange: [],
+    };
+
+    if (worklogsData.length > 0) {
       const hasConflicts = await this.validateWorklogsForImport(
         worklogsData,
         log,
       );
-
       if (hasConflicts) {
-        log.error(
-          "❌ Import cancelled due to conflicts. Please resolve conflicts and try again.",
+        throw new Error(
+          "Import would be cancelled due to validation conflicts",
         );
-        throw new Error("Import cancelled due to validation conflicts");
       }
 
-      // No conflicts, proceed with import
-      await this.executeWorklogOperations(worklogsData, log);
-    } catch (error) {
-      // Let the CLI handle error display to avoid duplicate messages
-      throw error;
+      ({ operations } = await this.planWorklogOperations(worklogsData, log));
+      this.previewWorklogOperations(operations, log);
+    }
+
+    const plan = this.buildImportPlan(operations, {
+      source: options.source || null,
+      dateFilter: options.dateFilter || null,
+    });
+
+    if (options.planFile) {
+      const fs = require("fs");
+      const path = require("path");
+      fs.mkdirSync(path.dirname(options.planFile), { recursive: true });
+      fs.writeFileSync(options.planFile, JSON.stringify(plan, null, 2), "utf8");
+      log.transaction(`Import plan written to: ${options.planFile}`);
     }
+
+    return plan;
+  }
+
+  /**
+   * Serializable form of categorized operations, without the raw Tempo
+   * worklogs that the executors carry along
+   */
+  buildImportPlan(operations, metadata = {}) {
+    const strip = (items) =>
+      JSON.parse(
+        JSON.stringify(items || [], (key, value) =>
+          key === "original" ? undefined : value,
+        ),
+      );
+
+    const plan = {
+      ...metadata,
+      generatedAt: new Date().toISOString(),
+      summary: {
+        add: operations.add.length,
+        update: operations.update.length,
+        delete: operations.delete.length,
+        replace: (operations.replace || []).length,
+        noChange: operations.noChange.length,
+      },
+      operations: {
+        add: strip(operations.add),
+        update: strip(operations.update),
+        delete: strip(operations.delete),
+        replace: strip(operations.replace),
+        noChange: strip(operations.noChange),
+      },
+    };
+    plan.summary.changes =
+      plan.summary.add +
+      plan.summary.update +
+      plan.summary.delete +
+      plan.summary.replace;
+
+    return plan;
   }
 
   parseCSV(csvContent, logger = null) {
     const log = logger || this.logger;
-    const lines = csvContent.trim().split("\n");
-    const headers = lines[0].split(",").map((h) => h.trim().replace(/"/g, ""));
+    const { records, delimiter } = parseCsv(csvContent, {
+      delimiter: config.csvDelimiter,
+      trimUnquoted: true,
+    });
+
+    if (records.length === 0) {
+      log.warn("CSV file is empty");
+      return [];
+    }
+
+    const [headerRecord, ...rows] = records;
+    const headers = headerRecord.fields.map((h) => h.trim());
 
     log.info("CSV Headers found:", headers);
+    log.system(`CSV delimiter: ${JSON.stringify(delimiter)}`);
 
     const worklogs = [];
 
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(",").map((v) => v.trim().replace(/"/g, ""));
+    for (const row of rows) {
+      if (row.error) {
+        log.warn(`Line ${row.line}: ${row.error} - skipping row`);
+        continue;
+      }
+
+      // More values than headers usually means an unquoted delimiter in a description
+      if (row.fields.length > headers.length) {
+        log.warn(
+          `Line ${row.line}: expected ${headers.length} fields but found ${row.fields.length} - quote values containing "${delimiter}"`,
+        );
+        continue;
+      }
+
       const worklog = {};
 
       headers.forEach((header, index) => {
-        worklog[header] = values[index] ? values[index].trim() : "";
+        worklog[header] = row.fields[index] || "";
       });
 
       // Convert to standard format
-      const standardWorklog = this.normalizeWorklogData(worklog, logger);
+      const standardWorklog = this.normalizeWorklogData(
+        worklog,
+        logger,
+        row.line,
+      );
       if (standardWorklog) {
         worklogs.push(standardWorklog);
       }
@@ -1074,8 +1668,9 @@ class TimeTrackingController {
     return worklogs;
   }
 
-  normalizeWorklogData(data, logger = null) {
+  normalizeWorklogData(data, logger = null, lineNumber = null) {
     const log = logger || this.logger;
+    const at = lineNumber ? `Line ${lineNumber}: ` : "";
     // Expected formats:
     // CSV: date, startTime, endTime, issue, description, [delete]
     // Legacy: date, issue, hours, description, startTime
@@ -1101,14 +1696,14 @@ class TimeTrackingController {
 
         if (!start.isValid() || !end.isValid()) {
           log.warn(
-            `Skipping entry with invalid time format: ${data.startTime} - ${data.endTime}`,
+            `${at}Skipping entry with invalid time format: ${data.startTime} - ${data.endTime}`,
           );
           return null;
         }
 
         if (end.isSameOrBefore(start)) {
           log.warn(
-            `Skipping entry with invalid time range: ${data.startTime} - ${data.endTime}`,
+            `${at}Skipping entry with invalid time range: ${data.startTime} - ${data.endTime}`,
           );
           return null;
         }
@@ -1136,19 +1731,21 @@ class TimeTrackingController {
         !normalized.startDate ||
         (!shouldDelete && normalized.hours <= 0)
       ) {
-        log.warn(`Skipping invalid entry:`, JSON.stringify(data));
+        log.warn(`${at}Skipping invalid entry:`, JSON.stringify(data));
         return null;
       }
 
       // Validate date format
       if (!moment(normalized.startDate, "YYYY-MM-DD", true).isValid()) {
-        log.warn(`Skipping entry with invalid date: ${normalized.startDate}`);
+        log.warn(
+          `${at}Skipping entry with invalid date: ${normalized.startDate}`,
+        );
         return null;
       }
 
       return normalized;
     } catch (error) {
-      log.warn(`Skipping malformed entry: ${error.message}`);
+      log.warn(`${at}Skipping malformed entry: ${error.message}`);
       return null;
     }
   }
@@ -1210,6 +1807,33 @@ class TimeTrackingController {
       throw new Error(`Found ${invalidEntries} invalid entries in CSV data`);
     }
 
+    const conflictDetails = this.findTimeConflicts(worklogs);
+    const conflicts = conflictDetails.length;
+
+    if (conflicts > 0) {
+      log.error(`❌ Found ${conflicts} time conflict(s):`);
+      conflictDetails.forEach((conflict, index) => {
+        log.error(`   ${index + 1}. ${conflict.date} - ${conflict.type}:`);
+        log.error(`      ${conflict.wl1}`);
+        log.error(`      ${conflict.wl2}`);
+      });
+      log.warn(
+        `💡 Suggestion: Check for duplicate entries or adjust time ranges to avoid overlaps`,
+      );
+      throw new Error(`Found ${conflicts} time conflict(s) in CSV data`);
+    }
+
+    log.success(
+      `✅ All ${worklogs.length} entries validated - no conflicts detected`,
+    );
+  }
+
+  /**
+   * Overlapping time ranges among worklogs with a startTime and endTime
+   * (HH:mm:ss), compared per date. Entries marked shouldDelete are ignored.
+   * Each conflict names both entries: { date, wl1, wl2, type, entries }.
+   */
+  findTimeConflicts(worklogs) {
     // Group by date for overlap checking
     const worklogsByDate = {};
     worklogs.forEach((wl) => {
@@ -1221,7 +1845,6 @@ class TimeTrackingController {
       }
     });
 
-    let conflicts = 0;
     const conflictDetails = [];
 
     // Check each date for overlapping time ranges
@@ -1255,29 +1878,14 @@ class TimeTrackingController {
               wl1: `${wl1.issueKey}: ${wl1.startTime}-${wl1.endTime}`,
               wl2: `${wl2.issueKey}: ${wl2.startTime}-${wl2.endTime}`,
               type: overlapType,
+              entries: [wl1, wl2],
             });
-            conflicts++;
           }
         }
       }
     });
 
-    if (conflicts > 0) {
-      log.error(`❌ Found ${conflicts} time conflict(s):`);
-      conflictDetails.forEach((conflict, index) => {
-        log.error(`   ${index + 1}. ${conflict.date} - ${conflict.type}:`);
-        log.error(`      ${conflict.wl1}`);
-        log.error(`      ${conflict.wl2}`);
-      });
-      log.warn(
-        `💡 Suggestion: Check for duplicate entries or adjust time ranges to avoid overlaps`,
-      );
-      throw new Error(`Found ${conflicts} time conflict(s) in CSV data`);
-    }
-
-    log.success(
-      `✅ All ${worklogs.length} entries validated - no conflicts detected`,
-    );
+    return conflictDetails;
   }
 
   async validateWorklogsForImport(importWorklogs, logger = null) {
@@ -1311,15 +1919,12 @@ class TimeTrackingController {
         params.author = authorAccountId;
       }
 
-      const allExistingWorklogs = await tempoApiService.getWorklogs(
-        params,
-        true,
-      ); // silent mode
+      const allExistingWorklogs = await worklogCache.getWorklogs(params, true, {
+        reload: true,
+      }); // silent mode
 
       // Filter to relevant recent worklogs only
-      const currentYear = moment().year();
-      const minimumYear = Math.max(currentYear - 1, 2025);
-      const yearCutoff = `${minimumYear}-01-01`;
+      const yearCutoff = config.historyCutoff;
 
       const recentWorklogs = allExistingWorklogs.results.filter((w) => {
         const isSystemWorklog =
@@ -1541,7 +2146,6 @@ class TimeTrackingController {
             `✅ Deleted duplicate worklog ID: ${duplicate.tempoWorklogId}`,
           );
           removedCount++;
-          await new Promise((resolve) => setTimeout(resolve, 200)); // Rate limiting
         } catch (error) {
           if (
             error.message.includes("403") ||
@@ -1613,16 +2217,63 @@ class TimeTrackingController {
       }
     }
 
-    // ENHANCED: Pattern-based inference for specific cases
-    if (worklog.description === "Team Daily") {
-      // Recent Team Daily entries are likely DAU-2655
-      return "DAU-2655";
+    // Description rules from config.yaml (issueRules)
+    const rule = IssueKeyRules.fromConfig(config).match(worklog.description);
+    if (rule) {
+      return rule.issueKey;
     }
 
     // Try from tempoWorklogId mapping (fallback)
     return worklog.issueKey || "UNKNOWN";
   }
 
+  /**
+   * Worklogs of a period in summarizeWorklog() form, from the same cache as
+   * the table and list reports: { from, to, totalHours, worklogs }
+   */
+  async listWorklogSummaries(dateFrom, dateTo) {
+    const params = { from: dateFrom, to: dateTo };
+    if (config.userAccountId) {
+      params.author = config.userAccountId;
+    }
+    const response = await worklogCache.getWorklogs(params);
+    const worklogs = (response.results || [])
+      .map((worklog) => this.summarizeWorklog(worklog))
+      .sort((a, b) =>
+        `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`),
+      );
+    const totalHours = worklogs.reduce((sum, entry) => sum + entry.hours, 0);
+
+    return {
+      from: dateFrom,
+      to: dateTo,
+      totalHours: Math.round(totalHours * 100) / 100,
+      worklogs,
+    };
+  }
+
+  /**
+   * Compact, serializable form of a Tempo worklog for the MCP and HTTP APIs
+   */
+  summarizeWorklog(worklog) {
+    const seconds = worklog.timeSpentSeconds || 0;
+    return {
+      tempoWorklogId: worklog.tempoWorklogId,
+      issueKey: this.extractIssueKeyFromWorklog(worklog),
+      issueId: worklog.issue?.id || null,
+      date: worklog.startDate,
+      startTime: worklog.startTime,
+      endTime: moment(
+        `${worklog.startDate} ${worklog.startTime}`,
+        "YYYY-MM-DD HH:mm:ss",
+      )
+        .add(seconds, "seconds")
+        .format("HH:mm:ss"),
+      hours: Math.round((seconds / 3600) * 100) / 100,
+      description: worklog.description || "",
+    };
+  }
+
   async validateAndPreviewWorklogs(importWorklogs, logger = null) {
     const log = logger || this.logger;
     log.warn("\n🔍 Validating import data against existing worklogs...");
@@ -1668,13 +2319,15 @@ class TimeTrackingController {
         params.author = authorAccountId;
       }
 
-      const allExistingWorklogs = await tempoApiService.getWorklogs(params);
+      const allExistingWorklogs = await worklogCache.getWorklogs(
+        params,
+        false,
+        { reload: true },
+      );
 
       // ULTRA-AGGRESSIVE filtering: Only keep worklogs from current year + user's own worklogs
       // Based on analysis: old worklogs (2016-2017) have __tempo-io__unknown_user authors and can't be deleted
-      const currentYear = moment().year();
-      const minimumYear = Math.max(currentYear - 1, 2025); // Never go earlier than 2025
-      const yearCutoff = `${minimumYear}-01-01`;
+      const yearCutoff = config.historyCutoff; // history: in config.yaml
 
       const recentWorklogs = allExistingWorklogs.results.filter((w) => {
         // FIRST FILTER: Immediately exclude system/anonymized worklogs
@@ -1684,7 +2337,7 @@ class TimeTrackingController {
           return false; // Skip all system worklogs upfront
         }
 
-        // Second filter: Only keep worklogs from recent years (2025+)
+        // Second filter: Only keep worklogs after the history horizon
         if (w.startDate < yearCutoff) {
           return false;
         }
@@ -1738,7 +2391,7 @@ class TimeTrackingController {
         log,
       );
 
-      this.previewWorklogOperations(operations);
+      this.previewWorklogOperations(operations, log);
     } catch (error) {
       log.error("✗ Validation failed:", error.message);
       log.warn("Falling back to simple preview...");
@@ -1766,6 +2419,9 @@ class TimeTrackingController {
       `Categorizing operations for ${importWorklogs.length} import entries against ${existingWorklogs.length} existing worklogs...`,
     );
 
+    // Other users' worklogs before the history horizon cannot be deleted
+    const historyCutoff = config.historyCutoff;
+
     // Create a map of existing worklogs by date+time+issue for quick lookup
     const existingMap = new Map();
     log.debug("Analyzing existing worklogs for duplicates...");
@@ -1781,7 +2437,7 @@ class TimeTrackingController {
       // Skip old anonymized worklogs that can't be deleted - don't include in conflict detection
       if (
         isAnonymizedOldWorklog ||
-        (!isUserWorklog && worklog.startDate < "2025-01-01")
+        (!isUserWorklog && worklog.startDate < historyCutoff)
       ) {
         return;
       }
@@ -1838,6 +2494,7 @@ class TimeTrackingController {
           operations.delete.push({
             ...enhancedWorklog,
             tempoWorklogId: existing.tempoWorklogId,
+            original: existing,
           });
           log.error(`    -> DELETE operation`);
         } else {
@@ -1864,7 +2521,7 @@ class TimeTrackingController {
 
           if (
             isAnonymizedOldWorklog ||
-            (!isUserWorklog && ewl.startDate < "2025-01-01")
+            (!isUserWorklog && ewl.startDate < historyCutoff)
           ) {
             return false; // Skip undeleteable worklogs
           }
@@ -1910,6 +2567,7 @@ class TimeTrackingController {
               description: cwl.description,
               hours: cwl.timeSpentSeconds / 3600,
               startTime: cwl.startTime || "09:00:00",
+              original: cwl,
             })),
           });
           log.info(
@@ -1934,7 +2592,7 @@ class TimeTrackingController {
 
           if (
             isAnonymizedOldWorklog ||
-            (!isUserWorklog && ewl.startDate < "2025-01-01")
+            (!isUserWorklog && ewl.startDate < historyCutoff)
           ) {
             return false; // Skip undeleteable worklogs
           }
@@ -1982,6 +2640,7 @@ class TimeTrackingController {
               hours: cwl.timeSpentSeconds / 3600,
               startTime: cwl.startTime || "09:00:00",
               issueKey: this.extractIssueKeyFromWorklog(cwl),
+              original: cwl,
             })),
           });
           log.info(
@@ -2044,6 +2703,7 @@ class TimeTrackingController {
                 hours: cwl.timeSpentSeconds / 3600,
                 startTime: cwl.startTime || "09:00:00",
                 issueKey: this.extractIssueKeyFromWorklog(cwl),
+                original: cwl,
               }),
             ),
           });
@@ -2085,6 +2745,7 @@ class TimeTrackingController {
               tempoWorklogId: existing.tempoWorklogId,
               existingHours: existingHours / 3600,
               existingDescription: existing.description,
+              original: existing,
             });
 
             // Show what's different for debugging
@@ -2118,7 +2779,8 @@ class TimeTrackingController {
     return operations;
   }
 
-  previewWorklogOperations(operations) {
+  previewWorklogOperations(operations, logger = null) {
+    const log = logger || this.logger;
     log.warn("\n📋 Import Preview with Validation");
     log.info("═".repeat(100));
 
@@ -2247,7 +2909,7 @@ class TimeTrackingController {
     }
 
     log.success(
-      "\n✅ Preview completed. Run again with dry run = false to execute operations.",
+      "\n✅ Preview completed. Run again without --dry-run to execute operations.",
     );
   }
 
@@ -2290,120 +2952,323 @@ class TimeTrackingController {
     );
   }
 
-  async executeWorklogOperations(importWorklogs, logger = null) {
+  async executeWorklogOperations(importWorklogs, logger = null, options = {}) {
     const log = logger || this.logger;
     log.info("\n🔄 Executing worklog operations...");
 
+    // Every Tempo call below is journaled so the run can be rolled back
+    const openJournal = (authorAccountId) =>
+      ImportJournal.create(config.backupDir, {
+        source: options.source || null,
+        authorAccountId: authorAccountId || config.userAccountId || null,
+      });
+
+    let planned;
     try {
-      // Try to get current user, fall back to extraction from worklogs
-      let authorAccountId = null;
+      planned = await this.planWorklogOperations(importWorklogs, log);
+    } catch (error) {
+      // Nothing was sent to Tempo yet, so creating every entry is safe
+      log.error("✗ Planning worklog operations failed:", error.message);
+      log.warn("Falling back to minimal approach bulk creation...");
+      const journal = openJournal();
+      await this.bulkCreateWorklogs(importWorklogs, log, journal);
+      return this.closeJournal(journal, log);
+    }
 
-      try {
-        const currentUser = await tempoApiService.getCurrentUser();
-        authorAccountId = currentUser.accountId;
-        log.info(
-          `✓ Authenticated as: ${currentUser.displayName || "User"} (${currentUser.accountId})`,
-        );
-      } catch (userError) {
-        log.info("Extracting user info from existing worklogs...");
-        authorAccountId =
-          await tempoApiService.getAuthorAccountIdFromWorklogs();
-        if (authorAccountId) {
-          log.info(`Using extracted account ID: ${authorAccountId}`);
-        } else {
-          log.error(
-            "Could not determine author account ID, will proceed with bulk creation",
-          );
-          throw new Error("Cannot determine author account ID");
-        }
-      }
+    const journal = openJournal(planned.authorAccountId);
+    log.system(`Import journal: ${journal.filePath}`);
 
-      const dates = importWorklogs.map((w) => w.startDate).sort();
-      const dateFrom = dates[0];
-      const dateTo = dates[dates.length - 1];
+    try {
+      // Persist the plan first so an interrupted run can be resumed
+      const plan = journal.setPlan(planned.operations);
+      await this.runPlannedOperations(plan, log, journal);
+    } catch (error) {
+      // Part of the plan may already be in Tempo: a bulk creation would
+      // duplicate it, so leave the rest to import --resume
+      journal.finish("incomplete");
+      log.error("✗ Operation execution failed:", error.message);
+      log.warn(
+        `⚠️  Continue with: tempo-booker import --resume, or undo with: tempo-booker rollback "${journal.filePath}"`,
+      );
+      throw error;
+    }
 
-      const params = {
-        from: dateFrom,
-        to: dateTo,
-      };
+    return this.closeJournal(journal, log);
+  }
+
+  /**
+   * Compare import entries with the user's existing Tempo worklogs and
+   * categorize them into add/update/delete/replace/noChange operations.
+   * Read-only: nothing is sent to Tempo.
+   */
+  async planWorklogOperations(importWorklogs, logger = null) {
+    const log = logger || this.logger;
+
+    // Try to get current user, fall back to extraction from worklogs
+    let authorAccountId = null;
+
+    try {
+      const currentUser = await tempoApiService.getCurrentUser();
+      authorAccountId = currentUser.accountId;
+      log.info(
+        `✓ Authenticated as: ${currentUser.displayName || "User"} (${currentUser.accountId})`,
+      );
+    } catch (userError) {
+      log.info("Extracting user info from existing worklogs...");
+      authorAccountId = await tempoApiService.getAuthorAccountIdFromWorklogs();
       if (authorAccountId) {
-        params.author = authorAccountId;
+        log.info(`Using extracted account ID: ${authorAccountId}`);
+      } else {
+        log.error(
+          "Could not determine author account ID, will proceed with bulk creation",
+        );
+        throw new Error("Cannot determine author account ID");
       }
+    }
 
-      const allExistingWorklogs = await tempoApiService.getWorklogs(params);
+    const dates = importWorklogs.map((w) => w.startDate).sort();
+    const dateFrom = dates[0];
+    const dateTo = dates[dates.length - 1];
 
-      // ULTRA-AGGRESSIVE filtering (same logic as preview): Only keep worklogs from current year + user's own worklogs
-      // Based on analysis: old worklogs (2016-2017) have __tempo-io__unknown_user authors and can't be deleted
-      const currentYear = moment().year();
-      const minimumYear = Math.max(currentYear - 1, 2025); // Never go earlier than 2025
-      const yearCutoff = `${minimumYear}-01-01`;
+    const params = {
+      from: dateFrom,
+      to: dateTo,
+    };
+    if (authorAccountId) {
+      params.author = authorAccountId;
+    }
 
-      const recentWorklogs = allExistingWorklogs.results.filter((w) => {
-        // FIRST FILTER: Immediately exclude system/anonymized worklogs
-        const isSystemWorklog =
-          w.author?.accountId === "__tempo-io__unknown_user";
-        if (isSystemWorklog) {
-          return false; // Skip all system worklogs upfront
-        }
+    const allExistingWorklogs = await worklogCache.getWorklogs(params, false, {
+      reload: true,
+    });
 
-        // Second filter: Only keep worklogs from recent years (2025+)
-        if (w.startDate < yearCutoff) {
-          return false;
-        }
+    // ULTRA-AGGRESSIVE filtering (same logic as preview): Only keep worklogs from current year + user's own worklogs
+    // Based on analysis: old worklogs (2016-2017) have __tempo-io__unknown_user authors and can't be deleted
+    const yearCutoff = config.historyCutoff; // history: in config.yaml
 
-        // Third filter: Only keep user's own worklogs (deleteable) + very recent ones
-        const isUserWorklog =
-          w.author?.accountId === authorAccountId ||
-          w.authorAccountId === authorAccountId;
-        const isVeryRecent =
-          w.startDate >= moment().subtract(3, "days").format("YYYY-MM-DD");
+    const recentWorklogs = allExistingWorklogs.results.filter((w) => {
+      // FIRST FILTER: Immediately exclude system/anonymized worklogs
+      const isSystemWorklog =
+        w.author?.accountId === "__tempo-io__unknown_user";
+      if (isSystemWorklog) {
+        return false; // Skip all system worklogs upfront
+      }
 
-        // Keep user's own worklogs or very recent ones that might be relevant
-        return isUserWorklog || isVeryRecent;
-      });
+      // Second filter: Only keep worklogs after the history horizon
+      if (w.startDate < yearCutoff) {
+        return false;
+      }
 
-      const existingWorklogs = {
-        ...allExistingWorklogs,
-        results: recentWorklogs,
-      };
+      // Third filter: Only keep user's own worklogs (deleteable) + very recent ones
+      const isUserWorklog =
+        w.author?.accountId === authorAccountId ||
+        w.authorAccountId === authorAccountId;
+      const isVeryRecent =
+        w.startDate >= moment().subtract(3, "days").format("YYYY-MM-DD");
+
+      // Keep user's own worklogs or very recent ones that might be relevant
+      return isUserWorklog || isVeryRecent;
+    });
+
+    const existingWorklogs = {
+      ...allExistingWorklogs,
+      results: recentWorklogs,
+    };
 
+    log.info(
+      `Filtered ${allExistingWorklogs.results.length} → ${recentWorklogs.length} recent actionable worklogs`,
+    );
+    if (allExistingWorklogs.results.length - recentWorklogs.length > 0) {
       log.info(
-        `Filtered ${allExistingWorklogs.results.length} → ${recentWorklogs.length} recent actionable worklogs`,
+        `⚡ Skipped ${allExistingWorklogs.results.length - recentWorklogs.length} older worklogs to optimize performance`,
       );
-      if (allExistingWorklogs.results.length - recentWorklogs.length > 0) {
-        log.info(
-          `⚡ Skipped ${allExistingWorklogs.results.length - recentWorklogs.length} older worklogs to optimize performance`,
-        );
-      }
+    }
 
-      // Categorize operations
-      const operations = await this.categorizeWorklogOperations(
-        importWorklogs,
-        existingWorklogs.results,
-        authorAccountId,
-        null,
-        log,
+    // Categorize operations
+    const operations = await this.categorizeWorklogOperations(
+      importWorklogs,
+      existingWorklogs.results,
+      authorAccountId,
+      null,
+      log,
+    );
+
+    return { operations, authorAccountId };
+  }
+
+  async runPlannedOperations(operations, logger = null, journal = null) {
+    const log = logger || this.logger;
+
+    // Execute DELETE operations first
+    await this.executeDeleteOperations(operations.delete, log, journal);
+
+    // Execute REPLACE operations (delete conflicting + create new)
+    await this.executeReplaceOperations(operations.replace || [], log, journal);
+
+    // Execute ADD operations
+    await this.executeAddOperations(operations.add, log, journal);
+
+    // Execute UPDATE operations
+    await this.executeUpdateOperations(operations.update, log, journal);
+  }
+
+  /**
+   * Finish a journal after a run and return its summary (see
+   * ImportJournal.summary)
+   */
+  closeJournal(journal, logger = null) {
+    const log = logger || this.logger;
+    if (!journal) return null;
+
+    // Nothing was sent to Tempo - no need to keep an empty journal around
+    if (journal.entries.length === 0) {
+      journal.discard();
+      return { ...journal.summary(), journal: null };
+    }
+
+    const remaining = journal.plan ? journal.remainingCount() : 0;
+    journal.finish(remaining > 0 ? "incomplete" : "completed");
+    log.transaction(`Import journal saved: ${journal.filePath}`);
+    if (remaining > 0) {
+      log.warn(
+        `⚠️  ${remaining} operation(s) did not complete - retry them with: tempo-booker import --resume`,
+      );
+    }
+    log.system(
+      `Undo this run with: tempo-booker rollback "${journal.filePath}"`,
+    );
+
+    return journal.summary();
+  }
+
+  /**
+   * Continue an interrupted import from its journal instead of re-diffing
+   * the file: only planned operations without a "done" entry are executed.
+   * Without a journal path the newest resumable journal is used.
+   */
+  async resumeImport(journalPath = null, logger = null) {
+    const log = logger || this.logger;
+    const journal = journalPath
+      ? ImportJournal.load(journalPath)
+      : ImportJournal.findResumable(config.backupDir);
+
+    if (!journal) {
+      log.result("No interrupted import to resume.");
+      return null;
+    }
+    if (!journal.plan) {
+      throw new Error(
+        `${journal.filePath} has no saved plan and cannot be resumed`,
       );
+    }
+    if (!journal.isResumable) {
+      throw new Error(`Import journal is already ${journal.status}`);
+    }
 
-      // Execute DELETE operations first
-      await this.executeDeleteOperations(operations.delete, log);
+    log.transaction(
+      `Resuming import of ${journal.data.source || "unknown file"} started ${journal.data.startedAt}`,
+    );
+    log.system(`Import journal: ${journal.filePath}`);
 
-      // Execute REPLACE operations (delete conflicting + create new)
-      await this.executeReplaceOperations(operations.replace || [], log);
+    await this.reconcilePendingEntries(journal, log);
 
-      // Execute ADD operations
-      await this.executeAddOperations(operations.add, log);
+    const remaining = journal.remainingPlan();
+    const remainingCount = journal.remainingCount();
+    if (remainingCount === 0) {
+      log.result("All planned operations already completed.");
+      journal.finish("completed");
+      return journal.summary();
+    }
 
-      // Execute UPDATE operations
-      await this.executeUpdateOperations(operations.update, log);
-    } catch (error) {
-      log.error("✗ Operation execution failed:", error.message);
-      log.warn("Falling back to minimal approach bulk creation...");
-      await this.bulkCreateWorklogs(importWorklogs);
+    log.info(
+      `${remainingCount} operation(s) remaining: ${remaining.delete.length} delete, ${remaining.replace.length} replace, ${remaining.add.length} add, ${remaining.update.length} update`,
+    );
+
+    journal.resume();
+    await this.runPlannedOperations(remaining, log, journal);
+    return this.closeJournal(journal, log);
+  }
+
+  /**
+   * Entries left "pending" were sent to Tempo but the run died before the
+   * response arrived. Look each one up in Tempo so a resume neither creates
+   * a duplicate nor skips an operation that never happened.
+   */
+  async reconcilePendingEntries(journal, logger = null) {
+    const log = logger || this.logger;
+    const pendingEntries = journal.entries.filter(
+      (entry) => entry.status === "pending",
+    );
+    if (pendingEntries.length === 0) return;
+
+    log.info(
+      `Checking ${pendingEntries.length} interrupted operation(s) against Tempo...`,
+    );
+
+    const worklogsByDate = new Map();
+    const getWorklogsOn = async (date) => {
+      if (!worklogsByDate.has(date)) {
+        const params = { from: date, to: date };
+        if (journal.data.authorAccountId) {
+          params.author = journal.data.authorAccountId;
+        }
+        const response = await tempoApiService.getWorklogs(params, true);
+        worklogsByDate.set(date, response.results || []);
+      }
+      return worklogsByDate.get(date);
+    };
+    const normalizeTime = (time) => (time || "").padEnd(8, ":00").slice(0, 8);
+
+    for (const entry of pendingEntries) {
+      const label = `#${entry.seq} ${entry.operation}`;
+
+      switch (entry.operation) {
+        case "add":
+        case "replace-create": {
+          const payload = entry.payload;
+          const worklogs = await getWorklogsOn(payload.startDate);
+          const created = worklogs.find(
+            (w) =>
+              this.extractIssueKeyFromWorklog(w) === payload.issueKey &&
+              normalizeTime(w.startTime) === normalizeTime(payload.startTime) &&
+              w.timeSpentSeconds === Math.round(payload.hours * 3600),
+          );
+          if (created) {
+            journal.complete(entry, created);
+            log.info(`${label}: found in Tempo (ID ${created.tempoWorklogId})`);
+          } else {
+            journal.fail(entry, "Not found in Tempo after interruption");
+            log.info(`${label}: not found in Tempo, will be retried`);
+          }
+          break;
+        }
+        case "delete":
+        case "replace-delete": {
+          const date = entry.original?.startDate;
+          const worklogs = date ? await getWorklogsOn(date) : [];
+          const stillExists = worklogs.some(
+            (w) => w.tempoWorklogId === entry.tempoWorklogId,
+          );
+          if (date && !stillExists) {
+            journal.complete(entry);
+            log.info(`${label}: worklog ${entry.tempoWorklogId} already gone`);
+          } else {
+            journal.fail(entry, "Still present in Tempo after interruption");
+            log.info(
+              `${label}: worklog ${entry.tempoWorklogId} still exists, will be retried`,
+            );
+          }
+          break;
+        }
+        default:
+          // Updates are idempotent PUTs - simply send them again
+          journal.fail(entry, "Interrupted before Tempo confirmed it");
+          log.info(`${label}: will be retried`);
+      }
     }
   }
 
-  async executeAddOperations(addOperations, logger = null) {
+  async executeAddOperations(addOperations, logger = null, journal = null) {
     const log = logger || this.logger;
     if (addOperations.length === 0) {
       log.info("No ADD operations to execute.");
@@ -2416,26 +3281,28 @@ class TimeTrackingController {
     let failureCount = 0;
 
     for (const [index, worklogData] of addOperations.entries()) {
+      let entry = null;
       try {
         log.info(
           `Adding ${index + 1}/${addOperations.length}: ${worklogData.issueKey} ${worklogData.hours}h`,
         );
 
+        entry = journal?.begin("add", { payload: worklogData });
+
         // Create worklog with MCP integration
-        await tempoApiService.createWorklogWithStatic(
+        const result = await tempoApiService.createWorklogWithStatic(
           worklogData.issueKey,
           worklogData.hours,
           worklogData.startDate,
           worklogData.startTime,
           worklogData.description,
         );
+        journal?.complete(entry, result);
 
         log.success(`✅ Added: ${worklogData.issueKey} ${worklogData.hours}h`);
         successCount++;
-
-        // Add delay to avoid rate limiting
-        await new Promise((resolve) => setTimeout(resolve, 300));
       } catch (error) {
+        if (entry) journal.fail(entry, error);
         log.error(`✗ Failed to add worklog ${index + 1}:`, error.message);
         failureCount++;
       }
@@ -2444,7 +3311,11 @@ class TimeTrackingController {
     log.info(`ADD Results: ${successCount} successful, ${failureCount} failed`);
   }
 
-  async executeUpdateOperations(updateOperations, logger = null) {
+  async executeUpdateOperations(
+    updateOperations,
+    logger = null,
+    journal = null,
+  ) {
     const log = logger || this.logger;
     if (updateOperations.length === 0) {
       log.info("No UPDATE operations to execute.");
@@ -2457,13 +3328,20 @@ class TimeTrackingController {
     let failureCount = 0;
 
     for (const [index, worklogData] of updateOperations.entries()) {
+      let entry = null;
       try {
         log.info(
           `Updating ${index + 1}/${updateOperations.length}: ${worklogData.issueKey} ${worklogData.existingHours}h → ${worklogData.hours}h`,
         );
 
+        entry = journal?.begin("update", {
+          payload: worklogData,
+          original: worklogData.original,
+          tempoWorklogId: worklogData.tempoWorklogId,
+        });
+
         // Update worklog using MCP-based approach
-        await tempoApiService.updateWorklogWithStatic(
+        const result = await tempoApiService.updateWorklogWithStatic(
           worklogData.tempoWorklogId,
           worklogData.issueKey,
           worklogData.hours,
@@ -2471,14 +3349,13 @@ class TimeTrackingController {
           worklogData.startTime,
           worklogData.description,
         );
+        journal?.complete(entry, result);
         log.success(
           `✅ Updated: ${worklogData.issueKey} ${worklogData.existingHours}h → ${worklogData.hours}h`,
         );
         successCount++;
-
-        // Add delay to avoid rate limiting
-        await new Promise((resolve) => setTimeout(resolve, 300));
       } catch (error) {
+        if (entry) journal.fail(entry, error);
         log.error(`✗ Failed to update worklog ${index + 1}:`, error.message);
         failureCount++;
       }
@@ -2489,7 +3366,11 @@ class TimeTrackingController {
     );
   }
 
-  async executeDeleteOperations(deleteOperations, logger = null) {
+  async executeDeleteOperations(
+    deleteOperations,
+    logger = null,
+    journal = null,
+  ) {
     const log = logger || this.logger;
     if (deleteOperations.length === 0) {
       log.info("No DELETE operations to execute.");
@@ -2502,20 +3383,25 @@ class TimeTrackingController {
     let failureCount = 0;
 
     for (const [index, worklogData] of deleteOperations.entries()) {
+      let entry = null;
       try {
         log.info(
           `Deleting ${index + 1}/${deleteOperations.length}: ${worklogData.issueKey} ${worklogData.hours}h`,
         );
 
+        entry = journal?.begin("delete", {
+          original: worklogData.original,
+          tempoWorklogId: worklogData.tempoWorklogId,
+          planId: worklogData.planId,
+        });
         await tempoApiService.deleteWorklog(worklogData.tempoWorklogId);
+        journal?.complete(entry);
         log.success(
           `✅ Deleted: ${worklogData.issueKey} ${worklogData.hours}h`,
         );
         successCount++;
-
-        // Add delay to avoid rate limiting
-        await new Promise((resolve) => setTimeout(resolve, 300));
       } catch (error) {
+        if (entry) journal.fail(entry, error);
         log.error(`✗ Failed to delete worklog ${index + 1}:`, error.message);
         failureCount++;
       }
@@ -2526,7 +3412,11 @@ class TimeTrackingController {
     );
   }
 
-  async executeReplaceOperations(replaceOperations, logger = null) {
+  async executeReplaceOperations(
+    replaceOperations,
+    logger = null,
+    journal = null,
+  ) {
     const log = logger || this.logger;
     if (replaceOperations.length === 0) {
       log.info("No REPLACE operations to execute.");
@@ -2543,6 +3433,7 @@ class TimeTrackingController {
     for (const [index, replaceOp] of replaceOperations.entries()) {
       const worklogData = replaceOp.worklogData || replaceOp.import;
       const conflictingWorklogs = replaceOp.conflictingWorklogs;
+      let createEntry = null;
 
       try {
         log.info(
@@ -2552,42 +3443,23 @@ class TimeTrackingController {
           `  Deleting ${conflictingWorklogs.length} conflicting worklog(s)...`,
         );
 
-        // Step 1: Delete all conflicting worklogs - BUT FIRST FILTER OUT UNDELETEABLE ONES
-        const config = require("../utils/config");
-        const authorAccountId = config.userAccountId;
-
-        // FINAL SAFETY FILTER: Remove undeleteable worklogs before attempting deletion
-        const deleteableWorklogs = conflictingWorklogs.filter(
-          (conflictingWL) => {
-            // Skip if we know it's undeleteable based on common patterns
-            const worklogId = conflictingWL.tempoWorklogId;
-
-            // These are the ID ranges we know are old and undeleteable based on the logs
-            // IDs like 1371089, 1371452, 1372657, etc. (older worklogs from previous runs)
-            if (worklogId < 1374000) {
-              log.info(
-                `    🚫 Skipped ID:${worklogId}: Known undeleteable worklog (< 1374000)`,
-              );
-              return false;
-            }
-
-            return true; // Keep this worklog for deletion attempt
-          },
-        );
-
-        log.info(
-          `    Pre-filtered: ${conflictingWorklogs.length} → ${deleteableWorklogs.length} deleteable worklogs`,
-        );
-
+        // Step 1: Delete all conflicting worklogs; ones Tempo refuses (403) are skipped
         let deletedCount = 0;
-        for (const conflictingWL of deleteableWorklogs) {
+        for (const conflictingWL of conflictingWorklogs) {
+          const deleteEntry = journal?.begin("replace-delete", {
+            original: conflictingWL.original,
+            tempoWorklogId: conflictingWL.tempoWorklogId,
+            planId: replaceOp.planId,
+          });
           try {
             await tempoApiService.deleteWorklog(conflictingWL.tempoWorklogId);
+            journal?.complete(deleteEntry);
             deletedCount++;
             log.warn(
               `    ✓ Deleted conflicting worklog ID:${conflictingWL.tempoWorklogId}`,
             );
           } catch (deleteError) {
+            if (deleteEntry) journal.fail(deleteEntry, deleteError);
             if (
               deleteError.message.includes("403") ||
               deleteError.message.includes("permission")
@@ -2602,42 +3474,44 @@ class TimeTrackingController {
             }
             // Continue with other deletions
           }
-          await new Promise((resolve) => setTimeout(resolve, 200));
         }
 
         // Step 2: Create the new worklog
         log.info(
           `  Creating new worklog: ${worklogData.issueKey} ${worklogData.hours}h`,
         );
-        await tempoApiService.createWorklogWithStatic(
+        createEntry = journal?.begin("replace-create", {
+          payload: worklogData,
+          planId: replaceOp.planId,
+        });
+        const result = await tempoApiService.createWorklogWithStatic(
           worklogData.issueKey,
           worklogData.hours,
           worklogData.startDate,
           worklogData.startTime,
           worklogData.description,
         );
+        journal?.complete(createEntry, result);
 
         if (
-          deletedCount === deleteableWorklogs.length &&
-          deleteableWorklogs.length > 0
+          deletedCount === conflictingWorklogs.length &&
+          conflictingWorklogs.length > 0
         ) {
           log.success(
-            `✅ Replaced: All ${deletedCount} deleteable conflicts removed + Created ${worklogData.issueKey} ${worklogData.hours}h`,
+            `✅ Replaced: All ${deletedCount} conflicts removed + Created ${worklogData.issueKey} ${worklogData.hours}h`,
           );
-        } else if (deleteableWorklogs.length > 0) {
+        } else if (conflictingWorklogs.length > 0) {
           log.success(
-            `✅ Replaced: Removed ${deletedCount}/${deleteableWorklogs.length} deleteable conflicts + Created ${worklogData.issueKey} ${worklogData.hours}h`,
+            `✅ Replaced: Removed ${deletedCount}/${conflictingWorklogs.length} conflicts + Created ${worklogData.issueKey} ${worklogData.hours}h`,
           );
         } else {
           log.success(
-            `✅ Created: ${worklogData.issueKey} ${worklogData.hours}h (no deleteable conflicts)`,
+            `✅ Created: ${worklogData.issueKey} ${worklogData.hours}h (no conflicts)`,
           );
         }
         successCount++;
-
-        // Add delay to avoid rate limiting
-        await new Promise((resolve) => setTimeout(resolve, 300));
       } catch (error) {
+        if (createEntry) journal.fail(createEntry, error);
         log.error(`✗ Failed to replace worklog ${index + 1}:`, error.message);
         failureCount++;
       }
@@ -2648,7 +3522,7 @@ class TimeTrackingController {
     );
   }
 
-  async bulkCreateWorklogs(worklogs, logger = null) {
+  async bulkCreateWorklogs(worklogs, logger = null, journal = null) {
     const log = logger || this.logger;
     log.info("\n📝 Creating worklogs with minimal approach...");
 
@@ -2656,30 +3530,30 @@ class TimeTrackingController {
     let failureCount = 0;
 
     for (const [index, worklogData] of worklogs.entries()) {
+      let entry = null;
       try {
         log.debug(
           `Processing ${index + 1}/${worklogs.length}: ${worklogData.issueKey} ${worklogData.hours}h`,
         );
 
+        entry = journal?.begin("add", { payload: worklogData });
+
         // Try the minimal approach first
-        await tempoApiService.createWorklogWithStatic(
+        const result = await tempoApiService.createWorklogWithStatic(
           worklogData.issueKey,
           worklogData.hours,
           worklogData.startDate || worklogData.date,
           worklogData.startTime || "09:00:00",
           worklogData.description || `Working on ${worklogData.issueKey}`,
         );
+        journal?.complete(entry, result);
 
         log.success(
           `✅ Created: ${worklogData.issueKey} ${worklogData.hours}h`,
         );
         successCount++;
-
-        // Rate limiting - wait 1 second between requests
-        if (index < worklogs.length - 1) {
-          await new Promise((resolve) => setTimeout(resolve, 1000));
-        }
       } catch (error) {
+        if (entry) journal.fail(entry, error);
         log.error(`✗ Failed to create worklog ${index + 1}:`, error.message);
         failureCount++;
       }
@@ -2691,12 +3565,122 @@ class TimeTrackingController {
     );
   }
 
+  /**
+   * Undo the Tempo operations recorded in an import journal, newest first:
+   * created worklogs are deleted, updated ones get their original values back
+   * and deleted ones are recreated from their snapshot.
+   */
+  async rollbackImport(journalPath, logger = null) {
+    const log = logger || this.logger;
+    const journal = ImportJournal.load(journalPath);
+
+    if (journal.status === "rolled-back") {
+      log.warn("This import has already been rolled back");
+      return { restored: 0, failed: 0, skipped: 0 };
+    }
+
+    const entries = journal.entries
+      .filter((entry) => !entry.rolledBack)
+      .slice()
+      .reverse();
+
+    let restored = 0;
+    let failed = 0;
+    let skipped = 0;
+
+    log.info(`\n↩️  Rolling back ${entries.length} journaled operation(s)...`);
+
+    for (const entry of entries) {
+      const label = `#${entry.seq} ${entry.operation}`;
+
+      if (entry.status === "failed") {
+        // Tempo rejected the call, so there is nothing to undo
+        entry.rolledBack = true;
+        journal.save();
+        continue;
+      }
+
+      if (entry.status === "pending") {
+        log.warn(
+          `⚠️  ${label}: interrupted before Tempo confirmed it - check this worklog manually`,
+        );
+        skipped++;
+        continue;
+      }
+
+      try {
+        switch (entry.operation) {
+          case "add":
+          case "replace-create":
+            if (!entry.tempoWorklogId) {
+              throw new Error("created worklog ID was not recorded");
+            }
+            await tempoApiService.deleteWorklog(entry.tempoWorklogId);
+            log.success(`✅ ${label}: deleted worklog ${entry.tempoWorklogId}`);
+            break;
+          case "update":
+            if (!entry.original) {
+              throw new Error("original worklog was not recorded");
+            }
+            await tempoApiService.updateWorklog(
+              entry.tempoWorklogId,
+              ImportJournal.toPayload(entry.original),
+            );
+            log.success(
+              `✅ ${label}: restored worklog ${entry.tempoWorklogId}`,
+            );
+            break;
+          case "delete":
+          case "replace-delete": {
+            if (!entry.original) {
+              throw new Error("original worklog was not recorded");
+            }
+            const recreated = await tempoApiService.createWorklog(
+              ImportJournal.toPayload(entry.original),
+            );
+            entry.restoredWorklogId = recreated?.tempoWorklogId || null;
+            log.success(
+              `✅ ${label}: recreated worklog ${entry.tempoWorklogId} as ${entry.restoredWorklogId}`,
+            );
+            break;
+          }
+          default:
+            throw new Error(`unknown operation '${entry.operation}'`);
+        }
+
+        entry.rolledBack = true;
+        restored++;
+      } catch (error) {
+        entry.rollbackError = error.message;
+        log.error(`✗ ${label}: rollback failed:`, error.message);
+        failed++;
+      }
+
+      journal.save();
+    }
+
+    journal.finish(
+      failed === 0 && skipped === 0 ? "rolled-back" : "partially-rolled-back",
+    );
+
+    log.info("─".repeat(80));
+    log.success(
+      `✅ Rollback completed: ${restored} restored, ${failed} failed, ${skipped} skipped`,
+    );
+    if (failed > 0) {
+      log.warn("Run the rollback again to retry the failed operations");
+    }
+
+    return { restored, failed, skipped };
+  }
+
   async exportWorklogs(
     dateFrom,
     dateTo,
     format = "csv",
     fileName = null,
     logger = null,
+    options = {},
   ) {
     const log = logger || this.logger;
     try {
@@ -2709,8 +3693,12 @@ class TimeTrackingController {
         from: moment(dateFrom).format("YYYY-MM-DD"),
         to: moment(dateTo).format("YYYY-MM-DD"),
       };
+      // Only the current user's worklogs, like the report and the import
+      if (config.userAccountId) {
+        params.author = config.userAccountId;
+      }
 
-      const worklogs = await tempoApiService.getWorklogs(params, true); // silent mode
+      const worklogs = await worklogCache.getWorklogs(params, true); // silent mode
 
       if (!worklogs.results || worklogs.results.length === 0) {
         log.warn("No worklogs found for the specified period.");
@@ -2740,7 +3728,7 @@ class TimeTrackingController {
       let fileContent;
 
       if (format === "csv") {
-        fileContent = this.generateCSV(exportData);
+        fileContent = this.generateCSV(exportData, options);
       } else if (format === "json") {
         fileContent = JSON.stringify(exportData, null, 2);
       } else {
@@ -2808,7 +3796,7 @@ class TimeTrackingController {
           startTime: startTime,
           endTime: endTime,
           issue: issueKey,
-          description: this.getCleanDescription(worklog.description, issueKey),
+          description: this.getExportDescription(worklog.description, issueKey),
           delete: "", // Empty delete column for import compatibility
         });
       }
@@ -2837,7 +3825,7 @@ class TimeTrackingController {
     }
   }
 
-  generateCSV(data) {
+  generateCSV(data, options = {}) {
     if (data.length === 0) return "";
 
     // CSV Headers - match import format exactly: date,startTime,endTime,issue,description,delete
@@ -2849,28 +3837,12 @@ class TimeTrackingController {
       "description",
       "delete",
     ];
-    let csv = headers.join(",") + "\n";
-
-    // CSV Data
-    data.forEach((row) => {
-      const csvRow = headers
-        .map((header) => {
-          let value = row[header] || "";
-          // Escape quotes and wrap in quotes if contains comma
-          if (
-            typeof value === "string" &&
-            (value.includes(",") || value.includes('"'))
-          ) {
-            value = '"' + value.replace(/"/g, '""') + '"';
-          }
-          return value;
-        })
-        .join(",");
 
-      csv += csvRow + "\n";
+    return stringifyCsv(data, headers, {
+      delimiter: options.delimiter || config.exportCsvDelimiter,
+      excel:
+        options.excel !== undefined ? options.excel : config.exportExcelBom,
     });
-
-    return csv;
   }
 
   displayExportSummary(exportData, logger = null) {
@@ -2918,6 +3890,32 @@ class TimeTrackingController {
     );
   }
 
+  /**
+   * Issue keys the views show: config.yaml issueMapping plus issueRules targets
+   */
+  knownIssueKeys() {
+    return new Set([
+      ...Object.keys(config.issueMapping || {}),
+      ...IssueKeyRules.fromConfig(config).issueKeys,
+    ]);
+  }
+
+  /**
+   * Days of dates that need no bookings (weekends per schedule, public
+   * holidays, full-day absences): { date: { kind, reason } }
+   */
+  getDaysOff(dates) {
+    const schedule = WorkSchedule.fromConfig(config);
+    const daysOff = {};
+    dates.forEach((date) => {
+      const dayOff = schedule.dayOff(date);
+      if (dayOff) {
+        daysOff[date] = dayOff;
+      }
+    });
+    return daysOff;
+  }
+
   getDateRange(dateFrom, dateTo) {
     const dates = [];
     const start = moment(dateFrom);
@@ -0,0 +1,143 @@
+const moment = require("moment");
+const config = require("../utils/config");
+const Logger = require("../utils/logger");
+const TimerState = require("../utils/timerState");
+const timeTrackingController = require("./timeTrackingController");
+
+/**
+ * Live time tracking: start/pause/resume/stop a timer whose state lives in
+ * the workspace (config.timerStateFile). Stopping turns the tracked time into
+ * a Tempo worklog at the exact start time, with the duration rounded per
+ * config.timerRounding.
+ */
+class TimerController {
+  constructor() {
+    this.logger = new Logger(config);
+  }
+
+  current() {
+    return TimerState.load(config.timerStateFile);
+  }
+
+  start(issueKey, description = "", logger = null, now = new Date()) {
+    const log = logger || this.logger;
+    const running = this.current();
+    if (running) {
+      throw new Error(
+        `Timer already running for ${running.issueKey} since ${moment(running.startedAt).format("HH:mm")} - stop or switch it first`,
+      );
+    }
+
+    const timer = TimerState.start(
+      config.timerStateFile,
+      { issueKey, description },
+      now,
+    );
+    log.success(
+      `⏱️  Started ${issueKey} at ${moment(timer.startedAt).format("HH:mm")}`,
+    );
+    return timer.status(now);
+  }
+
+  pause(logger = null, now = new Date()) {
+    const log = logger || this.logger;
+    const timer = this.requireTimer();
+    timer.pause(now);
+    log.success(`⏸️  Paused ${timer.issueKey} at ${timer.status(now).elapsed}`);
+    return timer.status(now);
+  }
+
+  resume(logger = null, now = new Date()) {
+    const log = logger || this.logger;
+    const timer = this.requireTimer();
+    timer.resume(now);
+    log.success(`▶️  Resumed ${timer.issueKey}`);
+    return timer.status(now);
+  }
+
+  status(logger = null, now = new Date()) {
+    const log = logger || this.logger;
+    const timer = this.current();
+    if (!timer) {
+      log.info("No timer running");
+      return null;
+    }
+
+    const status = timer.status(now);
+    const state = status.paused ? "paused" : "running";
+    log.result(
+      `⏱️  ${status.issueKey} ${state} - ${status.elapsed} since ${moment(status.startedAt).format("YYYY-MM-DD HH:mm")}`,
+    );
+    if (status.description) {
+      log.info(`   ${status.description}`);
+    }
+    return status;
+  }
+
+  /**
+   * Log the tracked time and clear the timer. The state file is only removed
+   * once Tempo accepted the worklog, so a failed stop can simply be retried.
+   * Returns { timer, worklog } - worklog is null when nothing was logged.
+   */
+  async stop({ discard = false } = {}, logger = null, now = new Date()) {
+    const log = logger || this.logger;
+    const timer = this.requireTimer();
+    const status = timer.status(now);
+
+    if (discard) {
+      timer.clear();
+      log.warn(`🗑️  Discarded timer for ${timer.issueKey} (${status.elapsed})`);
+      return { timer: status, worklog: null };
+    }
+
+    const rounding = config.timerRounding;
+    const seconds = TimerState.roundSeconds(status.elapsedSeconds, rounding);
+    if (seconds <= 0) {
+      timer.clear();
+      log.warn(
+        `⚠️  ${status.elapsed} on ${timer.issueKey} rounds to nothing (${rounding.mode}, ${rounding.minutes} min) - no worklog created`,
+      );
+      return { timer: status, worklog: null };
+    }
+
+    const started = moment(timer.startedAt);
+    const worklog = await timeTrackingController.logTime(
+      {
+        issueKey: timer.issueKey,
+        description: timer.description,
+        timeSpentSeconds: seconds,
+        startDate: started.format("YYYY-MM-DD"),
+        startTime: started.format("HH:mm:ss"),
+      },
+      log,
+    );
+    timer.clear();
+
+    log.success(
+      `⏹️  Logged ${TimerState.formatDuration(seconds)} on ${timer.issueKey} (tracked ${status.elapsed})`,
+    );
+    return { timer: status, worklog };
+  }
+
+  /**
+   * Stop the current timer (if any) and start another one at the same moment
+   */
+  async switch(issueKey, description = "", logger = null, now = new Date()) {
+    const log = logger || this.logger;
+    const stopped = this.current() ? await this.stop({}, log, now) : null;
+    const started = this.start(issueKey, description, log, now);
+    return { stopped, started };
+  }
+
+  requireTimer() {
+    const timer = this.current();
+    if (!timer) {
+      throw new Error(
+        "No timer running - start one with: tempo-booker start <issue>",
+      );
+    }
+    return timer;
+  }
+}
+
+module.exports = new TimerController();
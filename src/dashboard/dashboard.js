@@ -0,0 +1,574 @@
+/**
+ * Week review page of `tempo-booker serve` (/dashboard): the timesheet grid
+ * of issues × days and a day calendar of the same worklogs. Edits stay in
+ * the page until "Submit week" sends the changed worklogs to POST /week,
+ * which runs them through the same add/update/replace/delete diff as an
+ * import. The API token comes from the #token=... fragment the dashboard
+ * command opens the page with, and is kept in sessionStorage only.
+ */
+(function () {
+  'use strict';
+
+  const TOKEN_KEY = 'tempoBookerToken';
+  const STEP = 15; // Minutes; imports round worklogs to quarter hours
+  const HOUR_HEIGHT = 48; // Pixels per hour in the calendar
+  const DAY_START = 9 * 60; // First worklog of an empty day, as in quick
+  const DAY_END = 23 * 60 + 45;
+  const UNKNOWN_ISSUE = 'UNKNOWN';
+
+  const $ = id => document.getElementById(id);
+
+  const state = {
+    token: null,
+    from: null,
+    to: null,
+    dates: [],
+    daysOff: {},
+    blocks: [],
+    extraIssues: [],
+    selected: null,
+    nextId: 1
+  };
+
+  // ---- API ----------------------------------------------------------------
+
+  function readToken() {
+    const match = location.hash.match(/token=([^&]+)/);
+    if (match) {
+      sessionStorage.setItem(TOKEN_KEY, decodeURIComponent(match[1]));
+      // Keep the token out of the address bar and the history
+      history.replaceState(null, '', location.pathname + location.search);
+    }
+    return sessionStorage.getItem(TOKEN_KEY);
+  }
+
+  async function api(method, url, body) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${state.token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      showTokenForm();
+    }
+    if (!response.ok) {
+      throw new Error(data.error || `${method} ${url} failed with status ${response.status}`);
+    }
+    return data;
+  }
+
+  // ---- Dates, times and hours ---------------------------------------------
+
+  function parseDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  function addDays(date, days) {
+    const day = parseDay(date);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+  }
+
+  function mondayOf(date) {
+    return addDays(date, -((parseDay(date).getUTCDay() + 6) % 7));
+  }
+
+  function today() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())).toISOString().slice(0, 10);
+  }
+
+  function weekday(date) {
+    return parseDay(date).toLocaleDateString('en', { weekday: 'short', timeZone: 'UTC' });
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  function toTime(minutes) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`;
+  }
+
+  function formatHours(minutes) {
+    return minutes ? String(Math.round((minutes / 60) * 100) / 100) : '';
+  }
+
+  /**
+   * Hours typed into a cell (1.5, 1,5 or 1:30) in minutes, rounded to the
+   * quarter hour; null when it is no number of hours
+   */
+  function parseHours(input) {
+    const value = input.trim().replace(',', '.');
+    if (!value) return 0;
+    const clock = value.match(/^(\d+):([0-5]\d)$/);
+    const hours = clock ? Number(clock[1]) + Number(clock[2]) / 60 : Number(value);
+    if (!Number.isFinite(hours) || hours < 0 || hours > 24) return null;
+    return Math.round((hours * 60) / STEP) * STEP;
+  }
+
+  // ---- Worklog blocks -----------------------------------------------------
+
+  function blockFromWorklog(worklog) {
+    const start = toMinutes(worklog.startTime);
+    const end = start + Math.round(worklog.hours * 60);
+    return {
+      id: state.nextId++,
+      tempoWorklogId: worklog.tempoWorklogId,
+      issueKey: worklog.issueKey,
+      date: worklog.date,
+      startTime: worklog.startTime,
+      start,
+      end,
+      description: worklog.description,
+      deleted: false,
+      // Worklogs without a known issue key cannot be matched by the import
+      locked: worklog.issueKey === UNKNOWN_ISSUE,
+      original: { end, description: worklog.description }
+    };
+  }
+
+  function visibleBlocks() {
+    return state.blocks.filter(block => !block.deleted);
+  }
+
+  function dayBlocks(date) {
+    return visibleBlocks()
+      .filter(block => block.date === date)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  function cellBlocks(issueKey, date) {
+    return dayBlocks(date).filter(block => block.issueKey === issueKey);
+  }
+
+  function isChanged(block) {
+    if (!block.tempoWorklogId) return !block.deleted;
+    return block.deleted || block.end !== block.original.end || block.description !== block.original.description;
+  }
+
+  /**
+   * Latest end of a block: the start of the next worklog of its day, so a
+   * resize never overlaps (which the import would resolve by deleting)
+   */
+  function endLimit(block) {
+    const next = dayBlocks(block.date).filter(other => other !== block && other.start > block.start);
+    return Math.max(block.end, next.length ? Math.min(...next.map(other => other.start)) : DAY_END);
+  }
+
+  function removeBlock(block) {
+    if (block.tempoWorklogId) {
+      block.deleted = true;
+      block.end = block.original.end;
+    } else {
+      state.blocks.splice(state.blocks.indexOf(block), 1);
+    }
+    if (state.selected === block) state.selected = null;
+  }
+
+  /**
+   * Change the hours of an issue on a day: more hours extend its last
+   * worklog of the day, then add one after the day's last worklog; fewer
+   * hours shorten its worklogs from the last one back, removing emptied ones
+   */
+  function setCellHours(issueKey, date, input) {
+    const target = parseHours(input);
+    if (target === null) {
+      setStatus(`"${input}" is not a number of hours`, true);
+      render();
+      return;
+    }
+
+    const blocks = cellBlocks(issueKey, date);
+    let delta = target - blocks.reduce((sum, block) => sum + block.end - block.start, 0);
+
+    for (let index = blocks.length - 1; delta < 0 && index >= 0; index--) {
+      const block = blocks[index];
+      const cut = Math.min(block.end - block.start, -delta);
+      block.end -= cut;
+      delta += cut;
+      if (block.end === block.start) removeBlock(block);
+    }
+
+    if (delta > 0 && blocks.length > 0) {
+      const last = blocks[blocks.length - 1];
+      const grow = Math.min(delta, endLimit(last) - last.end);
+      last.end += grow;
+      delta -= grow;
+    }
+
+    if (delta > 0) {
+      const start = Math.max(DAY_START, ...dayBlocks(date).map(block => block.end));
+      const end = Math.min(start + delta, DAY_END);
+      if (end - start >= STEP) {
+        state.blocks.push({
+          id: state.nextId++,
+          tempoWorklogId: null,
+          issueKey,
+          date,
+          startTime: toTime(start),
+          start,
+          end,
+          description: '',
+          deleted: false,
+          locked: false,
+          original: null
+        });
+        delta -= end - start;
+      }
+    }
+
+    if (delta > 0) {
+      setStatus(`No room left on ${date} for another ${formatHours(delta)}h`, true);
+    }
+    render();
+  }
+
+  /**
+   * Changed worklogs as rows of an import file. Existing worklogs keep
+   * their start time and issue, which is how the import matches them.
+   */
+  function changedRows() {
+    return state.blocks.filter(isChanged).map(block => ({
+      date: block.date,
+      startTime: block.startTime,
+      endTime: toTime(block.end),
+      issue: block.issueKey,
+      description: block.description,
+      ...(block.deleted ? { delete: true } : {})
+    }));
+  }
+
+  // ---- Rendering ----------------------------------------------------------
+
+  function element(tag, properties = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.assign(node, properties);
+    node.append(...children);
+    return node;
+  }
+
+  function setStatus(message, isError = false) {
+    $('status').textContent = message;
+    $('status').classList.toggle('error', isError);
+  }
+
+  function render() {
+    $('period').textContent = `${state.from} – ${state.to}`;
+    renderTimesheet();
+    renderCalendar();
+    renderEditor();
+
+    const changes = state.blocks.filter(isChanged).length;
+    $('changes').hidden = changes === 0;
+    $('change-count').textContent = `${changes} changed worklog${changes === 1 ? '' : 's'}`;
+  }
+
+  function renderTimesheet() {
+    const issueKeys = new Set(state.extraIssues);
+    state.blocks.forEach(block => issueKeys.add(block.issueKey));
+    const minutesOf = blocks => blocks.reduce((sum, block) => sum + block.end - block.start, 0);
+
+    const head = element('tr', {}, [
+      element('th', { textContent: 'Issue' }),
+      element('th', { textContent: 'Logged' }),
+      ...state.dates.map(date =>
+        element('th', { className: state.daysOff[date] ? 'off' : '', title: state.daysOff[date]?.reason || '' }, [
+          `${weekday(date)} ${date.slice(8)}`
+        ]))
+    ]);
+
+    const rows = [...issueKeys].sort().map(issueKey => {
+      const locked = issueKey === UNKNOWN_ISSUE;
+      const total = minutesOf(visibleBlocks().filter(block => block.issueKey === issueKey));
+      return element('tr', {}, [
+        element('td', { textContent: issueKey }),
+        element('td', { className: 'total', textContent: formatHours(total) }),
+        ...state.dates.map(date => {
+          const minutes = minutesOf(cellBlocks(issueKey, date));
+          const changed = state.blocks.some(block => block.issueKey === issueKey && block.date === date && isChanged(block));
+          const cell = element('td', {
+            className: [state.daysOff[date] ? 'off' : '', changed ? 'changed' : ''].join(' ').trim()
+          });
+          if (locked) {
+            cell.textContent = formatHours(minutes);
+            return cell;
+          }
+          const input = element('input', { value: formatHours(minutes), inputMode: 'decimal' });
+          input.setAttribute('aria-label', `${issueKey} on ${date}`);
+          input.addEventListener('change', () => setCellHours(issueKey, date, input.value));
+          cell.append(input);
+          return cell;
+        })
+      ]);
+    });
+
+    const dayTotals = state.dates.map(date => minutesOf(dayBlocks(date)));
+    const totals = element('tr', { className: 'total' }, [
+      element('td', { textContent: 'Total' }),
+      element('td', { textContent: formatHours(dayTotals.reduce((sum, minutes) => sum + minutes, 0)) }),
+      ...state.dates.map((date, index) =>
+        element('td', {
+          className: state.daysOff[date] ? 'off' : '',
+          textContent: dayTotals[index] ? formatHours(dayTotals[index]) : state.daysOff[date] ? 'off' : '0'
+        }))
+    ]);
+
+    $('timesheet').replaceChildren(
+      element('thead', {}, [head]),
+      element('tbody', {}, rows),
+      element('tfoot', {}, [totals])
+    );
+  }
+
+  function renderCalendar() {
+    const blocks = visibleBlocks();
+    const top = Math.floor(Math.min(7 * 60, ...blocks.map(block => block.start)) / 60) * 60;
+    const bottom = Math.ceil(Math.max(19 * 60, ...blocks.map(block => block.end)) / 60) * 60;
+    const offset = minutes => `${((minutes - top) / 60) * HOUR_HEIGHT}px`;
+
+    const hourLines = labelled => {
+      const lines = [];
+      for (let minutes = top; minutes < bottom; minutes += 60) {
+        lines.push(element('div', {
+          className: 'calendar-hour',
+          textContent: labelled ? toTime(minutes).slice(0, 5) : ''
+        }));
+        lines[lines.length - 1].style.top = offset(minutes);
+      }
+      return lines;
+    };
+    const column = (className, headChildren, bodyChildren) => {
+      const body = element('div', {}, bodyChildren);
+      body.style.position = 'relative';
+      body.style.height = offset(bottom);
+      return element('div', { className }, [element('div', { className: 'calendar-head' }, headChildren), body]);
+    };
+
+    const calendar = $('calendar');
+    calendar.style.gridTemplateColumns = `3rem repeat(${state.dates.length}, minmax(7rem, 1fr))`;
+    calendar.replaceChildren(
+      column('calendar-hours', [], hourLines(true)),
+      ...state.dates.map(date =>
+        column(
+          `calendar-day${state.daysOff[date] ? ' off' : ''}`,
+          [`${weekday(date)} ${date.slice(8)}`, element('small', { textContent: state.daysOff[date]?.reason || '' })],
+          [...hourLines(false), ...dayBlocks(date).map(block => renderBlock(block, offset))]
+        ))
+    );
+  }
+
+  function renderBlock(block, offset) {
+    const label = element('span');
+    const node = element('div', {
+      className: ['block', block.locked ? 'locked' : '', !block.tempoWorklogId ? 'new' : isChanged(block) ? 'changed' : '',
+        state.selected === block ? 'selected' : ''].join(' ').replace(/\s+/g, ' ').trim()
+    }, [label, element('br'), element('small', { textContent: block.description })]);
+
+    const place = () => {
+      node.style.top = offset(block.start);
+      node.style.height = `${((block.end - block.start) / 60) * HOUR_HEIGHT}px`;
+      label.textContent = `${block.issueKey} ${formatHours(block.end - block.start)}h`;
+      node.title = `${block.issueKey} ${toTime(block.start).slice(0, 5)}–${toTime(block.end).slice(0, 5)}\n${block.description}`;
+    };
+    place();
+    if (block.locked) return node;
+
+    node.addEventListener('click', () => {
+      state.selected = block;
+      render();
+    });
+
+    // Resizing only moves the end; the start identifies the worklog in Tempo
+    const handle = element('div', { className: 'resize' });
+    handle.addEventListener('click', event => event.stopPropagation());
+    handle.addEventListener('pointerdown', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      handle.setPointerCapture(event.pointerId);
+      const startY = event.clientY;
+      const startEnd = block.end;
+      const limit = endLimit(block);
+
+      const move = moveEvent => {
+        const minutes = startEnd + ((moveEvent.clientY - startY) / HOUR_HEIGHT) * 60;
+        block.end = Math.min(limit, Math.max(block.start + STEP, Math.round(minutes / STEP) * STEP));
+        place();
+      };
+      const stop = () => {
+        handle.removeEventListener('pointermove', move);
+        handle.removeEventListener('pointerup', stop);
+        handle.removeEventListener('pointercancel', stop);
+        render();
+      };
+      handle.addEventListener('pointermove', move);
+      handle.addEventListener('pointerup', stop);
+      handle.addEventListener('pointercancel', stop);
+    });
+    node.append(handle);
+    return node;
+  }
+
+  function renderEditor() {
+    const block = state.selected;
+    $('block-editor').hidden = !block;
+    if (!block) return;
+    $('block-title').textContent =
+      `${block.issueKey} ${block.date} ${toTime(block.start).slice(0, 5)}–${toTime(block.end).slice(0, 5)}`;
+    if (document.activeElement !== $('block-description')) {
+      $('block-description').value = block.description;
+    }
+  }
+
+  // ---- Loading and submitting ---------------------------------------------
+
+  function showTokenForm() {
+    $('dashboard').hidden = true;
+    $('changes').hidden = true;
+    $('token-form').hidden = false;
+    setStatus('Not connected');
+  }
+
+  async function load(from) {
+    const to = addDays(from, 6);
+    setStatus('Loading…');
+    const query = `from=${from}&to=${to}`;
+    const [table, list] = await Promise.all([
+      api('GET', `/timetable?${query}`),
+      api('GET', `/worklogs?${query}`)
+    ]);
+
+    Object.assign(state, {
+      from,
+      to,
+      dates: table.dates,
+      daysOff: table.daysOff || {},
+      blocks: list.worklogs.map(blockFromWorklog),
+      extraIssues: [],
+      selected: null
+    });
+    history.replaceState(null, '', `?from=${from}`);
+    render();
+    setStatus(`${list.worklogs.length} worklogs, ${formatHours(Math.round(list.totalHours * 60)) || 0}h`);
+  }
+
+  function hasChanges() {
+    return state.blocks.some(isChanged);
+  }
+
+  async function goTo(from) {
+    if (hasChanges() && !window.confirm('Discard the changes of this week?')) return;
+    try {
+      await load(from);
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function submitWeek() {
+    const body = { from: state.from, to: state.to, entries: changedRows() };
+    try {
+      setStatus('Checking the changes…');
+      const plan = await api('POST', '/week', { ...body, dryRun: true });
+      const { add, update, replace, changes } = plan.summary;
+      if (changes === 0) {
+        setStatus('Tempo already matches this week');
+        await load(state.from);
+        return;
+      }
+
+      const replaced = plan.operations.replace.reduce((sum, operation) => sum + operation.conflictingWorklogs.length, 0);
+      const lines = [`Add ${add}, update ${update}, delete ${plan.summary.delete} worklog(s).`];
+      if (replace > 0) {
+        lines.push(`${replace} worklog(s) overlap others: ${replaced} overlapped worklog(s) will be deleted first.`);
+      }
+      if (!window.confirm(`${lines.join('\n')}\n\nSubmit the week to Tempo?`)) {
+        setStatus('Not submitted');
+        return;
+      }
+
+      setStatus('Submitting…');
+      const result = await api('POST', '/week', body);
+      const failed = result.failed || [];
+      await load(state.from);
+      setStatus(
+        failed.length > 0
+          ? `${failed.length} change(s) failed, see the server log (undo with tempo-booker rollback)`
+          : `Submitted: ${(result.created || []).length} created, ${(result.updated || []).length} updated, ${(result.deleted || []).length} deleted`,
+        failed.length > 0
+      );
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  function start() {
+    state.token = readToken();
+    if (!state.token) {
+      showTokenForm();
+      return;
+    }
+    $('token-form').hidden = true;
+    $('dashboard').hidden = false;
+
+    const from = new URLSearchParams(location.search).get('from');
+    goTo(mondayOf(/^\d{4}-\d{2}-\d{2}$/.test(from || '') ? from : today()));
+  }
+
+  // ---- Events -------------------------------------------------------------
+
+  $('token-form').addEventListener('submit', event => {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, $('token-input').value.trim());
+    $('token-input').value = '';
+    start();
+  });
+
+  $('previous-week').addEventListener('click', () => goTo(addDays(state.from, -7)));
+  $('next-week').addEventListener('click', () => goTo(addDays(state.from, 7)));
+  $('this-week').addEventListener('click', () => goTo(mondayOf(today())));
+
+  $('add-issue').addEventListener('submit', event => {
+    event.preventDefault();
+    const issueKey = $('add-issue-key').value.trim().toUpperCase();
+    if (!state.extraIssues.includes(issueKey)) state.extraIssues.push(issueKey);
+    $('add-issue-key').value = '';
+    render();
+  });
+
+  $('block-editor').addEventListener('submit', event => {
+    event.preventDefault();
+    if (!state.selected) return;
+    state.selected.description = $('block-description').value;
+    render();
+  });
+  $('block-delete').addEventListener('click', () => {
+    if (state.selected) removeBlock(state.selected);
+    render();
+  });
+  $('block-close').addEventListener('click', () => {
+    state.selected = null;
+    render();
+  });
+
+  $('discard').addEventListener('click', () => {
+    if (window.confirm('Discard all changes of this week?')) {
+      load(state.from).catch(error => setStatus(error.message, true));
+    }
+  });
+  $('submit-week').addEventListener('click', submitWeek);
+
+  window.addEventListener('beforeunload', event => {
+    if (hasChanges()) event.preventDefault();
+  });
+
+  start();
+})();
@@ -1,11 +1,36 @@
 #!/usr/bin/env node
 
+// `--output json` has to redirect the console before other modules log
+const jsonOutput = require("./utils/jsonOutput");
+if (require.main === module) {
+  const { format, args } = jsonOutput.extractOutputFormat(
+    process.argv.slice(2),
+  );
+  if (format === "json") {
+    jsonOutput.enable();
+  }
+  // `--profile` picks the config.yaml that is loaded right below
+  const { profile, args: commandArgs } =
+    require("./utils/profiles").extractProfile(args);
+  if (profile) {
+    process.env.TEMPO_BOOKER_PROFILE = profile;
+  }
+  // `mcp-serve` speaks JSON-RPC on stdout, so logs go to stderr from the
+  // start; global options may come before the command
+  if (commandArgs.find((arg) => !arg.startsWith("-")) === "mcp-serve") {
+    require("./services/mcpServer").redirectConsole();
+  }
+}
+
 const chalk = require("chalk");
 const config = require("./utils/config");
 const cli = require("./utils/cli");
 const Logger = require("./utils/logger");
 const SetupWizard = require("./utils/setupWizard");
 
+// Exit status of `import --dry-run` when the import would change worklogs
+const DRY_RUN_CHANGES_EXIT_CODE = 2;
+
 class TempoTimeTracker {
   constructor() {
     this.logger = new Logger(config);
@@ -26,13 +51,8 @@ class TempoTimeTracker {
 
     // Clear issue resolver caches to pick up new config
     try {
-      const staticIssueResolver = require("./services/staticIssueResolver");
-      if (
-        staticIssueResolver &&
-        typeof staticIssueResolver.clearCache === "function"
-      ) {
-        staticIssueResolver.clearCache();
-      }
+      const issueResolver = require("./services/issueResolver");
+      issueResolver.clearCache();
     } catch (e) {
       // Ignore if issue resolver not loaded yet
     }
@@ -92,6 +112,9 @@ class TempoTimeTracker {
         }
 
         switch (action) {
+          case "syncOutbox":
+            await cli.syncOutboxFlow();
+            break;
           case "timeTable":
             try {
               await cli.timeTableFlow();
@@ -112,6 +135,26 @@ class TempoTimeTracker {
               throw error;
             }
             break;
+          case "quickLog":
+            try {
+              await cli.quickLogFlow();
+            } catch (error) {
+              if (error.name === "ExitPromptError") {
+                continue;
+              }
+              throw error;
+            }
+            break;
+          case "checkHours":
+            try {
+              await cli.checkHoursFlow();
+            } catch (error) {
+              if (error.name === "ExitPromptError") {
+                continue;
+              }
+              throw error;
+            }
+            break;
           case "importWorklogs":
             try {
               await cli.importWorklogsFlow();
@@ -156,7 +199,99 @@ class TempoTimeTracker {
     }
   }
 
-  static async quickLog(issueKey, hours, description = "") {
+  /**
+   * CLI entry point for both bin/tempo-booker.js and `node src/index.js`
+   */
+  static async main(argv) {
+    const registry = buildCommandRegistry();
+    return registry.run(argv, (parsed) => {
+      if (parsed.options.output === "json") {
+        jsonOutput.enable(parsed.command.name || null);
+      }
+      // Environment rather than config, which is reloaded on initialize
+      if (parsed.options.offline) {
+        process.env.TEMPO_BOOKER_OFFLINE = "1";
+      }
+      // Normally already picked up before config.yaml was loaded
+      if (parsed.options.profile && parsed.options.profile !== config.profile) {
+        config.useProfile(parsed.options.profile);
+      }
+    });
+  }
+
+  static async runInteractive() {
+    if (jsonOutput.enabled) {
+      console.error(
+        chalk.red("--output json needs a command, e.g. quick or import"),
+      );
+      process.exit(1);
+    }
+
+    const setupRan = await SetupWizard.checkAndRunSetup();
+    if (setupRan) {
+      console.log(
+        chalk.green("\n✅ Setup completed! You can now use tempo-booker"),
+      );
+      process.exit(0);
+    }
+
+    const app = new TempoTimeTracker();
+    try {
+      await app.run();
+    } catch (error) {
+      console.error(chalk.red("Application error:"), error.message);
+
+      // Provide helpful error messages for common issues
+      if (error.message.includes("TEMPO_API_TOKEN")) {
+        console.error(
+          "💡 Make sure your API token is configured: run tempo-booker --setup",
+        );
+      } else if (error.message.includes("JIRA_BASE_URL")) {
+        console.error(
+          "💡 Make sure your JIRA base URL is configured in config.yaml",
+        );
+      } else if (
+        error.message.includes("403") ||
+        error.message.includes("Forbidden")
+      ) {
+        console.error(
+          "💡 Check your API token permissions or issue access rights",
+        );
+      } else if (
+        error.message.includes("ENOENT") ||
+        error.message.includes("file not found")
+      ) {
+        console.error("💡 Check that the file path exists and is accessible");
+      }
+
+      if (process.env.NODE_ENV === "development") {
+        console.error("Stack trace:", error.stack);
+      }
+      process.exit(1);
+    }
+  }
+
+  // Force the setup wizard even if a configuration exists
+  static async runSetupWizard() {
+    console.log(chalk.blue("🔧 Running setup wizard..."));
+    try {
+      const wizard = new SetupWizard();
+      await wizard.run();
+      console.log(
+        chalk.green("✅ Setup completed! You can now use tempo-booker"),
+      );
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Setup failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * request: { issueKey, hours, description, date, startTime, endTime } -
+   * see TimeTrackingController.logTimeAt()
+   */
+  static async quickLog(request) {
     try {
       const app = new TempoTimeTracker();
       const initialized = await app.initialize();
@@ -166,11 +301,9 @@ class TempoTimeTracker {
       }
 
       const timeTrackingController = require("./controllers/timeTrackingController");
-      await timeTrackingController.logTime({
-        issueKey,
-        hours: parseFloat(hours),
-        description,
-      });
+      const worklog = await timeTrackingController.logTimeAt(request);
+      jsonOutput.setResult({ worklog });
+      jsonOutput.addCreatedWorklogIds([worklog?.tempoWorklogId]);
 
       process.exit(0);
     } catch (error) {
@@ -179,16 +312,76 @@ class TempoTimeTracker {
     }
   }
 
-  static async silentImport(filePath, dateScope) {
+  /**
+   * Timer commands: start, stop, pause, resume, status, switch.
+   * Only stop and switch talk to Tempo.
+   */
+  static async runTimer(action, params = {}) {
     try {
-      // Enable silent mode for clean CLI output
-      const originalSilentMode = config.yaml?.cli?.silentMode;
-      const originalSuppressLogs = config._suppressConfigLogs;
+      if (action === "stop" || action === "switch") {
+        const app = new TempoTimeTracker();
+        const initialized = await app.initialize();
 
-      if (config.yaml?.cli) {
-        config.yaml.cli.silentMode = true;
+        if (!initialized) {
+          process.exit(1);
+        }
+      }
+
+      const timerController = require("./controllers/timerController");
+      let result;
+      switch (action) {
+        case "start":
+          result = timerController.start(params.issueKey, params.description);
+          break;
+        case "stop":
+          result = await timerController.stop({ discard: params.discard });
+          break;
+        case "pause":
+          result = timerController.pause();
+          break;
+        case "resume":
+          result = timerController.resume();
+          break;
+        case "status":
+          result = timerController.status();
+          break;
+        case "switch":
+          result = await timerController.switch(
+            params.issueKey,
+            params.description,
+          );
+          break;
+        default:
+          throw new Error(`Unknown timer action: ${action}`);
+      }
+
+      jsonOutput.setResult(result);
+      const worklog = result?.worklog || result?.stopped?.worklog;
+      if (worklog) {
+        jsonOutput.addCreatedWorklogIds([worklog.tempoWorklogId]);
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Timer failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Replay, list or drop changes queued in the offline outbox
+   */
+  static async syncOutbox(options = {}) {
+    try {
+      const outboxController = require("./controllers/outboxController");
+
+      if (options.list) {
+        jsonOutput.setResult({ entries: outboxController.list() });
+        process.exit(0);
+      }
+      if (options.drop !== undefined) {
+        jsonOutput.setResult({ dropped: outboxController.drop(options.drop) });
+        process.exit(0);
       }
-      config.setSuppressConfigLogs(true);
 
       const app = new TempoTimeTracker();
       const initialized = await app.initialize();
@@ -197,321 +390,1761 @@ class TempoTimeTracker {
         process.exit(1);
       }
 
-      const moment = require("moment");
-      const timeTrackingController = require("./controllers/timeTrackingController");
+      const summary = await outboxController.sync({ force: options.force });
+      jsonOutput.setResult(summary);
+      jsonOutput.addCreatedWorklogIds(
+        summary.sent
+          .filter((sent) => sent.operation === "create")
+          .map((sent) => sent.tempoWorklogId),
+      );
+      process.exit(summary.pending > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red("Sync failed:"), error.message);
+      process.exit(1);
+    }
+  }
 
-      // Use config defaults if not provided
-      const importFile = filePath || config.defaultImportFile;
-      const scope = dateScope || config.defaultDateScope;
+  /**
+   * Profile registry: list, add <name>, use <name>, remove <name>
+   */
+  static async manageProfiles(action, name, options = {}) {
+    try {
+      const profileController = require("./controllers/profileController");
 
-      app.logger.info(`📥 Importing from: ${importFile}`);
-      app.logger.info(`📅 Date scope: ${scope}`);
-      app.logger.info(`👤 User: ${config.userName} (${config.userAccountId})`);
+      if (action !== "list" && !name) {
+        throw new Error(`profile ${action} needs a profile name`);
+      }
+      if (action === "add") {
+        jsonOutput.setResult(await profileController.add(name, options));
+      } else if (action === "use") {
+        jsonOutput.setResult(profileController.use(name));
+      } else if (action === "remove") {
+        jsonOutput.setResult(
+          await profileController.remove(name, {
+            deleteToken: options.deleteToken,
+          }),
+        );
+      } else {
+        jsonOutput.setResult({ profiles: profileController.list() });
+      }
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Profile command failed:"), error.message);
+      process.exit(1);
+    }
+  }
 
-      // Convert date scope string to date range object
-      let dateFilter = null;
-      if (scope && scope !== "all") {
-        let dateFrom, dateTo;
+  /**
+   * Worklog cache maintenance: status, refresh [from to] [--full], clear
+   */
+  static async manageCache(action, options = {}) {
+    try {
+      const worklogCache = require("./services/worklogCache");
 
-        switch (scope) {
-          case "current-week":
-            dateFrom = moment().startOf("isoWeek").format("YYYY-MM-DD");
-            dateTo = moment().endOf("isoWeek").format("YYYY-MM-DD");
-            break;
-          case "last-7-days":
-            dateFrom = moment().subtract(6, "days").format("YYYY-MM-DD");
-            dateTo = moment().format("YYYY-MM-DD");
-            break;
-          case "last-14-days":
-            dateFrom = moment().subtract(13, "days").format("YYYY-MM-DD");
-            dateTo = moment().format("YYYY-MM-DD");
-            break;
-          case "last-21-days":
-            dateFrom = moment().subtract(20, "days").format("YYYY-MM-DD");
-            dateTo = moment().format("YYYY-MM-DD");
-            break;
-          case "this-month":
-            dateFrom = moment().startOf("month").format("YYYY-MM-DD");
-            dateTo = moment().endOf("month").format("YYYY-MM-DD");
-            break;
-          default:
-            app.logger.warn(
-              `Unknown date scope: ${scope}, importing all entries`,
-            );
-        }
+      if (action === "clear") {
+        worklogCache.clear();
+        console.log(chalk.green(`✓ Removed ${worklogCache.filePath}`));
+        jsonOutput.setResult(worklogCache.status());
+        process.exit(0);
+      }
 
-        if (dateFrom && dateTo) {
-          dateFilter = { from: dateFrom, to: dateTo };
-          app.logger.info(`Date filter: ${dateFrom} to ${dateTo}`);
+      if (action === "refresh") {
+        const app = new TempoTimeTracker();
+        const initialized = await app.initialize();
+
+        if (!initialized) {
+          process.exit(1);
         }
+        await worklogCache.refresh(options);
       }
 
-      // Pass logger to controller for clean output
-      await timeTrackingController.importWorklogs(
-        importFile,
-        dateFilter,
-        app.logger,
+      const status = worklogCache.status();
+      console.log(chalk.blue("\n🗄️  Worklog cache"));
+      console.log(`   File:      ${status.file}`);
+      console.log(`   Enabled:   ${status.enabled ? "yes" : "no"}`);
+      console.log(`   Worklogs:  ${status.worklogs}`);
+      console.log(
+        `   Ranges:    ${status.ranges.map((range) => `${range.from} to ${range.to}`).join(", ") || "none"}`,
       );
+      console.log(`   Refreshed: ${status.syncedAt || "never"}`);
+      console.log(`   Full sync: ${status.fullSyncedAt || "never"}`);
+      jsonOutput.setResult(status);
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Cache command failed:"), error.message);
+      process.exit(1);
+    }
+  }
 
-      app.logger.result("✅ Silent import completed successfully!");
+  /**
+   * Resolve an issue key through the resolver chain; with explain, list
+   * what every provider answered. Exits 1 when the key stays unresolved.
+   */
+  static async resolveIssueKey(issueKey, options = {}) {
+    try {
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
 
-      // Restore original settings
-      if (config.yaml?.cli && originalSilentMode !== undefined) {
-        config.yaml.cli.silentMode = originalSilentMode;
+      if (!initialized) {
+        process.exit(1);
       }
-      config.setSuppressConfigLogs(originalSuppressLogs);
 
-      process.exit(0);
+      const issueResolver = require("./services/issueResolver");
+      // --explain only reports; a plain resolve also caches and learns the id
+      const { results, trace } = await issueResolver.run([issueKey], true, {
+        readOnly: options.explain === true,
+      });
+      const result = results[issueKey] || null;
+      const steps = trace[issueKey];
+
+      if (result) {
+        console.log(
+          chalk.green(
+            `✓ ${issueKey} → ID ${result.id} via ${result.method}${result.summary ? ` - ${result.summary}` : ""}`,
+          ),
+        );
+      } else {
+        console.log(chalk.yellow(`No provider could resolve ${issueKey}`));
+      }
+
+      if (options.explain) {
+        console.log(chalk.blue("\n🔎 Resolver chain"));
+        const asked = new Set(steps.map((step) => step.provider));
+        const notAsked = issueResolver
+          .chain()
+          .filter(({ name }) => !asked.has(name))
+          .map(({ name }) => ({ provider: name, status: "not asked" }));
+
+        [...steps, ...notAsked].forEach((step, index) => {
+          const timing = step.ms === undefined ? "" : ` (${step.ms}ms)`;
+          const line = `${String(index + 1).padStart(3)}. ${step.provider.padEnd(8)} ${step.status.padEnd(9)} ${step.detail || ""}${timing}`;
+          console.log(
+            step.status === "hit"
+              ? chalk.green(line)
+              : step.status === "error"
+                ? chalk.red(line)
+                : chalk.gray(line),
+          );
+        });
+      }
+
+      jsonOutput.setResult({ issueKey, result, steps });
+      process.exit(result ? 0 : 1);
     } catch (error) {
-      console.error(chalk.red("Silent import failed:"), error.message);
+      console.error(chalk.red("Resolve failed:"), error.message);
       process.exit(1);
     }
   }
-}
 
-if (require.main === module) {
-  const args = process.argv.slice(2);
+  /**
+   * Start the MCP server of config.yaml and list its tools, marking the
+   * Jira ones and the tool the "mcp" provider reads issues with
+   */
+  static async showMcpTools() {
+    const MCPJiraService = require("./services/mcpJiraService");
+    const mcpService = new MCPJiraService();
+    try {
+      const client = await mcpService.connect();
+      const { tools, jira, getIssue } = await mcpService.discoverJiraTools();
+      const server = client.serverInfo
+        ? `${client.serverInfo.name} ${client.serverInfo.version || ""}`.trim()
+        : config.mcpServerSettings.command;
 
-  // Handle setup command - force setup wizard even if config exists
-  if (args.includes("--setup") || args.includes("-s")) {
-    console.log(chalk.blue("🔧 Running setup wizard..."));
-    (async () => {
-      try {
-        const SetupWizard = require("./utils/setupWizard");
-        const wizard = new SetupWizard();
-        await wizard.run();
+      console.log(
+        chalk.blue(
+          `🤖 ${server} (MCP ${client.protocolVersion}): ${tools.length} tool(s)`,
+        ),
+      );
+      tools.forEach((tool) => {
+        const marker =
+          tool === getIssue ? "→" : jira.includes(tool) ? "•" : " ";
+        const line = `${marker} ${tool.name.padEnd(28)} ${(tool.description || "").split("\n")[0]}`;
         console.log(
-          chalk.green("✅ Setup completed! You can now use tempo-booker"),
+          tool === getIssue
+            ? chalk.green(line)
+            : jira.includes(tool)
+              ? chalk.white(line)
+              : chalk.gray(line),
         );
-        process.exit(0);
-      } catch (error) {
-        console.error(chalk.red("Setup failed:"), error.message);
+      });
+      if (getIssue) {
+        console.log(chalk.gray(`\n→ used to resolve issue keys`));
+      } else {
+        console.log(
+          chalk.yellow(
+            "\nNo Jira get-issue tool found - set mcp.getIssueTool in config.yaml",
+          ),
+        );
+      }
+
+      jsonOutput.setResult({
+        server: client.serverInfo,
+        protocolVersion: client.protocolVersion,
+        tools: tools.map(({ name, description }) => ({ name, description })),
+        jiraTools: jira.map((tool) => tool.name),
+        getIssueTool: getIssue ? getIssue.name : null,
+      });
+      await mcpService.close();
+      process.exit(getIssue ? 0 : 1);
+    } catch (error) {
+      await mcpService.close();
+      console.error(chalk.red("MCP failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Serve the local REST API (httpServer.js) and the week review dashboard
+   * until the process is stopped; options.openDashboard opens the dashboard
+   * in the browser, signed in with the token
+   */
+  static async serveHttp(options = {}) {
+    try {
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
         process.exit(1);
       }
-    })();
-  } else {
-    // Check for first-time setup before running any commands
-    SetupWizard.checkAndRunSetup()
-      .then((setupRan) => {
-        if (setupRan) {
+
+      const { HttpServer } = require("./services/httpServer");
+      const settings = config.serverSettings;
+      const { token, source, generated } = HttpServer.loadToken(settings);
+      const server = new HttpServer({
+        token,
+        host: settings.host,
+        port: options.port || settings.port,
+        logger: app.logger,
+      });
+      await server.listen();
+
+      const baseUrl = `http://${server.host}:${server.port}`;
+      console.log(chalk.green(`🌐 Tempo Booker API on ${baseUrl}`));
+      console.log(chalk.green(`📊 Dashboard on ${baseUrl}/dashboard/`));
+      if (generated) {
+        console.log(chalk.yellow(`🔑 New API token saved to ${source}:`));
+        console.log(`   ${token}`);
+      } else {
+        console.log(
+          chalk.gray(
+            `🔑 Token from ${source === "config" ? "server.token" : source}`,
+          ),
+        );
+      }
+
+      if (options.openDashboard) {
+        // The fragment never reaches the server or its log
+        const dashboardUrl = `${baseUrl}/dashboard/#token=${encodeURIComponent(token)}`;
+        const BrowserHelper = require("./services/browserHelper");
+        try {
+          await new BrowserHelper().openUrl(dashboardUrl);
+        } catch (error) {
           console.log(
-            chalk.green("\n✅ Setup completed! You can now use tempo-booker"),
+            chalk.yellow(`⚠️  Could not open the browser: ${error.message}`),
           );
-          process.exit(0);
+          console.log(`   Open ${dashboardUrl}`);
         }
+      }
+      console.log(chalk.gray("Press Ctrl+C to stop"));
+    } catch (error) {
+      console.error(chalk.red("Server failed:"), error.message);
+      process.exit(1);
+    }
+  }
 
-        // Continue with normal command processing
-        processCommands(args).catch((error) => {
-          console.error(chalk.red("Command processing failed:"), error.message);
-          process.exit(1);
-        });
-      })
-      .catch((error) => {
-        console.error(chalk.red("Initialization failed:"), error.message);
+  /**
+   * Serve the booking tools (mcpTools.js) to an AI assistant or editor as
+   * an MCP server on stdin/stdout, until stdin closes
+   */
+  static async serveMcp() {
+    try {
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
         process.exit(1);
+      }
+
+      const McpServer = require("./services/mcpServer");
+      const tools = require("./services/mcpTools");
+      const server = new McpServer({
+        instructions:
+          "Tempo time tracking for the configured user. Check list_worklogs or time_table before logging time; delete_worklog needs confirm: true, ask the user first.",
       });
+      Object.values(tools).forEach((tool) => server.registerTool(tool));
+
+      console.error(
+        chalk.blue(`🤖 MCP server ready on stdio (${server.tools.size} tools)`),
+      );
+      await server.listen();
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("MCP server failed:"), error.message);
+      process.exit(1);
+    }
   }
-}
 
-async function processCommands(args) {
-  if (args.length >= 2 && args[0] === "quick") {
-    // Quick log mode: node src/index.js quick ITST-14440 2 "Bug fix"
-    const [, issueKey, hours, ...descriptionParts] = args;
-    const description = descriptionParts.join(" ");
-    TempoTimeTracker.quickLog(issueKey, hours, description);
-  } else if (args.length >= 1 && args[0] === "import") {
-    // Silent import mode: node src/index.js import [file] [scope]
-    let filePath, dateScope;
-
-    // Parse arguments
-    const importArgs = args.slice(1);
-    for (let i = 0; i < importArgs.length; i++) {
-      if (!filePath) {
-        filePath = importArgs[i];
-      } else if (!dateScope) {
-        dateScope = importArgs[i];
+  /**
+   * List the issueRules of config.yaml, or show which rule maps a worklog
+   * description to an issue key (exit 1 when none does)
+   */
+  static showIssueRules(description) {
+    try {
+      const IssueKeyRules = require("./utils/issueKeyRules");
+      const rules = IssueKeyRules.fromConfig(config).rules;
+
+      if (!description) {
+        if (rules.length === 0) {
+          console.log(chalk.yellow("No issueRules configured in config.yaml"));
+        }
+        rules.forEach((rule) => {
+          console.log(
+            `${String(rule.index + 1).padStart(3)}. /${rule.match}/${rule.flags} → ${rule.issue}`,
+          );
+        });
+        jsonOutput.setResult({
+          rules: rules.map(({ match, flags, issue }) => ({
+            match,
+            flags,
+            issue,
+          })),
+        });
+        process.exit(0);
       }
-    }
 
-    TempoTimeTracker.silentImport(filePath, dateScope);
-  } else if (args.includes("--migrate-token")) {
-    // Migrate token from config to keychain
-    const SecureTokenManager = require("./utils/secureTokenManager");
-    const tokenManager = new SecureTokenManager();
-    await tokenManager.migrateFromConfig();
-    process.exit(0);
-  } else if (args.includes("--security-status")) {
-    // Show token security status
-    const SecureTokenManager = require("./utils/secureTokenManager");
-    const tokenManager = new SecureTokenManager();
-    await tokenManager.showSecurityStatus();
-    process.exit(0);
-  } else if (args.includes("--delete-token")) {
-    // Delete stored token
-    const SecureTokenManager = require("./utils/secureTokenManager");
-    const tokenManager = new SecureTokenManager();
-    await tokenManager.deleteToken();
-    process.exit(0);
-  } else if (args.includes("--test-keychain")) {
-    // Test keychain functionality
-    const SecureTokenManager = require("./utils/secureTokenManager");
-    const tokenManager = new SecureTokenManager();
-    await tokenManager.testKeychain();
-    process.exit(0);
-  } else if (args.length >= 2 && args[0] === "manual-mapping") {
-    // Manual mapping helper: node src/index.js manual-mapping ITST-14619
-    const issueKey = args[1];
-    const BrowserHelper = require("./services/browserHelper");
-    const helper = new BrowserHelper();
-    await helper.interactiveMapping(issueKey);
-    process.exit(0);
-  } else if (args.length >= 4 && args[0] === "add-mapping") {
-    // Add mapping: node src/index.js add-mapping ITST-14619 123456 "Issue title"
-    const [, issueKey, issueId, summary] = args;
-    const BrowserHelper = require("./services/browserHelper");
-    const helper = new BrowserHelper();
-    const success = await helper.addMapping(issueKey, issueId, summary);
-    process.exit(success ? 0 : 1);
-  } else if (args.length >= 1 && args[0] === "list-mappings") {
-    // List current mappings: node src/index.js list-mappings
-    const BrowserHelper = require("./services/browserHelper");
-    const helper = new BrowserHelper();
-    helper.listMappings();
-    process.exit(0);
-  } else if (args.length >= 2 && args[0] === "validate-mapping") {
-    // Validate mapping: node src/index.js validate-mapping ITST-14619
-    const issueKey = args[1];
-    const BrowserHelper = require("./services/browserHelper");
-    const helper = new BrowserHelper();
-    await helper.validateMapping(issueKey);
-    process.exit(0);
-  } else if (args.length === 1 && (args[0] === "--help" || args[0] === "-h")) {
-    // Show help
-    console.log(chalk.blue.bold("\n🕒 Tempo Booker CLI\n"));
-    console.log(chalk.white("Usage:"));
-    console.log(
-      chalk.green(
-        "  tempo-booker                                         # Interactive mode",
-      ),
-    );
-    console.log(
-      chalk.green(
-        "  tempo-booker --setup                                 # Run setup wizard",
-      ),
-    );
-    console.log(
-      chalk.green(
-        "  tempo-booker quick <issue> <hours> [desc]           # Quick log",
-      ),
-    );
-    console.log(
-      chalk.green(
-        "  tempo-booker import [file] [scope]                  # Silent import",
-      ),
-    );
-    console.log(chalk.white("\nSetup & Configuration:"));
-    console.log(
-      chalk.yellow(
-        "  tempo-booker --setup                                # First-time setup wizard",
-      ),
-    );
-    console.log(
-      chalk.yellow(
-        "  node src/utils/get-account-id.js                    # Auto-retrieve your Account ID",
-      ),
-    );
-    console.log(
-      chalk.yellow(
-        "  node src/utils/find-account-id.js                   # Manual Account ID discovery",
-      ),
-    );
-    console.log(
-      chalk.yellow(
-        "  node src/utils/add-issue.js                         # Add issues to static mapping",
-      ),
-    );
-    console.log(chalk.yellow("  Edit config.yaml to customize preferences"));
-    console.log(chalk.white("\nSecurity & Token Management:"));
-    console.log(
-      chalk.cyan(
-        "  tempo-booker --security-status                      # Check token security status",
-      ),
-    );
-    console.log(
-      chalk.cyan(
-        "  tempo-booker --migrate-token                        # Migrate token to keychain",
-      ),
-    );
-    console.log(
-      chalk.cyan(
-        "  tempo-booker --delete-token                         # Remove stored token",
-      ),
-    );
-    console.log(
-      chalk.cyan(
-        "  tempo-booker --test-keychain                        # Test keychain functionality",
-      ),
-    );
-    console.log(chalk.white("\nSilent Import Examples:"));
-    console.log(
-      chalk.gray(
-        "  tempo-booker import                                  # Use defaults from config.yaml",
-      ),
-    );
-    console.log(
-      chalk.gray(
-        "  tempo-booker import my-worklogs.csv                  # Import specific file",
-      ),
-    );
+      const found = IssueKeyRules.fromConfig(config).match(description);
+      if (!found) {
+        console.log(chalk.yellow(`No issue rule matches "${description}"`));
+        jsonOutput.setResult({ description, issueKey: null });
+        process.exit(1);
+      }
+
+      console.log(
+        chalk.green(
+          `✓ "${description}" → ${found.issueKey} (rule ${found.rule.index + 1}: /${found.rule.match}/${found.rule.flags})`,
+        ),
+      );
+      jsonOutput.setResult({
+        description,
+        issueKey: found.issueKey,
+        rule: found.rule.index + 1,
+      });
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Issue rules failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Create the worklogs described by config.yaml templates through the
+   * import diff; with dryRun only print the plan (exit 2 when changes)
+   */
+  static async applyTemplates(dateFrom, dateTo, options = {}) {
+    try {
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
+        process.exit(1);
+      }
+
+      const templateController = require("./controllers/templateController");
+      const result = await templateController.apply(
+        dateFrom,
+        dateTo,
+        {
+          only: options.template || null,
+          dryRun: options.dryRun,
+          planFile: options.planFile
+            ? config.resolveFilePath(options.planFile, "export")
+            : null,
+        },
+        app.logger,
+      );
+      jsonOutput.setResult(result);
+
+      if (options.dryRun) {
+        app.logger.result(
+          result.summary.changes > 0
+            ? `📝 Dry run: ${result.summary.changes} change(s) would be made`
+            : "✅ Dry run: nothing to change",
+        );
+        process.exit(
+          result.summary.changes > 0 ? DRY_RUN_CHANGES_EXIT_CODE : 0,
+        );
+      }
+
+      jsonOutput.addCreatedWorklogIds(result?.created || []);
+      app.logger.result("✅ Templates applied");
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Applying templates failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Absence calendar: list public holidays and days off, add or remove
+   * vacation/sick days
+   */
+  static manageAbsences(action, options = {}) {
+    try {
+      const AbsenceFile = require("./utils/absenceFile");
+      const HolidayCalendar = require("./utils/holidayCalendar");
+      const absenceFile = AbsenceFile.open(config.workSchedule.absenceFile);
+
+      if (action === "add") {
+        const absence = absenceFile.add(options);
+        const days =
+          absence.from === absence.to
+            ? absence.from
+            : `${absence.from} to ${absence.to}`;
+        console.log(
+          chalk.green(
+            `✓ Added ${absence.type} ${days}${absence.hours ? ` (${absence.hours}h)` : ""}: ${absence.reason}`,
+          ),
+        );
+        jsonOutput.setResult(absence);
+        process.exit(0);
+      }
+
+      if (action === "remove") {
+        const removed = absenceFile.remove(options.from);
+        if (removed.length === 0) {
+          console.error(chalk.red(`No absence on ${options.from}`));
+          process.exit(1);
+        }
+        removed.forEach((absence) =>
+          console.log(
+            chalk.green(
+              `✓ Removed ${absence.type} ${absence.from} to ${absence.to}: ${absence.reason}`,
+            ),
+          ),
+        );
+        jsonOutput.setResult({ removed });
+        process.exit(0);
+      }
+
+      const holidays = HolidayCalendar.fromConfig(config).holidaysBetween(
+        options.from,
+        options.to,
+      );
+      const absences = absenceFile.between(options.from, options.to);
+      const settings = config.holidaySettings;
+
+      console.log(
+        chalk.blue(`\n🏖️  Days off ${options.from} to ${options.to}`),
+      );
+      console.log(
+        chalk.gray(
+          `   Holiday rules: ${settings.country ? [settings.country, settings.region].filter(Boolean).join("-") : "none"}, calendars: ${settings.icsFiles.length}, absences: ${absenceFile.filePath}`,
+        ),
+      );
+      const rows = [
+        ...holidays.map((holiday) => ({
+          from: holiday.date,
+          label: `${holiday.date}               holiday   ${holiday.name}`,
+        })),
+        ...absences.map((absence) => ({
+          from: absence.from,
+          label: `${absence.from}${absence.to !== absence.from ? ` - ${absence.to}` : "             "}  ${absence.type.padEnd(8)}  ${absence.reason}${absence.hours ? ` (${absence.hours}h)` : ""}`,
+        })),
+      ].sort((a, b) => a.from.localeCompare(b.from));
+
+      if (rows.length === 0) {
+        console.log("   No holidays or absences");
+      }
+      rows.forEach((row) => console.log(`   ${row.label}`));
+      jsonOutput.setResult({ holidays, absences });
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Absence command failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  static async silentImport(filePath, dateScope, options = {}) {
+    try {
+      // Enable silent mode for clean CLI output
+      const originalSilentMode = config.yaml?.cli?.silentMode;
+      const originalSuppressLogs = config._suppressConfigLogs;
+
+      if (config.yaml?.cli) {
+        config.yaml.cli.silentMode = true;
+      }
+      config.setSuppressConfigLogs(true);
+
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
+        process.exit(1);
+      }
+
+      const moment = require("moment");
+      const timeTrackingController = require("./controllers/timeTrackingController");
+
+      // Use config defaults if not provided
+      const importFile = filePath || config.defaultImportFile;
+      const scope = dateScope || config.defaultDateScope;
+
+      app.logger.info(`📥 Importing from: ${importFile}`);
+      app.logger.info(`📅 Date scope: ${scope}`);
+      app.logger.info(`👤 User: ${config.userName} (${config.userAccountId})`);
+
+      // Convert date scope string to date range object
+      let dateFilter = null;
+      if (scope && scope !== "all") {
+        let dateFrom, dateTo;
+
+        switch (scope) {
+          case "current-week":
+            dateFrom = moment().startOf("isoWeek").format("YYYY-MM-DD");
+            dateTo = moment().endOf("isoWeek").format("YYYY-MM-DD");
+            break;
+          case "last-7-days":
+            dateFrom = moment().subtract(6, "days").format("YYYY-MM-DD");
+            dateTo = moment().format("YYYY-MM-DD");
+            break;
+          case "last-14-days":
+            dateFrom = moment().subtract(13, "days").format("YYYY-MM-DD");
+            dateTo = moment().format("YYYY-MM-DD");
+            break;
+          case "last-21-days":
+            dateFrom = moment().subtract(20, "days").format("YYYY-MM-DD");
+            dateTo = moment().format("YYYY-MM-DD");
+            break;
+          case "this-month":
+            dateFrom = moment().startOf("month").format("YYYY-MM-DD");
+            dateTo = moment().endOf("month").format("YYYY-MM-DD");
+            break;
+          default:
+            app.logger.warn(
+              `Unknown date scope: ${scope}, importing all entries`,
+            );
+        }
+
+        if (dateFrom && dateTo) {
+          dateFilter = { from: dateFrom, to: dateTo };
+          app.logger.info(`Date filter: ${dateFrom} to ${dateTo}`);
+        }
+      }
+
+      if (options.dryRun) {
+        const plan = await timeTrackingController.dryRunImport(
+          importFile,
+          dateFilter,
+          app.logger,
+          {
+            planFile: options.planFile
+              ? config.resolveFilePath(options.planFile, "export")
+              : null,
+          },
+        );
+        jsonOutput.setResult(plan);
+        app.logger.result(
+          plan.summary.changes > 0
+            ? `📝 Dry run: ${plan.summary.changes} change(s) would be made`
+            : "✅ Dry run: nothing to change",
+        );
+        process.exit(plan.summary.changes > 0 ? DRY_RUN_CHANGES_EXIT_CODE : 0);
+      }
+
+      // Pass logger to controller for clean output
+      const summary = await timeTrackingController.importWorklogs(
+        importFile,
+        dateFilter,
+        app.logger,
+      );
+      jsonOutput.setResult({ source: importFile, dateFilter, ...summary });
+      jsonOutput.addCreatedWorklogIds(summary?.created || []);
+
+      app.logger.result("✅ Silent import completed successfully!");
+
+      // Restore original settings
+      if (config.yaml?.cli && originalSilentMode !== undefined) {
+        config.yaml.cli.silentMode = originalSilentMode;
+      }
+      config.setSuppressConfigLogs(originalSuppressLogs);
+
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Silent import failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  static async showTimeTable(dateFrom, dateTo) {
+    try {
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
+        process.exit(1);
+      }
+
+      const timeTrackingController = require("./controllers/timeTrackingController");
+      const table = await timeTrackingController.displayTimeTable(
+        dateFrom,
+        dateTo,
+        app.logger,
+      );
+      jsonOutput.setResult(table);
+
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Time table failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  static async showDetailedList(dateFrom, dateTo) {
+    try {
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
+        process.exit(1);
+      }
+
+      const timeTrackingController = require("./controllers/timeTrackingController");
+      const list = await timeTrackingController.displayDetailedList(
+        dateFrom,
+        dateTo,
+        app.logger,
+      );
+      jsonOutput.setResult(list);
+
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Detailed list failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Compare booked hours with the expected schedule; exits 1 when anything
+   * is missing, over the daily maximum or has unbooked gaps
+   */
+  static async checkHours(dateFrom, dateTo) {
+    try {
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
+        process.exit(1);
+      }
+
+      const complianceController = require("./controllers/complianceController");
+      const report = await complianceController.check(
+        dateFrom,
+        dateTo,
+        app.logger,
+      );
+      jsonOutput.setResult(report);
+
+      process.exit(report.findings.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red("Check failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  static async exportWorklogs(
+    dateFrom,
+    dateTo,
+    format = "csv",
+    fileName = null,
+  ) {
+    try {
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
+        process.exit(1);
+      }
+
+      const timeTrackingController = require("./controllers/timeTrackingController");
+      const exportPath = await timeTrackingController.exportWorklogs(
+        dateFrom,
+        dateTo,
+        format,
+        fileName,
+        app.logger,
+      );
+      jsonOutput.setResult({
+        from: dateFrom,
+        to: dateTo,
+        format,
+        file: exportPath || null,
+      });
+
+      process.exit(0);
+    } catch (error) {
+      console.error(chalk.red("Export failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Parse the optional [from] [to] arguments of the report commands;
+   * both default to the current ISO week
+   */
+  static parseDateRange(from, to) {
+    const moment = require("moment");
+    const dateFrom = from || moment().startOf("isoWeek").format("YYYY-MM-DD");
+    const dateTo = to || moment(dateFrom).endOf("isoWeek").format("YYYY-MM-DD");
+
+    for (const date of [dateFrom, dateTo]) {
+      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
+        throw new Error(`Invalid date "${date}" - use YYYY-MM-DD`);
+      }
+    }
+    return { dateFrom, dateTo };
+  }
+
+  static async resumeImport(journalPath = null) {
+    try {
+      config.setSuppressConfigLogs(true);
+
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
+        process.exit(1);
+      }
+
+      const timeTrackingController = require("./controllers/timeTrackingController");
+      const resolvedPath = journalPath
+        ? config.resolveFilePath(journalPath, "backup")
+        : null;
+
+      const summary = await timeTrackingController.resumeImport(
+        resolvedPath,
+        app.logger,
+      );
+      jsonOutput.setResult(summary);
+      jsonOutput.addCreatedWorklogIds(summary?.created || []);
+
+      // Exit non-zero while operations of this journal are still outstanding
+      process.exit(summary?.status === "incomplete" ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red("Resume failed:"), error.message);
+      process.exit(1);
+    }
+  }
+
+  static async rollbackImport(journalPath, options = {}) {
+    try {
+      const path = require("path");
+      const fs = require("fs");
+      const ImportJournal = require("./utils/importJournal");
+
+      // Without a journal argument, list what can be rolled back
+      if (!journalPath) {
+        const journals = ImportJournal.list(config.backupDir);
+        if (journals.length === 0) {
+          console.log(
+            chalk.yellow(`No import journals in ${config.backupDir}`),
+          );
+          process.exit(0);
+        }
+        console.log(chalk.blue.bold("\n📒 Import journals (newest first):\n"));
+        for (const file of journals) {
+          let journal;
+          try {
+            journal = ImportJournal.load(file);
+          } catch (error) {
+            // One broken file should not hide the others
+            console.log(
+              `  ${path.basename(file)}  ${chalk.red("unreadable")}  ${chalk.gray(error.message)}`,
+            );
+            continue;
+          }
+          console.log(
+            `  ${path.basename(file)}  ${chalk.gray(journal.status)}  ${journal.entries.length} operation(s)  ${chalk.gray(journal.data.source || "")}`,
+          );
+        }
+        console.log(
+          chalk.white("\nUsage: tempo-booker rollback <journal> [--yes]"),
+        );
+        process.exit(0);
+      }
+
+      const resolvedPath = fs.existsSync(journalPath)
+        ? path.resolve(journalPath)
+        : config.resolveFilePath(journalPath, "backup");
+      const journal = ImportJournal.load(resolvedPath);
+
+      const app = new TempoTimeTracker();
+      const initialized = await app.initialize();
+
+      if (!initialized) {
+        process.exit(1);
+      }
+
+      if (!options.yes) {
+        const confirmed = await cli.confirmAction(
+          `Roll back ${journal.entries.length} operation(s) from ${path.basename(resolvedPath)}?`,
+        );
+        if (!confirmed) {
+          console.log(chalk.yellow("Rollback cancelled"));
+          process.exit(0);
+        }
+      }
+
+      const timeTrackingController = require("./controllers/timeTrackingController");
+      const result = await timeTrackingController.rollbackImport(
+        resolvedPath,
+        app.logger,
+      );
+
+      process.exit(result.failed > 0 || result.skipped > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red("Rollback failed:"), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+const DATE_SCOPES = [
+  "current-week",
+  "last-7-days",
+  "last-14-days",
+  "last-21-days",
+  "this-month",
+  "all",
+];
+
+// Offer the first-run setup wizard before commands that need a configuration
+const ensureSetup = async () => {
+  const setupRan = await SetupWizard.checkAndRunSetup();
+  if (setupRan) {
     console.log(
-      chalk.gray(
-        "  tempo-booker import worklogs.csv current-week        # Import with date scope",
-      ),
+      chalk.green("\n✅ Setup completed! You can now use tempo-booker"),
     );
-    console.log(chalk.white("\nIssue Mapping (Manual):"));
-    console.log(
-      chalk.magenta(
-        "  tempo-booker manual-mapping <issue-key>             # Open browser for manual mapping",
+    process.exit(0);
+  }
+};
+
+const withSetupCheck = (run) => async (parsed) => {
+  await ensureSetup();
+  return run(parsed);
+};
+
+/**
+ * Turn `quick` arguments into a logTimeAt() request. The hours argument is
+ * optional when both --start and --end are given, so a non-numeric value in
+ * its place starts the description.
+ */
+const HOURS = /^\d+(\.\d+)?$/;
+
+const parseQuickArguments = ({ args, options }) => {
+  const { CommandLineError } = require("./utils/commandRegistry");
+  const { parseDateInput, parseTimeInput } = require("./utils/dateInput");
+  const rest = [args.hours, ...args.description].filter(
+    (value) => value != null,
+  );
+  let issueKey = args.issueKey || null;
+  let hours = null;
+
+  // `quick 1.5 "Review"`: no issue key, it is picked interactively
+  if (issueKey && HOURS.test(issueKey)) {
+    rest.unshift(issueKey);
+    issueKey = null;
+  }
+
+  try {
+    const startTime = options.start ? parseTimeInput(options.start) : null;
+    const endTime = options.end ? parseTimeInput(options.end) : null;
+    const date = parseDateInput(options.date || "today");
+
+    if (rest.length > 0 && HOURS.test(rest[0])) {
+      hours = parseFloat(rest.shift());
+    } else if (!(startTime && endTime) && (issueKey || rest.length > 0)) {
+      // Without an issue key the hours are asked along with the issue
+      throw new Error(
+        rest.length === 0
+          ? "Missing argument <hours> (or give both --start and --end)"
+          : `<hours> expects a number, got "${rest[0]}"`,
+      );
+    }
+
+    return {
+      issueKey,
+      hours,
+      description: rest.join(" "),
+      date,
+      startTime,
+      endTime,
+    };
+  } catch (error) {
+    throw new CommandLineError(error.message, "quick");
+  }
+};
+
+/**
+ * The issue picker for commands started without an issue key; scripts and
+ * --output json get the usual missing argument error instead
+ */
+const pickIssueKey = async (commandName) => {
+  const { CommandLineError } = require("./utils/commandRegistry");
+  if (!process.stdin.isTTY || jsonOutput.enabled) {
+    throw new CommandLineError("Missing argument <issueKey>", commandName);
+  }
+  return cli.pickIssue();
+};
+
+// Token commands act on the keychain entry of the selected profile
+const tokenManagerCommand = (method) => async () => {
+  const SecureTokenManager = require("./utils/secureTokenManager");
+  const tokenManager = new SecureTokenManager();
+  await tokenManager[method](require("./utils/config").profile);
+  process.exit(0);
+};
+
+const dateRangeArgs = [
+  { name: "from", description: "First day, YYYY-MM-DD (default: this Monday)" },
+  {
+    name: "to",
+    description: "Last day, YYYY-MM-DD (default: end of that week)",
+  },
+];
+
+/**
+ * Every tempo-booker command, shared by bin/tempo-booker.js and
+ * `node src/index.js`
+ */
+function buildCommandRegistry() {
+  const { CommandRegistry } = require("./utils/commandRegistry");
+  const registry = new CommandRegistry({
+    name: "tempo-booker",
+    aliases: ["tempo"],
+    description: "Tempo Booker CLI",
+    globalOptions: {
+      output: {
+        type: "enum",
+        alias: "o",
+        choices: ["text", "json"],
+        default: "text",
+        description: "json: one JSON document on stdout, logs on stderr",
+      },
+      offline: {
+        description:
+          "Queue worklog changes in the outbox instead of sending them",
+      },
+      profile: {
+        type: "string",
+        valueName: "name",
+        description:
+          "Use this profile instead of the current one (see `profile list`)",
+      },
+    },
+  });
+
+  registry.default({
+    summary: "Interactive mode",
+    run: () => TempoTimeTracker.runInteractive(),
+  });
+
+  registry
+    .command({
+      name: "quick",
+      group: "Time Tracking",
+      summary: "Log time on an issue",
+      description:
+        "Log time on an issue. Without --start the worklog is placed right after the last worklog of the day (09:00 on an empty day); overlaps with existing worklogs are refused.",
+      args: [
+        {
+          name: "issueKey",
+          description: "Jira issue key (default: pick interactively)",
+        },
+        {
+          name: "hours",
+          description:
+            "Hours to log, e.g. 1.5 (optional with --start and --end)",
+        },
+        {
+          name: "description",
+          variadic: true,
+          description: "Worklog description",
+        },
+      ],
+      options: {
+        date: {
+          type: "string",
+          alias: "d",
+          valueName: "day",
+          description:
+            "Day to log on: YYYY-MM-DD, today, yesterday, mon..sun or -2d",
+        },
+        start: {
+          type: "string",
+          valueName: "HH:MM",
+          description: "Start time",
+        },
+        end: {
+          type: "string",
+          valueName: "HH:MM",
+          description: "End time; with --start the hours are computed",
+        },
+      },
+      examples: [
+        'quick ITST-14440 2 "Bug fix work"',
+        'quick 1.5 "Review"',
+        'quick ITST-14440 1.5 "Review" --date yesterday',
+        'quick ITST-14440 --date mon --start 13:30 --end 15:00 "Workshop"',
+        "quick ITST-14440 0.5 --date -2d --end 18:00",
+      ],
+      run: async (parsed) => {
+        const request = parseQuickArguments(parsed);
+        await ensureSetup();
+        if (!request.issueKey) {
+          request.issueKey = await pickIssueKey("quick");
+          Object.assign(
+            request,
+            await cli.promptWorklogDetails({
+              hours:
+                request.hours === null &&
+                !(request.startTime && request.endTime)
+                  ? undefined
+                  : request.hours,
+              description: request.description || undefined,
+              date: request.date,
+            }),
+          );
+        }
+        return TempoTimeTracker.quickLog(request);
+      },
+    })
+    .command({
+      name: "start",
+      group: "Timer",
+      summary: "Start a timer on an issue",
+      args: [
+        {
+          name: "issueKey",
+          description: "Jira issue key (default: pick interactively)",
+        },
+        {
+          name: "description",
+          variadic: true,
+          description: "Worklog description",
+        },
+      ],
+      examples: ["start", 'start ITST-14440 "Bug fix work"'],
+      run: async ({ args }) =>
+        TempoTimeTracker.runTimer("start", {
+          issueKey: args.issueKey || (await pickIssueKey("start")),
+          description: args.description.join(" "),
+        }),
+    })
+    .command({
+      name: "stop",
+      group: "Timer",
+      summary: "Stop the timer and log the time to Tempo",
+      options: {
+        discard: { description: "Drop the timer without logging anything" },
+      },
+      run: withSetupCheck(({ options }) =>
+        TempoTimeTracker.runTimer("stop", { discard: options.discard }),
       ),
-    );
-    console.log(
-      chalk.magenta(
-        '  tempo-booker add-mapping <key> <id> "<summary>"     # Add issue mapping',
+    })
+    .command({
+      name: "pause",
+      group: "Timer",
+      summary: "Pause the timer",
+      run: () => TempoTimeTracker.runTimer("pause"),
+    })
+    .command({
+      name: "resume",
+      group: "Timer",
+      summary: "Resume a paused timer",
+      run: () => TempoTimeTracker.runTimer("resume"),
+    })
+    .command({
+      name: "status",
+      group: "Timer",
+      summary: "Show the running timer",
+      run: () => TempoTimeTracker.runTimer("status"),
+    })
+    .command({
+      name: "switch",
+      group: "Timer",
+      summary: "Log the running timer and start one on another issue",
+      args: [
+        {
+          name: "issueKey",
+          description: "Jira issue key (default: pick interactively)",
+        },
+        {
+          name: "description",
+          variadic: true,
+          description: "Worklog description",
+        },
+      ],
+      examples: ['switch ITST-14619 "Code review"'],
+      run: withSetupCheck(async ({ args }) =>
+        TempoTimeTracker.runTimer("switch", {
+          issueKey: args.issueKey || (await pickIssueKey("switch")),
+          description: args.description.join(" "),
+        }),
       ),
-    );
-    console.log(
-      chalk.magenta(
-        "  tempo-booker list-mappings                          # Show current mappings",
+    })
+    .command({
+      name: "import",
+      group: "Time Tracking",
+      summary: "Import worklogs from a CSV or JSON file",
+      description:
+        "Import worklogs from a CSV or JSON file. Without a file the defaults from config.yaml are used.",
+      args: [
+        {
+          name: "file",
+          complete: "file",
+          description: "File to import (with --resume: the journal)",
+        },
+        {
+          name: "scope",
+          type: "enum",
+          choices: DATE_SCOPES,
+          description: "Only import entries in this date range",
+        },
+      ],
+      options: {
+        "dry-run": {
+          description: "Print the plan and stop (exit 2 when changes)",
+        },
+        plan: {
+          type: "string",
+          valueName: "file",
+          complete: "file",
+          description: "With --dry-run, also write the plan as JSON",
+        },
+        resume: {
+          description: "Continue an interrupted import from its journal",
+        },
+      },
+      examples: [
+        "import",
+        "import tempo.csv current-week",
+        "import tempo.csv --dry-run --plan plan.json",
+        "import --resume",
+      ],
+      run: withSetupCheck(({ args, options }) => {
+        if (options.resume) {
+          return TempoTimeTracker.resumeImport(args.file);
+        }
+        return TempoTimeTracker.silentImport(args.file, args.scope, {
+          dryRun: options["dry-run"],
+          planFile: options.plan || null,
+        });
+      }),
+    })
+    .command({
+      name: "apply-templates",
+      group: "Time Tracking",
+      summary: "Book the recurring entries from config.yaml templates",
+      description:
+        "Creates the worklogs described in the templates section of config.yaml (standups, sprint ceremonies) for a week or date range. Entries go through the import diff, so existing ones are left unchanged; holidays and days off are skipped unless a template sets skipHolidays: false.",
+      args: [
+        { name: "from", description: "First day, YYYY-MM-DD" },
+        { name: "to", description: "Last day, YYYY-MM-DD" },
+      ],
+      options: {
+        week: { description: "The current week (default)" },
+        "next-week": { description: "Next week" },
+        template: {
+          type: "string",
+          valueName: "name",
+          description: "Only apply this template",
+        },
+        "dry-run": {
+          description: "Print the plan and stop (exit 2 when changes)",
+        },
+        plan: {
+          type: "string",
+          valueName: "file",
+          complete: "file",
+          description: "With --dry-run, also write the plan as JSON",
+        },
+      },
+      examples: [
+        "apply-templates --week",
+        "apply-templates --next-week --dry-run",
+        "apply-templates 2025-10-01 2025-10-31 --template Standup",
+      ],
+      run: withSetupCheck(({ args, options }) => {
+        const moment = require("moment");
+        const { CommandLineError } = require("./utils/commandRegistry");
+        const periods = [options.week, options["next-week"], args.from];
+        if (
+          periods.filter((period) => period != null && period !== false)
+            .length > 1
+        ) {
+          throw new CommandLineError(
+            "Use only one of --week, --next-week or a date range",
+            "apply-templates",
+          );
+        }
+
+        const { dateFrom, dateTo } = TempoTimeTracker.parseDateRange(
+          options["next-week"]
+            ? moment().add(1, "week").startOf("isoWeek").format("YYYY-MM-DD")
+            : args.from,
+          args.to,
+        );
+        return TempoTimeTracker.applyTemplates(dateFrom, dateTo, {
+          template: options.template,
+          dryRun: options["dry-run"],
+          planFile: options.plan || null,
+        });
+      }),
+    })
+    .command({
+      name: "rollback",
+      group: "Time Tracking",
+      summary: "Undo an import (lists journals without an argument)",
+      args: [
+        {
+          name: "journal",
+          complete: "file",
+          description: "Import journal file",
+        },
+      ],
+      options: {
+        yes: { alias: "y", description: "Do not ask for confirmation" },
+      },
+      examples: [
+        "rollback",
+        "rollback import-journal_20251014_093012_481.json",
+      ],
+      run: withSetupCheck(({ args, options }) =>
+        TempoTimeTracker.rollbackImport(args.journal, { yes: options.yes }),
       ),
-    );
-    console.log(
-      chalk.magenta(
-        "  tempo-booker validate-mapping <issue-key>           # Validate existing mapping",
+    })
+    .command({
+      name: "sync",
+      group: "Time Tracking",
+      summary: "Send changes queued while Tempo was unreachable",
+      description:
+        "Send changes queued in the offline outbox, oldest first. Changes that conflict with the current Tempo state stay queued. Exits with status 1 while anything is left in the outbox.",
+      options: {
+        list: { description: "Show the queued changes and exit" },
+        force: { description: "Send conflicting changes anyway" },
+        drop: {
+          type: "number",
+          valueName: "n",
+          description: "Remove queued change #n without sending it",
+        },
+      },
+      examples: ["sync", "sync --list", "sync --drop 3"],
+      run: async ({ options }) => {
+        if (!options.list && options.drop === undefined) {
+          await ensureSetup();
+        }
+        return TempoTimeTracker.syncOutbox(options);
+      },
+    })
+    .command({
+      name: "table",
+      group: "Reports",
+      summary: "Time table per issue and day",
+      args: dateRangeArgs,
+      examples: ["table", "table 2025-10-01 2025-10-31 --output json"],
+      run: withSetupCheck(({ args }) => {
+        const { dateFrom, dateTo } = TempoTimeTracker.parseDateRange(
+          args.from,
+          args.to,
+        );
+        return TempoTimeTracker.showTimeTable(dateFrom, dateTo);
+      }),
+    })
+    .command({
+      name: "list",
+      group: "Reports",
+      summary: "Detailed worklog list",
+      args: dateRangeArgs,
+      run: withSetupCheck(({ args }) => {
+        const { dateFrom, dateTo } = TempoTimeTracker.parseDateRange(
+          args.from,
+          args.to,
+        );
+        return TempoTimeTracker.showDetailedList(dateFrom, dateTo);
+      }),
+    })
+    .command({
+      name: "check",
+      group: "Reports",
+      summary: "Check booked hours against your working schedule",
+      description:
+        "Compares every day up to today with the expected hours from the schedule section of config.yaml and the absence calendar, and lists missing hours, unbooked gaps between worklogs and days over the daily maximum. Exits with status 1 when anything is found, so it can drive reminders.",
+      args: dateRangeArgs,
+      examples: ["check", "check 2025-10-01 2025-10-31 --output json"],
+      run: withSetupCheck(({ args }) => {
+        const { dateFrom, dateTo } = TempoTimeTracker.parseDateRange(
+          args.from,
+          args.to,
+        );
+        return TempoTimeTracker.checkHours(dateFrom, dateTo);
+      }),
+    })
+    .command({
+      name: "absence",
+      group: "Reports",
+      summary: "List holidays and days off, add or remove absences",
+      description:
+        "Days off are not expected to be booked: public holidays from the holidays section of config.yaml (bundled country/region rules and .ics calendars) and vacation or sick days in the workspace absence calendar. list defaults to the current year; add takes a single day or a range.",
+      args: [
+        {
+          name: "action",
+          type: "enum",
+          choices: ["list", "add", "remove"],
+          default: "list",
+          description: "What to do",
+        },
+        {
+          name: "from",
+          description: "First day (YYYY-MM-DD, today, mon, -2d)",
+        },
+        { name: "to", description: "Last day (default: same as from)" },
+      ],
+      options: {
+        type: {
+          type: "enum",
+          choices: ["vacation", "sick", "holiday", "other"],
+          default: "vacation",
+          description: "Kind of absence (add)",
+        },
+        hours: {
+          type: "number",
+          valueName: "n",
+          description: "Only part of the day is off (add)",
+        },
+        reason: {
+          type: "string",
+          valueName: "text",
+          description: "Shown in reports (add)",
+        },
+      },
+      examples: [
+        "absence",
+        "absence add 2025-08-04 2025-08-15 --reason Summer",
+        "absence add today --type sick",
+        "absence remove 2025-08-04",
+      ],
+      run: ({ args, options }) => {
+        const { CommandLineError } = require("./utils/commandRegistry");
+        const { parseDateInput } = require("./utils/dateInput");
+        const moment = require("moment");
+
+        if (args.action === "list") {
+          // Default: the rest of the year of the first day
+          const from =
+            args.from || moment().startOf("year").format("YYYY-MM-DD");
+          const { dateFrom, dateTo } = TempoTimeTracker.parseDateRange(
+            from,
+            args.to ||
+              (moment(from, "YYYY-MM-DD", true).isValid()
+                ? moment(from).endOf("year").format("YYYY-MM-DD")
+                : from),
+          );
+          return TempoTimeTracker.manageAbsences("list", {
+            from: dateFrom,
+            to: dateTo,
+          });
+        }
+
+        if (args.from == null) {
+          throw new CommandLineError(
+            `Missing argument <from> for absence ${args.action}`,
+            "absence",
+          );
+        }
+        try {
+          const from = parseDateInput(args.from);
+          return TempoTimeTracker.manageAbsences(args.action, {
+            from,
+            to: args.to != null ? parseDateInput(args.to) : from,
+            type: options.type,
+            hours: options.hours ?? null,
+            reason: options.reason || null,
+          });
+        } catch (error) {
+          throw new CommandLineError(error.message, "absence");
+        }
+      },
+    })
+    .command({
+      name: "export",
+      group: "Reports",
+      summary: "Export worklogs to the exports directory",
+      args: dateRangeArgs,
+      options: {
+        format: {
+          type: "enum",
+          choices: ["csv", "json"],
+          default: "csv",
+          description: "File format",
+        },
+        file: {
+          type: "string",
+          valueName: "name",
+          complete: "file",
+          description: "File name (relative to the exports directory)",
+        },
+      },
+      examples: ["export 2025-10-01 2025-10-31 --file october.csv"],
+      run: withSetupCheck(({ args, options }) => {
+        const { dateFrom, dateTo } = TempoTimeTracker.parseDateRange(
+          args.from,
+          args.to,
+        );
+        return TempoTimeTracker.exportWorklogs(
+          dateFrom,
+          dateTo,
+          options.format,
+          options.file || null,
+        );
+      }),
+    })
+    .command({
+      name: "cache",
+      group: "Reports",
+      summary: "Show, refresh or clear the local worklog cache",
+      description:
+        "Reports read your worklogs from a local cache that is refreshed incrementally; the import diff downloads its date range again. refresh with a date range adds that range; --full downloads every cached range again, which also picks up worklogs deleted outside tempo-booker.",
+      args: [
+        {
+          name: "action",
+          type: "enum",
+          choices: ["status", "refresh", "clear"],
+          default: "status",
+          description: "What to do",
+        },
+        { name: "from", description: "First day to cache, YYYY-MM-DD" },
+        { name: "to", description: "Last day to cache, YYYY-MM-DD" },
+      ],
+      options: {
+        full: { description: "Download all cached ranges again" },
+      },
+      examples: [
+        "cache",
+        "cache refresh 2025-10-01 2025-10-31",
+        "cache refresh --full",
+      ],
+      run: async ({ args, options }) => {
+        const range = { from: null, to: null };
+        if (args.from || args.to) {
+          const { dateFrom, dateTo } = TempoTimeTracker.parseDateRange(
+            args.from,
+            args.to,
+          );
+          Object.assign(range, { from: dateFrom, to: dateTo });
+        }
+        if (args.action === "refresh") {
+          await ensureSetup();
+        }
+        return TempoTimeTracker.manageCache(args.action, {
+          ...range,
+          full: options.full,
+        });
+      },
+    })
+    .command({
+      name: "manual-mapping",
+      group: "Issue Mapping",
+      summary: "Open the browser to map an issue manually",
+      args: [
+        { name: "issueKey", required: true, description: "Jira issue key" },
+      ],
+      run: async ({ args }) => {
+        const BrowserHelper = require("./services/browserHelper");
+        await new BrowserHelper().interactiveMapping(args.issueKey);
+        process.exit(0);
+      },
+    })
+    .command({
+      name: "add-mapping",
+      group: "Issue Mapping",
+      summary: "Add an issue key to ID mapping",
+      args: [
+        { name: "issueKey", required: true, description: "Jira issue key" },
+        { name: "issueId", required: true, description: "Numeric issue ID" },
+        { name: "summary", required: true, description: "Issue summary" },
+      ],
+      examples: ['add-mapping ITST-14619 123456 "Issue title"'],
+      run: async ({ args }) => {
+        const BrowserHelper = require("./services/browserHelper");
+        const success = await new BrowserHelper().addMapping(
+          args.issueKey,
+          args.issueId,
+          args.summary,
+        );
+        process.exit(success ? 0 : 1);
+      },
+    })
+    .command({
+      name: "list-mappings",
+      group: "Issue Mapping",
+      summary: "Show current issue mappings",
+      run: () => {
+        const BrowserHelper = require("./services/browserHelper");
+        new BrowserHelper().listMappings();
+        process.exit(0);
+      },
+    })
+    .command({
+      name: "validate-mapping",
+      group: "Issue Mapping",
+      summary: "Validate an existing issue mapping",
+      args: [
+        { name: "issueKey", required: true, description: "Jira issue key" },
+      ],
+      run: async ({ args }) => {
+        const BrowserHelper = require("./services/browserHelper");
+        await new BrowserHelper().validateMapping(args.issueKey);
+        process.exit(0);
+      },
+    })
+    .command({
+      name: "resolve",
+      group: "Issue Mapping",
+      summary: "Resolve an issue key to its Jira issue ID",
+      description:
+        "Asks the providers of issueResolution.providers in order (static mapping, issue cache, Jira REST, MCP, Tempo worklog history) until one knows the key. --explain lists what every provider answered and why skipped ones did not run.",
+      args: [
+        { name: "issueKey", required: true, description: "Jira issue key" },
+      ],
+      options: {
+        explain: {
+          description: "Show which provider answered and why others did not",
+        },
+      },
+      examples: ["resolve PROJ-123", "resolve PROJ-123 --explain"],
+      run: withSetupCheck(({ args, options }) =>
+        TempoTimeTracker.resolveIssueKey(args.issueKey, {
+          explain: options.explain,
+        }),
       ),
-    );
-    console.log(
-      chalk.white("\nBeta Features (enable with function_beta: true):"),
-    );
-    console.log(
-      chalk.gray(
-        "  node bulk-map-issues.js [keys]                       # Bulk issue key mapping (deprecated)",
+    })
+    .command({
+      name: "mcp-tools",
+      group: "Issue Mapping",
+      summary: "List the tools of the configured MCP server",
+      description:
+        "Starts the server of the mcp section in config.yaml, runs the MCP handshake and lists its tools. Jira tools are marked, and the arrow shows the tool the mcp issue provider reads issues with.",
+      examples: ["mcp-tools"],
+      run: () => TempoTimeTracker.showMcpTools(),
+    })
+    .command({
+      name: "serve",
+      group: "Time Tracking",
+      summary: "Run the local REST API for scripts and extensions",
+      description:
+        "Serves POST/GET /worklogs, GET /timetable, POST /import (dryRun), POST /week, /timer/start|stop|pause|resume and the /dashboard page on localhost. Every route except GET /health and the page itself needs the API token from server.token or the generated files.serverTokenFile.",
+      options: {
+        port: {
+          type: "number",
+          valueName: "n",
+          description: "Port to listen on (default: server.port or 3000)",
+        },
+      },
+      examples: ["serve", "serve --port 3456"],
+      run: withSetupCheck(({ options }) =>
+        TempoTimeTracker.serveHttp({ port: options.port }),
       ),
-    );
-    console.log(chalk.white("\nDate Scopes:"));
-    console.log(
-      chalk.gray(
-        "  current-week, last-7-days, last-14-days, last-21-days, this-month, all",
+    })
+    .command({
+      name: "dashboard",
+      group: "Time Tracking",
+      summary: "Review and edit a week in the browser",
+      description:
+        "Starts the local API like serve and opens the week review page: the timesheet grid of issues by day with editable cells, and a day calendar where worklogs are resized by dragging. Submit week sends the changes through the same add/update/replace/delete diff as import, journaled for rollback.",
+      options: {
+        port: {
+          type: "number",
+          valueName: "n",
+          description: "Port to listen on (default: server.port or 3000)",
+        },
+        open: {
+          default: true,
+          description:
+            "Open the dashboard in the browser; --no-open only prints its URL",
+        },
+      },
+      examples: ["dashboard", "dashboard --port 3456 --no-open"],
+      run: withSetupCheck(({ options }) =>
+        TempoTimeTracker.serveHttp({
+          port: options.port,
+          openDashboard: options.open,
+        }),
       ),
-    );
-    process.exit(0);
-  } else {
-    // Interactive mode
-    const app = new TempoTimeTracker();
-    app.run().catch((error) => {
-      console.error(chalk.red("Application error:"), error.message);
-      process.exit(1);
+    })
+    .command({
+      name: "mcp-serve",
+      group: "Time Tracking",
+      summary: "Run tempo-booker as an MCP server on stdio",
+      description:
+        "Lets an AI assistant or editor book time: serves the tools log_time, list_worklogs, time_table, import_preview, resolve_issue and delete_worklog over the Model Context Protocol on stdin/stdout. delete_worklog only runs with confirm: true. Logs go to stderr.",
+      examples: ["mcp-serve"],
+      run: () => TempoTimeTracker.serveMcp(),
+    })
+    .command({
+      name: "issue-rules",
+      group: "Issue Mapping",
+      summary: "List issue rules or test which one matches a description",
+      args: [
+        {
+          name: "description",
+          description: "Worklog description to match",
+        },
+      ],
+      examples: ["issue-rules", 'issue-rules "Team Daily"'],
+      run: ({ args }) => TempoTimeTracker.showIssueRules(args.description),
+    })
+    .command({
+      name: "setup",
+      aliases: ["--setup", "-s"],
+      group: "Setup & Security",
+      summary: "Run the setup wizard",
+      run: () => TempoTimeTracker.runSetupWizard(),
+    })
+    .command({
+      name: "security-status",
+      aliases: ["--security-status"],
+      group: "Setup & Security",
+      summary: "Check token security status",
+      run: tokenManagerCommand("showSecurityStatus"),
+    })
+    .command({
+      name: "migrate-token",
+      aliases: ["--migrate-token"],
+      group: "Setup & Security",
+      summary: "Migrate the token from config.yaml to the keychain",
+      run: tokenManagerCommand("migrateFromConfig"),
+    })
+    .command({
+      name: "delete-token",
+      aliases: ["--delete-token"],
+      group: "Setup & Security",
+      summary: "Remove the stored token",
+      run: tokenManagerCommand("deleteToken"),
+    })
+    .command({
+      name: "profile",
+      group: "Setup & Security",
+      summary: "List, add, switch or remove profiles (Tempo tenants)",
+      description:
+        "Each profile has its own config.yaml, workspace and keychain token, e.g. one per client's Atlassian site. use switches the current profile; --profile <name> picks one for a single command. remove keeps the profile's files.",
+      args: [
+        {
+          name: "action",
+          type: "enum",
+          choices: ["list", "add", "use", "remove"],
+          default: "list",
+          description: "What to do",
+        },
+        { name: "name", description: "Profile name" },
+      ],
+      options: {
+        "jira-url": {
+          type: "string",
+          valueName: "url",
+          description: "add: Jira base URL of the site",
+        },
+        "account-id": {
+          type: "string",
+          valueName: "id",
+          description: "add: your Atlassian account ID on the site",
+        },
+        workspace: {
+          type: "string",
+          valueName: "dir",
+          description:
+            "add: workspace directory (default: tempo-workspace/profiles/<name>)",
+        },
+        "delete-token": {
+          description: "remove: also delete the profile's keychain token",
+        },
+      },
+      examples: [
+        "profile",
+        "profile add clientA --jira-url https://client-a.atlassian.net",
+        "profile use clientA",
+        "--profile clientA table",
+        "profile remove clientA --delete-token",
+      ],
+      run: ({ args, options }) =>
+        TempoTimeTracker.manageProfiles(args.action, args.name, {
+          jiraUrl: options["jira-url"],
+          accountId: options["account-id"],
+          workspace: options.workspace,
+          deleteToken: options["delete-token"],
+        }),
+    })
+    .command({
+      name: "test-keychain",
+      aliases: ["--test-keychain"],
+      group: "Setup & Security",
+      summary: "Test keychain functionality",
+      run: tokenManagerCommand("testKeychain"),
+    })
+    .command({
+      name: "completion",
+      group: "Setup & Security",
+      summary: "Print a shell completion script",
+      args: [
+        {
+          name: "shell",
+          type: "enum",
+          choices: ["bash", "zsh", "fish"],
+          required: true,
+          description: "Target shell",
+        },
+      ],
+      examples: [
+        "completion bash > /etc/bash_completion.d/tempo-booker",
+        'completion zsh > "${fpath[1]}/_tempo-booker"',
+        "completion fish > ~/.config/fish/completions/tempo-booker.fish",
+      ],
+      run: ({ args }) => {
+        process.stdout.write(registry.completionScript(args.shell));
+        process.exit(0);
+      },
+    })
+    .command({
+      name: "help",
+      group: "Setup & Security",
+      summary: "Show help for a command",
+      args: [{ name: "command", description: "Command name" }],
+      run: ({ args }) => {
+        if (args.command && !registry.find(args.command)) {
+          console.error(chalk.red(`❌ Unknown command: ${args.command}`));
+          process.exit(1);
+        }
+        console.log(registry.formatHelp(args.command));
+        process.exit(0);
+      },
     });
-  }
+
+  registry
+    .note("Setup & Configuration", [
+      "node src/utils/get-account-id.js     Auto-retrieve your Account ID",
+      "node src/utils/find-account-id.js    Manual Account ID discovery",
+      "node src/utils/add-issue.js          Add issues to static mapping",
+      "Edit config.yaml to customize preferences",
+    ])
+    .note("Date Scopes", [DATE_SCOPES.join(", ")]);
+
+  return registry;
+}
+
+if (require.main === module) {
+  TempoTimeTracker.main(process.argv.slice(2)).catch((error) => {
+    console.error(chalk.red("Command processing failed:"), error.message);
+    process.exit(1);
+  });
 }
 
 module.exports = TempoTimeTracker;
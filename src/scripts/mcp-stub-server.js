@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in for an Atlassian MCP server, to try the "mcp" issue provider
+ * without Jira access. Answers getJiraIssue from a JSON file of
+ * { "KEY": { "id": "12345", "summary": "..." } } given as first argument:
+ *
+ *   mcp:
+ *     command: "node"
+ *     args: ["src/scripts/mcp-stub-server.js", "issues.json"]
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+const issues = process.argv[2] ? JSON.parse(fs.readFileSync(process.argv[2], 'utf8')) : {};
+
+const tools = [
+  {
+    name: 'getJiraIssue',
+    description: 'Get a Jira issue by key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cloudId: { type: 'string' },
+        issueIdOrKey: { type: 'string' }
+      },
+      required: ['cloudId', 'issueIdOrKey']
+    }
+  }
+];
+
+function reply(id, result) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, result }) + '\n');
+}
+
+function fail(id, code, message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, error: { code, message } }) + '\n');
+}
+
+function callTool({ name, arguments: args = {} }) {
+  if (name !== 'getJiraIssue') {
+    return null;
+  }
+  const issue = issues[args.issueIdOrKey];
+  if (!issue) {
+    return { isError: true, content: [{ type: 'text', text: `Issue ${args.issueIdOrKey} does not exist` }] };
+  }
+  const data = { id: String(issue.id), key: args.issueIdOrKey, fields: { summary: issue.summary || null } };
+  return { content: [{ type: 'text', text: JSON.stringify(data) }] };
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (!line.trim()) return;
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    fail(null, -32700, 'Parse error');
+    return;
+  }
+  if (message.id === undefined) return; // notifications
+
+  switch (message.method) {
+    case 'initialize':
+      reply(message.id, {
+        protocolVersion: message.params?.protocolVersion || '2024-11-05',
+        capabilities: { tools: {} },
+        serverInfo: { name: 'tempo-booker-stub', version: '1.0.0' }
+      });
+      break;
+    case 'ping':
+      reply(message.id, {});
+      break;
+    case 'tools/list':
+      reply(message.id, { tools });
+      break;
+    case 'tools/call': {
+      const result = callTool(message.params || {});
+      if (result) {
+        reply(message.id, result);
+      } else {
+        fail(message.id, -32602, `Unknown tool: ${message.params?.name}`);
+      }
+      break;
+    }
+    default:
+      fail(message.id, -32601, `Method not found: ${message.method}`);
+  }
+});
@@ -1,11 +1,14 @@
 const { exec } = require('child_process');
 const config = require('../utils/config');
 const fs = require('fs');
-const yaml = require('js-yaml');
+const { saveIssueMappings } = require('../utils/issueMappingWriter');
 
 class BrowserHelper {
-  constructor() {
-    this.jiraBaseUrl = config.yaml?.api?.jiraBaseUrl || 'https://witt-gruppe.atlassian.net';
+  /**
+   * Resolved on use, so mapping commands that never open JIRA work without it
+   */
+  get jiraBaseUrl() {
+    return config.requireJiraBaseUrl();
   }
 
   /**
@@ -90,30 +93,11 @@ class BrowserHelper {
         throw new Error(`Config file not found: ${configPath}`);
       }
       
-      // Read current config
-      const configContent = fs.readFileSync(configPath, 'utf8');
-      const configData = yaml.load(configContent);
-      
-      // Initialize issueMapping if it doesn't exist
-      if (!configData.issueMapping) {
-        configData.issueMapping = {};
-      }
-      
-      // Add the new mapping
-      configData.issueMapping[issueKey] = {
-        id: String(issueId),
-        summary: summary
-      };
-      
-      // Write back to config
-      const newConfigContent = yaml.dump(configData, {
-        indent: 2,
-        quotingType: '"',
-        forceQuotes: false
+      // Write only the issueMapping entry; comments elsewhere are kept
+      saveIssueMappings(configPath, {
+        [issueKey]: { id: issueId, summary }
       });
       
-      fs.writeFileSync(configPath, newConfigContent, 'utf8');
-      
       console.log(`✅ Added mapping to ${configPath}:`);
       console.log(`   ${issueKey}:`);
       console.log(`     id: "${issueId}"`);
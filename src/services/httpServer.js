@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const config = require('../utils/config');
+const Logger = require('../utils/logger');
+const { parseWeekRange } = require('../utils/dateInput');
+const { version } = require('../../package.json');
+
+// The API books time as you; it is never reachable from other machines
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+const DASHBOARD_DIR = path.join(__dirname, '..', 'dashboard');
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Local REST API of `tempo-booker serve` on top of the controllers, for
+ * browser extensions, Stream Deck buttons, scripts and webhooks. Every
+ * route but /health needs the token, as `Authorization: Bearer <token>`,
+ * an `X-Tempo-Booker-Token` header or a `?token=` query parameter (for
+ * webhook senders that cannot set headers).
+ *
+ * /dashboard serves the static week review page (src/dashboard) without
+ * a token; the page itself calls the API with the token it is opened with.
+ */
+class HttpServer {
+  constructor({ token, host = '127.0.0.1', port = 3000, logger = null } = {}) {
+    if (!token) {
+      throw new Error('The HTTP API needs a token');
+    }
+    if (!LOOPBACK_HOSTS.includes(host)) {
+      throw new Error(`server.host must be one of ${LOOPBACK_HOSTS.join(', ')}, got ${host}`);
+    }
+    this.token = token;
+    this.host = host;
+    this.port = port;
+    this.logger = logger || new Logger(config);
+    this.queue = Promise.resolve(); // Writes run one at a time
+  }
+
+  /**
+   * server.token from config.yaml (or TEMPO_BOOKER_SERVER_TOKEN), else the
+   * token in files.serverTokenFile, generated on first use:
+   * { token, source, generated }
+   */
+  static loadToken(settings = config.serverSettings, tokenFile = config.serverTokenFile) {
+    if (settings.token) {
+      return { token: settings.token, source: 'config', generated: false };
+    }
+    if (fs.existsSync(tokenFile)) {
+      const stored = fs.readFileSync(tokenFile, 'utf8').trim();
+      if (stored) return { token: stored, source: tokenFile, generated: false };
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+    fs.writeFileSync(tokenFile, token + '\n', { encoding: 'utf8', mode: 0o600 });
+    return { token, source: tokenFile, generated: true };
+  }
+
+  authorized(request) {
+    const header = request.get('authorization') || '';
+    const supplied = (header.startsWith('Bearer ') ? header.slice(7) : null) ||
+      request.get('x-tempo-booker-token') ||
+      request.query.token ||
+      '';
+    const expected = Buffer.from(this.token);
+    const given = Buffer.from(String(supplied));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Run a write after the previous one finished, so an import and a quick
+   * log never race for the same time slot
+   */
+  exclusive(work) {
+    const run = this.queue.then(work);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  createApp() {
+    const app = express();
+    const route = handler => (request, response, next) =>
+      Promise.resolve(handler(request, response)).catch(next);
+
+    app.disable('x-powered-by');
+    app.use(express.json({ limit: '2mb' }));
+    app.use((request, response, next) => {
+      const started = Date.now();
+      response.on('finish', () => {
+        this.logger.info(`🌐 ${request.method} ${request.path} ${response.statusCode} (${Date.now() - started}ms)`);
+      });
+      next();
+    });
+
+    app.get('/health', (request, response) => {
+      response.json({ ok: true, version });
+    });
+
+    // The page holds no data; everything it shows comes from the API
+    app.use('/dashboard', (request, response, next) => {
+      response.set('Content-Security-Policy', "default-src 'self'; frame-ancestors 'none'");
+      next();
+    }, express.static(DASHBOARD_DIR), (request, response, next) => {
+      next(new HttpError(404, `No dashboard file ${request.path}`));
+    });
+
+    app.use((request, response, next) => {
+      if (!this.authorized(request)) {
+        next(new HttpError(401, 'Missing or wrong token'));
+        return;
+      }
+      next();
+    });
+
+    app.get('/worklogs', route(async (request, response) => {
+      const timeTrackingController = require('../controllers/timeTrackingController');
+      const { dateFrom, dateTo } = HttpServer.parse(() => parseWeekRange(request.query.from, request.query.to));
+      response.json(await timeTrackingController.listWorklogSummaries(dateFrom, dateTo));
+    }));
+
+    app.post('/worklogs', route(async (request, response) => {
+      const timeTrackingController = require('../controllers/timeTrackingController');
+      const logRequest = HttpServer.parse(() => timeTrackingController.parseLogRequest(request.body || {}));
+      const worklog = await this.exclusive(() => timeTrackingController.logTimeAt(logRequest));
+
+      // Queued in the outbox while Tempo is unreachable
+      response.status(worklog?.outboxSeq ? 202 : 201).json({ worklog });
+    }));
+
+    app.get('/timetable', route(async (request, response) => {
+      const timeTrackingController = require('../controllers/timeTrackingController');
+      const { dateFrom, dateTo } = HttpServer.parse(() => parseWeekRange(request.query.from, request.query.to));
+      const table = await timeTrackingController.displayTimeTable(dateFrom, dateTo);
+      response.json(table || HttpServer.emptyTimeTable(dateFrom, dateTo));
+    }));
+
+    app.post('/import', route(async (request, response) => {
+      const timeTrackingController = require('../controllers/timeTrackingController');
+      const body = request.body || {};
+      if (!body.csv === !body.file) {
+        throw new HttpError(400, 'Send either csv or file');
+      }
+      response.json(await this.exclusive(() =>
+        this.runImport(request, () => timeTrackingController.readImportInput(body))));
+    }));
+
+    // "Submit week" of the dashboard: the edited worklogs of from..to go
+    // through the same add/update/replace/delete diff as an import
+    app.post('/week', route(async (request, response) => {
+      const timeTrackingController = require('../controllers/timeTrackingController');
+      response.json(await this.exclusive(() =>
+        this.runImport(request, () => timeTrackingController.readWeekEntries(request.body || {}))));
+    }));
+
+    app.get('/timer', route((request, response) => {
+      const timerController = require('../controllers/timerController');
+      response.json({ timer: timerController.status() });
+    }));
+
+    app.post('/timer/:action', route(async (request, response) => {
+      const timerController = require('../controllers/timerController');
+      const body = request.body || {};
+      const result = await this.exclusive(async () => {
+        switch (request.params.action) {
+          case 'start':
+            if (!body.issueKey) throw new HttpError(400, 'issueKey is required');
+            return timerController.start(String(body.issueKey).toUpperCase(), body.description || '');
+          case 'stop':
+            return timerController.stop({ discard: body.discard === true });
+          case 'pause':
+            return timerController.pause();
+          case 'resume':
+            return timerController.resume();
+          default:
+            throw new HttpError(404, `Unknown timer action: ${request.params.action}`);
+        }
+      });
+      response.json(result);
+    }));
+
+    app.use((request, response, next) => {
+      next(new HttpError(404, `No route for ${request.method} ${request.path}`));
+    });
+
+    // Express recognizes error handlers by their four parameters
+    app.use((error, request, response, next) => {
+      response.status(HttpServer.statusOf(error)).json({ error: error.message });
+    });
+
+    return app;
+  }
+
+  /**
+   * Import or, with dryRun, plan an import of the entries readInput()
+   * returns as { entries, source, dateFilter }
+   */
+  async runImport(request, readInput) {
+    const timeTrackingController = require('../controllers/timeTrackingController');
+    const body = request.body || {};
+    const dryRun = body.dryRun === true || request.query.dryRun === 'true';
+
+    const { entries, source, dateFilter } = HttpServer.parse(readInput);
+    if (dryRun) {
+      return timeTrackingController.planImportEntries(entries, { source, dateFilter });
+    }
+    if (entries.length === 0) {
+      return { source, dateFilter, created: [] };
+    }
+    return { source, dateFilter, ...(await timeTrackingController.importEntries(entries, { source })) };
+  }
+
+  /**
+   * /timetable of a period without worklogs, in generateTimeTable() form
+   */
+  static emptyTimeTable(dateFrom, dateTo) {
+    const timeTrackingController = require('../controllers/timeTrackingController');
+    const dates = timeTrackingController.getDateRange(dateFrom, dateTo);
+    const dailyTotals = Object.fromEntries(dates.map(date => [date, 0]));
+    return {
+      from: dateFrom,
+      to: dateTo,
+      dates,
+      issues: [],
+      dailyTotals,
+      totalHours: 0,
+      daysOff: timeTrackingController.getDaysOff(dates)
+    };
+  }
+
+  /**
+   * Run a parser of request input; what it rejects is a 400
+   */
+  static parse(parser) {
+    try {
+      return parser();
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+
+  /**
+   * HttpErrors keep their status, failures of Tempo itself are 502, and
+   * everything else the controllers refuse is 422
+   */
+  static statusOf(error) {
+    if (error instanceof HttpError) return error.status;
+    if (error.expose && error.statusCode) return error.statusCode; // body parser
+    if (error.isNetworkError || error.status >= 500) return 502;
+    return 422;
+  }
+
+  listen() {
+    const app = this.createApp();
+    return new Promise((resolve, reject) => {
+      const server = app.listen(this.port, this.host, () => resolve(server));
+      server.on('error', reject);
+    });
+  }
+}
+
+module.exports = { HttpServer, HttpError };
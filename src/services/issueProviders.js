@@ -0,0 +1,200 @@
+const moment = require('moment');
+const config = require('../utils/config');
+
+const ISSUE_KEY = /^[A-Z][A-Z0-9_]*-\d+$/;
+
+// Jira's search returns at most 50 issues per call (see JiraApiService)
+const JQL_BATCH_SIZE = 50;
+
+/**
+ * Built-in providers of the issue resolver chain (see issueResolver.js).
+ *
+ * A provider is { name, description, cacheable, learn, unavailable(),
+ * resolve(issueKeys, context) }. resolve() answers a batch of keys with
+ * { KEY: { id, summary, detail } } and leaves out the keys it does not know;
+ * unavailable() returns the reason a provider cannot run, or null.
+ * cacheable results go to the shared issue cache, learn results are also
+ * written to issueMapping in config.yaml.
+ */
+
+const staticProvider = {
+  name: 'static',
+  description: 'issueMapping in config.yaml',
+  cacheable: false,
+  learn: false,
+  unavailable: () => null,
+  async resolve(issueKeys) {
+    const knownIssues = config.issueMapping || {};
+    const found = {};
+    for (const issueKey of issueKeys) {
+      const issueInfo = knownIssues[issueKey];
+      if (issueInfo && issueInfo.id) {
+        found[issueKey] = {
+          id: parseInt(issueInfo.id),
+          summary: issueInfo.summary,
+          detail: 'issueMapping entry'
+        };
+      }
+    }
+    return found;
+  }
+};
+
+const cacheProvider = {
+  name: 'cache',
+  description: 'resolutions of earlier runs (files.issueCacheFile)',
+  cacheable: false,
+  learn: false,
+  unavailable: () => null,
+  async resolve(issueKeys, { cache }) {
+    const found = {};
+    for (const issueKey of issueKeys) {
+      const entry = cache.get(issueKey);
+      if (entry) {
+        found[issueKey] = {
+          id: entry.id,
+          summary: entry.summary,
+          detail: `cached from ${entry.provider} at ${entry.resolvedAt}`
+        };
+      }
+    }
+    return found;
+  }
+};
+
+const jiraProvider = {
+  name: 'jira',
+  description: 'Jira REST API (api.jiraEmail / api.jiraToken)',
+  cacheable: true,
+  learn: true,
+  unavailable: () => (config.hasJiraAuth ? null : 'no api.jiraEmail / api.jiraToken in config.yaml'),
+  async resolve(issueKeys, { silent }) {
+    const jiraApiService = require('./jiraApiService');
+    const keys = issueKeys.filter(issueKey => ISSUE_KEY.test(issueKey));
+    const issues = {};
+    const details = {};
+
+    for (let i = 0; i < keys.length; i += JQL_BATCH_SIZE) {
+      const batch = keys.slice(i, i + JQL_BATCH_SIZE);
+      if (batch.length === 1) continue; // cheaper as a single lookup below
+
+      if (!silent) console.log(`🌐 Looking up ${batch.length} issues in Jira...`);
+      try {
+        const response = await jiraApiService.searchIssues(
+          `key in (${batch.join(',')})`,
+          ['summary'],
+          true
+        );
+        for (const issue of response.issues || []) {
+          if (batch.includes(issue.key)) {
+            issues[issue.key] = issue;
+            details[issue.key] = `JQL search of ${batch.length} keys`;
+          }
+        }
+      } catch (error) {
+        // One unknown key fails the whole JQL query; the keys are retried one by one
+        if (!silent) console.log(`⚠️  Jira search failed, looking up issues one by one: ${error.message}`);
+      }
+    }
+
+    // Single keys, keys missing from the search (moved issues) and failed batches
+    for (const issueKey of keys.filter(key => !issues[key])) {
+      try {
+        issues[issueKey] = await jiraApiService.getIssue(issueKey, ['summary'], true);
+        details[issueKey] = issues[issueKey].key === issueKey
+          ? 'GET /issue'
+          : `GET /issue (moved to ${issues[issueKey].key})`;
+      } catch (error) {
+        if (!silent) console.log(`❌ ${issueKey} not found in Jira: ${error.message}`);
+      }
+    }
+
+    const found = {};
+    for (const [issueKey, issue] of Object.entries(issues)) {
+      found[issueKey] = {
+        id: parseInt(issue.id),
+        summary: issue.fields?.summary,
+        detail: details[issueKey]
+      };
+    }
+    return found;
+  }
+};
+
+const mcpProvider = {
+  name: 'mcp',
+  description: 'Atlassian MCP server (mcp.command, issueResolution.useMCP)',
+  cacheable: true,
+  learn: true,
+  unavailable: () => (config.mcpServerSettings.command ? null : 'no mcp.command in config.yaml'),
+  async resolve(issueKeys, { silent }) {
+    const MCPJiraService = require('./mcpJiraService');
+    const mcpService = new MCPJiraService();
+    const found = {};
+
+    // One server process answers the whole batch. A failing MCP call fails
+    // the provider, so an unreachable server is not retried for every key
+    try {
+      for (const issueKey of issueKeys.filter(key => ISSUE_KEY.test(key))) {
+        const issue = await mcpService.queryJiraViaMCP(issueKey, silent);
+        if (issue) {
+          const { getIssue } = await mcpService.discoverJiraTools();
+          found[issueKey] = { id: issue.id, summary: issue.summary, detail: `MCP tool ${getIssue.name}` };
+        }
+      }
+    } finally {
+      await mcpService.close();
+    }
+    return found;
+  }
+};
+
+const historyProvider = {
+  name: 'history',
+  description: 'your Tempo worklogs since the history horizon, booked on an id known for the key',
+  cacheable: true,
+  learn: false,
+  unavailable: () => (config.userAccountId ? null : 'no user.accountId in config.yaml'),
+  async resolve(issueKeys, { silent, cache }) {
+    const worklogCache = require('./worklogCache');
+    const worklogs = await worklogCache.getWorklogs({
+      from: config.historyCutoff,
+      to: moment().format('YYYY-MM-DD'),
+      author: config.userAccountId
+    }, true);
+
+    // Newest first, so a key that moved resolves to its current issue
+    const sorted = [...(worklogs.results || [])]
+      .filter(worklog => worklog.issue?.id)
+      .sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''));
+
+    const found = {};
+    for (const issueKey of issueKeys) {
+      // Tempo worklogs carry only the issue id: a key is confirmed by a
+      // worklog booked on an id issueMapping or an expired cache entry gives it
+      const known = [config.issueMapping?.[issueKey], cache?.data.issues[issueKey]]
+        .filter(issue => issue?.id);
+      const knownIds = known.map(issue => String(issue.id));
+      const worklog = sorted.find(worklog =>
+        worklog.issue.key === issueKey || knownIds.includes(String(worklog.issue.id)));
+
+      if (worklog) {
+        found[issueKey] = {
+          id: parseInt(worklog.issue.id),
+          summary: worklog.issue.summary || known.find(issue => issue.summary)?.summary || null,
+          detail: `worklog ${worklog.tempoWorklogId} on ${worklog.startDate}`
+        };
+      }
+    }
+    if (!silent) console.log(`🗂️  Searched ${sorted.length} worklogs for ${issueKeys.length} issue key(s)`);
+    return found;
+  }
+};
+
+module.exports = {
+  staticProvider,
+  cacheProvider,
+  jiraProvider,
+  mcpProvider,
+  historyProvider
+};
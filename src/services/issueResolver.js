@@ -1,124 +1,254 @@
 const config = require('../utils/config');
+const IssueCache = require('../utils/issueCache');
+const { saveIssueMappings } = require('../utils/issueMappingWriter');
+const providers = require('./issueProviders');
 
+/**
+ * Resolves Jira issue keys to the numeric ids Tempo needs through a chain of
+ * providers (see issueProviders.js), asked in the order of
+ * issueResolution.providers until every key is answered. Results of network
+ * providers are kept in a persistent cache with a TTL, which is itself a
+ * provider, so its place in the chain is configurable too.
+ */
 class IssueResolver {
   constructor() {
-    this.mcpService = null;
-    this.apiService = null;
-    this.cache = new Map(); // Simple in-memory cache for resolved issues
+    this.providers = new Map();
+    this.resolved = new Map(); // Answers of this run
+    this.issueCache = null;
+
+    for (const provider of Object.values(providers)) {
+      this.registerProvider(provider);
+    }
   }
 
   /**
-   * MCP service is deprecated - removed to avoid dependency
+   * Add a provider, or replace the one with the same name
    */
-  getMCPService() {
-    return null;
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.resolve !== 'function') {
+      throw new Error('An issue provider needs a name and a resolve() function');
+    }
+    this.providers.set(provider.name, {
+      cacheable: false,
+      learn: false,
+      unavailable: () => null,
+      ...provider
+    });
+  }
+
+  get cache() {
+    const { cacheTtlHours } = config.issueResolutionSettings;
+    if (!this.issueCache || this.issueCache.filePath !== config.issueCacheFile) {
+      this.issueCache = IssueCache.open(config.issueCacheFile, cacheTtlHours);
+    }
+    this.issueCache.ttlHours = cacheTtlHours;
+    return this.issueCache;
   }
 
   /**
-   * Get API service instance (lazy loading)
+   * The configured chain: [{ name, provider, skipped }], where skipped is
+   * the reason a provider will not be asked (or null)
    */
-  getAPIService() {
-    if (!this.apiService) {
-      this.apiService = require('./tempoApiService');
-    }
-    return this.apiService;
+  chain() {
+    const settings = config.issueResolutionSettings;
+    return settings.providers.map(name => {
+      const provider = this.providers.get(name);
+      if (!provider) {
+        return {
+          name,
+          provider: null,
+          skipped: `unknown provider (available: ${[...this.providers.keys()].join(', ')})`
+        };
+      }
+      return {
+        name,
+        provider,
+        skipped: settings.disabled[name] || provider.unavailable() || null
+      };
+    });
   }
 
   /**
-   * Enhanced issue resolution with multiple fallback methods
+   * Resolve one key: { id, key, summary, method } or null
    */
   async resolveIssue(issueKey, silent = false) {
     if (!issueKey) {
       throw new Error('Issue key is required');
     }
 
-    // Check cache first
-    if (this.cache.has(issueKey)) {
-      if (!silent) console.log(`💾 Cache: Using cached resolution for ${issueKey}`);
-      return this.cache.get(issueKey);
+    if (this.resolved.has(issueKey)) {
+      if (!silent) console.log(`💾 Using cached resolution for ${issueKey}`);
+      return this.resolved.get(issueKey);
     }
 
-    const resolverConfig = config.yaml?.issueResolution || {
-      useConfigMappings: true,
-      useManualMappingHelper: true,
-      autoSuggestMappings: true
-    };
-
-    if (!silent) console.log(`🔍 Resolving issue: ${issueKey} (Config: ${resolverConfig.useConfigMappings}, ManualHelper: ${resolverConfig.useManualMappingHelper})`);
+    if (!silent) console.log(`🔍 Resolving issue: ${issueKey}`);
+    const { results } = await this.run([issueKey], silent);
+    const result = results[issueKey] || null;
 
-    // Method 1: Config mappings (fastest and most reliable)
-    if (resolverConfig.useConfigMappings) {
-      const configResult = this.resolveFromConfig(issueKey, silent);
-      if (configResult) {
-        this.cache.set(issueKey, configResult);
-        return configResult;
+    if (!silent) {
+      if (result) {
+        console.log(`✅ Resolved via ${result.method}: ${issueKey} -> ID ${result.id}`);
+      } else {
+        console.log(`❌ Unknown issue: ${issueKey}`);
+        console.log(`💡 Add mapping for ${issueKey} to config.yaml under issueMapping section:`);
+        console.log(`   "${issueKey}":`);
+        console.log(`     id: "your_issue_id_here"`);
+        console.log(`     summary: "Issue description"`);
       }
     }
+    return result;
+  }
+
+  /**
+   * Resolve many keys at once, e.g. all distinct keys of an import file.
+   * Returns { KEY: result } for the keys that could be resolved.
+   */
+  async resolveIssues(issueKeys, silent = false) {
+    const results = {};
+    const pending = [];
 
-    // Method 2: Manual mapping helper (if enabled)
-    if (resolverConfig.useManualMappingHelper) {
-      if (!silent) {
-        console.log(`❌ Issue ${issueKey} not found in config mappings`);
-        console.log(`🌐 Use manual helper to get mapping information:`);
-        console.log(`   Run: npm start manual-mapping ${issueKey}`);
-        console.log(`   Or: node src/index.js manual-mapping ${issueKey}`);
+    for (const issueKey of new Set(issueKeys.filter(Boolean))) {
+      if (this.resolved.has(issueKey)) {
+        results[issueKey] = this.resolved.get(issueKey);
+      } else {
+        pending.push(issueKey);
       }
-      return null;
     }
 
-    if (!silent) console.log(`❌ Could not resolve ${issueKey} using any available method`);
-    return null;
+    if (pending.length > 0) {
+      Object.assign(results, (await this.run(pending, silent)).results);
+    }
+    return results;
   }
 
   /**
-   * Resolve from config mappings
+   * Resolve a key without the answers of this run and report every step:
+   * { result, steps: [{ provider, status: hit|miss|skipped|error, detail, ms }] }
+   * Read-only: neither the issue cache nor issueMapping is changed.
    */
-  resolveFromConfig(issueKey, silent = false) {
-    const knownIssues = config.issueMapping || {};
-    
-    if (knownIssues[issueKey]) {
-      const issueInfo = knownIssues[issueKey];
-      if (!silent) console.log(`✅ Config: ${issueKey} -> ID ${issueInfo.id}`);
-      return {
-        id: parseInt(issueInfo.id),
-        key: issueKey,
-        summary: issueInfo.summary,
-        method: 'config'
-      };
+  async explain(issueKey) {
+    const { results, trace } = await this.run([issueKey], true, { readOnly: true });
+    return { result: results[issueKey] || null, steps: trace[issueKey] };
+  }
+
+  /**
+   * Ask the providers in chain order until all keys are answered. With
+   * options.readOnly the answers are only returned, not cached or learned.
+   */
+  async run(issueKeys, silent = false, { readOnly = false } = {}) {
+    const cache = this.cache;
+    const results = {};
+    const trace = Object.fromEntries(issueKeys.map(issueKey => [issueKey, []]));
+    const learned = {};
+    let cacheChanged = false;
+    let pending = [...issueKeys];
+
+    for (const { name, provider, skipped } of this.chain()) {
+      if (pending.length === 0) break;
+
+      if (skipped) {
+        pending.forEach(issueKey => trace[issueKey].push({ provider: name, status: 'skipped', detail: skipped }));
+        continue;
+      }
+
+      const started = Date.now();
+      let found;
+      try {
+        found = await provider.resolve(pending, { silent, cache });
+      } catch (error) {
+        const ms = Date.now() - started;
+        if (!silent) console.log(`⚠️  Issue provider ${name} failed: ${error.message}`);
+        pending.forEach(issueKey => trace[issueKey].push({ provider: name, status: 'error', detail: error.message, ms }));
+        continue;
+      }
+      const ms = Date.now() - started;
+
+      for (const issueKey of pending) {
+        const answer = found[issueKey];
+        if (!answer || !answer.id) {
+          trace[issueKey].push({ provider: name, status: 'miss', detail: null, ms });
+          continue;
+        }
+
+        trace[issueKey].push({ provider: name, status: 'hit', detail: answer.detail || null, ms });
+        results[issueKey] = {
+          id: parseInt(answer.id),
+          key: issueKey,
+          summary: answer.summary || null,
+          method: name
+        };
+        if (readOnly) continue;
+        if (provider.cacheable) {
+          cache.set(issueKey, results[issueKey], name);
+          cacheChanged = true;
+        }
+        if (provider.learn) {
+          learned[issueKey] = results[issueKey];
+        }
+      }
+      pending = pending.filter(issueKey => !results[issueKey]);
+    }
+
+    if (readOnly) {
+      return { results, trace };
+    }
+    for (const [issueKey, result] of Object.entries(results)) {
+      this.resolved.set(issueKey, result);
+    }
+    if (cacheChanged) {
+      try {
+        cache.save();
+      } catch (error) {
+        console.log(`⚠️  Could not save the issue cache: ${error.message}`);
+      }
     }
-    
-    return null;
+    this.learnMappings(learned, silent);
+
+    return { results, trace };
   }
 
   /**
-   * Open browser helper for manual issue mapping
+   * Write resolutions into issueMapping of config.yaml, so later runs
+   * resolve them offline. Disabled with issueResolution.learnMappings: false.
    */
-  openManualMappingHelper(issueKey, silent = false) {
-    const jiraBaseUrl = config.yaml?.api?.jiraBaseUrl || 'https://witt-gruppe.atlassian.net';
-    const urls = {
-      issue: `${jiraBaseUrl}/rest/api/3/issue/${issueKey}`,
-      browse: `${jiraBaseUrl}/browse/${issueKey}`,
-      search: `${jiraBaseUrl}/rest/api/3/search?jql=key="${issueKey}"&fields=id,key,summary`
-    };
+  learnMappings(results, silent = false) {
+    if (Object.keys(results).length === 0) return;
+    if (!config.issueResolutionSettings.learnMappings) return;
 
-    if (!silent) {
-      console.log(`🌐 Opening JIRA API endpoints for ${issueKey}:`);
-      console.log(`   Issue API: ${urls.issue}`);
-      console.log(`   Browse: ${urls.browse}`);
-      console.log(`   Search API: ${urls.search}`);
+    const mappings = {};
+    for (const [issueKey, result] of Object.entries(results)) {
+      mappings[issueKey] = { id: result.id, summary: result.summary };
+    }
+
+    try {
+      const configPath = config.getConfigPath();
+      saveIssueMappings(configPath, mappings);
+      config.reload();
+      if (!silent) console.log(`💾 Saved ${Object.keys(mappings).length} issue mapping(s) to ${configPath}`);
+    } catch (error) {
+      // The ids are still cached for this run
+      console.log(`⚠️  Could not save issue mappings: ${error.message}`);
     }
+  }
 
-    return urls;
+  /**
+   * Get all available issue mappings
+   */
+  getAvailableIssues() {
+    const knownIssues = config.issueMapping || {};
+    return Object.keys(knownIssues).map(key => ({
+      key,
+      id: knownIssues[key].id,
+      summary: knownIssues[key].summary
+    }));
   }
 
   /**
-   * Suggest adding successful API resolution to config
+   * Check if an issue exists in mappings
    */
-  suggestConfigMapping(issueKey, issueDetails) {
-    console.log(`💡 Suggestion: Add ${issueKey} to config.yaml for faster future resolution:`);
-    console.log(`   ${issueKey}:`);
-    console.log(`     id: "${issueDetails.id}"`);
-    console.log(`     summary: "${issueDetails.summary}"`);
+  hasIssue(issueKey) {
+    const knownIssues = config.issueMapping || {};
+    return !!knownIssues[issueKey];
   }
 
   /**
@@ -126,18 +256,22 @@ class IssueResolver {
    */
   getStats() {
     return {
-      cacheSize: this.cache.size,
+      resolved: this.resolved.size,
+      cached: this.cache.size,
       configMappings: Object.keys(config.issueMapping || {}).length,
-      manualHelperAvailable: true
+      chain: this.chain().map(({ name, skipped }) => ({ name, skipped }))
     };
   }
 
   /**
-   * Clear cache
+   * Forget the answers of this run; with persistent also the issue cache file
    */
-  clearCache() {
-    this.cache.clear();
+  clearCache(persistent = false) {
+    this.resolved.clear();
+    if (persistent) {
+      this.cache.clear();
+    }
   }
 }
 
-module.exports = new IssueResolver();
\ No newline at end of file
+module.exports = new IssueResolver();
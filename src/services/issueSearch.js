@@ -0,0 +1,173 @@
+const moment = require('moment');
+const config = require('../utils/config');
+const { rankIssues } = require('../utils/fuzzyMatch');
+
+const ISSUE_KEY = /^[A-Z][A-Z0-9_]*-\d+$/;
+
+/**
+ * Issue candidates for the interactive picker: issueMapping entries, the
+ * issues of your recent worklogs (ranked by how often and how lately you
+ * booked them) and, with Jira credentials, a live JQL search.
+ */
+class IssueSearch {
+  constructor() {
+    this.recent = null; // Recent issues are read once per run
+  }
+
+  /**
+   * Ranked candidates for a query (empty: most used first)
+   */
+  async search(query = '', silent = true) {
+    const { limit } = config.issuePickerSettings;
+    const candidates = new Map();
+    const add = (candidate, source) => {
+      const existing = candidates.get(candidate.key) || {
+        key: candidate.key,
+        summary: null,
+        sources: [],
+        count: 0,
+        lastUsed: null
+      };
+      existing.summary = existing.summary || candidate.summary || null;
+      existing.count += candidate.count || 0;
+      if (candidate.lastUsed && (!existing.lastUsed || candidate.lastUsed > existing.lastUsed)) {
+        existing.lastUsed = candidate.lastUsed;
+      }
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+      candidates.set(candidate.key, existing);
+    };
+
+    for (const [key, issue] of Object.entries(config.issueMapping || {})) {
+      add({ key, summary: issue?.summary }, 'mapping');
+    }
+    for (const candidate of await this.recentIssues(silent)) {
+      add(candidate, 'history');
+    }
+    for (const candidate of await this.searchJira(query, silent)) {
+      add(candidate, 'jira');
+    }
+
+    return rankIssues([...candidates.values()], query, { limit });
+  }
+
+  /**
+   * Issues of your worklogs in the last issuePicker.historyDays days:
+   * [{ key, summary, count, lastUsed }]. Tempo only returns issue ids, so
+   * keys come from issueMapping, the issue cache or Jira.
+   */
+  async recentIssues(silent = true) {
+    if (this.recent) return this.recent;
+    if (!config.userAccountId) return (this.recent = []);
+
+    const { historyDays } = config.issuePickerSettings;
+    let worklogs = [];
+    try {
+      const worklogCache = require('./worklogCache');
+      const response = await worklogCache.getWorklogs({
+        from: moment().subtract(historyDays, 'days').format('YYYY-MM-DD'),
+        to: moment().format('YYYY-MM-DD'),
+        author: config.userAccountId
+      }, true);
+      worklogs = response.results || [];
+    } catch (error) {
+      // The picker still works with mappings and the Jira search
+      if (!silent) console.log(`⚠️  Could not read recent worklogs: ${error.message}`);
+    }
+
+    const byId = new Map();
+    for (const worklog of worklogs) {
+      const id = worklog.issue?.id;
+      if (!id) continue;
+      const usage = byId.get(String(id)) || { key: worklog.issue.key || null, count: 0, lastUsed: null };
+      usage.count++;
+      if (!usage.lastUsed || worklog.startDate > usage.lastUsed) usage.lastUsed = worklog.startDate;
+      byId.set(String(id), usage);
+    }
+
+    const known = this.knownIssuesById();
+    const unknownIds = [];
+    for (const [id, usage] of byId) {
+      if (!usage.key && known.has(id)) {
+        Object.assign(usage, known.get(id));
+      }
+      if (!usage.key) unknownIds.push(id);
+    }
+    if (unknownIds.length > 0 && config.hasJiraAuth) {
+      const found = await this.jiraIssuesById(unknownIds, silent);
+      for (const [id, issue] of found) {
+        Object.assign(byId.get(id), issue);
+      }
+    }
+
+    this.recent = [...byId.values()].filter(usage => usage.key);
+    return this.recent;
+  }
+
+  /**
+   * id -> { key, summary } from issueMapping and the issue cache
+   */
+  knownIssuesById() {
+    const known = new Map();
+    try {
+      const issueResolver = require('./issueResolver');
+      for (const [key, entry] of Object.entries(issueResolver.cache.data.issues)) {
+        known.set(String(entry.id), { key, summary: entry.summary });
+      }
+    } catch (error) {
+      // An unreadable issue cache only means fewer names
+    }
+    for (const [key, issue] of Object.entries(config.issueMapping || {})) {
+      if (issue?.id) known.set(String(issue.id), { key, summary: issue.summary });
+    }
+    return known;
+  }
+
+  async jiraIssuesById(ids, silent = true) {
+    const jiraApiService = require('./jiraApiService');
+    const found = new Map();
+    // Jira's search returns at most 50 issues per call
+    for (let i = 0; i < ids.length; i += 50) {
+      const batch = ids.slice(i, i + 50);
+      try {
+        const response = await jiraApiService.searchIssues(`id in (${batch.join(',')})`, ['summary'], true);
+        for (const issue of response.issues || []) {
+          found.set(String(issue.id), { key: issue.key, summary: issue.fields?.summary });
+        }
+      } catch (error) {
+        if (!silent) console.log(`⚠️  Jira lookup of recent issues failed: ${error.message}`);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Live Jira search: an issue key is fetched directly, words are matched
+   * against summaries of recently updated issues
+   */
+  async searchJira(query, silent = true) {
+    const text = String(query || '').trim();
+    if (!text || !config.hasJiraAuth) return [];
+
+    const jiraApiService = require('./jiraApiService');
+    try {
+      if (ISSUE_KEY.test(text.toUpperCase())) {
+        const issue = await jiraApiService.getIssue(text.toUpperCase(), ['summary'], true);
+        return [{ key: issue.key, summary: issue.fields?.summary }];
+      }
+
+      const words = text.replace(/["\\]/g, ' ').trim();
+      if (!words) return [];
+      const response = await jiraApiService.searchIssues(
+        `summary ~ "${words}*" ORDER BY updated DESC`,
+        ['summary'],
+        true
+      );
+      return (response.issues || []).map(issue => ({ key: issue.key, summary: issue.fields?.summary }));
+    } catch (error) {
+      if (!silent) console.log(`⚠️  Jira search failed: ${error.message}`);
+      return [];
+    }
+  }
+}
+
+module.exports = new IssueSearch();
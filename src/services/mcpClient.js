@@ -0,0 +1,258 @@
+const { spawn } = require('child_process');
+const { version } = require('../../package.json');
+
+// Newest first; the server picks one of these in its initialize answer
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Only the end of a chatty server's stderr is kept for error messages
+const STDERR_LIMIT = 4096;
+
+class McpError extends Error {
+  constructor(message, code = null, data = null) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Minimal Model Context Protocol client over stdio: spawns the server
+ * command (without a shell, so nothing in a tool argument is ever
+ * interpreted) and speaks newline-delimited JSON-RPC 2.0 with it.
+ *
+ * Usage: start() runs the initialize handshake, listTools() and
+ * callTool() talk to the server, close() ends it.
+ */
+class McpClient {
+  constructor({ command, args = [], env = {}, cwd, timeoutMs = 15000 } = {}) {
+    if (!command) {
+      throw new McpError('An MCP server command is required');
+    }
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+    this.timeoutMs = timeoutMs;
+
+    this.child = null;
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, timer, method }
+    this.buffer = '';
+    this.stderr = '';
+    this.serverInfo = null;
+    this.serverCapabilities = {};
+    this.protocolVersion = null;
+  }
+
+  get running() {
+    return !!this.child && this.child.exitCode === null && !this.child.killed;
+  }
+
+  /**
+   * Spawn the server and run the initialize handshake
+   */
+  async start() {
+    if (this.child) return this;
+
+    this.child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+
+    this.child.stdout.setEncoding('utf8');
+    this.child.stdout.on('data', chunk => this.receive(chunk));
+    this.child.stderr.setEncoding('utf8');
+    this.child.stderr.on('data', chunk => {
+      this.stderr = (this.stderr + chunk).slice(-STDERR_LIMIT);
+    });
+    // A server that exits early must not crash us with EPIPE
+    this.child.stdin.on('error', () => {});
+    this.child.on('error', error => this.failAll(new McpError(`Could not start MCP server "${this.command}": ${error.message}`)));
+    this.child.on('exit', (code, signal) => {
+      const reason = signal ? `signal ${signal}` : `code ${code}`;
+      const output = this.stderr.trim() ? `: ${this.stderr.trim().split('\n').pop()}` : '';
+      this.failAll(new McpError(`MCP server exited with ${reason}${output}`));
+    });
+
+    let result;
+    try {
+      result = await this.request('initialize', {
+        protocolVersion: PROTOCOL_VERSIONS[0],
+        capabilities: {},
+        clientInfo: { name: 'tempo-booker', version }
+      });
+    } catch (error) {
+      // Do not leave a hung server behind
+      await this.close();
+      throw error;
+    }
+
+    if (!PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+      await this.close();
+      throw new McpError(`Unsupported MCP protocol version ${result.protocolVersion} (supported: ${PROTOCOL_VERSIONS.join(', ')})`);
+    }
+    this.protocolVersion = result.protocolVersion;
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+
+    this.notify('notifications/initialized');
+    return this;
+  }
+
+  /**
+   * All tools of the server: [{ name, description, inputSchema }]
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Call a tool; a tool that reports isError is thrown as McpError
+   */
+  async callTool(name, args = {}) {
+    const result = await this.request('tools/call', { name, arguments: args });
+    if (result.isError) {
+      throw new McpError(`MCP tool ${name} failed: ${McpClient.textOf(result) || 'no details'}`, McpClient.TOOL_ERROR);
+    }
+    return result;
+  }
+
+  /**
+   * The text content blocks of a tool result, joined
+   */
+  static textOf(result) {
+    return (result?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  request(method, params) {
+    if (!this.running) {
+      return Promise.reject(new McpError(`MCP server is not running (${method})`));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new McpError(`MCP ${method} timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, reject, timer, method });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    if (this.running) {
+      this.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+    }
+  }
+
+  send(message) {
+    this.child.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Split stdout into messages; anything that is not JSON (log lines of
+   * badly behaved servers) is skipped
+   */
+  receive(chunk) {
+    this.buffer += chunk;
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      this.dispatch(message);
+    }
+  }
+
+  dispatch(message) {
+    // A request from the server: answer ping, refuse everything else
+    if (message.method && message.id !== undefined) {
+      if (message.method === 'ping') {
+        this.send({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        this.send({
+          jsonrpc: '2.0',
+          id: message.id,
+          error: { code: -32601, message: `Method not supported by client: ${message.method}` }
+        });
+      }
+      return;
+    }
+    // Notifications (logging, progress, list changes) are not used
+    if (message.method) return;
+
+    const waiting = this.pending.get(message.id);
+    if (!waiting) return;
+    this.pending.delete(message.id);
+    clearTimeout(waiting.timer);
+
+    if (message.error) {
+      waiting.reject(new McpError(
+        `MCP ${waiting.method} failed: ${message.error.message}`,
+        message.error.code,
+        message.error.data
+      ));
+    } else {
+      waiting.resolve(message.result || {});
+    }
+  }
+
+  failAll(error) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * End the server: close its stdin and kill it if it does not exit
+   */
+  async close() {
+    const child = this.child;
+    if (!child) return;
+    this.child = null;
+    this.failAll(new McpError('MCP client closed'));
+
+    if (!child.pid || child.exitCode !== null || child.signalCode !== null) return;
+    await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        resolve();
+      }, 2000);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.stdin.end();
+      child.kill('SIGTERM');
+    });
+  }
+}
+
+// Error code of a tool that ran and reported isError, as opposed to a
+// protocol or transport failure
+McpClient.TOOL_ERROR = 'tool_error';
+
+module.exports = { McpClient, McpError, PROTOCOL_VERSIONS };
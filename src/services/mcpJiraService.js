@@ -1,202 +1,156 @@
-const { execSync } = require('child_process');
-const axios = require('axios');
 const config = require('../utils/config');
+const { McpClient, McpError } = require('./mcpClient');
 
+const ISSUE_KEY = /^[A-Z][A-Z0-9_]*-\d+$/;
+
+// Get-issue tools of known Atlassian MCP servers, preferred in this order
+const GET_ISSUE_TOOLS = ['getJiraIssue', 'jira_get_issue', 'get_jira_issue', 'get_issue'];
+
+// Argument names those tools use for the issue key
+const ISSUE_KEY_ARGUMENTS = ['issueIdOrKey', 'issue_key', 'issueKey', 'issue_id_or_key', 'key', 'issue'];
+
+/**
+ * Transport for the "mcp" provider of the issue resolver chain
+ * (issueProviders.js); caching and fallbacks live in the chain.
+ *
+ * Spawns the server of the mcp section in config.yaml once per instance,
+ * discovers its Jira tools through tools/list and calls the get-issue
+ * tool for every key. Call close() when done.
+ */
 class MCPJiraService {
-  constructor() {
+  constructor(settings = config.mcpServerSettings) {
+    this.settings = settings;
     this.cloudId = config.atlassianCloudId;
-    this.cache = new Map(); // Cache resolved issues
+    this.client = null;
+    this.tools = null;
   }
 
-  async getIssueDetails(issueKey, silent = false) {
-    if (!silent) console.log(`🔍 MCP: Resolving issue: ${issueKey}`);
-    
-    // Check cache first
-    if (this.cache.has(issueKey)) {
-      if (!silent) console.log(`💾 MCP: Using cached resolution for ${issueKey}`);
-      return this.cache.get(issueKey);
+  async connect() {
+    if (!this.client) {
+      if (!this.settings.command) {
+        throw new McpError('No mcp.command in config.yaml');
+      }
+      this.client = new McpClient(this.settings);
+      await this.client.start();
     }
+    return this.client;
+  }
 
-    // Method 1: Use configurable issue mappings from config.yaml (fastest)
-    const knownIssues = config.issueMapping;
-    if (knownIssues[issueKey]) {
-      const issueInfo = knownIssues[issueKey];
-      if (!silent) console.log(`✅ MCP: Config mapping: ${issueKey} -> ID ${issueInfo.id}`);
-      const result = {
-        id: parseInt(issueInfo.id),
-        key: issueKey,
-        summary: issueInfo.summary
-      };
-      this.cache.set(issueKey, result);
-      return result;
-    }
+  /**
+   * All tools of the server, its Jira tools and the one used to read an
+   * issue: { tools, jira, getIssue }
+   */
+  async discoverJiraTools() {
+    if (!this.tools) {
+      const client = await this.connect();
+      const tools = await client.listTools();
+      const jira = tools.filter(tool => /jira/i.test(`${tool.name} ${tool.description || ''}`));
 
-    // Method 2: Try MCP-based JIRA API call
-    try {
-      const mcpResult = await this.queryJiraViaMCP(issueKey, silent);
-      if (mcpResult) {
-        this.cache.set(issueKey, mcpResult);
-        return mcpResult;
+      let getIssue = null;
+      if (this.settings.getIssueTool) {
+        getIssue = tools.find(tool => tool.name === this.settings.getIssueTool);
+        if (!getIssue) {
+          throw new McpError(`MCP server has no tool ${this.settings.getIssueTool} (mcp.getIssueTool)`);
+        }
+      } else {
+        getIssue = GET_ISSUE_TOOLS.map(name => tools.find(tool => tool.name === name)).find(Boolean) ||
+          jira.find(tool => /get.?(jira.?)?issue$/i.test(tool.name)) ||
+          null;
       }
-    } catch (mcpError) {
-      if (!silent) console.log(`⚠️ MCP: API call failed - ${mcpError.message}`);
+      this.tools = { tools, jira, getIssue };
     }
+    return this.tools;
+  }
 
-    // Method 3: Try direct JIRA REST API as fallback
-    try {
-      const jiraResult = await this.queryJiraDirectly(issueKey, silent);
-      if (jiraResult) {
-        this.cache.set(issueKey, jiraResult);
-        
-        // Suggest adding to config for future use
-        if (!silent) {
-          console.log(`💡 Suggestion: Add ${issueKey} to config.yaml for faster future resolution:`);
-          console.log(`   ${issueKey}:`);
-          console.log(`     id: "${jiraResult.id}"`);
-          console.log(`     summary: "${jiraResult.summary}"`);
-        }
-        
-        return jiraResult;
-      }
-    } catch (jiraError) {
-      if (!silent) console.log(`⚠️ MCP: Direct JIRA call failed - ${jiraError.message}`);
+  /**
+   * Arguments for the get-issue tool, named after its input schema
+   */
+  issueArguments(tool, issueKey) {
+    const properties = tool.inputSchema?.properties || {};
+    const required = tool.inputSchema?.required || [];
+    const keyArgument = ISSUE_KEY_ARGUMENTS.find(name => properties[name]) ||
+      required.find(name => properties[name]?.type === 'string' && name !== 'cloudId');
+    if (!keyArgument) {
+      throw new McpError(`Cannot tell which argument of MCP tool ${tool.name} takes the issue key (set mcp.getIssueTool)`);
     }
 
-    if (!silent) console.log(`❌ MCP: Could not resolve ${issueKey} using any method`);
-    if (!silent) console.log(`💡 Add mapping for ${issueKey} to config.yaml under issueMapping section`);
-    return null;
+    const args = { [keyArgument]: issueKey };
+    if (properties.cloudId) {
+      args.cloudId = this.cloudId;
+    }
+    return args;
   }
 
   /**
-   * Query JIRA through MCP (Model Context Protocol)
-   * This tries to use the Atlassian MCP if available
+   * Query JIRA through MCP (Model Context Protocol): { id, key, summary }
+   * or null when the server does not know the issue
    */
   async queryJiraViaMCP(issueKey, silent = false) {
-    try {
-      if (!silent) console.log(`🤖 MCP: Attempting MCP-based JIRA query for ${issueKey}...`);
-      
-      // Try to execute MCP command to get issue details
-      // This assumes the Atlassian MCP is properly configured and authenticated
-      const mcpCommand = `mcp call atlassian get_issue --issue-key "${issueKey}"`;
-      
-      try {
-        const result = execSync(mcpCommand, { 
-          encoding: 'utf8', 
-          timeout: 10000,
-          stdio: 'pipe'
-        });
-        
-        const issueData = JSON.parse(result);
-        if (issueData && issueData.id) {
-          if (!silent) console.log(`✅ MCP: Successfully resolved ${issueKey} via MCP -> ID ${issueData.id}`);
-          return {
-            id: parseInt(issueData.id),
-            key: issueData.key || issueKey,
-            summary: issueData.fields?.summary || issueData.summary || 'Retrieved via MCP'
-          };
-        }
-      } catch (mcpExecError) {
-        if (!silent) console.log(`⚠️ MCP: Command execution failed - ${mcpExecError.message}`);
-        throw mcpExecError;
-      }
-      
+    // Keys come from CSV files; only well-formed ones are sent anywhere
+    if (!ISSUE_KEY.test(issueKey)) {
+      if (!silent) console.log(`⚠️  MCP: Skipping malformed issue key ${JSON.stringify(issueKey)}`);
       return null;
-    } catch (error) {
-      if (!silent) console.log(`💥 MCP: Query failed for ${issueKey}: ${error.message}`);
-      throw error;
     }
-  }
 
-  /**
-   * Query JIRA directly using REST API as fallback
-   */
-  async queryJiraDirectly(issueKey, silent = false) {
+    if (!silent) console.log(`🤖 MCP: Looking up ${issueKey}...`);
+    const { getIssue } = await this.discoverJiraTools();
+    if (!getIssue) {
+      throw new McpError('MCP server offers no Jira get-issue tool (set mcp.getIssueTool)');
+    }
+
+    let result;
     try {
-      if (!silent) console.log(`🔗 MCP: Direct JIRA API fallback for ${issueKey}...`);
-      
-      const jiraBaseUrl = config.yaml?.api?.jiraBaseUrl || 'https://witt-gruppe.atlassian.net';
-      const token = await config.getTempoToken();
-      
-      if (!token) {
-        if (!silent) console.log(`⚠️ MCP: No authentication token available`);
+      result = await this.client.callTool(getIssue.name, this.issueArguments(getIssue, issueKey));
+    } catch (error) {
+      // The tool answered, the issue just does not exist (or is not visible)
+      if (error instanceof McpError && error.code === McpClient.TOOL_ERROR) {
+        if (!silent) console.log(`❌ MCP: ${error.message}`);
         return null;
       }
-      
-      const jiraClient = axios.create({
-        baseURL: jiraBaseUrl,
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      // Try JIRA REST API v3
-      try {
-        const response = await jiraClient.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: 'id,key,summary'
-          }
-        });
-        
-        if (response.data && response.data.id) {
-          if (!silent) console.log(`✅ MCP: Direct JIRA API successful - ${issueKey} -> ID ${response.data.id}`);
-          return {
-            id: parseInt(response.data.id),
-            key: response.data.key,
-            summary: response.data.fields?.summary || 'Retrieved via MCP JIRA API'
-          };
-        }
-      } catch (apiError) {
-        if (!silent) console.log(`⚠️ MCP: JIRA API call failed: ${apiError.response?.status} ${apiError.response?.statusText}`);
-        
-        // Try search as fallback
-        try {
-          const searchResponse = await jiraClient.get('/rest/api/3/search', {
-            params: {
-              jql: `key = "${issueKey}"`,
-              fields: 'id,key,summary',
-              maxResults: 1
-            }
-          });
-          
-          if (searchResponse.data?.issues && searchResponse.data.issues.length > 0) {
-            const issue = searchResponse.data.issues[0];
-            if (!silent) console.log(`✅ MCP: JIRA Search API successful - ${issueKey} -> ID ${issue.id}`);
-            return {
-              id: parseInt(issue.id),
-              key: issue.key,
-              summary: issue.fields?.summary || 'Retrieved via MCP JIRA Search'
-            };
-          }
-        } catch (searchError) {
-          if (!silent) console.log(`⚠️ MCP: JIRA search also failed: ${searchError.response?.status} ${searchError.response?.statusText}`);
-        }
-      }
-      
-      return null;
-    } catch (error) {
-      if (!silent) console.log(`💥 MCP: Direct JIRA query error: ${error.message}`);
       throw error;
     }
-  }
 
-  /**
-   * Clear the cache
-   */
-  clearCache() {
-    this.cache.clear();
+    const issue = MCPJiraService.parseIssue(result);
+    if (!issue) {
+      if (!silent) console.log(`⚠️  MCP: ${getIssue.name} returned no issue id for ${issueKey}`);
+      return null;
+    }
+    if (!silent) console.log(`✅ MCP: Resolved ${issueKey} -> ID ${issue.id}`);
+    return { ...issue, key: issue.key || issueKey };
   }
 
   /**
-   * Get cache statistics
+   * Read { id, key, summary } from a tool result: structured content or a
+   * JSON text block, the issue either at the top or under "issue"
    */
-  getCacheStats() {
+  static parseIssue(result) {
+    let data = result.structuredContent;
+    if (!data) {
+      try {
+        data = JSON.parse(McpClient.textOf(result));
+      } catch (error) {
+        return null;
+      }
+    }
+    const issue = data?.issue || data;
+    if (!issue || !issue.id || !/^\d+$/.test(String(issue.id))) {
+      return null;
+    }
     return {
-      size: this.cache.size,
-      keys: Array.from(this.cache.keys())
+      id: parseInt(issue.id),
+      key: issue.key || null,
+      summary: issue.fields?.summary || issue.summary || null
     };
   }
+
+  async close() {
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      this.tools = null;
+      await client.close();
+    }
+  }
 }
 
-module.exports = MCPJiraService;
\ No newline at end of file
+module.exports = MCPJiraService;
@@ -0,0 +1,211 @@
+const readline = require('readline');
+const util = require('util');
+const { version } = require('../../package.json');
+const { PROTOCOL_VERSIONS } = require('./mcpClient');
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+// Console output of the running tool call, or null between calls
+let capture = null;
+
+/**
+ * Model Context Protocol server over stdio: newline-delimited JSON-RPC 2.0
+ * on stdin/stdout. Tools are { name, description, inputSchema, annotations,
+ * destructive, run(args) }; run() returns data for the structured result,
+ * and everything it logs becomes the text of the result.
+ *
+ * Tools marked destructive only run with confirm: true, so an assistant has
+ * to ask before it deletes anything.
+ */
+class McpServer {
+  constructor({ name = 'tempo-booker', instructions = null } = {}) {
+    this.name = name;
+    this.instructions = instructions;
+    this.tools = new Map();
+    this.queue = Promise.resolve(); // Tool calls run one at a time
+  }
+
+  /**
+   * stdout belongs to the protocol: every console method writes to stderr,
+   * and during a tool call also into its result. Call before anything logs.
+   */
+  static redirectConsole() {
+    const toStderr = (...args) => {
+      const line = util.format(...args);
+      process.stderr.write(line + '\n');
+      if (capture) capture.push(line.replace(ANSI_PATTERN, ''));
+    };
+    console.log = toStderr;
+    console.info = toStderr;
+    console.debug = toStderr;
+    console.warn = toStderr;
+    console.error = toStderr;
+  }
+
+  registerTool(tool) {
+    if (!tool || !tool.name || typeof tool.run !== 'function') {
+      throw new Error('An MCP tool needs a name and a run() function');
+    }
+    const properties = { ...(tool.inputSchema?.properties || {}) };
+    if (tool.destructive) {
+      properties.confirm = {
+        type: 'boolean',
+        description: 'Must be true. Ask the user before setting it: this change cannot be undone.'
+      };
+    }
+    this.tools.set(tool.name, {
+      ...tool,
+      inputSchema: { type: 'object', ...tool.inputSchema, properties }
+    });
+  }
+
+  /**
+   * Serve until stdin closes
+   */
+  listen(input = process.stdin, output = process.stdout) {
+    this.output = output;
+    const lines = readline.createInterface({ input });
+    const pending = [];
+
+    lines.on('line', line => {
+      if (line.trim()) pending.push(this.receive(line));
+    });
+    return new Promise(resolve => {
+      lines.on('close', () => Promise.all(pending).then(() => resolve()));
+    });
+  }
+
+  async receive(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+
+    const response = await this.handle(message);
+    if (response) this.send(response);
+  }
+
+  send(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Answer one JSON-RPC message; null for notifications
+   */
+  async handle(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.method !== 'string') {
+      // Responses to requests we never send are ignored
+      if (message && (message.result !== undefined || message.error !== undefined)) return null;
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: -32600, message: 'Invalid request' } };
+    }
+    // Notifications (initialized, cancelled) need no answer
+    if (message.id === undefined) return null;
+
+    const respond = result => ({ jsonrpc: '2.0', id: message.id, result });
+    const fail = (code, text) => ({ jsonrpc: '2.0', id: message.id, error: { code, message: text } });
+
+    switch (message.method) {
+      case 'initialize': {
+        const requested = message.params?.protocolVersion;
+        return respond({
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: this.name, version },
+          ...(this.instructions ? { instructions: this.instructions } : {})
+        });
+      }
+      case 'ping':
+        return respond({});
+      case 'tools/list':
+        return respond({
+          tools: [...this.tools.values()].map(({ name, description, inputSchema, annotations }) => ({
+            name,
+            description,
+            inputSchema,
+            ...(annotations ? { annotations } : {})
+          }))
+        });
+      case 'tools/call': {
+        const tool = this.tools.get(message.params?.name);
+        if (!tool) {
+          return fail(-32602, `Unknown tool: ${message.params?.name}`);
+        }
+        const call = this.queue.then(() => this.callTool(tool, message.params.arguments || {}));
+        this.queue = call.catch(() => {});
+        return respond(await call);
+      }
+      default:
+        return fail(-32601, `Method not found: ${message.method}`);
+    }
+  }
+
+  async callTool(tool, args) {
+    const problem = McpServer.checkArguments(tool, args);
+    if (problem) {
+      return { isError: true, content: [{ type: 'text', text: problem }] };
+    }
+    if (tool.destructive && args.confirm !== true) {
+      return {
+        isError: true,
+        content: [{
+          type: 'text',
+          text: `${tool.name} cannot be undone. Confirm with the user, then call it again with confirm: true.`
+        }]
+      };
+    }
+
+    capture = [];
+    try {
+      const data = await tool.run(args);
+      const text = capture.join('\n').trim();
+      return {
+        content: [
+          ...(text ? [{ type: 'text', text }] : []),
+          ...(data !== undefined ? [{ type: 'text', text: JSON.stringify(data, null, 2) }] : [])
+        ],
+        ...(data && typeof data === 'object' && !Array.isArray(data) ? { structuredContent: data } : {})
+      };
+    } catch (error) {
+      const text = capture.join('\n').trim();
+      return {
+        isError: true,
+        content: [{ type: 'text', text: [error.message, text].filter(Boolean).join('\n\n') }]
+      };
+    } finally {
+      capture = null;
+    }
+  }
+
+  /**
+   * Required arguments and basic JSON types of the input schema; returns
+   * the problem or null
+   */
+  static checkArguments(tool, args) {
+    if (typeof args !== 'object' || Array.isArray(args)) {
+      return 'Arguments must be an object';
+    }
+    const { properties = {}, required = [] } = tool.inputSchema;
+    for (const name of required) {
+      if (args[name] === undefined || args[name] === null || args[name] === '') {
+        return `Missing argument ${name}`;
+      }
+    }
+    for (const [name, value] of Object.entries(args)) {
+      const schema = properties[name];
+      if (!schema) {
+        return `Unknown argument ${name} (expected: ${Object.keys(properties).join(', ')})`;
+      }
+      const type = Array.isArray(value) ? 'array' : typeof value;
+      const expected = schema.type === 'integer' ? 'number' : schema.type;
+      if (expected && value !== null && type !== expected) {
+        return `Argument ${name} must be ${schema.type}, got ${type}`;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = McpServer;
@@ -0,0 +1,148 @@
+const config = require('../utils/config');
+const { parseWeekRange } = require('../utils/dateInput');
+const timeTrackingController = require('../controllers/timeTrackingController');
+
+/**
+ * Tools of `tempo-booker mcp-serve` (see mcpServer.js), backed by
+ * TimeTrackingController like the matching CLI commands. Dates accept
+ * everything --date does: YYYY-MM-DD, today, yesterday, mon..sun, -2d.
+ */
+
+const DATE = {
+  type: 'string',
+  description: 'YYYY-MM-DD, today, yesterday, mon..sun or -2d'
+};
+
+const logTime = {
+  name: 'log_time',
+  description: 'Log time on a Jira issue in Tempo. Without startTime the worklog goes right after the last one of that day (09:00 on an empty day); overlapping an existing worklog is refused.',
+  annotations: { readOnlyHint: false, destructiveHint: false },
+  inputSchema: {
+    properties: {
+      issueKey: { type: 'string', description: 'Jira issue key, e.g. PROJECT-123' },
+      hours: { type: 'number', description: 'Hours to log; optional when startTime and endTime are given' },
+      description: { type: 'string', description: 'Worklog description' },
+      date: { ...DATE, description: `Day of the worklog (default today): ${DATE.description}` },
+      startTime: { type: 'string', description: 'HH:MM' },
+      endTime: { type: 'string', description: 'HH:MM' }
+    },
+    required: ['issueKey']
+  },
+  async run(args) {
+    const request = timeTrackingController.parseLogRequest(args);
+    const result = await timeTrackingController.logTimeAt(request);
+    return {
+      tempoWorklogId: result?.tempoWorklogId || null,
+      queued: !!result?.outboxSeq,
+      issueKey: request.issueKey,
+      date: result?.startDate || null,
+      startTime: result?.startTime || null,
+      hours: result?.timeSpentSeconds ? result.timeSpentSeconds / 3600 : null
+    };
+  }
+};
+
+const listWorklogs = {
+  name: 'list_worklogs',
+  description: 'List your Tempo worklogs of a period (default: the current week)',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    properties: {
+      from: { ...DATE, description: `First day: ${DATE.description}` },
+      to: { ...DATE, description: `Last day: ${DATE.description}` }
+    }
+  },
+  async run(args) {
+    const { dateFrom, dateTo } = parseWeekRange(args.from, args.to);
+    return timeTrackingController.listWorklogSummaries(dateFrom, dateTo);
+  }
+};
+
+const timeTable = {
+  name: 'time_table',
+  description: 'Hours per issue and day as a table, like the Tempo timesheet (default: the current week)',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    properties: {
+      from: { ...DATE, description: `First day: ${DATE.description}` },
+      to: { ...DATE, description: `Last day: ${DATE.description}` }
+    }
+  },
+  async run(args) {
+    const { dateFrom, dateTo } = parseWeekRange(args.from, args.to);
+    // The table itself is the logged text of the result
+    await timeTrackingController.displayTimeTable(dateFrom, dateTo);
+    return { from: dateFrom, to: dateTo };
+  }
+};
+
+const importPreview = {
+  name: 'import_preview',
+  description: 'Dry run of an import: which worklogs a CSV would add, update, replace or delete. Nothing is written to Tempo.',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    properties: {
+      file: { type: 'string', description: 'CSV or JSON file, relative to the workspace directory' },
+      csv: { type: 'string', description: 'CSV content as in import files: header date,startTime,endTime,issue,description; times as HH:MM:SS' },
+      from: { ...DATE, description: `Only entries from this day: ${DATE.description}` },
+      to: { ...DATE, description: `Only entries up to this day: ${DATE.description}` }
+    }
+  },
+  async run(args) {
+    const { entries, source, dateFilter } = timeTrackingController.readImportInput(args);
+    return timeTrackingController.planImportEntries(entries, { source, dateFilter });
+  }
+};
+
+const resolveIssue = {
+  name: 'resolve_issue',
+  description: 'Resolve a Jira issue key to its issue id through the resolver chain, listing what every provider answered',
+  annotations: { readOnlyHint: true },
+  inputSchema: {
+    properties: {
+      issueKey: { type: 'string', description: 'Jira issue key, e.g. PROJECT-123' }
+    },
+    required: ['issueKey']
+  },
+  async run({ issueKey }) {
+    const issueResolver = require('./issueResolver');
+    const key = issueKey.toUpperCase();
+    const { result, steps } = await issueResolver.explain(key);
+    return { issueKey: key, result, steps };
+  }
+};
+
+const deleteWorklog = {
+  name: 'delete_worklog',
+  description: 'Delete one of your Tempo worklogs by its tempoWorklogId (see list_worklogs)',
+  annotations: { readOnlyHint: false, destructiveHint: true },
+  destructive: true,
+  inputSchema: {
+    properties: {
+      tempoWorklogId: { type: 'integer', description: 'Tempo worklog id' }
+    },
+    required: ['tempoWorklogId']
+  },
+  async run({ tempoWorklogId }) {
+    const tempoApiService = require('./tempoApiService');
+    const worklog = await tempoApiService.getWorklog(tempoWorklogId, true);
+    if (!worklog) {
+      throw new Error(`Worklog ${tempoWorklogId} does not exist`);
+    }
+    if (config.userAccountId && worklog.author?.accountId && worklog.author.accountId !== config.userAccountId) {
+      throw new Error(`Worklog ${tempoWorklogId} belongs to someone else`);
+    }
+
+    await timeTrackingController.deleteWorklog(tempoWorklogId);
+    return { deleted: timeTrackingController.summarizeWorklog(worklog) };
+  }
+};
+
+module.exports = {
+  logTime,
+  listWorklogs,
+  timeTable,
+  importPreview,
+  resolveIssue,
+  deleteWorklog
+};
@@ -1,5 +1,10 @@
 const axios = require('axios');
 const config = require('../utils/config');
+const RateLimiter = require('../utils/rateLimiter');
+
+// Methods that can be repeated without creating duplicates
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const MAX_RETRY_DELAY_MS = 60000;
 
 class TempoApiService {
   constructor() {
@@ -13,9 +18,35 @@ class TempoApiService {
     // Don't set authorization header here - will be set dynamically per request
     // Token will be loaded from secure storage when needed
 
+    this.rateLimiter = new RateLimiter(config.requestsPerSecond);
+    this.changeListeners = [];
+
+    this.apiClient.interceptors.request.use(async requestConfig => {
+      await this.rateLimiter.acquire();
+      return requestConfig;
+    });
+
     this.apiClient.interceptors.response.use(
       response => response,
-      error => {
+      async error => {
+        const requestConfig = error.config;
+        if (requestConfig && this.shouldRetry(error)) {
+          requestConfig._retryCount = (requestConfig._retryCount || 0) + 1;
+          const delay = this.getRetryDelay(error, requestConfig._retryCount);
+
+          if (error.response?.status === 429) {
+            // Hold back every queued request, not just this one
+            this.rateLimiter.pause(delay);
+          }
+
+          if (config.verboseLogging) {
+            console.log(`↻ Tempo API ${error.response?.status || error.code || 'error'} - retry ${requestConfig._retryCount}/${config.retryMaxAttempts - 1} in ${delay}ms`);
+          }
+
+          await new Promise(resolve => setTimeout(resolve, delay));
+          return this.apiClient.request(requestConfig);
+        }
+
         // Only log unexpected errors, not permission/auth issues
         // Silent mode is handled at the method level
         if (error.response?.status !== 403 && error.response?.status !== 401) {
@@ -28,126 +59,92 @@ class TempoApiService {
   }
 
   /**
-   * Ensure authorization header is set with current token
+   * Decide whether a failed request is worth repeating.
+   * 429 is always retried (Tempo did not process it). Other 5xx responses and
+   * network errors are only retried for idempotent methods so a POST that may
+   * have reached Tempo never creates a duplicate worklog; 503 is the exception
+   * because the request was rejected before processing.
    */
-  async ensureAuthorization() {
-    if (!this.apiClient.defaults.headers.common['Authorization']) {
-      const token = await config.getTempoToken();
-      if (token) {
-        this.apiClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  shouldRetry(error) {
+    const requestConfig = error.config;
+    if ((requestConfig._retryCount || 0) + 1 >= config.retryMaxAttempts) {
+      return false;
+    }
+
+    const status = error.response?.status;
+    if (status === 429 || status === 503) {
+      return true;
+    }
+
+    const method = (requestConfig.method || 'get').toLowerCase();
+    if (!IDEMPOTENT_METHODS.includes(method)) {
+      return false;
+    }
+
+    // No response at all means a network failure or timeout
+    return !error.response || status >= 500;
+  }
+
+  /**
+   * Delay before the given retry attempt: the server's Retry-After when
+   * present, otherwise exponential backoff with jitter.
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds)
+        ? new Date(retryAfter).getTime() - Date.now() // HTTP-date form
+        : seconds * 1000;
+      if (delay >= 0) {
+        return Math.min(delay, MAX_RETRY_DELAY_MS);
       }
     }
+
+    const backoff = config.retryBaseDelayMs * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * config.retryBaseDelayMs;
+    return Math.min(backoff + jitter, MAX_RETRY_DELAY_MS);
   }
 
   /**
-   * Query JIRA directly using the base URL and proper authentication
+   * Error thrown by the worklog methods. Keeps the HTTP status and flags
+   * requests that never got a response (offline, VPN down, DNS, timeout),
+   * which is what decides whether a change goes to the offline outbox.
    */
-  async queryJiraDirectly(issueKey, silent = false) {
-    try {
-      // Get JIRA base URL from config
-      const jiraBaseUrl = config.yaml?.api?.jiraBaseUrl || 'https://witt-gruppe.atlassian.net';
-      
-      if (!silent) console.log(`🔍 Querying JIRA directly: ${jiraBaseUrl}/rest/api/3/issue/${issueKey}`);
-      
-      // Create a separate axios instance for JIRA calls
-      const jiraClient = axios.create({
-        baseURL: jiraBaseUrl,
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        }
-      });
+  toServiceError(message, error) {
+    const serviceError = new Error(`${message}: ${error.response?.data?.message || error.message}`);
+    serviceError.status = error.response?.status;
+    serviceError.isNetworkError = !!error.isAxiosError && !error.response;
+    return serviceError;
+  }
 
-      // Try different authentication methods
-      const token = await config.getTempoToken();
-      
-      // Method 1: Try using Tempo token as Bearer (might work if Tempo has JIRA permissions)
-      try {
-        if (!silent) console.log(`🔐 Trying JIRA API with Tempo Bearer token...`);
-        jiraClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-        
-        const response = await jiraClient.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: 'id,key,summary'
-          }
-        });
-        
-        if (response.data && response.data.id) {
-          if (!silent) console.log(`✅ JIRA Direct API (Bearer): ${issueKey} -> ID ${response.data.id}`);
-          return {
-            id: parseInt(response.data.id),
-            key: response.data.key,
-            summary: response.data.fields?.summary || 'Retrieved via JIRA API'
-          };
-        }
-      } catch (bearerError) {
-        if (!silent) console.log(`⚠️ JIRA Bearer auth failed: ${bearerError.response?.status} ${bearerError.response?.statusText}`);
-      }
-      
-      // Method 2: Try Basic auth if we have user credentials
-      try {
-        const userAccountId = config.yaml?.user?.accountId;
-        if (userAccountId && token) {
-          if (!silent) console.log(`🔐 Trying JIRA API with Basic auth using account ID...`);
-          
-          // Try using account ID and token as Basic auth
-          const basicAuth = Buffer.from(`${userAccountId}:${token}`).toString('base64');
-          jiraClient.defaults.headers.common['Authorization'] = `Basic ${basicAuth}`;
-          
-          const response = await jiraClient.get(`/rest/api/3/issue/${issueKey}`, {
-            params: {
-              fields: 'id,key,summary'
-            }
-          });
-          
-          if (response.data && response.data.id) {
-            if (!silent) console.log(`✅ JIRA Direct API (Basic): ${issueKey} -> ID ${response.data.id}`);
-            return {
-              id: parseInt(response.data.id),
-              key: response.data.key,
-              summary: response.data.fields?.summary || 'Retrieved via JIRA API'
-            };
-          }
-        }
-      } catch (basicError) {
-        if (!silent) console.log(`⚠️ JIRA Basic auth failed: ${basicError.response?.status} ${basicError.response?.statusText}`);
-      }
+  /**
+   * Register listener({ type, worklogId, worklog }) for every worklog written
+   * through this service; type is 'created', 'updated' or 'deleted'.
+   */
+  onWorklogChange(listener) {
+    this.changeListeners.push(listener);
+  }
 
-      // Method 3: Try the search endpoint
+  notifyWorklogChange(type, worklogId, worklog = null) {
+    for (const listener of this.changeListeners) {
       try {
-        if (!silent) console.log(`🔍 Trying JIRA search endpoint for ${issueKey}...`);
-        jiraClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-        
-        const searchResponse = await jiraClient.get('/rest/api/3/search', {
-          params: {
-            jql: `key = "${issueKey}"`,
-            fields: 'id,key,summary',
-            maxResults: 1
-          }
-        });
-        
-        if (searchResponse.data?.issues && searchResponse.data.issues.length > 0) {
-          const issue = searchResponse.data.issues[0];
-          if (!silent) console.log(`✅ JIRA Search API: ${issueKey} -> ID ${issue.id}`);
-          return {
-            id: parseInt(issue.id),
-            key: issue.key,
-            summary: issue.fields?.summary || 'Retrieved via JIRA Search API'
-          };
-        }
-      } catch (searchError) {
-        if (!silent) console.log(`⚠️ JIRA search failed: ${searchError.response?.status} ${searchError.response?.statusText}`);
-        if (searchError.response?.data) {
-          if (!silent) console.log(`JIRA Error Details:`, searchError.response.data);
-        }
+        listener({ type, worklogId, worklog });
+      } catch (error) {
+        // A listener must never turn a successful write into a failure
       }
+    }
+  }
 
-      if (!silent) console.log(`❌ All JIRA direct query methods failed for ${issueKey}`);
-      return null;
-      
-    } catch (error) {
-      if (!silent) console.log(`💥 JIRA direct query error for ${issueKey}: ${error.message}`);
-      return null;
+  /**
+   * Ensure authorization header is set with current token
+   */
+  async ensureAuthorization() {
+    if (!this.apiClient.defaults.headers.common['Authorization']) {
+      const token = await config.getTempoToken();
+      if (token) {
+        this.apiClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      }
     }
   }
 
@@ -155,44 +152,110 @@ class TempoApiService {
     try {
       await this.ensureAuthorization();
       const response = await this.apiClient.post('/worklogs', worklogData);
+      this.notifyWorklogChange('created', response.data?.tempoWorklogId, response.data);
       return response.data;
     } catch (error) {
       if (!silent && error._shouldLogError) {
         console.error('Tempo API Error:', error.response?.data || error.message);
       }
-      throw new Error(`Failed to create worklog: ${error.response?.data?.message || error.message}`);
+      throw this.toServiceError('Failed to create worklog', error);
     }
   }
 
-  async getWorklogs(params = {}, silent = false) {
+  /**
+   * Fetch every worklog matching params, following Tempo's metadata.next links
+   * until the last page. Pass { paginate: false } in options to get only the
+   * first page.
+   */
+  async getWorklogs(params = {}, silent = false, options = {}) {
+    const { paginate = true } = options;
+    const results = [];
+    let firstPage = null;
+
     try {
-      await this.ensureAuthorization();
-      
-      // Apply aggressive server-side filtering to avoid downloading old data
-      const queryParams = {
-        ...params,
-        expand: 'author,issue', // Expand both author and issue details
-        limit: 1000, // Increase limit to get more recent entries
-        offset: 0 // Start from beginning
-      };
-      
-      // If no explicit date range, default to recent data only (avoid 2016-2017 worklogs)
-      if (!queryParams.from && !queryParams.to) {
-        const recentCutoff = new Date();
-        recentCutoff.setFullYear(2025, 0, 1); // Start from 2025-01-01
-        const today = new Date();
-        queryParams.from = recentCutoff.toISOString().split('T')[0];
-        queryParams.to = today.toISOString().split('T')[0]; // Add explicit end date
-        if (!silent) console.log(`⚡ Applied automatic date filter: from ${queryParams.from} to ${queryParams.to} (avoiding old undeleteable worklogs)`);
+      for await (const page of this.iterateWorklogPages(params, silent)) {
+        if (!firstPage) firstPage = page;
+        results.push(...(page.results || []));
+        if (!paginate) break;
       }
-      
-      const response = await this.apiClient.get('/worklogs', { params: queryParams });
+    } catch (error) {
+      if (!silent && error._shouldLogError) {
+        console.error('Tempo API Error:', error.response?.data || error.message);
+      }
+      throw this.toServiceError('Failed to fetch worklogs', error);
+    }
+
+    return {
+      ...firstPage,
+      results,
+      metadata: {
+        ...(firstPage?.metadata || {}),
+        count: results.length,
+        next: paginate ? undefined : firstPage?.metadata?.next,
+      },
+    };
+  }
+
+  /**
+   * Async iterator over raw worklog pages. Each yielded value is the Tempo
+   * response body ({ self, metadata, results }) for one page.
+   */
+  async *iterateWorklogPages(params = {}, silent = false) {
+    await this.ensureAuthorization();
+
+    // Apply aggressive server-side filtering to avoid downloading old data
+    const queryParams = {
+      ...params,
+      expand: 'author,issue', // Expand both author and issue details
+      limit: params.limit || config.worklogPageSize,
+      offset: params.offset || 0
+    };
+
+    // If no explicit date range, default to the configured history horizon (avoid old worklogs)
+    if (!queryParams.from && !queryParams.to) {
+      const today = new Date();
+      queryParams.from = config.historyCutoff;
+      queryParams.to = today.toISOString().split('T')[0]; // Add explicit end date
+      if (!silent) console.log(`⚡ Applied automatic date filter: from ${queryParams.from} to ${queryParams.to} (avoiding old undeleteable worklogs)`);
+    }
+
+    let response = await this.apiClient.get('/worklogs', { params: queryParams });
+    yield response.data;
+
+    // metadata.next is an absolute URL that already carries offset, limit and filters
+    while (response.data?.metadata?.next) {
+      response = await this.apiClient.get(response.data.metadata.next);
+      yield response.data;
+    }
+  }
+
+  /**
+   * Async iterator over individual worklogs across all pages
+   */
+  async *iterateWorklogs(params = {}, silent = false) {
+    for await (const page of this.iterateWorklogPages(params, silent)) {
+      for (const worklog of page.results || []) {
+        yield worklog;
+      }
+    }
+  }
+
+  /**
+   * Fetch one worklog by its Tempo ID; null when it does not exist
+   */
+  async getWorklog(worklogId, silent = false) {
+    try {
+      await this.ensureAuthorization();
+      const response = await this.apiClient.get(`/worklogs/${worklogId}`);
       return response.data;
     } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
       if (!silent && error._shouldLogError) {
         console.error('Tempo API Error:', error.response?.data || error.message);
       }
-      throw new Error(`Failed to fetch worklogs: ${error.response?.data?.message || error.message}`);
+      throw this.toServiceError('Failed to fetch worklog', error);
     }
   }
 
@@ -200,12 +263,13 @@ class TempoApiService {
     try {
       await this.ensureAuthorization();
       const response = await this.apiClient.put(`/worklogs/${worklogId}`, worklogData);
+      this.notifyWorklogChange('updated', worklogId, response.data);
       return response.data;
     } catch (error) {
       if (!silent && error._shouldLogError) {
         console.error('Tempo API Error:', error.response?.data || error.message);
       }
-      throw new Error(`Failed to update worklog: ${error.response?.data?.message || error.message}`);
+      throw this.toServiceError('Failed to update worklog', error);
     }
   }
 
@@ -213,12 +277,13 @@ class TempoApiService {
     try {
       await this.ensureAuthorization();
       const response = await this.apiClient.delete(`/worklogs/${worklogId}`);
+      this.notifyWorklogChange('deleted', worklogId);
       return response.data;
     } catch (error) {
       if (!silent && error._shouldLogError) {
         console.error('Tempo API Error:', error.response?.data || error.message);
       }
-      throw new Error(`Failed to delete worklog: ${error.response?.data?.message || error.message}`);
+      throw this.toServiceError('Failed to delete worklog', error);
     }
   }
 
@@ -262,97 +327,12 @@ class TempoApiService {
     }
   }
 
+  /**
+   * Issue key -> { id, key, summary } through the issue resolver chain
+   */
   async getIssueById(issueKey, silent = false) {
-    try {
-      await this.ensureAuthorization();
-      
-      if (!silent) console.log(`🔍 API: Resolving issue ${issueKey}...`);
-      
-      // Method 1: Direct JIRA API with proper authentication
-      try {
-        const jiraResult = await this.queryJiraDirectly(issueKey, silent);
-        if (jiraResult) {
-          return jiraResult;
-        }
-      } catch (jiraError) {
-        if (!silent) console.log(`⚠️ API: Direct JIRA API failed for ${issueKey}, trying Tempo endpoints...`);
-      }
-      
-      // Method 2: Tempo JIRA proxy endpoint
-      try {
-        const response = await this.apiClient.get(`/jira/issues/${issueKey}`);
-        if (response.data && response.data.id) {
-          if (!silent) console.log(`✅ API: Tempo JIRA proxy successful - ${issueKey} -> ID ${response.data.id}`);
-          return {
-            id: parseInt(response.data.id),
-            key: issueKey,
-            summary: response.data.summary || response.data.fields?.summary || 'No summary available'
-          };
-        }
-      } catch (tempoJiraError) {
-        if (!silent) console.log(`⚠️ API: Tempo JIRA proxy failed for ${issueKey}, trying worklog search...`);
-      }
-        
-      // Method 2: Search existing worklogs for this issue (fallback)
-      try {
-        const worklogsResponse = await this.apiClient.get('/worklogs', {
-          params: {
-            limit: 1000, // Increased limit for better coverage
-            expand: 'issue,author'
-          }
-        });
-        
-        if (worklogsResponse.data.results) {
-          for (const worklog of worklogsResponse.data.results) {
-            if (worklog.issue && worklog.issue.key === issueKey) {
-              if (!silent) console.log(`✅ API: Found via worklog search - ${issueKey} -> ID ${worklog.issue.id}`);
-              return {
-                id: parseInt(worklog.issue.id),
-                key: worklog.issue.key,
-                summary: worklog.issue.summary || 'Found via worklog search'
-                };
-              }
-            }
-          }
-          
-          // Method 3: Try to find in description patterns (fallback for your data)
-          if (!silent) console.log(`Direct search failed, checking descriptions for ${issueKey}...`);
-          if (!silent) console.log(`Debug - Searching through ${worklogsResponse.data.results.length} worklogs for issue ${issueKey}`);
-          
-          // Debug: Show some sample descriptions
-          if (!silent) {
-            worklogsResponse.data.results.slice(0, 5).forEach((worklog, index) => {
-              console.log(`  Sample ${index + 1}: "${worklog.description}" (Issue: ${worklog.issue?.key || worklog.issue?.id})`);
-            });
-          }
-          
-          for (const worklog of worklogsResponse.data.results) {
-            if (worklog.description && worklog.description.includes(issueKey)) {
-              if (!silent) console.log(`Found worklog mentioning ${issueKey} with issue ID ${worklog.issue?.id}`);
-              if (worklog.issue?.id) {
-                return {
-                  id: worklog.issue.id,
-                  key: issueKey,
-                  summary: worklog.issue.summary || `Issue from worklog ${worklog.issue.id}`
-                };
-              }
-            }
-          }
-        } catch (searchError) {
-          if (!silent) console.log(`⚠️ API: Worklog search failed: ${searchError.message}`);
-        }
-        
-        // Method 3: Enhanced pattern matching in descriptions
-        if (!silent) console.log(`⚠️ API: Standard methods failed, trying description search for ${issueKey}...`);
-        
-        if (!silent) console.log(`❌ API: Could not resolve ${issueKey} via any method`);
-        if (!silent) console.log(`💡 Suggestion: Add ${issueKey} to config.yaml issueMapping for faster resolution`);
-        
-        return null;
-    } catch (error) {
-      if (!silent) console.log(`Could not fetch issue details for ${issueKey}: ${error.message}`);
-      return null;
-    }
+    const issueResolver = require('./issueResolver');
+    return issueResolver.resolveIssue(issueKey, silent);
   }
 
   async getAuthorAccountIdFromWorklogs(silent = false) {
@@ -416,18 +396,19 @@ class TempoApiService {
           console.log('\\n🤔 Issue ID Pattern Analysis:');
         }
         
-        // Check for ANY worklogs from 2025 (much wider search)
-        const recentWorklogs2025 = worklogsResponse.data.results
-          .filter(w => w.startDate >= '2025-01-01')
+        // Check for ANY worklogs within the history horizon (much wider search)
+        const historyCutoff = config.historyCutoff;
+        const recentWorklogs = worklogsResponse.data.results
+          .filter(w => w.startDate >= historyCutoff)
           .slice(0, 10);
           
-        if (recentWorklogs2025.length > 0) {
-          if (!silent) console.log(`Recent worklogs from 2025:`);
-          recentWorklogs2025.forEach((worklog, index) => {
-            if (!silent) console.log(`  2025 ${index + 1}: Date=${worklog.startDate}, IssueId=${worklog.issue?.id}, IssueKey=${worklog.issue?.key}, Author=${worklog.author?.accountId}`);
+        if (recentWorklogs.length > 0) {
+          if (!silent) console.log(`Recent worklogs since ${historyCutoff}:`);
+          recentWorklogs.forEach((worklog, index) => {
+            if (!silent) console.log(`  Recent ${index + 1}: Date=${worklog.startDate}, IssueId=${worklog.issue?.id}, IssueKey=${worklog.issue?.key}, Author=${worklog.author?.accountId}`);
           });
         } else {
-          if (!silent) console.log('No worklogs found from 2025 at all');
+          if (!silent) console.log(`No worklogs found since ${historyCutoff} at all`);
           
           // Check the most recent worklogs regardless of date
           const mostRecent = worklogsResponse.data.results
@@ -460,19 +441,19 @@ class TempoApiService {
   }
 
   async createWorklogWithStatic(issueKey, hours, startDate, startTime, description, silent = false) {
-    if (!silent) console.log(`🚀 Creating worklog with static mapping for ${issueKey}...`);
+    if (!silent) console.log(`🚀 Creating worklog for ${issueKey}...`);
     
     // Use configurable User Account ID 
     const config = require('../utils/config');
     const authorAccountId = config.userAccountId;
     
-    // Use static issue resolver to get the correct issue ID
-    const staticIssueResolver = require('./staticIssueResolver');
+    // Use the issue resolver chain to get the correct issue ID
+    const issueResolver = require('./issueResolver');
     
-    const issueDetails = await staticIssueResolver.resolveIssue(issueKey, silent);
+    const issueDetails = await issueResolver.resolveIssue(issueKey, silent);
     
     if (!issueDetails) {
-      throw new Error(`Could not resolve issue ${issueKey} via static mapping`);
+      throw new Error(`Could not resolve issue ${issueKey} - run "tempo-booker resolve ${issueKey} --explain" for details`);
     }
 
     const payload = {
@@ -484,10 +465,11 @@ class TempoApiService {
       authorAccountId: authorAccountId
     };
 
-    if (!silent) console.log('🎯 Static-resolved payload:', JSON.stringify(payload, null, 2));
+    if (!silent) console.log('🎯 Resolved payload:', JSON.stringify(payload, null, 2));
     
     try {
       const response = await this.apiClient.post('/worklogs', payload);
+      this.notifyWorklogChange('created', response.data?.tempoWorklogId, response.data);
       if (!silent) console.log(`✅ Success! Created worklog for ${issueKey} (ID: ${issueDetails.id})`);
       return response.data;
     } catch (error) {
@@ -500,19 +482,19 @@ class TempoApiService {
   }
 
   async updateWorklogWithStatic(tempoWorklogId, issueKey, hours, startDate, startTime, description, silent = false) {
-    if (!silent) console.log(`🔄 Updating worklog ${tempoWorklogId} with static mapping for ${issueKey}...`);
+    if (!silent) console.log(`🔄 Updating worklog ${tempoWorklogId} for ${issueKey}...`);
     
     // Use configurable User Account ID 
     const config = require('../utils/config');
     const authorAccountId = config.userAccountId;
     
-    // Use static issue resolver to get the correct issue ID
-    const staticIssueResolver = require('./staticIssueResolver');
+    // Use the issue resolver chain to get the correct issue ID
+    const issueResolver = require('./issueResolver');
     
-    const issueDetails = await staticIssueResolver.resolveIssue(issueKey, silent);
+    const issueDetails = await issueResolver.resolveIssue(issueKey, silent);
     
     if (!issueDetails) {
-      throw new Error(`Could not resolve issue ${issueKey} via static mapping`);
+      throw new Error(`Could not resolve issue ${issueKey} - run "tempo-booker resolve ${issueKey} --explain" for details`);
     }
 
     const payload = {
@@ -524,10 +506,11 @@ class TempoApiService {
       authorAccountId: authorAccountId
     };
 
-    if (!silent) console.log(`🎯 Updating worklog ${tempoWorklogId} with static-resolved payload:`, JSON.stringify(payload, null, 2));
+    if (!silent) console.log(`🎯 Updating worklog ${tempoWorklogId} with resolved payload:`, JSON.stringify(payload, null, 2));
 
     try {
       const response = await this.apiClient.put(`/worklogs/${tempoWorklogId}`, payload);
+      this.notifyWorklogChange('updated', tempoWorklogId, response.data);
       if (!silent) console.log(`✅ Success! Updated worklog ${tempoWorklogId} for ${issueKey} (ID: ${issueDetails.id})`);
       return response.data;
     } catch (error) {
@@ -540,58 +523,40 @@ class TempoApiService {
   }
 
   async findCurrentIssueId(issueKey, authorAccountId, silent = false) {
-    if (!silent) console.log(`Querying current issue ID for issue key: ${issueKey} using static mappings`);
+    if (!silent) console.log(`Querying current issue ID for issue key: ${issueKey}`);
     
     try {
-      // Use static issue resolver
-      const staticIssueResolver = require('./staticIssueResolver');
-      const issueDetails = await staticIssueResolver.resolveIssue(issueKey, silent);
+      // Use the issue resolver chain
+      const issueResolver = require('./issueResolver');
+      const issueDetails = await issueResolver.resolveIssue(issueKey, silent);
       
       if (issueDetails) {
-        if (!silent) console.log(`✅ Using static mapping: ${issueKey} -> ID ${issueDetails.id}`);
+        if (!silent) console.log(`✅ Using ${issueDetails.method} resolution: ${issueKey} -> ID ${issueDetails.id}`);
         return issueDetails.id;
       }
       
-      if (!silent) console.log(`⚠️ No static mapping found for ${issueKey}`);
+      if (!silent) console.log(`⚠️ Could not resolve ${issueKey}`);
       if (!silent) console.log(`💡 Add mapping for ${issueKey} to config.yaml under issueMapping section`);
       return null;
     } catch (error) {
       if (!silent) console.log(`Issue ID resolution failed: ${error.message}`);
       return null;
     }
-    
-    // Strategy 4: Try generic issue resolution endpoint
-    try {
-      if (!silent) console.log(`Trying generic issue endpoint: /issues/${issueKey}`);
-      const issueResponse = await this.apiClient.get(`/issues/${issueKey}`);
-      
-      if (issueResponse.data && issueResponse.data.id) {
-        if (!silent) console.log(`✅ Generic issue endpoint succeeded: ${issueKey} -> ID ${issueResponse.data.id}`);
-        return parseInt(issueResponse.data.id);
-      }
-    } catch (genericError) {
-      if (!silent) console.log(`Generic issue endpoint failed: ${genericError.response?.status} - ${genericError.message}`);
-    }
-    
-    if (!silent) console.log(`❌ All issue resolution methods failed for ${issueKey}`);
-    return null;
   }
 
   async tryResolveIssueKeyToId(issueKey, silent = false) {
     if (!silent) console.log(`Attempting to resolve issue key ${issueKey} to numeric ID...`);
     
-    // This is a challenging problem since we have:
-    // - Issue keys like "ITST-14439" from your CSV
-    // - Numeric issue IDs like 14791, 16190 from existing worklogs
-    // - No clear mapping between them due to anonymization
-    
-    // Strategy: For now, we'll need to either:
-    // 1. Use a manual mapping
-    // 2. Ask user to provide issue IDs instead of keys
-    // 3. Create worklogs with existing issue IDs as placeholders
+    // Every configured provider: issueMapping, issue cache, Jira, MCP, history
+    const issueResolver = require('./issueResolver');
+    const issueDetails = await issueResolver.resolveIssue(issueKey, silent);
+    if (issueDetails) {
+      return issueDetails.id;
+    }
     
-    if (!silent) console.log('⚠️  Cannot reliably map issue keys to IDs in this anonymized environment');
-    if (!silent) console.log('💡 Consider providing issue IDs directly in your CSV file instead of issue keys');
+    if (!silent && !config.hasJiraAuth) {
+      console.log('💡 Add api.jiraEmail and api.jiraToken to config.yaml to resolve unknown issue keys through Jira');
+    }
     
     return null;
   }
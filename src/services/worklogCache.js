@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const config = require('../utils/config');
+const tempoApiService = require('./tempoApiService');
+
+const CACHE_VERSION = 1;
+// Incremental refreshes look back a little further than the last one so an
+// update is never missed because our clock and Tempo's disagree
+const UPDATED_FROM_OVERLAP_MS = 5 * 60 * 1000;
+const CACHEABLE_PARAMS = ['from', 'to', 'author'];
+
+/**
+ * Local mirror of the current user's worklogs, keyed by tempoWorklogId.
+ *
+ * The cache remembers which date ranges it holds. Reads inside those ranges
+ * only ask Tempo for worklogs updated since the last refresh (updatedFrom);
+ * unknown ranges are downloaded once. Tempo does not report deletions, so
+ * deletes made through this CLI are applied directly and everything is
+ * re-downloaded after cache.fullRefreshHours. When Tempo cannot be reached
+ * (or --offline is set) cached ranges are served read-only.
+ */
+class WorklogCache {
+  constructor() {
+    this.data = null;
+    this.loadedFrom = null;
+
+    tempoApiService.onWorklogChange(change => this.applyChange(change));
+  }
+
+  get filePath() {
+    return config.worklogCacheFile;
+  }
+
+  /**
+   * Same contract as tempoApiService.getWorklogs(). Requests the cache cannot
+   * answer (no author or another one, extra filters, no date range) go
+   * straight to Tempo.
+   * options.maxAgeSeconds overrides cache.maxAgeSeconds; 0 always checks
+   * Tempo for changes first. options.reload downloads the range again, which
+   * also drops worklogs deleted in Tempo (the import diff needs that).
+   */
+  async getWorklogs(params = {}, silent = false, options = {}) {
+    const accountId = config.userAccountId;
+    const cacheable =
+      config.worklogCacheSettings.enabled &&
+      accountId &&
+      params.from &&
+      params.to &&
+      params.author === accountId &&
+      Object.keys(params).every(key => CACHEABLE_PARAMS.includes(key));
+
+    if (!cacheable) {
+      return tempoApiService.getWorklogs(params, silent);
+    }
+
+    const from = moment(params.from).format('YYYY-MM-DD');
+    const to = moment(params.to).format('YYYY-MM-DD');
+    this.load(accountId);
+
+    let stale = false;
+    if (config.offlineMode) {
+      if (!this.covers(from, to)) {
+        throw new Error(`Worklogs ${from} to ${to} are not cached - run "tempo-booker cache refresh ${from} ${to}" while online`);
+      }
+      stale = true;
+    } else {
+      try {
+        await this.ensureFresh(from, to, options);
+      } catch (error) {
+        if (!error.isNetworkError || !this.covers(from, to)) throw error;
+        stale = true;
+        if (!silent) console.warn(`⚠️  Tempo unreachable - showing cached worklogs from ${moment(this.data.syncedAt).format('YYYY-MM-DD HH:mm')}`);
+      }
+    }
+
+    const results = this.select(from, to);
+    return {
+      results,
+      metadata: { count: results.length, cached: true, stale, syncedAt: this.data.syncedAt }
+    };
+  }
+
+  /**
+   * Bring a date range up to date: drop everything after fullRefreshHours,
+   * apply changes since the last refresh, then download uncovered days.
+   * With options.reload the whole range is downloaded instead.
+   */
+  async ensureFresh(from, to, options = {}) {
+    const settings = config.worklogCacheSettings;
+    const maxAgeSeconds = options.maxAgeSeconds ?? settings.maxAgeSeconds;
+    const now = Date.now();
+
+    if (this.data.fullSyncedAt && now - new Date(this.data.fullSyncedAt) > settings.fullRefreshHours * 3600 * 1000) {
+      this.reset();
+    }
+
+    if (options.reload) {
+      await this.downloadRange(from, to);
+      return;
+    }
+
+    if (this.data.ranges.length > 0 && (!this.data.syncedAt || now - new Date(this.data.syncedAt) >= maxAgeSeconds * 1000)) {
+      await this.refreshChanges();
+    }
+
+    for (const range of this.uncovered(from, to)) {
+      await this.downloadRange(range.from, range.to);
+    }
+  }
+
+  /**
+   * Apply worklogs created or changed in Tempo since the last refresh
+   */
+  async refreshChanges() {
+    const startedAt = new Date();
+    const since = new Date(new Date(this.data.syncedAt || this.data.fullSyncedAt) - UPDATED_FROM_OVERLAP_MS);
+    const ranges = this.data.ranges;
+
+    const response = await tempoApiService.getWorklogs({
+      from: ranges[0].from,
+      to: ranges[ranges.length - 1].to,
+      author: this.data.accountId,
+      updatedFrom: moment.utc(since).format('YYYY-MM-DDTHH:mm:ss[Z]')
+    }, true);
+
+    for (const worklog of response.results || []) {
+      if (this.covers(worklog.startDate, worklog.startDate)) {
+        this.data.worklogs[worklog.tempoWorklogId] = worklog;
+      } else {
+        // Moved to a day the cache does not hold
+        delete this.data.worklogs[worklog.tempoWorklogId];
+      }
+    }
+
+    this.data.syncedAt = startedAt.toISOString();
+    this.save();
+    return (response.results || []).length;
+  }
+
+  async downloadRange(from, to) {
+    const startedAt = new Date().toISOString();
+    const response = await tempoApiService.getWorklogs({ from, to, author: this.data.accountId }, true);
+
+    for (const [id, worklog] of Object.entries(this.data.worklogs)) {
+      if (worklog.startDate >= from && worklog.startDate <= to) {
+        delete this.data.worklogs[id];
+      }
+    }
+    for (const worklog of response.results || []) {
+      this.data.worklogs[worklog.tempoWorklogId] = worklog;
+    }
+
+    this.addRange(from, to);
+    this.data.syncedAt = this.data.syncedAt || startedAt;
+    this.data.fullSyncedAt = this.data.fullSyncedAt || startedAt;
+    this.save();
+  }
+
+  /**
+   * Explicit refresh for `tempo-booker cache refresh`. With full, every
+   * cached range is downloaded again, which also picks up deletions made
+   * outside this CLI.
+   */
+  async refresh({ from = null, to = null, full = false } = {}) {
+    const accountId = config.userAccountId;
+    if (!accountId) {
+      throw new Error('The worklog cache needs user.accountId in config.yaml');
+    }
+    this.load(accountId);
+
+    const ranges = [...this.data.ranges];
+    if (from && to) {
+      ranges.push({ from, to });
+    }
+    if (full) {
+      this.reset();
+      for (const range of ranges) {
+        await this.downloadRange(range.from, range.to);
+      }
+    } else {
+      await this.ensureFresh(from || ranges[0]?.from, to || ranges[0]?.to, { maxAgeSeconds: 0 });
+    }
+    return this.status();
+  }
+
+  /**
+   * Keep the cache in step with writes made through tempoApiService
+   */
+  applyChange({ type, worklogId, worklog }) {
+    const accountId = config.userAccountId;
+    if (!config.worklogCacheSettings.enabled || !accountId || !fs.existsSync(this.filePath)) {
+      return;
+    }
+    this.load(accountId);
+
+    if (type === 'deleted') {
+      if (!this.data.worklogs[worklogId]) return;
+      delete this.data.worklogs[worklogId];
+    } else if (worklog?.tempoWorklogId && this.covers(worklog.startDate, worklog.startDate)) {
+      this.data.worklogs[worklog.tempoWorklogId] = worklog;
+    } else if (worklog?.tempoWorklogId && this.data.worklogs[worklog.tempoWorklogId]) {
+      // Moved to a day the cache does not hold
+      delete this.data.worklogs[worklog.tempoWorklogId];
+    } else {
+      return;
+    }
+    this.save();
+  }
+
+  status() {
+    const accountId = config.userAccountId;
+    const data = accountId ? this.load(accountId) : null;
+    return {
+      file: this.filePath,
+      enabled: config.worklogCacheSettings.enabled,
+      accountId: accountId || null,
+      worklogs: data ? Object.keys(data.worklogs).length : 0,
+      ranges: data ? data.ranges : [],
+      syncedAt: data?.syncedAt || null,
+      fullSyncedAt: data?.fullSyncedAt || null
+    };
+  }
+
+  clear() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+    this.data = null;
+    this.loadedFrom = null;
+  }
+
+  select(from, to) {
+    return Object.values(this.data.worklogs)
+      .filter(worklog => worklog.startDate >= from && worklog.startDate <= to)
+      .sort((a, b) =>
+        a.startDate.localeCompare(b.startDate) ||
+        (a.startTime || '').localeCompare(b.startTime || '')
+      );
+  }
+
+  covers(from, to) {
+    return this.uncovered(from, to).length === 0;
+  }
+
+  /**
+   * Parts of from..to (inclusive days) that no cached range holds
+   */
+  uncovered(from, to) {
+    const missing = [];
+    let cursor = from;
+    for (const range of this.data.ranges) {
+      if (range.to < cursor) continue;
+      if (range.from > to) break;
+      if (range.from > cursor) {
+        missing.push({ from: cursor, to: moment(range.from).subtract(1, 'day').format('YYYY-MM-DD') });
+      }
+      cursor = moment(range.to).add(1, 'day').format('YYYY-MM-DD');
+      if (cursor > to) return missing;
+    }
+    missing.push({ from: cursor, to });
+    return missing;
+  }
+
+  // Insert a range, merging it with overlapping or adjacent ones
+  addRange(from, to) {
+    const ranges = [...this.data.ranges, { from, to }].sort((a, b) => a.from.localeCompare(b.from));
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && moment(last.to).add(1, 'day').format('YYYY-MM-DD') >= range.from) {
+        last.to = range.to > last.to ? range.to : last.to;
+      } else {
+        merged.push({ ...range });
+      }
+    }
+    this.data.ranges = merged;
+  }
+
+  reset() {
+    this.data = WorklogCache.emptyData(this.data.accountId);
+  }
+
+  load(accountId) {
+    if (this.data && this.loadedFrom === this.filePath && this.data.accountId === accountId) {
+      return this.data;
+    }
+
+    let data = null;
+    try {
+      if (fs.existsSync(this.filePath)) {
+        data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (error) {
+      data = null; // A damaged cache is simply rebuilt
+    }
+
+    // A cache of another account (or an older format) starts over
+    if (!data || data.version !== CACHE_VERSION || data.accountId !== accountId) {
+      data = WorklogCache.emptyData(accountId);
+    }
+    this.data = data;
+    this.loadedFrom = this.filePath;
+    return data;
+  }
+
+  save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+    // Write to a temp file first so a crash never leaves a truncated cache
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data), 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  static emptyData(accountId) {
+    return {
+      version: CACHE_VERSION,
+      accountId,
+      ranges: [],
+      syncedAt: null,
+      fullSyncedAt: null,
+      worklogs: {}
+    };
+  }
+}
+
+module.exports = new WorklogCache();
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const moment = require("moment");
+const { yamlDateString } = require("./dateInput");
+
+const ABSENCE_TYPES = ["vacation", "sick", "holiday", "other"];
+
+const HEADER =
+  "# Days off for tempo-booker (see docs/CONFIGURATION.md#schedule-section)\n" +
+  "# Entries without hours free the whole day\n";
+
+/**
+ * The workspace absence calendar (schedule.absenceFile): a YAML list of
+ * { date | from + to, type, hours (optional, part of the day), reason }
+ */
+class AbsenceFile {
+  constructor(filePath, entries) {
+    this.filePath = filePath;
+    this.entries = entries;
+  }
+
+  /**
+   * The calendar stored in filePath; empty (and not yet written) when missing
+   */
+  static open(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return new AbsenceFile(filePath, []);
+    }
+
+    const entries = yaml.load(fs.readFileSync(filePath, "utf8")) || [];
+    if (!Array.isArray(entries)) {
+      throw new Error(`${filePath} must contain a list of absences`);
+    }
+    return new AbsenceFile(
+      filePath,
+      entries.map((entry, index) =>
+        AbsenceFile.normalize(entry, `${filePath}: entry ${index + 1}`),
+      ),
+    );
+  }
+
+  static normalize(entry, label = "Absence") {
+    const from = yamlDateString(entry.date || entry.from);
+    const to = yamlDateString(entry.date || entry.to || entry.from);
+    if (
+      !moment(from, "YYYY-MM-DD", true).isValid() ||
+      !moment(to, "YYYY-MM-DD", true).isValid() ||
+      to < from
+    ) {
+      throw new Error(`${label} needs a date or a from/to range (YYYY-MM-DD)`);
+    }
+
+    const type = entry.type ? String(entry.type).toLowerCase() : "other";
+    if (!ABSENCE_TYPES.includes(type)) {
+      throw new Error(
+        `${label} has unknown type "${entry.type}" - use ${ABSENCE_TYPES.join(", ")}`,
+      );
+    }
+
+    const hours =
+      entry.hours === undefined || entry.hours === null
+        ? null
+        : parseFloat(entry.hours);
+    if (hours !== null && !(hours > 0)) {
+      throw new Error(`${label} needs hours greater than 0`);
+    }
+
+    const reason = entry.reason || type.charAt(0).toUpperCase() + type.slice(1);
+    return { from, to, type, hours, reason };
+  }
+
+  between(from, to) {
+    return this.entries.filter(
+      (absence) => absence.from <= to && absence.to >= from,
+    );
+  }
+
+  add(entry) {
+    const absence = AbsenceFile.normalize(entry);
+    this.entries.push(absence);
+    this.entries.sort((a, b) => a.from.localeCompare(b.from));
+    this.save();
+    return absence;
+  }
+
+  /**
+   * Remove every entry covering date; returns the removed entries
+   */
+  remove(date) {
+    const removed = this.between(date, date);
+    this.entries = this.entries.filter((entry) => !removed.includes(entry));
+    if (removed.length > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    const entries = this.entries.map(({ from, to, type, hours, reason }) => {
+      const entry = from === to ? { date: from } : { from, to };
+      entry.type = type;
+      if (hours !== null) entry.hours = hours;
+      entry.reason = reason;
+      return entry;
+    });
+    fs.writeFileSync(this.filePath, HEADER + yaml.dump(entries), "utf8");
+  }
+}
+
+AbsenceFile.TYPES = ABSENCE_TYPES;
+
+module.exports = AbsenceFile;
@@ -159,11 +159,31 @@ class CLI {
     console.log(chalk.blue.bold("\n🕒 Tempo Time Tracker"));
     console.log(chalk.gray("─".repeat(30)));
 
+    // Changes queued while Tempo was unreachable
+    const outboxController = require("../controllers/outboxController");
+    const pending = outboxController.pendingCount();
+    if (pending > 0) {
+      console.log(
+        chalk.yellow(`📤 ${pending} change(s) waiting to be sent to Tempo`),
+      );
+    }
+
     // Build menu choices based on beta function visibility
     const choices = [];
 
+    if (pending > 0) {
+      choices.push({
+        name: `🔄 Sync offline changes (${pending} pending)`,
+        value: "syncOutbox",
+      });
+    }
+
     // Always available functions
-    choices.push({ name: "📅 View time table", value: "timeTable" });
+    choices.push(
+      { name: "⏱️  Log time", value: "quickLog" },
+      { name: "📅 View time table", value: "timeTable" },
+      { name: "✅ Check booked hours", value: "checkHours" },
+    );
 
     // Beta function - only show if function_beta is enabled
     if (config.functionBeta) {
@@ -192,6 +212,23 @@ class CLI {
     return action;
   }
 
+  async quickLogFlow() {
+    console.log(chalk.yellow("\n⏱️  Log Time"));
+
+    const issueKey = await this.pickIssue();
+    const details = await this.promptWorklogDetails();
+
+    try {
+      await timeTrackingController.logTimeAt(
+        { issueKey, ...details, startTime: null, endTime: null },
+        this.logger,
+      );
+    } catch (error) {
+      console.error(chalk.red("✗ Failed to log time:"));
+      console.error(chalk.red(error.message));
+    }
+  }
+
   async timeTableFlow() {
     console.log(chalk.yellow("\n📅 Time Table View"));
     console.log(chalk.gray("(Press ESC to cancel and return to main menu)\n"));
@@ -289,6 +326,48 @@ class CLI {
     }
   }
 
+  async checkHoursFlow() {
+    console.log(chalk.yellow("\n✅ Check Booked Hours"));
+
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "dateFrom",
+        message: "From date (YYYY-MM-DD):",
+        default: moment().startOf("isoWeek").format("YYYY-MM-DD"),
+        validate: (input) =>
+          moment(input, "YYYY-MM-DD", true).isValid() || "Invalid date format",
+      },
+      {
+        type: "input",
+        name: "dateTo",
+        message: "To date (YYYY-MM-DD):",
+        default: moment().format("YYYY-MM-DD"),
+        validate: (input) =>
+          moment(input, "YYYY-MM-DD", true).isValid() || "Invalid date format",
+      },
+    ]);
+
+    try {
+      const complianceController = require("../controllers/complianceController");
+      await complianceController.check(
+        answers.dateFrom,
+        answers.dateTo,
+        this.logger,
+      );
+    } catch (error) {
+      console.error(chalk.red("✗ Failed to check booked hours:"));
+      console.error(chalk.red(error.message));
+    }
+  }
+
+  async syncOutboxFlow() {
+    console.log(chalk.yellow("\n🔄 Sync Offline Changes"));
+    const outboxController = require("../controllers/outboxController");
+    outboxController.list(this.logger);
+    await outboxController.sync({}, this.logger);
+  }
+
   async importWorklogsFlow() {
     console.log(chalk.yellow("\n📥 Import Worklogs from File"));
     console.log(
@@ -651,6 +730,131 @@ class CLI {
     return mapping[configScope] || "currentWeek";
   }
 
+  /**
+   * Interactive issue picker: the best matches of issueMapping, your recent
+   * worklogs and (with Jira credentials) a live Jira search. Returns the
+   * chosen issue key.
+   */
+  async pickIssue(message = "Issue:") {
+    const issueSearch = require("../services/issueSearch");
+    let query = "";
+
+    for (;;) {
+      const matches = await issueSearch.search(query);
+      if (matches.length === 0) {
+        console.log(
+          chalk.yellow(
+            query ? `No issues match "${query}"` : "No known issues yet",
+          ),
+        );
+      }
+
+      const width = Math.max(0, ...matches.map((match) => match.key.length));
+      const choices = matches.map((match) => {
+        const usage = match.count
+          ? `${match.count}× · last ${match.lastUsed}`
+          : match.sources.join(", ");
+        return {
+          name: `${match.key.padEnd(width)}  ${match.summary || ""} ${chalk.gray(`(${usage})`)}`,
+          value: match.key,
+        };
+      });
+      choices.push(
+        new inquirer.Separator(),
+        {
+          name: query ? `🔍 Search again (now: "${query}")` : "🔍 Search...",
+          value: "__SEARCH__",
+        },
+        { name: "✏️  Enter an issue key", value: "__MANUAL__" },
+      );
+
+      const { choice } = await inquirer.prompt([
+        {
+          type: "list",
+          name: "choice",
+          message,
+          choices,
+          pageSize: Math.min(choices.length, 20),
+        },
+      ]);
+
+      if (choice === "__SEARCH__") {
+        ({ query } = await inquirer.prompt([
+          {
+            type: "input",
+            name: "query",
+            message: "Search (issue key or words, empty for recent):",
+          },
+        ]));
+        continue;
+      }
+
+      if (choice === "__MANUAL__") {
+        const { issueKey } = await inquirer.prompt([
+          {
+            type: "input",
+            name: "issueKey",
+            message: "Issue key:",
+            filter: (input) => input.trim().toUpperCase(),
+            validate: (input) =>
+              /^[A-Z][A-Z0-9_]*-\d+$/.test(input.trim().toUpperCase()) ||
+              "Enter an issue key such as PROJ-123",
+          },
+        ]);
+        return issueKey;
+      }
+
+      return choice;
+    }
+  }
+
+  /**
+   * Ask for the worklog fields not given (undefined):
+   * { hours, description, date } with date as YYYY-MM-DD
+   */
+  async promptWorklogDetails({ hours, description, date } = {}) {
+    const { parseDateInput } = require("./dateInput");
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "hours",
+        message: "Hours:",
+        when: () => hours === undefined,
+        validate: (input) =>
+          (/^\d+(\.\d+)?$/.test(input.trim()) && parseFloat(input) > 0) ||
+          "Enter hours, e.g. 1.5",
+      },
+      {
+        type: "input",
+        name: "date",
+        message: "Day (YYYY-MM-DD, today, yesterday, mon..sun, -2d):",
+        default: "today",
+        when: () => date === undefined,
+        validate: (input) => {
+          try {
+            parseDateInput(input);
+            return true;
+          } catch (error) {
+            return error.message;
+          }
+        },
+      },
+      {
+        type: "input",
+        name: "description",
+        message: "Description:",
+        when: () => description === undefined,
+      },
+    ]);
+
+    return {
+      hours: hours === undefined ? parseFloat(answers.hours) : hours,
+      date: date === undefined ? parseDateInput(answers.date) : date,
+      description:
+        description === undefined ? answers.description.trim() : description,
+    };
+  }
+
   async confirmAction(message) {
     const { confirmed } = await inquirer.prompt([
       {
@@ -0,0 +1,771 @@
+const chalk = require("chalk");
+
+/**
+ * Thrown for anything wrong on the command line itself (unknown command or
+ * option, missing argument, bad value). The message is meant for the user.
+ */
+class CommandLineError extends Error {
+  constructor(message, commandName = null) {
+    super(message);
+    this.name = "CommandLineError";
+    this.commandName = commandName;
+  }
+}
+
+const VALUE_TYPES = ["string", "number", "enum"];
+
+/**
+ * Declarative subcommand registry shared by every CLI entry point.
+ *
+ * A command is declared once with its positional arguments and typed options:
+ *
+ *   registry.command({
+ *     name: "quick",
+ *     summary: "Log time on an issue",
+ *     args: [{ name: "issueKey", required: true }, { name: "hours", type: "number", required: true }],
+ *     options: { date: { type: "string", description: "..." } },
+ *     run: ({ args, options }) => ...,
+ *   });
+ *
+ * and the registry takes care of parsing, validation, per-command help and
+ * shell completion scripts.
+ *
+ * Option types: boolean (default), string, number, enum (with `choices`).
+ * Argument types: string (default), number, enum. The last argument may be
+ * `variadic` to collect the remaining words. `complete: "file"` hints file
+ * completion for an argument or option value.
+ */
+class CommandRegistry {
+  constructor({ name, aliases = [], description = "", globalOptions = {} }) {
+    this.name = name;
+    this.aliases = aliases;
+    this.description = description;
+    this.globalOptions = {
+      help: { type: "boolean", alias: "h", description: "Show help" },
+      ...globalOptions,
+    };
+    this.commands = [];
+    this.defaultCommand = null;
+    this.groups = [];
+    this.notes = [];
+  }
+
+  command(spec) {
+    const command = {
+      aliases: [],
+      args: [],
+      options: {},
+      examples: [],
+      group: "Commands",
+      ...spec,
+    };
+    this._validateSpec(command);
+
+    this.commands.push(command);
+    if (!this.groups.includes(command.group)) {
+      this.groups.push(command.group);
+    }
+    return this;
+  }
+
+  /**
+   * Command run when no subcommand is given (e.g. interactive mode)
+   */
+  default(spec) {
+    this.defaultCommand = { name: "", args: [], options: {}, ...spec };
+    return this;
+  }
+
+  /**
+   * Extra lines shown at the end of the top-level help
+   */
+  note(heading, lines) {
+    this.notes.push({ heading, lines });
+    return this;
+  }
+
+  find(name) {
+    return (
+      this.commands.find(
+        (command) => command.name === name || command.aliases.includes(name),
+      ) || null
+    );
+  }
+
+  /**
+   * Parse argv (without node and script path).
+   * Returns { command, args, options, help } - options holds both command
+   * and global options. Throws CommandLineError on invalid input.
+   */
+  parse(argv) {
+    const { command, index } = this._locateCommand(argv);
+    const target = command || this.defaultCommand;
+    const commandArgv =
+      index === -1 ? argv : [...argv.slice(0, index), ...argv.slice(index + 1)];
+
+    const result = this._extractOptions(
+      commandArgv,
+      { ...this.globalOptions, ...(target ? target.options : {}) },
+      command ? command.name : null,
+    );
+
+    const help = result.options.help === true || !target;
+    const args = help ? {} : this._bindArguments(target, result.positionals);
+
+    return { command: target, args, options: result.options, help };
+  }
+
+  // The first word that is not a global option (or its value) names the command
+  _locateCommand(argv) {
+    for (let i = 0; i < argv.length; i++) {
+      const token = argv[i];
+      if (token === "--") break;
+
+      const command = this.find(token);
+      if (command) return { command, index: i };
+
+      if (token.startsWith("-")) {
+        const found = this._findOption(this.globalOptions, token.split("=")[0]);
+        const type = found ? this.globalOptions[found.name].type : null;
+        if (VALUE_TYPES.includes(type) && !token.includes("=")) i++;
+        // Other options are reported by the strict pass
+        continue;
+      }
+
+      throw new CommandLineError(`Unknown command: ${token}`);
+    }
+    return { command: null, index: -1 };
+  }
+
+  /**
+   * Parse and run. Help requests print help; command line errors print the
+   * problem plus a pointer to the relevant --help and exit with status 1.
+   * beforeRun(parsed) is called once the command line is known to be valid.
+   */
+  async run(argv, beforeRun = null) {
+    try {
+      const parsed = this.parse(argv);
+
+      if (parsed.help) {
+        console.log(this.formatHelp(parsed.command?.name || null));
+        process.exit(0);
+      }
+
+      if (beforeRun) beforeRun(parsed);
+      // Commands may throw CommandLineError for checks the spec cannot express
+      return await parsed.command.run(parsed);
+    } catch (error) {
+      if (!(error instanceof CommandLineError)) throw error;
+      const helpHint = error.commandName
+        ? `${this.name} ${error.commandName} --help`
+        : `${this.name} --help`;
+      console.error(chalk.red(`❌ ${error.message}`));
+      console.error(chalk.gray(`   Run "${helpHint}" for usage.`));
+      process.exit(1);
+    }
+  }
+
+  _validateSpec(command) {
+    for (const [name, option] of Object.entries(command.options)) {
+      if (option.type === "enum" && !Array.isArray(option.choices)) {
+        throw new Error(`Option --${name} of ${command.name} needs choices`);
+      }
+    }
+    command.args.forEach((arg, index) => {
+      if (arg.variadic && index !== command.args.length - 1) {
+        throw new Error(
+          `Only the last argument of ${command.name} may be variadic`,
+        );
+      }
+    });
+  }
+
+  _findOption(options, token) {
+    if (token.startsWith("--")) {
+      const name = token.slice(2);
+      if (options[name]) return { name, negated: false };
+      // Options without a type are booleans too
+      const negated = options[name.slice(3)];
+      if (
+        name.startsWith("no-") &&
+        negated &&
+        (negated.type || "boolean") === "boolean"
+      ) {
+        return { name: name.slice(3), negated: true };
+      }
+      return null;
+    }
+    const short = token.slice(1);
+    const match = Object.entries(options).find(
+      ([, option]) => option.alias === short,
+    );
+    return match ? { name: match[0], negated: false } : null;
+  }
+
+  _extractOptions(argv, options, commandName) {
+    const result = { options: {}, positionals: [] };
+
+    for (const [name, option] of Object.entries(options)) {
+      if (option.default !== undefined) {
+        result.options[name] = option.default;
+      }
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+      const token = argv[i];
+
+      if (token === "--") {
+        result.positionals.push(...argv.slice(i + 1));
+        break;
+      }
+
+      // Plain words and negative numbers are positionals
+      if (!token.startsWith("-") || token === "-" || /^-\d/.test(token)) {
+        result.positionals.push(token);
+        continue;
+      }
+
+      const separator = token.indexOf("=");
+      const flag = separator === -1 ? token : token.slice(0, separator);
+      const inlineValue =
+        separator === -1 ? undefined : token.slice(separator + 1);
+      const found = this._findOption(options, flag);
+
+      if (!found) {
+        throw new CommandLineError(
+          commandName
+            ? `Unknown option for '${commandName}': ${flag}`
+            : `Unknown option: ${flag}`,
+          commandName,
+        );
+      }
+
+      const option = options[found.name];
+      const type = option.type || "boolean";
+
+      if (!VALUE_TYPES.includes(type)) {
+        if (inlineValue !== undefined) {
+          throw new CommandLineError(
+            `Option --${found.name} does not take a value`,
+            commandName,
+          );
+        }
+        result.options[found.name] = !found.negated;
+        continue;
+      }
+
+      let value = inlineValue;
+      if (value === undefined) {
+        if (i + 1 >= argv.length) {
+          throw new CommandLineError(
+            `Option --${found.name} needs a value`,
+            commandName,
+          );
+        }
+        value = argv[++i];
+      }
+      result.options[found.name] = this._coerce(
+        value,
+        option,
+        `--${found.name}`,
+        commandName,
+      );
+    }
+
+    return result;
+  }
+
+  _coerce(value, spec, label, commandName) {
+    const type = spec.type || "string";
+    if (type === "number") {
+      const number = Number(value);
+      if (value === "" || Number.isNaN(number)) {
+        throw new CommandLineError(
+          `${label} expects a number, got "${value}"`,
+          commandName,
+        );
+      }
+      return number;
+    }
+    if (type === "enum" && !spec.choices.includes(value)) {
+      throw new CommandLineError(
+        `${label} must be one of: ${spec.choices.join(", ")} (got "${value}")`,
+        commandName,
+      );
+    }
+    return value;
+  }
+
+  _bindArguments(command, positionals) {
+    const args = {};
+    let index = 0;
+
+    for (const arg of command.args) {
+      if (arg.variadic) {
+        const values = positionals.slice(index);
+        index = positionals.length;
+        if (arg.required && values.length === 0) {
+          throw new CommandLineError(
+            `Missing argument <${arg.name}>`,
+            command.name,
+          );
+        }
+        args[arg.name] = values.map((value) =>
+          this._coerce(value, arg, `<${arg.name}>`, command.name),
+        );
+        continue;
+      }
+
+      const value = positionals[index++];
+      if (value === undefined) {
+        if (arg.required) {
+          throw new CommandLineError(
+            `Missing argument <${arg.name}>`,
+            command.name,
+          );
+        }
+        args[arg.name] = arg.default !== undefined ? arg.default : null;
+        continue;
+      }
+      args[arg.name] = this._coerce(value, arg, `<${arg.name}>`, command.name);
+    }
+
+    if (index < positionals.length) {
+      throw new CommandLineError(
+        `Unexpected argument: ${positionals[index]}`,
+        command.name,
+      );
+    }
+
+    return args;
+  }
+
+  // ---------------------------------------------------------------------
+  // Help
+  // ---------------------------------------------------------------------
+
+  _usage(command) {
+    const parts = [this.name];
+    if (command.name) parts.push(command.name);
+    for (const arg of command.args) {
+      const label = arg.variadic ? `${arg.name}...` : arg.name;
+      parts.push(arg.required ? `<${label}>` : `[${label}]`);
+    }
+    if (Object.keys(command.options).length > 0) {
+      parts.push("[options]");
+    }
+    return parts.join(" ");
+  }
+
+  _optionLabel(name, option) {
+    const names = option.alias
+      ? `-${option.alias}, --${name}`
+      : `    --${name}`;
+    const type = option.type || "boolean";
+    if (type === "enum") return `${names} <${option.choices.join("|")}>`;
+    if (type !== "boolean") return `${names} <${option.valueName || type}>`;
+    return names;
+  }
+
+  _formatOptions(options) {
+    const rows = Object.entries(options).map(([name, option]) => {
+      let description = option.description || "";
+      if (option.default !== undefined && option.type !== "boolean") {
+        description += ` (default: ${option.default})`;
+      }
+      return [this._optionLabel(name, option), description];
+    });
+    return this._formatRows(rows, chalk.cyan);
+  }
+
+  _formatRows(rows, color) {
+    const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+    return rows
+      .map(
+        ([label, description]) =>
+          `  ${color(label.padEnd(width))}${description}`,
+      )
+      .join("\n");
+  }
+
+  formatHelp(commandName = null) {
+    if (commandName) {
+      return this._formatCommandHelp(this.find(commandName));
+    }
+
+    const lines = [chalk.blue.bold(`\n🕒 ${this.description}\n`)];
+    lines.push(chalk.white("Usage:"));
+    lines.push(`  ${chalk.green(`${this.name} <command> [options]`)}`);
+    if (this.defaultCommand) {
+      lines.push(
+        `  ${chalk.green(this.name.padEnd(this.name.length + 20))}${chalk.gray(`# ${this.defaultCommand.summary}`)}`,
+      );
+    }
+
+    for (const group of this.groups) {
+      const commands = this.commands.filter(
+        (command) => command.group === group && !command.hidden,
+      );
+      if (commands.length === 0) continue;
+      lines.push(chalk.white(`\n${group}:`));
+      lines.push(
+        this._formatRows(
+          commands.map((command) => [command.name, command.summary]),
+          chalk.green,
+        ),
+      );
+    }
+
+    lines.push(chalk.white("\nGlobal Options:"));
+    lines.push(this._formatOptions(this.globalOptions));
+
+    for (const { heading, lines: noteLines } of this.notes) {
+      lines.push(chalk.white(`\n${heading}:`));
+      noteLines.forEach((line) => lines.push(chalk.gray(`  ${line}`)));
+    }
+
+    lines.push(
+      chalk.gray(`\nRun "${this.name} <command> --help" for command details.`),
+    );
+    return lines.join("\n");
+  }
+
+  _formatCommandHelp(command) {
+    const lines = [chalk.blue.bold(`\n${this.name} ${command.name}`)];
+    lines.push(`${command.description || command.summary}\n`);
+    lines.push(chalk.white("Usage:"));
+    lines.push(`  ${chalk.green(this._usage(command))}`);
+
+    if (command.aliases.length > 0) {
+      lines.push(chalk.gray(`  (also: ${command.aliases.join(", ")})`));
+    }
+
+    if (command.args.length > 0) {
+      lines.push(chalk.white("\nArguments:"));
+      lines.push(
+        this._formatRows(
+          command.args.map((arg) => {
+            let description = arg.description || "";
+            if (arg.type === "enum") {
+              description += ` (${arg.choices.join(", ")})`;
+            }
+            return [arg.name, description];
+          }),
+          chalk.yellow,
+        ),
+      );
+    }
+
+    if (Object.keys(command.options).length > 0) {
+      lines.push(chalk.white("\nOptions:"));
+      lines.push(this._formatOptions(command.options));
+    }
+
+    lines.push(chalk.white("\nGlobal Options:"));
+    lines.push(this._formatOptions(this.globalOptions));
+
+    if (command.examples.length > 0) {
+      lines.push(chalk.white("\nExamples:"));
+      command.examples.forEach((example) =>
+        lines.push(chalk.gray(`  ${this.name} ${example}`)),
+      );
+    }
+
+    return lines.join("\n");
+  }
+
+  // ---------------------------------------------------------------------
+  // Shell completion
+  // ---------------------------------------------------------------------
+
+  completionScript(shell) {
+    switch (shell) {
+      case "bash":
+        return this._bashCompletion();
+      case "zsh":
+        return this._zshCompletion();
+      case "fish":
+        return this._fishCompletion();
+      default:
+        throw new CommandLineError(
+          `Unsupported shell: ${shell} (use bash, zsh or fish)`,
+          "completion",
+        );
+    }
+  }
+
+  _visibleCommands() {
+    return this.commands.filter((command) => !command.hidden);
+  }
+
+  _flagWords(options) {
+    const words = [];
+    for (const [name, option] of Object.entries(options)) {
+      words.push(`--${name}`);
+      if (option.alias) words.push(`-${option.alias}`);
+    }
+    return words;
+  }
+
+  // Values to offer after an option or for an argument
+  _valueWords(spec) {
+    if (spec.type === "enum") return spec.choices.join(" ");
+    return null;
+  }
+
+  _functionName() {
+    return `_${this.name.replace(/[^a-zA-Z0-9]/g, "_")}`;
+  }
+
+  _bashCompletion() {
+    const fn = this._functionName();
+    const commandWords = this._visibleCommands()
+      .map((command) => command.name)
+      .join(" ");
+    const globalFlags = this._flagWords(this.globalOptions).join(" ");
+
+    const valueCases = [];
+    const seenValueFlags = new Set();
+    const allOptions = [
+      this.globalOptions,
+      ...this.commands.map((command) => command.options),
+    ];
+    for (const options of allOptions) {
+      for (const [name, option] of Object.entries(options)) {
+        const type = option.type || "boolean";
+        if (type === "boolean" || seenValueFlags.has(name)) continue;
+        seenValueFlags.add(name);
+        const flags = [`--${name}`, option.alias ? `-${option.alias}` : null]
+          .filter(Boolean)
+          .join("|");
+        const words = this._valueWords(option);
+        // Dates, times, numbers and names: nothing to offer
+        let reply = "COMPREPLY=()";
+        if (words) {
+          reply = `COMPREPLY=($(compgen -W "${words}" -- "$cur"))`;
+        } else if (option.complete === "file") {
+          reply = `COMPREPLY=($(compgen -f -- "$cur"))`;
+        }
+        valueCases.push(`      ${flags}) ${reply}; return ;;`);
+      }
+    }
+
+    const commandCases = this._visibleCommands().map((command) => {
+      const flags = [
+        ...this._flagWords(command.options),
+        ...this._flagWords(this.globalOptions),
+      ].join(" ");
+      const enumArgs = command.args
+        .map((arg) => this._valueWords(arg))
+        .filter(Boolean)
+        .join(" ");
+      const positional = [];
+      if (enumArgs) {
+        positional.push(`COMPREPLY=($(compgen -W "${enumArgs}" -- "$cur"))`);
+      }
+      if (command.args.some((arg) => arg.complete === "file")) {
+        positional.push(`COMPREPLY+=($(compgen -f -- "$cur"))`);
+      }
+      return [
+        `    ${[command.name, ...command.aliases].join("|")})`,
+        `      if [[ "$cur" == -* ]]; then`,
+        `        COMPREPLY=($(compgen -W "${flags}" -- "$cur"))`,
+        ...(positional.length > 0
+          ? [`      else`, ...positional.map((line) => `        ${line}`)]
+          : []),
+        `      fi`,
+        `      ;;`,
+      ].join("\n");
+    });
+
+    // Global options may come before the command: skip them and their values
+    const globalValueFlags = Object.entries(this.globalOptions)
+      .filter(([, option]) => (option.type || "boolean") !== "boolean")
+      .flatMap(([name, option]) =>
+        option.alias ? [`--${name}`, `-${option.alias}`] : [`--${name}`],
+      );
+    const skipGlobalValue =
+      globalValueFlags.length > 0
+        ? [
+            `      ${globalValueFlags.join("|")})`,
+            // bash splits --name=value into three words
+            `        ((i++))`,
+            `        [[ "\${COMP_WORDS[i]}" == "=" ]] && ((i++))`,
+            `        ;;`,
+          ].join("\n") + "\n"
+        : "";
+
+    return `# bash completion for ${this.name}
+# Install: ${this.name} completion bash > /etc/bash_completion.d/${this.name}
+#      or: source <(${this.name} completion bash)
+${fn}() {
+  local cur prev command i
+  cur="\${COMP_WORDS[COMP_CWORD]}"
+  prev="\${COMP_WORDS[COMP_CWORD-1]}"
+
+  case "$prev" in
+${valueCases.join("\n")}
+  esac
+
+  command=""
+  for ((i = 1; i < COMP_CWORD; i++)); do
+    case "\${COMP_WORDS[i]}" in
+${skipGlobalValue}      -*) ;;
+      *)
+        command="\${COMP_WORDS[i]}"
+        break
+        ;;
+    esac
+  done
+
+  if [[ -z "$command" ]]; then
+    COMPREPLY=($(compgen -W "${commandWords} ${globalFlags}" -- "$cur"))
+    return
+  fi
+
+  case "$command" in
+${commandCases.join("\n")}
+  esac
+}
+complete -F ${fn} ${[this.name, ...this.aliases].join(" ")}
+`;
+  }
+
+  _zshEscape(text) {
+    return (text || "").replace(/'/g, "'\\''").replace(/([[\]:])/g, "\\$1");
+  }
+
+  _zshOptionSpecs(options) {
+    return Object.entries(options).map(([name, option]) => {
+      const description = this._zshEscape(option.description);
+      const type = option.type || "boolean";
+      let value = "";
+      if (type === "enum") {
+        value = `:${name}:(${option.choices.join(" ")})`;
+      } else if (type !== "boolean") {
+        value = option.complete === "file" ? `:${name}:_files` : `:${name}: `;
+      }
+      const names = option.alias ? `{-${option.alias},--${name}}` : `--${name}`;
+      return option.alias
+        ? `'(-${option.alias} --${name})'${names}'[${description}]${value}'`
+        : `'${names}[${description}]${value}'`;
+    });
+  }
+
+  _zshCompletion() {
+    const fn = this._functionName();
+    const commandList = this._visibleCommands()
+      .map(
+        (command) =>
+          `    '${command.name}:${this._zshEscape(command.summary)}'`,
+      )
+      .join("\n");
+
+    const commandCases = this._visibleCommands().map((command) => {
+      const specs = [
+        ...this._zshOptionSpecs(command.options),
+        ...this._zshOptionSpecs(this.globalOptions),
+      ];
+      command.args.forEach((arg, index) => {
+        const position = arg.variadic ? "*" : `${index + 1}`;
+        let action = " ";
+        if (arg.type === "enum") action = `(${arg.choices.join(" ")})`;
+        else if (arg.complete === "file") action = "_files";
+        specs.push(`'${position}:${arg.name}:${action}'`);
+      });
+      return [
+        `    ${[command.name, ...command.aliases].join("|")})`,
+        `      _arguments \\`,
+        specs.map((spec) => `        ${spec}`).join(" \\\n"),
+        `      ;;`,
+      ].join("\n");
+    });
+
+    return `#compdef ${[this.name, ...this.aliases].join(" ")}
+# zsh completion for ${this.name}
+# Install: ${this.name} completion zsh > "\${fpath[1]}/_${this.name}"
+${fn}() {
+  local -a commands
+  commands=(
+${commandList}
+  )
+
+  if (( CURRENT == 2 )); then
+    _describe -t commands 'command' commands
+    return
+  fi
+
+  local command="\${words[2]}"
+  shift words
+  (( CURRENT-- ))
+
+  case "$command" in
+${commandCases.join("\n")}
+  esac
+}
+
+${fn} "$@"
+`;
+  }
+
+  _fishEscape(text) {
+    return (text || "").replace(/'/g, "\\'");
+  }
+
+  _fishOptionLines(binary, condition, options) {
+    return Object.entries(options).map(([name, option]) => {
+      const parts = [`complete -c ${binary}`];
+      if (condition) parts.push(`-n '${condition}'`);
+      parts.push(`-l ${name}`);
+      if (option.alias) parts.push(`-s ${option.alias}`);
+      const type = option.type || "boolean";
+      if (type === "enum") {
+        parts.push(`-x -a '${option.choices.join(" ")}'`);
+      } else if (type !== "boolean") {
+        parts.push(option.complete === "file" ? "-r -F" : "-x");
+      }
+      parts.push(`-d '${this._fishEscape(option.description)}'`);
+      return parts.join(" ");
+    });
+  }
+
+  _fishCompletion() {
+    const lines = [
+      `# fish completion for ${this.name}`,
+      `# Install: ${this.name} completion fish > ~/.config/fish/completions/${this.name}.fish`,
+    ];
+
+    for (const binary of [this.name, ...this.aliases]) {
+      lines.push(`\n# ${binary}`);
+      lines.push(`complete -c ${binary} -f`);
+      lines.push(...this._fishOptionLines(binary, null, this.globalOptions));
+
+      for (const command of this._visibleCommands()) {
+        lines.push(
+          `complete -c ${binary} -n '__fish_use_subcommand' -a ${command.name} -d '${this._fishEscape(command.summary)}'`,
+        );
+
+        const condition = `__fish_seen_subcommand_from ${[command.name, ...command.aliases].join(" ")}`;
+        lines.push(
+          ...this._fishOptionLines(binary, condition, command.options),
+        );
+
+        const enumArgs = command.args
+          .map((arg) => this._valueWords(arg))
+          .filter(Boolean);
+        if (enumArgs.length > 0) {
+          lines.push(
+            `complete -c ${binary} -n '${condition}' -a '${enumArgs.join(" ")}'`,
+          );
+        }
+        if (command.args.some((arg) => arg.complete === "file")) {
+          lines.push(`complete -c ${binary} -n '${condition}' -F`);
+        }
+      }
+    }
+
+    return lines.join("\n") + "\n";
+  }
+}
+
+module.exports = { CommandRegistry, CommandLineError };
@@ -18,6 +18,9 @@ class Config {
     this.nodeEnv = "production";
     this._suppressConfigLogs = false;
     this._tokenManager = null;
+    this.profile = "default"; // See utils/profiles.js
+    this.profileConfigPath = null;
+    this.profileError = null;
 
     // Load YAML configuration
     this.loadYamlConfig();
@@ -35,7 +38,8 @@ class Config {
   }
 
   /**
-   * Get Tempo API token from secure storage
+   * Get Tempo API token from secure storage; every profile has its own
+   * keychain entry, named like the profile
    */
   async getTempoToken() {
     if (this.tempoApiToken) {
@@ -43,7 +47,7 @@ class Config {
     }
 
     const tokenManager = this.getTokenManager();
-    const result = await tokenManager.getToken();
+    const result = await tokenManager.getToken(this.profile);
     this.tempoApiToken = result.token;
 
     return this.tempoApiToken;
@@ -54,11 +58,39 @@ class Config {
    */
   async storeTempoToken(token) {
     const tokenManager = this.getTokenManager();
-    await tokenManager.storeToken(token);
+    await tokenManager.storeToken(token, this.profile);
     this.tempoApiToken = token;
   }
 
+  /**
+   * Pick the profile: TEMPO_BOOKER_PROFILE (set by --profile), else the
+   * current one of profiles.yaml. Returns its config.yaml, or null for the
+   * default profile.
+   */
+  selectProfile() {
+    const Profiles = require("./profiles");
+    const registry = Profiles.open();
+    this.profile = process.env.TEMPO_BOOKER_PROFILE || registry.current;
+    return registry.configPath(this.profile);
+  }
+
   loadYamlConfig() {
+    this.profileError = null;
+    try {
+      this.profileConfigPath = this.selectProfile();
+    } catch (error) {
+      // Reported by validate(), so commands stop before calling Tempo
+      this.profileError = error;
+      this.profileConfigPath = null;
+      this.yaml = {};
+      console.error(`❌ ${error.message}`);
+      return;
+    }
+    if (this.profileConfigPath) {
+      this.loadProfileConfig();
+      return;
+    }
+
     // Priority order for config.yaml location:
     // 1. User's Documents/tempo-workspace directory (most common)
     // 2. User's home/tempo-workspace directory (fallback)
@@ -110,8 +142,16 @@ class Config {
           this.authorAccountId = this.yaml.user.accountId;
         }
 
+        // Optional Jira credentials (api.jiraEmail / api.jiraToken)
+        this.jiraEmail = this.yaml.api?.jiraEmail || this.jiraEmail;
+        this.jiraApiToken = this.yaml.api?.jiraToken || this.jiraApiToken;
+
+        // stderr, so output meant for other programs (e.g. `completion bash`)
+        // stays clean
         if (!this._suppressConfigLogs) {
-          console.log(`✅ Loaded configuration from ${configSource}`);
+          process.stderr.write(
+            `✅ Loaded configuration from ${configSource}\n`,
+          );
         }
       } else {
         // Create default config in tempo-workspace
@@ -124,6 +164,39 @@ class Config {
     }
   }
 
+  /**
+   * Load the config.yaml of a named profile; unlike the default profile it
+   * is never created on the fly
+   */
+  loadProfileConfig() {
+    try {
+      if (!fs.existsSync(this.profileConfigPath)) {
+        throw new Error(
+          `Config of profile "${this.profile}" not found: ${this.profileConfigPath}`,
+        );
+      }
+      this.yaml =
+        yaml.load(fs.readFileSync(this.profileConfigPath, "utf8")) || {};
+      this.configPath = this.profileConfigPath;
+
+      if (this.yaml.user?.accountId && !this.authorAccountId) {
+        this.authorAccountId = this.yaml.user.accountId;
+      }
+      this.jiraEmail = this.yaml.api?.jiraEmail || this.jiraEmail;
+      this.jiraApiToken = this.yaml.api?.jiraToken || this.jiraApiToken;
+
+      if (!this._suppressConfigLogs) {
+        process.stderr.write(
+          `✅ Loaded configuration of profile ${this.profile}\n`,
+        );
+      }
+    } catch (error) {
+      this.profileError = error;
+      this.yaml = {};
+      console.error(`❌ Error loading config.yaml: ${error.message}`);
+    }
+  }
+
   /**
    * Create default configuration file in tempo-workspace
    */
@@ -153,10 +226,12 @@ api:
 
 # Issue Resolution Preferences
 issueResolution:
+  providers: [static, cache, jira, mcp, history]  # asked in this order
   useMCP: false                    # Use MCP for issue resolution when available
   useConfigMappings: true          # Use static config mappings (recommended)
-  useAPI: true                     # Use API-based resolution as fallback
-  autoSuggestMappings: true        # Suggest adding successful API resolutions to config
+  useAPI: true                     # Look up unknown keys in Jira (needs jiraEmail/jiraToken)
+  learnMappings: true              # Save Jira/MCP resolutions to issueMapping
+  cacheTtlHours: 168               # Keep resolutions in the issue cache for a week
 
 # Issue Mappings - Add your JIRA issues here
 issueMapping:
@@ -210,6 +285,68 @@ logging:
     return this.yaml?.api?.jiraBaseUrl;
   }
 
+  /**
+   * api.jiraBaseUrl for calls to Jira; there is no default tenant, so a
+   * missing or placeholder value is an error
+   */
+  requireJiraBaseUrl() {
+    const url = (this.jiraBaseUrl || "").trim().replace(/\/+$/, "");
+    if (!url || url.includes("your-company")) {
+      throw new Error(
+        'api.jiraBaseUrl is not set in config.yaml - add your Atlassian site, e.g. "https://example.atlassian.net"',
+      );
+    }
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(
+        `api.jiraBaseUrl must start with https:// (got "${url}")`,
+      );
+    }
+    return url;
+  }
+
+  // Description regex -> issue key rules (see utils/issueKeyRules.js)
+  get issueKeyRules() {
+    return this.yaml.issueRules || [];
+  }
+
+  /**
+   * Earliest day worth fetching or diffing: 1 January history.years back
+   * (default 1, i.e. last year), never before history.since
+   */
+  get historyCutoff() {
+    const history = this.yaml.history || {};
+    const years = parseInt(history.years, 10);
+    const cutoff = `${new Date().getFullYear() - (years >= 0 ? years : 1)}-01-01`;
+
+    const since =
+      history.since instanceof Date
+        ? history.since.toISOString().slice(0, 10)
+        : history.since;
+    return since && since > cutoff ? since : cutoff;
+  }
+
+  get worklogPageSize() {
+    const pageSize = parseInt(this.yaml?.api?.pageSize, 10);
+    // Tempo caps a single page at 5000 results
+    return pageSize > 0 ? Math.min(pageSize, 5000) : 1000;
+  }
+
+  // Total attempts per Tempo request, including the first one
+  get retryMaxAttempts() {
+    const attempts = parseInt(this.yaml?.api?.retry?.maxAttempts, 10);
+    return attempts > 0 ? attempts : 4;
+  }
+
+  get retryBaseDelayMs() {
+    const delay = parseInt(this.yaml?.api?.retry?.baseDelayMs, 10);
+    return delay >= 0 ? delay : 500;
+  }
+
+  get requestsPerSecond() {
+    const rate = parseFloat(this.yaml?.api?.rateLimit?.requestsPerSecond);
+    return rate >= 0 ? rate : 5; // 0 disables client-side throttling
+  }
+
   // User configuration getters
   get userName() {
     return this.yaml.user?.name || "Unknown User";
@@ -233,13 +370,219 @@ logging:
     return fileName;
   }
 
+  get csvDelimiter() {
+    // "auto" detects "," or ";" (European Excel) from the header line
+    return this.yaml.import?.csvDelimiter || "auto";
+  }
+
   get defaultDateScope() {
     return this.yaml.import?.defaultDateScope || "current-week";
   }
 
+  // Export configuration getters
+  get exportCsvDelimiter() {
+    return this.yaml.export?.csvDelimiter || ",";
+  }
+
+  get exportExcelBom() {
+    return this.yaml.export?.excelBom === true; // default to false
+  }
+
+  // Offline outbox: changes that could not be sent to Tempo yet
+  get outboxFile() {
+    const fileName = this.yaml.files?.outboxFile || "outbox.json";
+    if (!path.isAbsolute(fileName)) {
+      return path.join(this.workspaceDir, fileName);
+    }
+    return fileName;
+  }
+
+  // Queue worklog changes instead of sending them (api.offline or --offline)
+  get offlineMode() {
+    return (
+      process.env.TEMPO_BOOKER_OFFLINE === "1" ||
+      this.yaml.api?.offline === true
+    );
+  }
+
+  // Local mirror of the user's worklogs used by reports and the import diff
+  get worklogCacheFile() {
+    const fileName = this.yaml.files?.cacheFile || "cache/worklogs.json";
+    if (!path.isAbsolute(fileName)) {
+      return path.join(this.workspaceDir, fileName);
+    }
+    return fileName;
+  }
+
+  get worklogCacheSettings() {
+    const cache = this.yaml.cache || {};
+    const maxAge = parseInt(cache.maxAgeSeconds, 10);
+    const fullRefresh = parseFloat(cache.fullRefreshHours);
+    return {
+      enabled: cache.enabled !== false, // default to true
+      maxAgeSeconds: maxAge >= 0 ? maxAge : 60,
+      fullRefreshHours: fullRefresh > 0 ? fullRefresh : 24,
+    };
+  }
+
+  // Interactive issue picker (quick/start without an issue, main menu)
+  get issuePickerSettings() {
+    const picker = this.yaml.issuePicker || {};
+    const days = parseInt(picker.historyDays, 10);
+    const limit = parseInt(picker.limit, 10);
+    return {
+      historyDays: days > 0 ? days : 60,
+      limit: limit > 0 ? limit : 15,
+    };
+  }
+
+  get issueCacheFile() {
+    const fileName = this.yaml.files?.issueCacheFile || "cache/issues.json";
+    if (!path.isAbsolute(fileName)) {
+      return path.join(this.workspaceDir, fileName);
+    }
+    return fileName;
+  }
+
+  /**
+   * Issue resolver chain: providers in the order they are asked, and the
+   * ones switched off by the older useConfigMappings/useAPI/useMCP flags
+   */
+  get issueResolutionSettings() {
+    const settings = this.yaml.issueResolution || {};
+    const ttl = parseFloat(settings.cacheTtlHours);
+    const providers = Array.isArray(settings.providers)
+      ? settings.providers.map((name) => String(name).trim().toLowerCase())
+      : ["static", "cache", "jira", "mcp", "history"];
+
+    const disabled = {};
+    if (settings.useConfigMappings === false) {
+      disabled.static = "issueResolution.useConfigMappings is false";
+    }
+    if (settings.useAPI === false) {
+      disabled.jira = "issueResolution.useAPI is false";
+    }
+    if (settings.useMCP !== true) {
+      disabled.mcp = "issueResolution.useMCP is not true";
+    }
+
+    return {
+      providers,
+      disabled,
+      cacheTtlHours: ttl >= 0 ? ttl : 168,
+      learnMappings: settings.learnMappings !== false,
+    };
+  }
+
+  // MCP server spawned by the "mcp" issue provider (command is null if unset)
+  get mcpServerSettings() {
+    const mcp = this.yaml.mcp || {};
+    const timeout = parseFloat(mcp.timeoutSeconds);
+    return {
+      command: mcp.command || null,
+      args: Array.isArray(mcp.args) ? mcp.args.map(String) : [],
+      env: mcp.env && typeof mcp.env === "object" ? mcp.env : {},
+      timeoutMs: (timeout > 0 ? timeout : 30) * 1000,
+      getIssueTool: mcp.getIssueTool || null,
+    };
+  }
+
+  // Expected working hours for `tempo-booker check`
+  get workSchedule() {
+    const schedule = this.yaml.schedule || {};
+    const maxHours = parseFloat(schedule.maxHoursPerDay);
+    const maxGap = parseInt(schedule.maxGapMinutes, 10);
+    const absenceFile = schedule.absenceFile || "absences.yaml";
+
+    return {
+      hoursPerWeekday: {
+        monday: 8,
+        tuesday: 8,
+        wednesday: 8,
+        thursday: 8,
+        friday: 8,
+        saturday: 0,
+        sunday: 0,
+        ...(schedule.hoursPerWeekday || {}),
+      },
+      maxHoursPerDay: maxHours > 0 ? maxHours : 10,
+      maxGapMinutes: maxGap >= 0 ? maxGap : 60,
+      absenceFile: path.isAbsolute(absenceFile)
+        ? absenceFile
+        : path.join(this.workspaceDir, absenceFile),
+    };
+  }
+
+  // Recurring worklogs for `tempo-booker apply-templates`
+  get worklogTemplates() {
+    return this.yaml.templates || [];
+  }
+
+  // Public holidays: bundled country/region rules and local .ics calendars
+  get holidaySettings() {
+    const holidays = this.yaml.holidays || {};
+    const icsFiles = Array.isArray(holidays.icsFiles)
+      ? holidays.icsFiles
+      : holidays.icsFiles
+        ? [holidays.icsFiles]
+        : [];
+
+    return {
+      country: holidays.country || null,
+      region: holidays.region || null,
+      icsFiles: icsFiles.map((file) =>
+        path.isAbsolute(file) ? file : path.join(this.workspaceDir, file),
+      ),
+    };
+  }
+
+  // Timer configuration getters
+  get timerStateFile() {
+    const fileName = this.yaml.files?.timerFile || "timer.json";
+    if (!path.isAbsolute(fileName)) {
+      return path.join(this.workspaceDir, fileName);
+    }
+    return fileName;
+  }
+
+  get serverTokenFile() {
+    const fileName = this.yaml.files?.serverTokenFile || "server-token";
+    if (!path.isAbsolute(fileName)) {
+      return path.join(this.workspaceDir, fileName);
+    }
+    return fileName;
+  }
+
+  // Local HTTP API (tempo-booker serve); token null means a generated one
+  get serverSettings() {
+    const server = this.yaml.server || {};
+    const port = parseInt(server.port, 10);
+    return {
+      host: server.host || "127.0.0.1",
+      port: port > 0 ? port : this.port,
+      token: server.token || process.env.TEMPO_BOOKER_SERVER_TOKEN || null,
+    };
+  }
+
+  // Rounding applied to the duration when a timer is stopped
+  get timerRounding() {
+    const minutes = parseInt(this.yaml.timer?.roundToMinutes, 10);
+    const mode = this.yaml.timer?.rounding;
+    return {
+      minutes: minutes >= 0 ? minutes : 15,
+      mode: ["nearest", "up", "down", "none"].includes(mode) ? mode : "nearest",
+    };
+  }
+
   // File path management
   get workspaceDir() {
-    return this.yaml.user?.workspaceDir || process.cwd();
+    if (this.yaml.user?.workspaceDir) {
+      return this.yaml.user.workspaceDir;
+    }
+    // A profile's config.yaml lives in its workspace
+    return this.profileConfigPath
+      ? path.dirname(this.profileConfigPath)
+      : process.cwd();
   }
 
   get exportDir() {
@@ -344,6 +687,9 @@ logging:
   }
 
   validate() {
+    if (this.profileError) {
+      throw this.profileError;
+    }
     if (
       !this.tempoApiToken &&
       (!this.tempoClientId || !this.tempoClientSecret)
@@ -374,6 +720,10 @@ logging:
    * Get the path to the current config.yaml file
    */
   getConfigPath() {
+    if (this.profileConfigPath) {
+      return this.profileConfigPath;
+    }
+
     const possiblePaths = [];
     const os = require("os");
     const homeDir = os.homedir();
@@ -403,6 +753,19 @@ logging:
   reload() {
     this.loadYamlConfig();
   }
+
+  /**
+   * Switch this process to another profile: its config.yaml, token and
+   * account ID replace the loaded ones
+   */
+  useProfile(name) {
+    process.env.TEMPO_BOOKER_PROFILE = name;
+    this.tempoApiToken = null;
+    this.authorAccountId = null;
+    this.jiraEmail = null;
+    this.jiraApiToken = null;
+    this.reload();
+  }
 }
 
 module.exports = new Config();
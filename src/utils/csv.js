@@ -0,0 +1,273 @@
+// RFC 4180 CSV reader and writer used by worklog imports and exports
+const DELIMITER_CANDIDATES = [",", ";", "\t"];
+
+/**
+ * Guess the delimiter of a CSV file from its header line.
+ * European Excel exports use ";" instead of ",".
+ */
+function detectDelimiter(headerLine) {
+  const counts = {};
+  let inQuotes = false;
+
+  for (const ch of headerLine) {
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && DELIMITER_CANDIDATES.includes(ch)) {
+      counts[ch] = (counts[ch] || 0) + 1;
+    }
+  }
+
+  let best = ",";
+  let bestCount = 0;
+  for (const candidate of DELIMITER_CANDIDATES) {
+    if ((counts[candidate] || 0) > bestCount) {
+      best = candidate;
+      bestCount = counts[candidate];
+    }
+  }
+  return best;
+}
+
+/**
+ * Incremental CSV parser. Feed text with push() as it arrives and call end()
+ * once the input is exhausted; both return the records completed so far.
+ *
+ * Each record is { line, fields, error } where line is the 1-based line the
+ * record starts on and error is a message when the row is malformed.
+ */
+class CsvParser {
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || "auto";
+    this.trimUnquoted = options.trimUnquoted === true;
+    this.errors = [];
+
+    this._pending = ""; // buffered input while the delimiter is being detected
+    this._started = false;
+    this._line = 1;
+    this._skipLineFeed = false;
+    this._prev = null;
+    this._resetRecord();
+  }
+
+  push(chunk) {
+    if (!chunk) return [];
+
+    if (!this._started) {
+      this._pending += chunk;
+      if (this._pending.charCodeAt(0) === 0xfeff) {
+        this._pending = this._pending.slice(1);
+      }
+      if (this.delimiter === "auto") {
+        const newline = this._pending.search(/[\r\n]/);
+        if (newline === -1) return [];
+        this.delimiter = detectDelimiter(this._pending.slice(0, newline));
+      }
+      this._started = true;
+      chunk = this._pending;
+      this._pending = "";
+    }
+
+    const records = [];
+    for (const ch of chunk) {
+      this._consume(ch, records);
+    }
+    return records;
+  }
+
+  end() {
+    const records = [];
+
+    if (!this._started && this._pending) {
+      if (this.delimiter === "auto") {
+        this.delimiter = detectDelimiter(this._pending);
+      }
+      this._started = true;
+      const pending = this._pending;
+      this._pending = "";
+      for (const ch of pending) {
+        this._consume(ch, records);
+      }
+    }
+
+    if (this._state === "quoted") {
+      this._fail("Unterminated quoted field");
+    }
+    if (this._recordStarted) {
+      this._endRecord(records);
+    }
+    return records;
+  }
+
+  _resetRecord() {
+    this._fields = [];
+    this._field = "";
+    this._fieldQuoted = false;
+    this._state = "fieldStart"; // fieldStart | unquoted | quoted | quoteInQuoted | afterQuote
+    this._recordStarted = false;
+    this._recordLine = this._line;
+    this._recordError = null;
+  }
+
+  _fail(message) {
+    if (!this._recordError) {
+      this._recordError = message;
+      this.errors.push({ line: this._recordLine, message });
+    }
+  }
+
+  _consume(ch, records) {
+    const prev = this._prev;
+    this._prev = ch;
+
+    if (this._skipLineFeed) {
+      this._skipLineFeed = false;
+      if (ch === "\n") return;
+    }
+
+    if (!this._recordStarted) {
+      this._recordStarted = true;
+      this._recordLine = this._line;
+    }
+
+    if (this._state === "quoteInQuoted") {
+      if (ch === '"') {
+        // Escaped quote ("") inside a quoted field
+        this._field += '"';
+        this._state = "quoted";
+        return;
+      }
+      this._state = "afterQuote";
+    }
+
+    if (this._state === "quoted") {
+      if (ch === '"') {
+        this._state = "quoteInQuoted";
+        return;
+      }
+      // Embedded newlines still advance the line counter (CRLF counts once)
+      if (ch === "\r" || (ch === "\n" && prev !== "\r")) {
+        this._line++;
+      }
+      this._field += ch;
+      return;
+    }
+
+    if (ch === this.delimiter) {
+      this._endField();
+      return;
+    }
+
+    if (ch === "\r" || ch === "\n") {
+      this._line++;
+      this._skipLineFeed = ch === "\r";
+      this._endRecord(records);
+      return;
+    }
+
+    if (this._state === "afterQuote") {
+      // Tolerate padding between a closing quote and the delimiter
+      if (this.trimUnquoted && /\s/.test(ch)) return;
+      this._fail(`Unexpected character '${ch}' after closing quote`);
+      this._field += ch;
+      return;
+    }
+
+    // Hand-written files often pad fields, e.g. `2025-10-14, "Fix, test"`
+    const isPadding =
+      this._state === "unquoted" && this.trimUnquoted && !this._field.trim();
+    if (ch === '"' && (this._state === "fieldStart" || isPadding)) {
+      this._field = "";
+      this._state = "quoted";
+      this._fieldQuoted = true;
+      return;
+    }
+
+    this._state = "unquoted";
+    this._field += ch;
+  }
+
+  _endField() {
+    let value = this._field;
+    if (this.trimUnquoted && !this._fieldQuoted) {
+      value = value.trim();
+    }
+    this._fields.push(value);
+    this._field = "";
+    this._fieldQuoted = false;
+    this._state = "fieldStart";
+  }
+
+  _endRecord(records) {
+    this._endField();
+
+    // Blank lines are not records
+    const isBlank = this._fields.length === 1 && this._fields[0] === "";
+    if (!isBlank || this._recordError) {
+      records.push({
+        line: this._recordLine,
+        fields: this._fields,
+        error: this._recordError,
+      });
+    }
+    this._resetRecord();
+  }
+}
+
+/**
+ * Parse a complete CSV document.
+ * Returns { records, errors, delimiter } - see CsvParser for the record shape.
+ */
+function parseCsv(text, options = {}) {
+  const parser = new CsvParser(options);
+  const records = [...parser.push(text), ...parser.end()];
+  return { records, errors: parser.errors, delimiter: parser.delimiter };
+}
+
+/**
+ * Quote a single value when it would not survive a round trip through
+ * CsvParser: delimiters, quotes, line breaks and (because imports trim
+ * unquoted fields) leading or trailing whitespace.
+ */
+function formatCsvField(value, delimiter = ",") {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+
+  const needsQuotes =
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r") ||
+    text !== text.trim();
+
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (objects keyed by header) to CSV text.
+ * Options: delimiter (default ","), excel (prepend a UTF-8 BOM and use CRLF
+ * line endings so Excel opens the file with the right encoding).
+ */
+function stringifyCsv(rows, headers, options = {}) {
+  const delimiter = options.delimiter || ",";
+  const lineEnding = options.excel ? "\r\n" : "\n";
+
+  const lines = [
+    headers.map((header) => formatCsvField(header, delimiter)).join(delimiter),
+    ...rows.map((row) =>
+      headers
+        .map((header) => formatCsvField(row[header], delimiter))
+        .join(delimiter),
+    ),
+  ];
+
+  const csv = lines.join(lineEnding) + lineEnding;
+  return options.excel ? "\ufeff" + csv : csv;
+}
+
+module.exports = {
+  CsvParser,
+  parseCsv,
+  detectDelimiter,
+  formatCsvField,
+  stringifyCsv,
+};
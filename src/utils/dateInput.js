@@ -0,0 +1,99 @@
+const moment = require("moment");
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Parse a day as typed on the command line: today, yesterday, a weekday
+ * (mon / monday - the most recent one, today included), a relative offset
+ * (-2d) or YYYY-MM-DD. Returns YYYY-MM-DD; throws on anything else.
+ */
+function parseDateInput(input, today = moment()) {
+  const value = String(input).trim().toLowerCase();
+  const base = moment(today).startOf("day");
+
+  if (value === "today") {
+    return base.format("YYYY-MM-DD");
+  }
+  if (value === "yesterday") {
+    return base.subtract(1, "day").format("YYYY-MM-DD");
+  }
+
+  const offset = value.match(/^-(\d+)d$/);
+  if (offset) {
+    return base.subtract(parseInt(offset[1], 10), "days").format("YYYY-MM-DD");
+  }
+
+  const weekday = WEEKDAYS.findIndex(
+    (name) => value.length >= 3 && name.startsWith(value),
+  );
+  if (weekday !== -1) {
+    const daysBack = (base.day() - weekday + 7) % 7;
+    return base.subtract(daysBack, "days").format("YYYY-MM-DD");
+  }
+
+  const date = moment(value, "YYYY-MM-DD", true);
+  if (date.isValid()) {
+    return date.format("YYYY-MM-DD");
+  }
+
+  throw new Error(
+    `Invalid date "${input}" (use YYYY-MM-DD, today, yesterday, mon..sun or -2d)`,
+  );
+}
+
+/**
+ * Parse optional from/to day inputs into { dateFrom, dateTo }; without from
+ * the current week, without to the rest of from's week
+ */
+function parseWeekRange(from, to, today = moment()) {
+  const dateFrom = from
+    ? parseDateInput(from, today)
+    : moment(today).startOf("isoWeek").format("YYYY-MM-DD");
+  const dateTo = to
+    ? parseDateInput(to, today)
+    : moment(dateFrom).endOf("isoWeek").format("YYYY-MM-DD");
+  if (dateTo < dateFrom) {
+    throw new Error(`End date ${dateTo} is before start date ${dateFrom}`);
+  }
+  return { dateFrom, dateTo };
+}
+
+/**
+ * Parse a clock time (9:00, 13:30 or 13:30:00) into HH:mm:ss
+ */
+function parseTimeInput(input) {
+  const time = moment(
+    String(input).trim(),
+    ["H:mm", "HH:mm", "H:mm:ss", "HH:mm:ss"],
+    true,
+  );
+  if (!time.isValid()) {
+    throw new Error(`Invalid time "${input}" (use HH:MM, e.g. 13:30)`);
+  }
+  return time.format("HH:mm:ss");
+}
+
+/**
+ * A date read from YAML as YYYY-MM-DD - js-yaml turns unquoted dates into
+ * Date objects
+ */
+function yamlDateString(value) {
+  return value instanceof Date
+    ? moment.utc(value).format("YYYY-MM-DD")
+    : String(value).trim();
+}
+
+module.exports = {
+  parseDateInput,
+  parseWeekRange,
+  parseTimeInput,
+  yamlDateString,
+};
@@ -0,0 +1,99 @@
+const moment = require("moment");
+
+/**
+ * Fuzzy ranking for the issue picker. A candidate is
+ * { key, summary, sources: [...], count, lastUsed } where count is the
+ * number of recent worklogs on the issue and lastUsed the newest one's day.
+ */
+
+// Recency stops counting after this many days
+const RECENCY_DAYS = 30;
+
+/**
+ * How well one query token matches text (both lower case): a higher number
+ * is a better match, null no match. Substrings beat scattered letters, and
+ * the earlier and more compact the letters, the better.
+ */
+function tokenScore(token, text) {
+  if (!text) return null;
+  if (text === token) return 100;
+  if (text.startsWith(token)) return 60;
+
+  const at = text.indexOf(token);
+  if (at !== -1) {
+    const wordStart = at === 0 || /[^a-z0-9]/.test(text[at - 1]);
+    return wordStart ? 45 : 35;
+  }
+
+  // Letters in order, e.g. "dlybug" in "daily bug triage"
+  let position = -1;
+  let gaps = 0;
+  for (const char of token) {
+    const next = text.indexOf(char, position + 1);
+    if (next === -1) return null;
+    if (position !== -1) gaps += next - position - 1;
+    position = next;
+  }
+  return Math.max(1, 20 - gaps);
+}
+
+/**
+ * Score of a candidate for a query, or null when a query word matches
+ * neither its key nor its summary
+ */
+function fuzzyScore(query, candidate) {
+  const tokens = String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const key = String(candidate.key || "").toLowerCase();
+  const summary = String(candidate.summary || "").toLowerCase();
+
+  let total = 0;
+  for (const token of tokens) {
+    // A key match counts a little more than the same match in the summary
+    const keyScore = tokenScore(token, key);
+    const summaryScore = tokenScore(token, summary);
+    const best = Math.max(
+      keyScore === null ? -1 : keyScore + 5,
+      summaryScore === null ? -1 : summaryScore,
+    );
+    if (best < 0) return null;
+    total += best;
+  }
+  return total;
+}
+
+/**
+ * Bonus for issues booked often and lately
+ */
+function usageScore(candidate, now = moment()) {
+  let score = 0;
+  if (candidate.count > 0) {
+    score += Math.log2(1 + candidate.count) * 5;
+  }
+  if (candidate.lastUsed) {
+    const days = now.diff(moment(candidate.lastUsed, "YYYY-MM-DD"), "days");
+    score += (Math.max(0, RECENCY_DAYS - days) / RECENCY_DAYS) * 20;
+  }
+  return score;
+}
+
+/**
+ * Candidates matching query, best first. Without a query the most used
+ * issues come first.
+ */
+function rankIssues(candidates, query, { limit = 15, now = moment() } = {}) {
+  return candidates
+    .map((candidate) => {
+      const match = fuzzyScore(query, candidate);
+      return match === null
+        ? null
+        : { ...candidate, score: match + usageScore(candidate, now) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key))
+    .slice(0, limit);
+}
+
+module.exports = { fuzzyScore, usageScore, rankIssues };
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const moment = require("moment");
+const { publicHolidays } = require("./holidayRules");
+const { parseIcs, eventDaysBetween } = require("./icsCalendar");
+
+/**
+ * Public holidays from the bundled country/region rules and any local .ics
+ * calendars configured under holidays: in config.yaml
+ */
+class HolidayCalendar {
+  constructor({ country = null, region = null, icsFiles = [] } = {}) {
+    this.country = country;
+    this.region = region;
+    this.icsFiles = icsFiles;
+    this.icsEvents = icsFiles.flatMap((filePath) => {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Holiday calendar not found: ${filePath}`);
+      }
+      return parseIcs(fs.readFileSync(filePath, "utf8"));
+    });
+    this.years = new Map();
+  }
+
+  static fromConfig(config) {
+    return new HolidayCalendar(config.holidaySettings);
+  }
+
+  /**
+   * Holidays between from and to (inclusive), sorted:
+   * [{ date, name, source: rules | ics }]
+   */
+  holidaysBetween(from, to) {
+    const holidays = [];
+    for (
+      let year = moment(from).year() - 1;
+      year <= moment(to).year() + 1;
+      year++
+    ) {
+      holidays.push(...this.holidaysOfYear(year));
+    }
+    return holidays
+      .filter((holiday) => holiday.date >= from && holiday.date <= to)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  holidayOn(date) {
+    return this.holidaysBetween(date, date)[0] || null;
+  }
+
+  // Rule holidays plus .ics events of one calendar year, computed once
+  holidaysOfYear(year) {
+    if (!this.years.has(year)) {
+      const holidays = this.country
+        ? publicHolidays(this.country, this.region, year).map((holiday) => ({
+            ...holiday,
+            source: "rules",
+          }))
+        : [];
+      const known = new Set(holidays.map((holiday) => holiday.date));
+      for (const day of eventDaysBetween(
+        this.icsEvents,
+        `${year}-01-01`,
+        `${year}-12-31`,
+      )) {
+        if (!known.has(day.date)) {
+          known.add(day.date);
+          holidays.push({ ...day, source: "ics" });
+        }
+      }
+      this.years.set(year, holidays);
+    }
+    return this.years.get(year);
+  }
+}
+
+module.exports = HolidayCalendar;
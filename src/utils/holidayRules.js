@@ -0,0 +1,243 @@
+const moment = require("moment");
+
+/**
+ * Bundled public holiday rules, computed offline for any year.
+ *
+ * A rule is { name, date: (year) => moment, since?, until? }. Countries list
+ * nationwide rules plus optional regions (e.g. German states) that add their
+ * own. observed moves holidays that fall on a weekend: "next-weekday" (UK
+ * substitute days) or "nearest-weekday" (US federal).
+ */
+
+/**
+ * Gregorian Easter Sunday (anonymous Gregorian algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return moment.utc([year, month - 1, day]);
+}
+
+const fixed = (month, day, name, extra = {}) => ({
+  name,
+  date: (year) => moment.utc([year, month - 1, day]),
+  ...extra,
+});
+
+const easter = (offset, name, extra = {}) => ({
+  name,
+  date: (year) => easterSunday(year).add(offset, "days"),
+  ...extra,
+});
+
+// nth (1-based) weekday (0 = Sunday) of a month; n = -1 is the last one
+const nthWeekday = (month, weekday, n, name, extra = {}) => ({
+  name,
+  date: (year) => {
+    if (n > 0) {
+      const first = moment.utc([year, month - 1, 1]);
+      return first.add(((weekday - first.day() + 7) % 7) + (n - 1) * 7, "days");
+    }
+    const last = moment
+      .utc([year, month - 1, 1])
+      .endOf("month")
+      .startOf("day");
+    return last.subtract((last.day() - weekday + 7) % 7, "days");
+  },
+  ...extra,
+});
+
+// Buß- und Bettag: the Wednesday before 23 November
+const repentanceDay = {
+  name: "Buß- und Bettag",
+  date: (year) => {
+    const day = moment.utc([year, 10, 22]);
+    return day.subtract((day.day() - 3 + 7) % 7, "days");
+  },
+};
+
+const epiphany = fixed(1, 6, "Heilige Drei Könige");
+const corpusChristi = easter(60, "Fronleichnam");
+const assumption = fixed(8, 15, "Mariä Himmelfahrt");
+const allSaints = fixed(11, 1, "Allerheiligen");
+const reformationDay = fixed(10, 31, "Reformationstag");
+const womensDay = fixed(3, 8, "Internationaler Frauentag");
+
+const COUNTRIES = {
+  DE: {
+    name: "Germany",
+    rules: [
+      fixed(1, 1, "Neujahr"),
+      easter(-2, "Karfreitag"),
+      easter(1, "Ostermontag"),
+      fixed(5, 1, "Tag der Arbeit"),
+      easter(39, "Christi Himmelfahrt"),
+      easter(50, "Pfingstmontag"),
+      fixed(10, 3, "Tag der Deutschen Einheit"),
+      fixed(12, 25, "1. Weihnachtstag"),
+      fixed(12, 26, "2. Weihnachtstag"),
+    ],
+    regions: {
+      BW: [epiphany, corpusChristi, allSaints],
+      BY: [epiphany, corpusChristi, assumption, allSaints],
+      BE: [{ ...womensDay, since: 2019 }],
+      BB: [
+        easter(0, "Ostersonntag"),
+        easter(49, "Pfingstsonntag"),
+        reformationDay,
+      ],
+      HB: [{ ...reformationDay, since: 2018 }],
+      HH: [{ ...reformationDay, since: 2018 }],
+      HE: [corpusChristi],
+      MV: [reformationDay, { ...womensDay, since: 2023 }],
+      NI: [{ ...reformationDay, since: 2018 }],
+      NW: [corpusChristi, allSaints],
+      RP: [corpusChristi, allSaints],
+      SL: [corpusChristi, assumption, allSaints],
+      SN: [reformationDay, repentanceDay],
+      ST: [epiphany, reformationDay],
+      SH: [{ ...reformationDay, since: 2018 }],
+      TH: [reformationDay, fixed(9, 20, "Weltkindertag", { since: 2019 })],
+    },
+  },
+  AT: {
+    name: "Austria",
+    rules: [
+      fixed(1, 1, "Neujahr"),
+      epiphany,
+      easter(1, "Ostermontag"),
+      fixed(5, 1, "Staatsfeiertag"),
+      easter(39, "Christi Himmelfahrt"),
+      easter(50, "Pfingstmontag"),
+      corpusChristi,
+      assumption,
+      fixed(10, 26, "Nationalfeiertag"),
+      allSaints,
+      fixed(12, 8, "Mariä Empfängnis"),
+      fixed(12, 25, "Christtag"),
+      fixed(12, 26, "Stefanitag"),
+    ],
+    regions: {},
+  },
+  GB: {
+    name: "United Kingdom (England and Wales)",
+    observed: "next-weekday",
+    rules: [
+      fixed(1, 1, "New Year's Day"),
+      easter(-2, "Good Friday"),
+      easter(1, "Easter Monday"),
+      nthWeekday(5, 1, 1, "Early May bank holiday"),
+      nthWeekday(5, 1, -1, "Spring bank holiday"),
+      nthWeekday(8, 1, -1, "Summer bank holiday"),
+      fixed(12, 25, "Christmas Day"),
+      fixed(12, 26, "Boxing Day"),
+    ],
+    regions: {},
+  },
+  US: {
+    name: "United States (federal)",
+    observed: "nearest-weekday",
+    rules: [
+      fixed(1, 1, "New Year's Day"),
+      nthWeekday(1, 1, 3, "Martin Luther King Jr. Day"),
+      nthWeekday(2, 1, 3, "Washington's Birthday"),
+      nthWeekday(5, 1, -1, "Memorial Day"),
+      fixed(6, 19, "Juneteenth", { since: 2021 }),
+      fixed(7, 4, "Independence Day"),
+      nthWeekday(9, 1, 1, "Labor Day"),
+      nthWeekday(10, 1, 2, "Columbus Day"),
+      fixed(11, 11, "Veterans Day"),
+      nthWeekday(11, 4, 4, "Thanksgiving Day"),
+      fixed(12, 25, "Christmas Day"),
+    ],
+    regions: {},
+  },
+};
+
+const isWeekend = (day) => day.day() === 0 || day.day() === 6;
+
+/**
+ * Move weekend holidays to their observed weekday
+ */
+function applyObserved(holidays, observed) {
+  if (!observed) return holidays;
+
+  // Real weekday holidays keep their date; substitutes must not collide
+  const taken = new Set(
+    holidays.filter((h) => !isWeekend(h.day)).map((h) => h.date),
+  );
+  return holidays.map((holiday) => {
+    if (!isWeekend(holiday.day)) return holiday;
+
+    const day = holiday.day.clone();
+    if (observed === "nearest-weekday") {
+      day.add(day.day() === 6 ? -1 : 1, "day");
+    } else {
+      while (isWeekend(day) || taken.has(day.format("YYYY-MM-DD"))) {
+        day.add(1, "day");
+      }
+    }
+    const date = day.format("YYYY-MM-DD");
+    taken.add(date);
+    return { ...holiday, day, date, name: `${holiday.name} (observed)` };
+  });
+}
+
+/**
+ * Public holidays of a country (and optional region) in one year, sorted:
+ * [{ date: YYYY-MM-DD, name }]. Observed dates may fall into the
+ * neighbouring year (US New Year's Day on a Saturday).
+ */
+function publicHolidays(country, region, year) {
+  const code = String(country).toUpperCase();
+  const definition = COUNTRIES[code];
+  if (!definition) {
+    throw new Error(
+      `No holiday rules for country "${country}" - available: ${Object.keys(COUNTRIES).join(", ")}`,
+    );
+  }
+
+  const rules = [...definition.rules];
+  if (region) {
+    const regionRules = definition.regions[String(region).toUpperCase()];
+    if (!regionRules) {
+      const regions = Object.keys(definition.regions);
+      throw new Error(
+        regions.length > 0
+          ? `Unknown region "${region}" for ${code} - available: ${regions.join(", ")}`
+          : `No regional holiday rules for ${code}`,
+      );
+    }
+    rules.push(...regionRules);
+  }
+
+  const holidays = rules
+    .filter(
+      (rule) =>
+        (!rule.since || year >= rule.since) &&
+        (!rule.until || year <= rule.until),
+    )
+    .map((rule) => {
+      const day = rule.date(year);
+      return { day, date: day.format("YYYY-MM-DD"), name: rule.name };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return applyObserved(holidays, definition.observed)
+    .map(({ date, name }) => ({ date, name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = { COUNTRIES, easterSunday, publicHolidays };
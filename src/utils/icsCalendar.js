@@ -0,0 +1,114 @@
+const moment = require("moment");
+
+/**
+ * Minimal iCalendar (.ics) reader for holiday calendars: all-day and timed
+ * VEVENTs with SUMMARY, DTSTART, DTEND and yearly recurrence
+ * (RRULE:FREQ=YEARLY). Other recurrence rules are not expanded.
+ */
+
+// RFC 5545 lines are folded by a line break followed by a space or tab
+const unfold = (text) => text.replace(/\r?\n[ \t]/g, "");
+
+const unescapeText = (value) =>
+  value
+    .replace(/\\n/gi, " ")
+    .replace(/\\([,;\\])/g, "$1")
+    .trim();
+
+function parseIcsDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Events of an .ics file as [{ from, to, name, yearly }], days inclusive
+ */
+function parseIcs(text) {
+  const events = [];
+  let event = null;
+
+  for (const line of unfold(text).split(/\r?\n/)) {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (event && event.start) {
+        // DTEND of an all-day event is exclusive
+        let to = event.start;
+        if (event.end && event.end > event.start) {
+          to = event.endIsDate
+            ? moment(event.end).subtract(1, "day").format("YYYY-MM-DD")
+            : event.end;
+        }
+        events.push({
+          from: event.start,
+          to,
+          name: event.summary || "Holiday",
+          yearly: event.yearly || false,
+        });
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+    const [property, ...params] = line.slice(0, separator).split(";");
+    const value = line.slice(separator + 1);
+
+    switch (property.toUpperCase()) {
+      case "SUMMARY":
+        event.summary = unescapeText(value);
+        break;
+      case "DTSTART":
+        event.start = parseIcsDate(value);
+        break;
+      case "DTEND":
+        event.end = parseIcsDate(value);
+        event.endIsDate =
+          params.includes("VALUE=DATE") || /^\d{8}$/.test(value);
+        break;
+      case "RRULE":
+        event.yearly = /(^|;)FREQ=YEARLY(;|$)/i.test(value);
+        break;
+    }
+  }
+  return events;
+}
+
+/**
+ * Days of the parsed events between from and to (inclusive):
+ * [{ date, name }], yearly events repeated in every year of the range
+ */
+function eventDaysBetween(events, from, to) {
+  const days = [];
+  const firstYear = moment(from).year();
+  const lastYear = moment(to).year();
+
+  for (const event of events) {
+    const length = moment(event.to).diff(moment(event.from), "days");
+    const starts = [event.from];
+    if (event.yearly) {
+      for (let year = firstYear - 1; year <= lastYear; year++) {
+        const start = moment(event.from).year(year);
+        if (start.format("YYYY-MM-DD") > event.from) {
+          starts.push(start.format("YYYY-MM-DD"));
+        }
+      }
+    }
+
+    for (const start of starts) {
+      for (let offset = 0; offset <= length; offset++) {
+        const date = moment(start).add(offset, "days").format("YYYY-MM-DD");
+        if (date >= from && date <= to) {
+          days.push({ date, name: event.name });
+        }
+      }
+    }
+  }
+  return days;
+}
+
+module.exports = { parseIcs, eventDaysBetween };
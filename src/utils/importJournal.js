@@ -0,0 +1,331 @@
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+
+const JOURNAL_PREFIX = "import-journal_";
+const PLAN_TYPES = ["delete", "replace", "add", "update"];
+const RESUMABLE_STATUSES = ["in-progress", "incomplete"];
+
+/**
+ * Write-ahead journal of the Tempo calls made by one import run.
+ *
+ * Every operation is recorded as "pending" before the API call and marked
+ * "done" (with the resulting Tempo worklog ID) or "failed" afterwards, so an
+ * interrupted run still leaves an accurate record. Entries that change or
+ * remove an existing worklog carry a snapshot of the original, which is what
+ * rollback uses to restore it.
+ */
+class ImportJournal {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  static create(directory, metadata = {}) {
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    const fileName = `${JOURNAL_PREFIX}${moment().format("YYYYMMDD_HHmmss_SSS")}.json`;
+    const journal = new ImportJournal(path.join(directory, fileName), {
+      version: 1,
+      status: "in-progress",
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      ...metadata,
+      entries: [],
+    });
+    journal.save();
+    return journal;
+  }
+
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Journal not found: ${filePath}`);
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!Array.isArray(data.entries)) {
+      throw new Error(`Not an import journal: ${filePath}`);
+    }
+    return new ImportJournal(filePath, data);
+  }
+
+  /**
+   * List journals in a directory, newest first
+   */
+  static list(directory) {
+    if (!fs.existsSync(directory)) return [];
+    return fs
+      .readdirSync(directory)
+      .filter(
+        (name) => name.startsWith(JOURNAL_PREFIX) && name.endsWith(".json"),
+      )
+      .sort()
+      .reverse()
+      .map((name) => path.join(directory, name));
+  }
+
+  /**
+   * Newest journal whose run did not finish all of its planned operations
+   */
+  static findResumable(directory) {
+    for (const filePath of ImportJournal.list(directory)) {
+      try {
+        const journal = ImportJournal.load(filePath);
+        if (journal.isResumable) return journal;
+      } catch (error) {
+        // Ignore unreadable files and keep looking
+      }
+    }
+    return null;
+  }
+
+  get entries() {
+    return this.data.entries;
+  }
+
+  get status() {
+    return this.data.status;
+  }
+
+  get plan() {
+    return this.data.plan || null;
+  }
+
+  get isResumable() {
+    return !!this.plan && RESUMABLE_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Persist the categorized operations before any of them run. Each one gets
+   * a planId that its journal entries refer back to, which is how a resumed
+   * run tells finished operations from remaining ones.
+   */
+  setPlan(operations) {
+    const plan = {};
+    for (const type of PLAN_TYPES) {
+      plan[type] = (operations[type] || []).map((operation, index) => ({
+        ...operation,
+        planId: `${type}-${index + 1}`,
+      }));
+    }
+    this.data.plan = plan;
+    this.save();
+    return plan;
+  }
+
+  isDone(planId, operation, tempoWorklogId = null) {
+    return this.data.entries.some(
+      (entry) =>
+        entry.planId === planId &&
+        entry.operation === operation &&
+        entry.status === "done" &&
+        (tempoWorklogId === null || entry.tempoWorklogId === tempoWorklogId),
+    );
+  }
+
+  /**
+   * The planned operations that have not completed yet, in plan shape
+   */
+  remainingPlan() {
+    const plan = this.plan || {};
+    const pending = (type, operation) =>
+      (plan[type] || []).filter((op) => !this.isDone(op.planId, operation));
+
+    return {
+      delete: pending("delete", "delete"),
+      replace: pending("replace", "replace-create").map((op) => ({
+        ...op,
+        conflictingWorklogs: (op.conflictingWorklogs || []).filter(
+          (cwl) =>
+            !this.isDone(op.planId, "replace-delete", cwl.tempoWorklogId),
+        ),
+      })),
+      add: pending("add", "add"),
+      update: pending("update", "update"),
+    };
+  }
+
+  remainingCount() {
+    const remaining = this.remainingPlan();
+    return PLAN_TYPES.reduce((sum, type) => sum + remaining[type].length, 0);
+  }
+
+  resume() {
+    this.data.status = "in-progress";
+    this.data.resumedAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Outcome of the run: worklog IDs per effect plus the failed operations.
+   * Resumed runs may hold several entries per planned operation; the last
+   * one wins.
+   */
+  summary() {
+    const created = [];
+    const updated = [];
+    const deleted = [];
+    const failed = [];
+
+    for (const entry of this.entries) {
+      if (entry.status === "done") {
+        if (entry.operation === "add" || entry.operation === "replace-create") {
+          created.push(entry.tempoWorklogId);
+        } else if (entry.operation === "update") {
+          updated.push(entry.tempoWorklogId);
+        } else {
+          deleted.push(entry.tempoWorklogId);
+        }
+      }
+    }
+
+    // Deletes are tracked per worklog; creates get their ID only once done
+    const operationKey = (entry) =>
+      [
+        entry.planId || `seq-${entry.seq}`,
+        entry.operation,
+        entry.operation.endsWith("delete") ? entry.tempoWorklogId : "",
+      ].join(":");
+
+    const latest = new Map();
+    for (const entry of this.entries) {
+      latest.set(operationKey(entry), entry);
+    }
+    for (const entry of latest.values()) {
+      if (entry.status === "failed") {
+        failed.push({
+          operation: entry.operation,
+          issueKey: entry.payload?.issueKey || entry.original?.issueKey || null,
+          tempoWorklogId: entry.tempoWorklogId,
+          error: entry.error,
+        });
+      }
+    }
+
+    return {
+      journal: this.filePath,
+      status: this.status,
+      created,
+      updated,
+      deleted,
+      failed,
+    };
+  }
+
+  /**
+   * Record an operation before it is sent to Tempo.
+   * operation: add | update | delete | replace-delete | replace-create
+   */
+  begin(
+    operation,
+    {
+      payload = null,
+      original = null,
+      tempoWorklogId = null,
+      planId = payload?.planId || null,
+    } = {},
+  ) {
+    const entry = {
+      seq: this.data.entries.length + 1,
+      operation,
+      planId,
+      status: "pending",
+      payload: payload ? ImportJournal.stripOriginal(payload) : null,
+      original: original ? ImportJournal.snapshot(original) : null,
+      tempoWorklogId,
+      error: null,
+      at: new Date().toISOString(),
+    };
+    this.data.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  complete(entry, result = {}) {
+    entry.status = "done";
+    if (result && result.tempoWorklogId) {
+      entry.tempoWorklogId = result.tempoWorklogId;
+    }
+    this.save();
+  }
+
+  fail(entry, error) {
+    entry.status = "failed";
+    entry.error = error?.message || String(error);
+    this.save();
+  }
+
+  finish(status = "completed") {
+    this.data.status = status;
+    this.data.completedAt = new Date().toISOString();
+    this.save();
+  }
+
+  discard() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+
+  save() {
+    // Write to a temp file first so a crash never leaves a truncated journal
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), "utf8");
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Operations carry the raw Tempo worklog they replace; keep only the snapshot
+  static stripOriginal(payload) {
+    const { original, planId, ...rest } = payload;
+    return rest;
+  }
+
+  /**
+   * Reduce a Tempo worklog to the fields needed to recreate it
+   */
+  static snapshot(worklog) {
+    const attributes = worklog.attributes?.values || worklog.attributes;
+    return {
+      tempoWorklogId: worklog.tempoWorklogId,
+      issueId: worklog.issue?.id || worklog.issueId,
+      issueKey: worklog.issue?.key || worklog.issueKey,
+      timeSpentSeconds: worklog.timeSpentSeconds,
+      billableSeconds: worklog.billableSeconds,
+      startDate: worklog.startDate,
+      startTime: worklog.startTime,
+      description: worklog.description,
+      authorAccountId: worklog.author?.accountId || worklog.authorAccountId,
+      attributes:
+        Array.isArray(attributes) && attributes.length > 0
+          ? attributes
+          : undefined,
+    };
+  }
+
+  /**
+   * Tempo create/update payload that restores a snapshot
+   */
+  static toPayload(snapshot) {
+    const payload = {
+      issueId: snapshot.issueId,
+      timeSpentSeconds: snapshot.timeSpentSeconds,
+      startDate: snapshot.startDate,
+      startTime: snapshot.startTime,
+      description: snapshot.description,
+      authorAccountId: snapshot.authorAccountId,
+    };
+    if (snapshot.billableSeconds !== undefined) {
+      payload.billableSeconds = snapshot.billableSeconds;
+    }
+    if (snapshot.attributes) {
+      payload.attributes = snapshot.attributes.map(({ key, value }) => ({
+        key,
+        value,
+      }));
+    }
+    return payload;
+  }
+}
+
+module.exports = ImportJournal;
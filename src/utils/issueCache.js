@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+
+const CACHE_VERSION = 1;
+
+/**
+ * Issue key -> id resolutions shared by all resolver providers, persisted
+ * as JSON in the workspace. Entries expire after ttlHours so renamed or
+ * moved issues are looked up again eventually; 0 keeps them forever.
+ */
+class IssueCache {
+  constructor(filePath, data, ttlHours) {
+    this.filePath = filePath;
+    this.data = data;
+    this.ttlHours = ttlHours;
+  }
+
+  static open(filePath, ttlHours) {
+    let data = { version: CACHE_VERSION, issues: {} };
+    let stored = null;
+    try {
+      if (fs.existsSync(filePath)) {
+        stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      }
+    } catch (error) {
+      stored = null; // A damaged cache is simply rebuilt
+    }
+    // Unknown versions are rebuilt rather than misread
+    if (stored?.version === CACHE_VERSION && stored.issues) {
+      data = stored;
+    }
+    return new IssueCache(filePath, data, ttlHours);
+  }
+
+  isExpired(entry, now = new Date()) {
+    if (!this.ttlHours) return false;
+    const age = now - new Date(entry.resolvedAt);
+    return age > this.ttlHours * 3600 * 1000;
+  }
+
+  /**
+   * The cached entry { id, summary, provider, resolvedAt } or null when it
+   * is missing or expired
+   */
+  get(issueKey, now = new Date()) {
+    const entry = this.data.issues[issueKey];
+    return entry && !this.isExpired(entry, now) ? entry : null;
+  }
+
+  set(issueKey, { id, summary = null }, provider, now = new Date()) {
+    this.data.issues[issueKey] = {
+      id,
+      summary,
+      provider,
+      resolvedAt: now.toISOString(),
+    };
+  }
+
+  get size() {
+    return Object.keys(this.data.issues).length;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    // Write to a temp file first so a crash never leaves a truncated cache
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), "utf8");
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  clear() {
+    this.data.issues = {};
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+}
+
+module.exports = IssueCache;
@@ -0,0 +1,76 @@
+/**
+ * Issue key inference rules from the issueRules: section of config.yaml:
+ * worklogs whose description matches a regular expression belong to an
+ * issue, e.g. { match: "^Team Daily$", issue: "PROJ-42" }. Rules are tried
+ * in order and the first match wins.
+ */
+class IssueKeyRules {
+  constructor(rules = []) {
+    if (!Array.isArray(rules)) {
+      throw new Error("issueRules in config.yaml must be a list");
+    }
+
+    this.rules = rules.map((rule, index) => {
+      const label = `issueRules[${index}]`;
+      if (!rule || !rule.match || !rule.issue) {
+        throw new Error(
+          `${label} needs match (a regular expression) and issue`,
+        );
+      }
+      if (!/^[A-Z][A-Z0-9_]*-\d+$/.test(String(rule.issue))) {
+        throw new Error(`${label}: "${rule.issue}" is not an issue key`);
+      }
+
+      let pattern;
+      try {
+        // g and y would make test() stateful between worklogs
+        pattern = new RegExp(
+          rule.match,
+          String(rule.flags || "").replace(/[gy]/g, ""),
+        );
+      } catch (error) {
+        throw new Error(
+          `${label}: invalid regular expression - ${error.message}`,
+        );
+      }
+      return {
+        index,
+        match: String(rule.match),
+        flags: rule.flags || "",
+        issue: String(rule.issue),
+        pattern,
+      };
+    });
+  }
+
+  /**
+   * Rules of the loaded config, compiled once per config.yaml load
+   */
+  static fromConfig(config) {
+    const raw = config.issueKeyRules;
+    if (!IssueKeyRules.compiled.has(raw)) {
+      IssueKeyRules.compiled.set(raw, new IssueKeyRules(raw));
+    }
+    return IssueKeyRules.compiled.get(raw);
+  }
+
+  /**
+   * The first rule matching description: { issueKey, rule } or null
+   */
+  match(description) {
+    if (!description) return null;
+
+    const rule = this.rules.find((candidate) =>
+      candidate.pattern.test(description),
+    );
+    return rule ? { issueKey: rule.issue, rule } : null;
+  }
+
+  get issueKeys() {
+    return [...new Set(this.rules.map((rule) => rule.issue))];
+  }
+}
+
+IssueKeyRules.compiled = new WeakMap();
+
+module.exports = IssueKeyRules;
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
+
+/**
+ * Writes entries into the issueMapping: section of config.yaml as text, so
+ * comments, ordering and formatting of the rest of the file survive (a
+ * js-yaml load/dump round trip would drop them).
+ */
+
+const SECTION = /^issueMapping:\s*(\{\s*\})?\s*(#.*)?$/;
+
+const indentOf = (line) => line.match(/^ */)[0].length;
+const isBlank = (line) => line.trim() === "";
+const isComment = (line) => line.trim().startsWith("#");
+
+function entryLines(issueKey, mapping, indent) {
+  const pad = " ".repeat(indent);
+  const lines = [
+    `${pad}${JSON.stringify(issueKey)}:`,
+    `${pad}  id: ${JSON.stringify(String(mapping.id))}`,
+  ];
+  if (mapping.summary) {
+    lines.push(`${pad}  summary: ${JSON.stringify(String(mapping.summary))}`);
+  }
+  return lines;
+}
+
+function isEntryOf(line, issueKey, indent) {
+  if (indentOf(line) !== indent) return false;
+  const key = line.trim().replace(/:.*$/, "");
+  return key.replace(/^(["'])(.*)\1$/, "$2") === issueKey;
+}
+
+/**
+ * config.yaml text with mappings ({ KEY: { id, summary } }) added to or
+ * replaced in the issueMapping section, which is created when missing
+ */
+function upsertIssueMappings(text, mappings) {
+  const newline = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+
+  let start = lines.findIndex((line) => SECTION.test(line));
+  if (start === -1) {
+    while (lines.length > 0 && isBlank(lines[lines.length - 1])) lines.pop();
+    lines.push("", "issueMapping:");
+    start = lines.length - 1;
+  } else {
+    lines[start] = lines[start].replace(/:\s*\{\s*\}/, ":");
+  }
+
+  // The section ends at the next top-level key
+  let end = start + 1;
+  while (
+    end < lines.length &&
+    (isBlank(lines[end]) || isComment(lines[end]) || indentOf(lines[end]) > 0)
+  ) {
+    end++;
+  }
+
+  const firstEntry = lines
+    .slice(start + 1, end)
+    .find((line) => !isBlank(line) && !isComment(line));
+  const indent = firstEntry ? indentOf(firstEntry) : 2;
+
+  for (const [issueKey, mapping] of Object.entries(mappings)) {
+    const replacement = entryLines(issueKey, mapping, indent);
+    const at = lines
+      .slice(start + 1, end)
+      .findIndex((line) => isEntryOf(line, issueKey, indent));
+
+    if (at !== -1) {
+      const from = start + 1 + at;
+      let to = from + 1;
+      while (to < end && !isBlank(lines[to]) && indentOf(lines[to]) > indent) {
+        to++;
+      }
+      lines.splice(from, to - from, ...replacement);
+      end += replacement.length - (to - from);
+      continue;
+    }
+
+    // Append after the last entry; comments and blank lines that lead into
+    // the next section stay where they are
+    let insertAt = end;
+    while (
+      insertAt > start + 1 &&
+      (isBlank(lines[insertAt - 1]) ||
+        (isComment(lines[insertAt - 1]) && indentOf(lines[insertAt - 1]) === 0))
+    ) {
+      insertAt--;
+    }
+    lines.splice(insertAt, 0, ...replacement);
+    end += replacement.length;
+  }
+
+  return lines.join(newline);
+}
+
+/**
+ * Add or replace issueMapping entries in a config.yaml file. The result is
+ * parsed before it is written, so a file is never left unreadable.
+ */
+function saveIssueMappings(configPath, mappings) {
+  const text = fs.readFileSync(configPath, "utf8");
+  const updated = upsertIssueMappings(text, mappings);
+
+  const parsed = yaml.load(updated) || {};
+  for (const [issueKey, mapping] of Object.entries(mappings)) {
+    if (String(parsed.issueMapping?.[issueKey]?.id) !== String(mapping.id)) {
+      throw new Error(
+        `Could not update issueMapping for ${issueKey} in ${configPath}`,
+      );
+    }
+  }
+
+  fs.writeFileSync(configPath, updated, "utf8");
+}
+
+module.exports = { upsertIssueMappings, saveIssueMappings };
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const util = require("util");
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+const stripAnsi = (text) => text.replace(ANSI_PATTERN, "").trim();
+
+/**
+ * Structured result of one CLI command for `--output json`.
+ *
+ * While enabled every console method writes to stderr, so the only thing on
+ * stdout is the single JSON document written when the process exits:
+ * { command, ok, exitCode, result, createdWorklogIds, warnings, errors }.
+ */
+class JsonOutput {
+  constructor() {
+    this.enabled = false;
+    this.reset();
+  }
+
+  reset(command = null) {
+    this.document = {
+      command,
+      ok: true,
+      exitCode: 0,
+      result: null,
+      createdWorklogIds: [],
+      warnings: [],
+      errors: [],
+    };
+  }
+
+  /**
+   * Pull `--output <format>` / `--output=<format>` / `-o <format>` out of the
+   * argument list. Returns { format, args } with the flag removed.
+   */
+  extractOutputFormat(args) {
+    const rest = [];
+    let format = "text";
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === "--output" || arg === "-o") {
+        format = args[++i] || format;
+      } else if (arg.startsWith("--output=")) {
+        format = arg.slice("--output=".length);
+      } else {
+        rest.push(arg);
+      }
+    }
+
+    return { format, args: rest };
+  }
+
+  enable(command = null) {
+    if (this.enabled) {
+      this.document.command = command || this.document.command;
+      return;
+    }
+    this.enabled = true;
+    this.reset(command);
+
+    const toStderr = (...args) =>
+      process.stderr.write(util.format(...args) + "\n");
+
+    console.log = toStderr;
+    console.info = toStderr;
+    console.debug = toStderr;
+    console.warn = (...args) => {
+      this.warning(util.format(...args));
+      toStderr(...args);
+    };
+    console.error = (...args) => {
+      this.error(util.format(...args));
+      toStderr(...args);
+    };
+
+    process.on("exit", (code) => this.emit(code));
+  }
+
+  warning(message) {
+    if (!this.enabled) return;
+    const text = stripAnsi(String(message));
+    if (text) this.document.warnings.push(text);
+  }
+
+  error(message) {
+    if (!this.enabled) return;
+    const text = stripAnsi(String(message));
+    if (text) this.document.errors.push(text);
+  }
+
+  setResult(result) {
+    this.document.result = result === undefined ? null : result;
+  }
+
+  addCreatedWorklogIds(ids) {
+    for (const id of ids) {
+      if (id !== null && id !== undefined) {
+        this.document.createdWorklogIds.push(id);
+      }
+    }
+  }
+
+  emit(exitCode = 0) {
+    if (!this.enabled) return;
+
+    // Exit code 2 is a successful `import --dry-run` that found changes
+    this.document.exitCode = exitCode;
+    this.document.ok = exitCode !== 1 && this.document.errors.length === 0;
+
+    // Synchronous write - this runs inside process.on("exit")
+    fs.writeSync(
+      process.stdout.fd,
+      JSON.stringify(this.document, null, 2) + "\n",
+    );
+  }
+}
+
+module.exports = new JsonOutput();
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const jsonOutput = require('./jsonOutput');
 
 class Logger {
   constructor(config) {
@@ -55,6 +56,7 @@ class Logger {
 
   warn(message, data = null) {
     this._writeToFile('warn', message, data);
+    jsonOutput.warning(message);
     console.log(chalk.yellow(message)); // Always show warnings
   }
 
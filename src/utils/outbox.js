@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Worklog changes waiting to be sent to Tempo.
+ *
+ * Single creates, updates and deletes land here when Tempo cannot be reached
+ * or offline mode is on; `tempo-booker sync` replays them in queue order.
+ * Entries: { seq, operation: create | update | delete, issueKey, payload,
+ * tempoWorklogId, reason, queuedAt, attempts, lastError, conflict }.
+ */
+class Outbox {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * The outbox stored in filePath; empty (and not yet written) when missing
+   */
+  static open(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new Outbox(filePath, { version: 1, nextSeq: 1, entries: [] });
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!Array.isArray(data.entries)) {
+      throw new Error(`Not an outbox file: ${filePath}`);
+    }
+    return new Outbox(filePath, data);
+  }
+
+  /**
+   * Number of queued changes, 0 when the file is missing or unreadable
+   */
+  static pendingCount(filePath) {
+    try {
+      return Outbox.open(filePath).entries.length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  get entries() {
+    return this.data.entries;
+  }
+
+  find(seq) {
+    return this.data.entries.find((entry) => entry.seq === seq) || null;
+  }
+
+  enqueue({
+    operation,
+    issueKey = null,
+    payload = null,
+    tempoWorklogId = null,
+    reason = null,
+  }) {
+    const entry = {
+      seq: this.data.nextSeq++,
+      operation,
+      issueKey,
+      payload,
+      tempoWorklogId,
+      reason,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null,
+      conflict: null,
+    };
+    this.data.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  remove(entry) {
+    this.data.entries = this.data.entries.filter(
+      (queued) => queued.seq !== entry.seq,
+    );
+    this.save();
+  }
+
+  fail(entry, error) {
+    entry.attempts++;
+    entry.lastError = error?.message || String(error);
+    this.save();
+  }
+
+  /**
+   * Keep the entry but skip it until the conflict is resolved
+   * (sync --force or sync --drop)
+   */
+  markConflict(entry, message) {
+    entry.conflict = message;
+    this.save();
+  }
+
+  save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+    // Write to a temp file first so a crash never leaves a truncated outbox
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), "utf8");
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const DEFAULT_PROFILE = "default";
+
+// Profile names end up in keychain commands and directory names
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,39}$/;
+
+/**
+ * Named profiles, one per Atlassian site: each has its own config.yaml
+ * (base URLs, account ID, workspace dir, issue mappings) and its own Tempo
+ * token in the keychain, stored under the profile name.
+ *
+ * The registry (profiles.yaml in the tempo-workspace directory) maps names
+ * to config files and remembers the profile in use:
+ *
+ *   current: clientA
+ *   profiles:
+ *     clientA:
+ *       config: /Users/me/Documents/tempo-workspace/profiles/clientA/config.yaml
+ *
+ * The "default" profile is the config.yaml on the usual search path and the
+ * keychain entry tempo-booker has always used; it is never in the registry.
+ */
+class Profiles {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  static get DEFAULT() {
+    return DEFAULT_PROFILE;
+  }
+
+  /**
+   * profiles.yaml next to the default workspace: ~/Documents/tempo-workspace,
+   * or ~/tempo-workspace when only that one exists
+   */
+  static registryPath(homeDir = os.homedir()) {
+    const documents = path.join(homeDir, "Documents", "tempo-workspace");
+    const home = path.join(homeDir, "tempo-workspace");
+    const root =
+      !fs.existsSync(documents) && fs.existsSync(home) ? home : documents;
+    return path.join(root, "profiles.yaml");
+  }
+
+  /**
+   * The registry stored in filePath; only the default profile (and not yet
+   * written) when missing
+   */
+  static open(filePath = Profiles.registryPath()) {
+    if (!fs.existsSync(filePath)) {
+      return new Profiles(filePath, { current: DEFAULT_PROFILE, profiles: {} });
+    }
+    const data = yaml.load(fs.readFileSync(filePath, "utf8")) || {};
+    if (typeof data !== "object" || Array.isArray(data)) {
+      throw new Error(`Not a profiles file: ${filePath}`);
+    }
+    return new Profiles(filePath, {
+      current: data.current || DEFAULT_PROFILE,
+      profiles: data.profiles || {},
+    });
+  }
+
+  static validateName(name) {
+    if (!NAME_PATTERN.test(name || "")) {
+      throw new Error(
+        `Invalid profile name "${name}" (letters, digits, - and _, up to 40 characters)`,
+      );
+    }
+    return name;
+  }
+
+  /**
+   * Pull `--profile <name>` out of the arguments before the command
+   * registry parses them, so config.yaml is chosen before it is loaded
+   */
+  static extractProfile(args) {
+    const rest = [];
+    let profile = null;
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg === "--profile") {
+        profile = args[++i] || null;
+      } else if (arg.startsWith("--profile=")) {
+        profile = arg.slice("--profile=".length);
+      } else {
+        rest.push(arg);
+      }
+    }
+
+    return { profile, args: rest };
+  }
+
+  get current() {
+    return this.has(this.data.current) ? this.data.current : DEFAULT_PROFILE;
+  }
+
+  /**
+   * Every profile name, the default profile first
+   */
+  names() {
+    return [DEFAULT_PROFILE, ...Object.keys(this.data.profiles).sort()];
+  }
+
+  has(name) {
+    return (
+      name === DEFAULT_PROFILE ||
+      Object.prototype.hasOwnProperty.call(this.data.profiles, name)
+    );
+  }
+
+  /**
+   * config.yaml of a profile; null for the default profile, whose file is
+   * found on the usual search path
+   */
+  configPath(name) {
+    if (name === DEFAULT_PROFILE) {
+      return null;
+    }
+    if (!this.has(name)) {
+      throw new Error(
+        `Unknown profile "${name}" (known: ${this.names().join(", ")}) - add it with: tempo-booker profile add ${name}`,
+      );
+    }
+    return this.data.profiles[name].config;
+  }
+
+  add(name, configPath) {
+    Profiles.validateName(name);
+    if (this.has(name)) {
+      throw new Error(`Profile "${name}" already exists`);
+    }
+    this.data.profiles[name] = { config: configPath };
+    this.save();
+  }
+
+  use(name) {
+    this.configPath(name); // Unknown names throw
+    this.data.current = name;
+    this.save();
+  }
+
+  /**
+   * Forget a profile; its config.yaml and workspace stay on disk. Removing
+   * the current profile switches back to the default one.
+   */
+  remove(name) {
+    if (name === DEFAULT_PROFILE) {
+      throw new Error("The default profile cannot be removed");
+    }
+    this.configPath(name);
+    delete this.data.profiles[name];
+    if (this.data.current === name) {
+      this.data.current = DEFAULT_PROFILE;
+    }
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(
+      this.filePath,
+      "# tempo-booker profiles (see docs/CONFIGURATION.md#profiles)\n" +
+        yaml.dump(this.data),
+      "utf8",
+    );
+  }
+}
+
+module.exports = Profiles;
@@ -0,0 +1,27 @@
+/**
+ * Client-side request spacing shared by every call made through one HTTP
+ * client. Requests are released at most `requestsPerSecond` times per second;
+ * pause() pushes every waiting request back, e.g. after a 429 response.
+ */
+class RateLimiter {
+  constructor(requestsPerSecond = 0) {
+    this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.nextSlot = 0;
+  }
+
+  async acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+
+    if (slot > now) {
+      await new Promise((resolve) => setTimeout(resolve, slot - now));
+    }
+  }
+
+  pause(ms) {
+    this.nextSlot = Math.max(this.nextSlot, Date.now() + ms);
+  }
+}
+
+module.exports = RateLimiter;
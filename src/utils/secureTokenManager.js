@@ -40,6 +40,18 @@ class SecureTokenManager {
     }
   }
 
+  /**
+   * Environment variable holding the token of a profile: TEMPO_API_TOKEN
+   * for the default one, TEMPO_API_TOKEN_<PROFILE> for the others, so a
+   * token exported for one Tempo site is never sent to another
+   */
+  static environmentVariable(accountName = 'default') {
+    if (accountName === 'default') {
+      return 'TEMPO_API_TOKEN';
+    }
+    return `TEMPO_API_TOKEN_${accountName.toUpperCase().replace(/-/g, '_')}`;
+  }
+
   /**
    * Store Tempo API token securely
    */
@@ -67,10 +79,10 @@ class SecureTokenManager {
         return { method: 'keychain', success: true };
       } catch (error) {
         console.log(chalk.yellow('⚠️  Keychain storage failed, falling back to environment'));
-        return this.fallbackToEnvironment(token);
+        return this.fallbackToEnvironment(token, accountName);
       }
     } else {
-      return this.fallbackToEnvironment(token);
+      return this.fallbackToEnvironment(token, accountName);
     }
   }
 
@@ -104,28 +116,28 @@ class SecureTokenManager {
       }
     }
 
-    // 2. Try environment variables
-    const envToken = process.env.TEMPO_API_TOKEN;
+    // 3. Try the profile's environment variable
+    const envToken = process.env[SecureTokenManager.environmentVariable(accountName)];
     if (envToken && envToken.trim()) {
       return { token: envToken.trim(), method: 'environment' };
     }
 
-    // 3. Check legacy config file (warn user)
-    const configToken = this.checkLegacyConfig();
+    // 4. Check legacy config file (warn user); it only ever held the default token
+    const configToken = accountName === 'default' ? this.checkLegacyConfig() : null;
     if (configToken) {
       console.log(chalk.yellow('⚠️  Found token in config file - this is insecure!'));
       console.log(chalk.blue('Consider running: tempo-booker --migrate-token'));
       return { token: configToken, method: 'config_file_insecure' };
     }
 
-    // 4. No token found - prompt user
-    return await this.promptForToken();
+    // 5. No token found - prompt user
+    return await this.promptForToken(accountName);
   }
 
   /**
-   * Interactive token prompt
+   * Interactive token prompt; the token is stored for accountName
    */
-  async promptForToken() {
+  async promptForToken(accountName = 'default') {
     console.log(chalk.blue('\n🔐 Tempo API Token Required'));
     console.log(chalk.gray('No token found in secure storage\n'));
 
@@ -150,7 +162,7 @@ class SecureTokenManager {
     ]);
 
     if (shouldStore) {
-      await this.storeToken(token);
+      await this.storeToken(token, accountName);
     }
 
     return { token: token.trim(), method: 'interactive' };
@@ -188,7 +200,7 @@ class SecureTokenManager {
     }
 
     if (!deleted) {
-      console.log(chalk.blue('💡 Also remove TEMPO_API_TOKEN from environment variables if set'));
+      console.log(chalk.blue(`💡 Also remove ${SecureTokenManager.environmentVariable(accountName)} from environment variables if set`));
     }
 
     return deleted;
@@ -222,13 +234,13 @@ class SecureTokenManager {
       }
     }
     
-    return !!process.env.TEMPO_API_TOKEN;
+    return !!process.env[SecureTokenManager.environmentVariable(accountName)];
   }
 
   /**
    * Migrate token from config file to keychain
    */
-  async migrateFromConfig() {
+  async migrateFromConfig(accountName = 'default') {
     console.log(chalk.blue('🔄 Migrating token from config file to secure storage...'));
     
     const configToken = this.checkLegacyConfig();
@@ -238,7 +250,7 @@ class SecureTokenManager {
     }
 
     // Store in keychain
-    const result = await this.storeToken(configToken);
+    const result = await this.storeToken(configToken, accountName);
     
     if (result.success) {
       console.log(chalk.green('✅ Token migrated to secure storage'));
@@ -253,13 +265,14 @@ class SecureTokenManager {
   /**
    * Fallback to environment variable storage
    */
-  fallbackToEnvironment(token) {
+  fallbackToEnvironment(token, accountName = 'default') {
+    const variable = SecureTokenManager.environmentVariable(accountName);
     console.log(chalk.blue('💡 To store token permanently, add to your shell profile:'));
-    console.log(chalk.white(`export TEMPO_API_TOKEN="${token}"`));
+    console.log(chalk.white(`export ${variable}="${token}"`));
     console.log(chalk.gray('Then reload your terminal or run: source ~/.bashrc'));
     
     // Temporarily set for current session
-    process.env.TEMPO_API_TOKEN = token;
+    process.env[variable] = token;
     
     return { method: 'environment_temporary', success: true };
   }
@@ -287,14 +300,14 @@ class SecureTokenManager {
   /**
    * Show security status
    */
-  async showSecurityStatus() {
+  async showSecurityStatus(accountName = 'default') {
     console.log(chalk.blue.bold('\n🔒 Token Security Status'));
     
     const hasMacOSKeychain = this.macosKeychainAvailable;
     const hasKeychain = this.keytarAvailable;
-    const hasStored = await this.hasStoredToken();
-    const hasEnvironment = !!process.env.TEMPO_API_TOKEN;
-    const hasConfigFile = !!this.checkLegacyConfig();
+    const hasStored = await this.hasStoredToken(accountName);
+    const hasEnvironment = !!process.env[SecureTokenManager.environmentVariable(accountName)];
+    const hasConfigFile = accountName === 'default' && !!this.checkLegacyConfig();
     
     console.log(chalk.white('\n📊 Storage Methods:'));
     if (hasMacOSKeychain) {
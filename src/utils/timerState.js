@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+
+/**
+ * The running timer, persisted as JSON in the workspace so it survives
+ * closed terminals and reboots.
+ *
+ * Time is kept as segments of { start, end } ISO timestamps; pause closes the
+ * open segment and resume opens a new one, so elapsed time never includes
+ * pauses. There is at most one timer per state file.
+ */
+class TimerState {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+
+  /**
+   * The timer stored in filePath, or null when no timer is running
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!data.issueKey || !Array.isArray(data.segments)) {
+      throw new Error(`Not a timer state file: ${filePath}`);
+    }
+    return new TimerState(filePath, data);
+  }
+
+  static start(filePath, { issueKey, description = "" }, now = new Date()) {
+    const timer = new TimerState(filePath, {
+      version: 1,
+      issueKey,
+      description,
+      startedAt: now.toISOString(),
+      segments: [{ start: now.toISOString(), end: null }],
+    });
+    timer.save();
+    return timer;
+  }
+
+  get issueKey() {
+    return this.data.issueKey;
+  }
+
+  get description() {
+    return this.data.description;
+  }
+
+  get startedAt() {
+    return this.data.startedAt;
+  }
+
+  get isPaused() {
+    const last = this.data.segments[this.data.segments.length - 1];
+    return !last || last.end !== null;
+  }
+
+  elapsedSeconds(now = new Date()) {
+    return this.data.segments.reduce((total, segment) => {
+      const end = segment.end ? new Date(segment.end) : now;
+      return total + Math.max(0, (end - new Date(segment.start)) / 1000);
+    }, 0);
+  }
+
+  pause(now = new Date()) {
+    if (this.isPaused) {
+      throw new Error(`Timer for ${this.issueKey} is already paused`);
+    }
+    this.data.segments[this.data.segments.length - 1].end = now.toISOString();
+    this.save();
+  }
+
+  resume(now = new Date()) {
+    if (!this.isPaused) {
+      throw new Error(`Timer for ${this.issueKey} is already running`);
+    }
+    this.data.segments.push({ start: now.toISOString(), end: null });
+    this.save();
+  }
+
+  /**
+   * Plain summary for status output and `--output json`
+   */
+  status(now = new Date()) {
+    const elapsedSeconds = Math.round(this.elapsedSeconds(now));
+    return {
+      issueKey: this.issueKey,
+      description: this.description,
+      startedAt: this.startedAt,
+      paused: this.isPaused,
+      elapsedSeconds,
+      elapsed: TimerState.formatDuration(elapsedSeconds),
+    };
+  }
+
+  save() {
+    const directory = path.dirname(this.filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+    // Write to a temp file first so a crash never leaves a truncated state
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), "utf8");
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  clear() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+
+  /**
+   * Round a duration to whole steps of `minutes`.
+   * mode: nearest | up | down | none
+   */
+  static roundSeconds(seconds, { minutes = 15, mode = "nearest" } = {}) {
+    if (mode === "none" || !(minutes > 0)) return Math.round(seconds);
+
+    const step = minutes * 60;
+    const round =
+      mode === "up" ? Math.ceil : mode === "down" ? Math.floor : Math.round;
+    return round(Math.round(seconds) / step) * step;
+  }
+
+  static formatDuration(seconds) {
+    const duration = moment.duration(Math.round(seconds), "seconds");
+    const hours = Math.floor(duration.asHours());
+    return `${hours}h ${String(duration.minutes()).padStart(2, "0")}m`;
+  }
+}
+
+module.exports = TimerState;
@@ -0,0 +1,85 @@
+const moment = require("moment");
+const AbsenceFile = require("./absenceFile");
+const HolidayCalendar = require("./holidayCalendar");
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Expected working hours per day: a weekly pattern (hours per weekday, so
+ * part-time schedules are just zeros or shorter days) minus public holidays
+ * and absences (vacation, sick days) from the workspace calendar.
+ */
+class WorkSchedule {
+  constructor(settings = {}, absences = [], holidays = null) {
+    this.hoursPerWeekday = settings.hoursPerWeekday || {};
+    this.maxHoursPerDay = settings.maxHoursPerDay ?? null;
+    this.maxGapMinutes = settings.maxGapMinutes ?? null;
+    this.absences = absences;
+    this.holidays = holidays;
+  }
+
+  static fromConfig(config) {
+    const settings = config.workSchedule;
+    return new WorkSchedule(
+      settings,
+      AbsenceFile.open(settings.absenceFile).entries,
+      HolidayCalendar.fromConfig(config),
+    );
+  }
+
+  scheduledHours(date) {
+    const weekday = WEEKDAYS[moment(date, "YYYY-MM-DD").day()];
+    return parseFloat(this.hoursPerWeekday[weekday]) || 0;
+  }
+
+  absencesOn(date) {
+    return this.absences.filter(
+      (absence) => absence.from <= date && absence.to >= date,
+    );
+  }
+
+  holidayOn(date) {
+    return this.holidays ? this.holidays.holidayOn(date) : null;
+  }
+
+  expectedHours(date) {
+    if (this.holidayOn(date)) return 0;
+
+    let hours = this.scheduledHours(date);
+    for (const absence of this.absencesOn(date)) {
+      hours = absence.hours === null ? 0 : hours - absence.hours;
+    }
+    return Math.max(0, hours);
+  }
+
+  /**
+   * Why nothing needs to be booked on date: { kind, reason } with kind
+   * holiday, absence or schedule (e.g. weekends); null on working days
+   */
+  dayOff(date) {
+    const holiday = this.holidayOn(date);
+    if (holiday) {
+      return { kind: "holiday", reason: holiday.name };
+    }
+    const absence = this.absencesOn(date).find((a) => a.hours === null);
+    if (absence) {
+      return { kind: "absence", reason: absence.reason };
+    }
+    if (this.scheduledHours(date) === 0) {
+      return { kind: "schedule", reason: null };
+    }
+    return null;
+  }
+}
+
+WorkSchedule.WEEKDAYS = WEEKDAYS;
+
+module.exports = WorkSchedule;
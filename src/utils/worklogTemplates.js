@@ -0,0 +1,125 @@
+const moment = require("moment");
+const { parseTimeInput, yamlDateString } = require("./dateInput");
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const DEFAULT_WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Recurring worklogs from the templates: section of config.yaml, e.g.
+ *
+ *   - name: Standup
+ *     issue: ABC-123
+ *     description: Team Daily
+ *     weekdays: [mon, tue, wed, thu, fri]
+ *     start: "09:30"
+ *     end: "09:45"
+ *     from: 2025-01-01      # optional date bounds
+ *     until: 2025-12-31
+ *     everyWeeks: 2         # optional, counted from the week of `from`
+ *     skipHolidays: true    # default: no entry on holidays and days off
+ */
+
+function parseWeekdays(value, label) {
+  if (value === undefined || value === null) return DEFAULT_WEEKDAYS;
+
+  const names = Array.isArray(value) ? value : String(value).split(",");
+  return names.map((name) => {
+    const prefix = String(name).trim().toLowerCase();
+    const weekday = WEEKDAYS.findIndex(
+      (day) => prefix.length >= 3 && day.startsWith(prefix),
+    );
+    if (weekday === -1) {
+      throw new Error(`${label}: unknown weekday "${name}"`);
+    }
+    return weekday;
+  });
+}
+
+function parseBound(value, label) {
+  if (value === undefined || value === null) return null;
+  const date = yamlDateString(value);
+  if (!moment(date, "YYYY-MM-DD", true).isValid()) {
+    throw new Error(`${label}: invalid date "${value}" - use YYYY-MM-DD`);
+  }
+  return date;
+}
+
+/**
+ * Validate the raw templates list; throws on the first invalid template
+ */
+function parseTemplates(list) {
+  if (!Array.isArray(list)) {
+    throw new Error("templates in config.yaml must be a list");
+  }
+
+  return list.map((raw, index) => {
+    const name = raw.name || raw.description || `Template ${index + 1}`;
+    const label = `Template "${name}"`;
+
+    if (!raw.issue) {
+      throw new Error(`${label}: issue is required`);
+    }
+    if (!raw.start || !raw.end) {
+      throw new Error(`${label}: start and end are required (HH:MM)`);
+    }
+
+    const startTime = parseTimeInput(raw.start);
+    const endTime = parseTimeInput(raw.end);
+    if (endTime <= startTime) {
+      throw new Error(`${label}: end must be after start`);
+    }
+
+    const everyWeeks =
+      raw.everyWeeks === undefined ? 1 : parseInt(raw.everyWeeks, 10);
+    if (!(everyWeeks >= 1)) {
+      throw new Error(`${label}: everyWeeks must be 1 or more`);
+    }
+    const from = parseBound(raw.from, label);
+    if (everyWeeks > 1 && !from) {
+      throw new Error(`${label}: everyWeeks needs a from date to count from`);
+    }
+
+    return {
+      name,
+      issueKey: String(raw.issue).trim(),
+      description: raw.description || "",
+      weekdays: parseWeekdays(raw.weekdays, label),
+      startTime,
+      endTime,
+      from,
+      until: parseBound(raw.until, label),
+      everyWeeks,
+      skipHolidays: raw.skipHolidays !== false,
+    };
+  });
+}
+
+/**
+ * Whether a template has an entry on date (YYYY-MM-DD), ignoring holidays
+ */
+function occursOn(template, date) {
+  const day = moment(date, "YYYY-MM-DD");
+  if (!template.weekdays.includes(day.day())) return false;
+  if (template.from && date < template.from) return false;
+  if (template.until && date > template.until) return false;
+
+  if (template.everyWeeks > 1) {
+    const weeks = day
+      .clone()
+      .startOf("isoWeek")
+      .diff(moment(template.from).startOf("isoWeek"), "weeks");
+    return weeks % template.everyWeeks === 0;
+  }
+  return true;
+}
+
+module.exports = { parseTemplates, occursOn };
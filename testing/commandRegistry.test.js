@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const {
+  CommandRegistry,
+  CommandLineError,
+} = require("../src/utils/commandRegistry");
+
+const registry = () =>
+  new CommandRegistry({
+    name: "tempo-booker",
+    globalOptions: {
+      output: { type: "enum", choices: ["text", "json"], default: "text" },
+      profile: { type: "string", valueName: "name" },
+    },
+  })
+    .command({
+      name: "quick",
+      args: [
+        { name: "issueKey", required: true },
+        { name: "hours", type: "number" },
+        { name: "description", variadic: true },
+      ],
+      options: {
+        date: { type: "string", alias: "d" },
+        open: { default: true },
+      },
+      run: () => {},
+    })
+    .command({
+      name: "import",
+      args: [{ name: "file", complete: "file" }],
+      options: { plan: { type: "string", complete: "file" } },
+      run: () => {},
+    });
+
+test("arguments and options are bound and typed", () => {
+  const parsed = registry().parse([
+    "--profile",
+    "clientA",
+    "quick",
+    "PROJ-1",
+    "1.5",
+    "Fix",
+    "bug",
+    "-d",
+    "yesterday",
+    "--no-open",
+  ]);
+
+  assert.equal(parsed.command.name, "quick");
+  assert.deepEqual(parsed.args, {
+    issueKey: "PROJ-1",
+    hours: 1.5,
+    description: ["Fix", "bug"],
+  });
+  assert.equal(parsed.options.date, "yesterday");
+  assert.equal(parsed.options.open, false);
+  assert.equal(parsed.options.profile, "clientA");
+  assert.equal(parsed.options.output, "text");
+});
+
+test("command line mistakes throw CommandLineError", () => {
+  const cli = registry();
+  assert.throws(() => cli.parse(["nope"]), CommandLineError);
+  assert.throws(() => cli.parse(["quick"]), CommandLineError);
+  assert.throws(() => cli.parse(["quick", "PROJ-1", "x"]), CommandLineError);
+  assert.throws(
+    () => cli.parse(["quick", "PROJ-1", "--bogus"]),
+    CommandLineError,
+  );
+  assert.throws(
+    () => cli.parse(["quick", "PROJ-1", "--output", "xml"]),
+    CommandLineError,
+  );
+});
+
+test("bash completion offers file names only for file values", () => {
+  const script = registry().completionScript("bash");
+
+  assert.match(script, /--plan\) COMPREPLY=\(\$\(compgen -f -- "\$cur"\)\)/);
+  assert.match(script, /--date\|-d\) COMPREPLY=\(\); return ;;/);
+  assert.match(script, /--profile\) COMPREPLY=\(\); return ;;/);
+  assert.match(script, /--output\) COMPREPLY=\(\$\(compgen -W "text json"/);
+});
+
+// COMPREPLY of the generated bash function for the given command line
+const complete = (script, words) => {
+  const result = spawnSync(
+    "bash",
+    [
+      "-c",
+      `${script}\nCOMP_WORDS=("$@"); COMP_CWORD=$(($# - 1)); _tempo_booker; echo "\${COMPREPLY[*]}"`,
+      "bash",
+      ...words,
+    ],
+    { encoding: "utf8" },
+  );
+  assert.equal(result.status, 0, result.stderr);
+  return result.stdout.trim().split(" ").filter(Boolean);
+};
+
+test(
+  "bash completion finds the command behind global options",
+  { skip: process.platform === "win32" },
+  () => {
+    const script = registry().completionScript("bash");
+    const line = (...words) => complete(script, ["tempo-booker", ...words]);
+
+    assert.deepEqual(line("qu"), ["quick"]);
+    assert.deepEqual(line("--profile", "work", "qu"), ["quick"]);
+    assert.deepEqual(line("--profile", "work", "quick", "--da"), ["--date"]);
+    assert.deepEqual(line("--output", "json", "import", "--pl"), ["--plan"]);
+    assert.deepEqual(line("--output", "=", "json", "import", "--pl"), [
+      "--plan",
+    ]);
+    // No command yet: commands and global options
+    assert.deepEqual(line("--profile", "work", ""), [
+      "quick",
+      "import",
+      "--help",
+      "-h",
+      "--output",
+      "--profile",
+    ]);
+  },
+);
+
+test("bash completion has no empty positional branches", () => {
+  const script = registry().completionScript("bash");
+
+  assert.doesNotMatch(script, /compgen -W ""/);
+  assert.doesNotMatch(script, /^\s*:$/m);
+});
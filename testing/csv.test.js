@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CsvParser,
+  parseCsv,
+  detectDelimiter,
+  formatCsvField,
+  stringifyCsv,
+} = require("../src/utils/csv");
+
+const fields = (result) => result.records.map((record) => record.fields);
+
+test("detectDelimiter ignores delimiters inside quotes", () => {
+  assert.equal(detectDelimiter("date,issue,hours"), ",");
+  assert.equal(detectDelimiter("date;issue;hours"), ";");
+  assert.equal(detectDelimiter("date\tissue\thours"), "\t");
+  assert.equal(detectDelimiter('"a,b,c";d;e'), ";");
+});
+
+test("quoted fields keep delimiters, quotes and line breaks", () => {
+  const result = parseCsv(
+    'date,description\r\n2025-10-14,"Fix, ""test""\nand deploy"\r\n2025-10-15,Review\r\n',
+  );
+
+  assert.deepEqual(fields(result), [
+    ["date", "description"],
+    ["2025-10-14", 'Fix, "test"\nand deploy'],
+    ["2025-10-15", "Review"],
+  ]);
+  assert.deepEqual(
+    result.records.map((record) => record.line),
+    [1, 2, 4],
+  );
+  assert.deepEqual(result.errors, []);
+});
+
+test("a byte order mark and blank lines are skipped", () => {
+  const result = parseCsv("﻿a;b\n\n1;2\n");
+  assert.equal(result.delimiter, ";");
+  assert.deepEqual(fields(result), [
+    ["a", "b"],
+    ["1", "2"],
+  ]);
+});
+
+test("trimUnquoted trims padding but not quoted text", () => {
+  const result = parseCsv('a, b\n 1 , " x "\n', { trimUnquoted: true });
+  assert.deepEqual(fields(result), [
+    ["a", "b"],
+    ["1", " x "],
+  ]);
+});
+
+test("malformed rows carry an error with their line", () => {
+  const result = parseCsv('a,b\n"x"y,1\n"open\n');
+
+  assert.match(result.records[1].error, /after closing quote/);
+  assert.deepEqual(
+    result.errors.map((error) => error.line),
+    [2, 3],
+  );
+  assert.match(result.errors[1].message, /Unterminated quoted field/);
+});
+
+test("input fed in chunks parses like a whole document", () => {
+  const text = 'a;b\n"1;\n2";3\n4;5';
+  const parser = new CsvParser();
+  const records = [];
+  for (const chunk of text.match(/.{1,3}/gs)) {
+    records.push(...parser.push(chunk));
+  }
+  records.push(...parser.end());
+
+  assert.deepEqual(
+    records.map((record) => record.fields),
+    fields(parseCsv(text)),
+  );
+});
+
+test("formatCsvField quotes only what would not survive parsing", () => {
+  assert.equal(formatCsvField("plain"), "plain");
+  assert.equal(formatCsvField(null), "");
+  assert.equal(formatCsvField(1.5), "1.5");
+  assert.equal(formatCsvField("a,b"), '"a,b"');
+  assert.equal(formatCsvField("a,b", ";"), "a,b");
+  assert.equal(formatCsvField('say "hi"'), '"say ""hi"""');
+  assert.equal(formatCsvField(" padded"), '" padded"');
+});
+
+test("stringifyCsv output parses back to the same rows", () => {
+  const headers = ["date", "issue", "hours", "description"];
+  const rows = [
+    {
+      date: "2025-10-14",
+      issue: "PROJ-1",
+      hours: 1.5,
+      description: "Fix, test",
+    },
+    {
+      date: "2025-10-15",
+      issue: "PROJ-2",
+      hours: 2,
+      description: 'Line 1\n"2"',
+    },
+    { date: "2025-10-16", issue: "PROJ-3", hours: 0.25, description: " x " },
+  ];
+
+  for (const options of [{}, { delimiter: ";", excel: true }]) {
+    const csv = stringifyCsv(rows, headers, options);
+    const result = parseCsv(csv, { trimUnquoted: true });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(fields(result), [
+      headers,
+      ...rows.map((row) => headers.map((header) => String(row[header]))),
+    ]);
+  }
+});
+
+test("excel output starts with a BOM and uses CRLF", () => {
+  const csv = stringifyCsv([{ a: 1 }], ["a"], { excel: true });
+  assert.equal(csv, "﻿a\r\n1\r\n");
+});
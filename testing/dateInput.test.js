@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment");
+const {
+  parseDateInput,
+  parseWeekRange,
+  parseTimeInput,
+  yamlDateString,
+} = require("../src/utils/dateInput");
+
+// A Wednesday, late in the evening
+const today = moment("2025-10-15 22:30", "YYYY-MM-DD HH:mm");
+
+test("today, yesterday and day offsets", () => {
+  assert.equal(parseDateInput("today", today), "2025-10-15");
+  assert.equal(parseDateInput(" Yesterday ", today), "2025-10-14");
+  assert.equal(parseDateInput("-2d", today), "2025-10-13");
+  assert.equal(parseDateInput("-0d", today), "2025-10-15");
+  assert.equal(parseDateInput("-16d", today), "2025-09-29");
+});
+
+test("a weekday is the most recent one, today included", () => {
+  assert.equal(parseDateInput("wed", today), "2025-10-15");
+  assert.equal(parseDateInput("mon", today), "2025-10-13");
+  assert.equal(parseDateInput("Monday", today), "2025-10-13");
+  assert.equal(parseDateInput("thu", today), "2025-10-09");
+  assert.equal(parseDateInput("sun", today), "2025-10-12");
+  assert.equal(parseDateInput("sat", today), "2025-10-11");
+});
+
+test("the reference day is not changed", () => {
+  parseDateInput("-3d", today);
+  parseDateInput("mon", today);
+  assert.equal(today.format("YYYY-MM-DD HH:mm"), "2025-10-15 22:30");
+});
+
+test("dates are checked strictly", () => {
+  assert.equal(parseDateInput("2024-02-29", today), "2024-02-29");
+  for (const input of ["2025-02-29", "15.10.2025", "mo", "+2d", "tomorrow"]) {
+    assert.throws(() => parseDateInput(input, today), /Invalid date/);
+  }
+});
+
+test("week ranges default to the current ISO week", () => {
+  assert.deepEqual(parseWeekRange(null, null, today), {
+    dateFrom: "2025-10-13",
+    dateTo: "2025-10-19",
+  });
+  assert.deepEqual(parseWeekRange("2025-10-01", null, today), {
+    dateFrom: "2025-10-01",
+    dateTo: "2025-10-05",
+  });
+  assert.deepEqual(parseWeekRange("mon", "yesterday", today), {
+    dateFrom: "2025-10-13",
+    dateTo: "2025-10-14",
+  });
+  assert.throws(() => parseWeekRange("today", "-1d", today), /before start/);
+});
+
+test("times are normalized to HH:mm:ss", () => {
+  assert.equal(parseTimeInput("9:00"), "09:00:00");
+  assert.equal(parseTimeInput("09:30"), "09:30:00");
+  assert.equal(parseTimeInput("13:30:15"), "13:30:15");
+  assert.throws(() => parseTimeInput("25:00"), /Invalid time/);
+  assert.throws(() => parseTimeInput("9"), /Invalid time/);
+});
+
+test("YAML dates come back as the written day", () => {
+  assert.equal(yamlDateString(new Date(Date.UTC(2025, 11, 24))), "2025-12-24");
+  assert.equal(yamlDateString(" 2025-12-24 "), "2025-12-24");
+});
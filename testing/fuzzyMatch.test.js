@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment");
+const {
+  fuzzyScore,
+  usageScore,
+  rankIssues,
+} = require("../src/utils/fuzzyMatch");
+
+const now = moment("2025-10-20");
+
+test("every query word has to match key or summary", () => {
+  const issue = { key: "PROJ-12", summary: "Daily bug triage" };
+
+  assert.ok(fuzzyScore("daily", issue) > 0);
+  assert.ok(fuzzyScore("dlybug", issue) > 0);
+  assert.ok(fuzzyScore("proj triage", issue) > 0);
+  assert.equal(fuzzyScore("daily deploy", issue), null);
+});
+
+test("exact, prefix and substring matches beat scattered letters", () => {
+  const issue = (summary) => ({ key: "X-1", summary });
+
+  const exact = fuzzyScore("review", issue("review"));
+  const prefix = fuzzyScore("review", issue("review meeting"));
+  const word = fuzzyScore("review", issue("code review"));
+  const scattered = fuzzyScore("review", issue("re-view"));
+  assert.ok(exact > prefix && prefix > word && word > scattered);
+});
+
+test("usageScore rewards frequent and recent issues", () => {
+  assert.equal(usageScore({}, now), 0);
+  assert.ok(
+    usageScore({ count: 8, lastUsed: "2025-10-19" }, now) >
+      usageScore({ count: 1, lastUsed: "2025-10-19" }, now),
+  );
+  assert.ok(
+    usageScore({ count: 1, lastUsed: "2025-10-19" }, now) >
+      usageScore({ count: 1, lastUsed: "2025-08-01" }, now),
+  );
+});
+
+test("rankIssues sorts by match and usage and applies the limit", () => {
+  const candidates = [
+    { key: "PROJ-1", summary: "Deploy pipeline" },
+    {
+      key: "PROJ-2",
+      summary: "Daily standup",
+      count: 20,
+      lastUsed: "2025-10-17",
+    },
+    { key: "PROJ-3", summary: "Daily report" },
+    { key: "PROJ-4", summary: "Vacation" },
+  ];
+
+  const ranked = rankIssues(candidates, "daily", { now });
+  assert.deepEqual(
+    ranked.map((issue) => issue.key),
+    ["PROJ-2", "PROJ-3"],
+  );
+
+  const top = rankIssues(candidates, "", { now, limit: 2 });
+  assert.deepEqual(
+    top.map((issue) => issue.key),
+    ["PROJ-2", "PROJ-1"],
+  );
+});
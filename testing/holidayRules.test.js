@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { easterSunday, publicHolidays } = require("../src/utils/holidayRules");
+
+const dates = (holidays) => holidays.map((holiday) => holiday.date);
+
+test("easterSunday", () => {
+  assert.equal(easterSunday(2024).format("YYYY-MM-DD"), "2024-03-31");
+  assert.equal(easterSunday(2025).format("YYYY-MM-DD"), "2025-04-20");
+  assert.equal(easterSunday(2038).format("YYYY-MM-DD"), "2038-04-25");
+});
+
+test("German holidays move with Easter and add regional ones", () => {
+  const nationwide = dates(publicHolidays("DE", null, 2025));
+  assert.ok(nationwide.includes("2025-04-18")); // Karfreitag
+  assert.ok(nationwide.includes("2025-04-21")); // Ostermontag
+  assert.ok(nationwide.includes("2025-05-29")); // Christi Himmelfahrt
+  assert.ok(nationwide.includes("2025-06-09")); // Pfingstmontag
+  assert.ok(nationwide.includes("2025-10-03"));
+  assert.ok(!nationwide.includes("2025-06-19"));
+
+  const bavaria = dates(publicHolidays("de", "by", 2025));
+  assert.ok(bavaria.includes("2025-01-06"));
+  assert.ok(bavaria.includes("2025-06-19")); // Fronleichnam
+  assert.deepEqual(bavaria, [...bavaria].sort());
+});
+
+test("UK substitute days follow a weekend Christmas", () => {
+  const holidays = publicHolidays("GB", null, 2021);
+  assert.deepEqual(holidays.slice(-2), [
+    { date: "2021-12-27", name: "Christmas Day (observed)" },
+    { date: "2021-12-28", name: "Boxing Day (observed)" },
+  ]);
+});
+
+test("US holidays on a Saturday are observed the Friday before", () => {
+  const holidays = publicHolidays("US", null, 2022);
+  assert.deepEqual(holidays[0], {
+    date: "2021-12-31",
+    name: "New Year's Day (observed)",
+  });
+});
+
+test("unknown countries and regions are errors", () => {
+  assert.throws(() => publicHolidays("XX", null, 2025), /No holiday rules/);
+  assert.throws(() => publicHolidays("DE", "XX", 2025), /Unknown region/);
+  assert.throws(
+    () => publicHolidays("GB", "SCT", 2025),
+    /No regional holiday rules for GB/,
+  );
+});
@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempHome } = require("./support/tempHome");
+
+useTempHome();
+const { HttpServer, HttpError } = require("../src/services/httpServer");
+const timeTrackingController = require("../src/controllers/timeTrackingController");
+
+const TOKEN = "s3cret-token";
+const quiet = { info: () => {} };
+
+// Just what authorized() reads of an express request
+const request = ({ headers = {}, query = {} } = {}) => ({
+  get: (name) => headers[name.toLowerCase()],
+  query,
+});
+
+test("the token is accepted as bearer, header or query parameter", () => {
+  const server = new HttpServer({ token: TOKEN, logger: quiet });
+
+  assert.ok(
+    server.authorized(
+      request({ headers: { authorization: `Bearer ${TOKEN}` } }),
+    ),
+  );
+  assert.ok(
+    server.authorized(request({ headers: { "x-tempo-booker-token": TOKEN } })),
+  );
+  assert.ok(server.authorized(request({ query: { token: TOKEN } })));
+
+  assert.equal(server.authorized(request()), false);
+  assert.equal(
+    server.authorized(request({ headers: { authorization: TOKEN } })),
+    false,
+  );
+  assert.equal(
+    server.authorized(request({ query: { token: "s3cret-tokem" } })),
+    false,
+  );
+  // timingSafeEqual would throw on a length mismatch
+  assert.equal(
+    server.authorized(request({ query: { token: `${TOKEN}x` } })),
+    false,
+  );
+  assert.equal(server.authorized(request({ query: { token: "s" } })), false);
+});
+
+test("only loopback hosts and a token are accepted", () => {
+  for (const host of ["127.0.0.1", "localhost", "::1"]) {
+    assert.equal(new HttpServer({ token: TOKEN, host }).host, host);
+  }
+  assert.throws(
+    () => new HttpServer({ token: TOKEN, host: "0.0.0.0" }),
+    /server\.host must be one of/,
+  );
+  assert.throws(
+    () => new HttpServer({ token: TOKEN, host: "192.168.1.10" }),
+    /server\.host must be one of/,
+  );
+  assert.throws(() => new HttpServer({}), /needs a token/);
+});
+
+test("statusOf maps errors to HTTP statuses", () => {
+  assert.equal(HttpServer.statusOf(new HttpError(404, "gone")), 404);
+  assert.equal(
+    HttpServer.statusOf(
+      Object.assign(new Error("too large"), { expose: true, statusCode: 413 }),
+    ),
+    413,
+  );
+  assert.equal(
+    HttpServer.statusOf(
+      Object.assign(new Error("x"), { isNetworkError: true }),
+    ),
+    502,
+  );
+  assert.equal(
+    HttpServer.statusOf(Object.assign(new Error("x"), { status: 503 })),
+    502,
+  );
+  assert.equal(
+    HttpServer.statusOf(Object.assign(new Error("x"), { status: 400 })),
+    422,
+  );
+  assert.equal(HttpServer.statusOf(new Error("Unknown issue")), 422);
+});
+
+test.describe("listening on a free port", () => {
+  let listening;
+  let baseUrl;
+  let calls;
+
+  test.before(async () => {
+    timeTrackingController.readImportInput = (body) => {
+      calls.push(["read", body]);
+      return { entries: [{ issueKey: "PROJ-1" }], source: "inline CSV" };
+    };
+    timeTrackingController.planImportEntries = async (entries, options) => {
+      calls.push(["plan", entries, options]);
+      return { planned: entries.length };
+    };
+    timeTrackingController.importEntries = async () => {
+      throw new Error("a dry run must not import");
+    };
+
+    listening = await new HttpServer({
+      token: TOKEN,
+      port: 0,
+      logger: quiet,
+    }).listen();
+    baseUrl = `http://127.0.0.1:${listening.address().port}`;
+  });
+
+  test.beforeEach(() => {
+    calls = [];
+  });
+
+  test.after(() => new Promise((resolve) => listening.close(resolve)));
+
+  test("/health needs no token", async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).ok, true);
+  });
+
+  test("the API refuses requests without the token", async () => {
+    const missing = await fetch(`${baseUrl}/worklogs`);
+    assert.equal(missing.status, 401);
+    assert.deepEqual(await missing.json(), { error: "Missing or wrong token" });
+
+    const wrong = await fetch(`${baseUrl}/import`, {
+      method: "POST",
+      headers: {
+        "X-Tempo-Booker-Token": "nope",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ csv: "x", dryRun: true }),
+    });
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(calls, []);
+  });
+
+  test("POST /import with dryRun only plans", async () => {
+    const response = await fetch(`${baseUrl}/import`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${TOKEN}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ csv: "Issue Key\nPROJ-1", dryRun: true }),
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { planned: 1 });
+    assert.deepEqual(calls, [
+      ["read", { csv: "Issue Key\nPROJ-1", dryRun: true }],
+      [
+        "plan",
+        [{ issueKey: "PROJ-1" }],
+        { source: "inline CSV", dateFilter: undefined },
+      ],
+    ]);
+  });
+
+  test("POST /import needs either csv or file", async () => {
+    const response = await fetch(`${baseUrl}/import?token=${TOKEN}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ dryRun: true }),
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+      error: "Send either csv or file",
+    });
+    assert.deepEqual(calls, []);
+  });
+});
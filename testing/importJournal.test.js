@@ -0,0 +1,267 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ImportJournal = require("../src/utils/importJournal");
+
+const directories = [];
+const tempDir = () => {
+  const directory = fs.mkdtempSync(
+    path.join(os.tmpdir(), "tempo-booker-journal-"),
+  );
+  directories.push(directory);
+  return directory;
+};
+test.after(() => {
+  for (const directory of directories) {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+const worklog = (tempoWorklogId, extra = {}) => ({
+  tempoWorklogId,
+  issue: { id: 100 + tempoWorklogId, key: `PROJ-${tempoWorklogId}` },
+  timeSpentSeconds: 3600,
+  startDate: "2025-10-14",
+  startTime: "09:00:00",
+  description: `Worklog ${tempoWorklogId}`,
+  author: { accountId: "712020:me" },
+  ...extra,
+});
+
+const planned = () => ({
+  delete: [{ tempoWorklogId: 1 }, { tempoWorklogId: 2 }],
+  replace: [
+    {
+      issueKey: "PROJ-9",
+      conflictingWorklogs: [worklog(3), worklog(4)],
+    },
+  ],
+  add: [{ issueKey: "PROJ-7" }],
+  update: [{ tempoWorklogId: 5, original: worklog(5) }],
+});
+
+// Record an operation with the given outcome
+const record = (journal, operation, options, status = "done", result = {}) => {
+  const entry = journal.begin(operation, options);
+  if (status === "done") journal.complete(entry, result);
+  if (status === "failed") journal.fail(entry, new Error("Tempo said no"));
+  return entry;
+};
+
+test("the journal is written on create and loads back", () => {
+  const directory = tempDir();
+  const journal = ImportJournal.create(directory, { source: "week.csv" });
+  record(journal, "add", { payload: { issueKey: "PROJ-1" } }, "done", {
+    tempoWorklogId: 11,
+  });
+
+  const loaded = ImportJournal.load(journal.filePath);
+  assert.equal(loaded.status, "in-progress");
+  assert.equal(loaded.data.source, "week.csv");
+  assert.equal(loaded.entries[0].tempoWorklogId, 11);
+  assert.deepEqual(fs.readdirSync(directory), [
+    path.basename(journal.filePath),
+  ]);
+});
+
+test("load rejects files that are not journals", () => {
+  const directory = tempDir();
+  const filePath = path.join(directory, "import-journal_x.json");
+  fs.writeFileSync(filePath, JSON.stringify({ status: "completed" }));
+
+  assert.throws(() => ImportJournal.load(filePath), /Not an import journal/);
+  assert.throws(
+    () => ImportJournal.load(path.join(directory, "missing.json")),
+    /Journal not found/,
+  );
+});
+
+test("findResumable skips finished, plan-less and unreadable journals", () => {
+  const directory = tempDir();
+  const write = (name, data) =>
+    fs.writeFileSync(
+      path.join(directory, `import-journal_${name}.json`),
+      typeof data === "string" ? data : JSON.stringify(data),
+    );
+
+  write("20251001_090000_000", {
+    status: "incomplete",
+    plan: { add: [] },
+    entries: [],
+  });
+  write("20251002_090000_000", { status: "incomplete", entries: [] });
+  write("20251003_090000_000", {
+    status: "completed",
+    plan: { add: [] },
+    entries: [],
+  });
+  write("20251004_090000_000", "{ truncated");
+
+  const journal = ImportJournal.findResumable(directory);
+  assert.equal(
+    path.basename(journal.filePath),
+    "import-journal_20251001_090000_000.json",
+  );
+  assert.equal(ImportJournal.list(directory).length, 4);
+});
+
+test("setPlan numbers every operation per type", () => {
+  const journal = ImportJournal.create(tempDir());
+  const plan = journal.setPlan(planned());
+
+  assert.deepEqual(
+    plan.delete.map((op) => op.planId),
+    ["delete-1", "delete-2"],
+  );
+  assert.equal(plan.replace[0].planId, "replace-1");
+  assert.equal(plan.add[0].planId, "add-1");
+  assert.equal(plan.update[0].planId, "update-1");
+  assert.equal(journal.remainingCount(), 5);
+  assert.equal(journal.isResumable, true);
+});
+
+test("remainingPlan leaves out finished operations", () => {
+  const journal = ImportJournal.create(tempDir());
+  const plan = journal.setPlan(planned());
+
+  record(journal, "delete", {
+    tempoWorklogId: 1,
+    planId: plan.delete[0].planId,
+  });
+  record(
+    journal,
+    "delete",
+    { tempoWorklogId: 2, planId: plan.delete[1].planId },
+    "failed",
+  );
+  record(journal, "add", { payload: plan.add[0] }, "pending");
+  record(journal, "update", { payload: plan.update[0] });
+
+  const remaining = ImportJournal.load(journal.filePath).remainingPlan();
+  assert.deepEqual(
+    remaining.delete.map((op) => op.planId),
+    ["delete-2"],
+  );
+  assert.deepEqual(
+    remaining.add.map((op) => op.planId),
+    ["add-1"],
+  );
+  assert.deepEqual(remaining.update, []);
+  assert.equal(remaining.replace.length, 1);
+});
+
+test("a partly done replace keeps only the worklogs still to delete", () => {
+  const journal = ImportJournal.create(tempDir());
+  const [replace] = journal.setPlan(planned()).replace;
+
+  record(journal, "replace-delete", {
+    tempoWorklogId: 3,
+    original: worklog(3),
+    planId: replace.planId,
+  });
+  let [remaining] = journal.remainingPlan().replace;
+  assert.deepEqual(
+    remaining.conflictingWorklogs.map((cwl) => cwl.tempoWorklogId),
+    [4],
+  );
+
+  record(journal, "replace-delete", {
+    tempoWorklogId: 4,
+    original: worklog(4),
+    planId: replace.planId,
+  });
+  [remaining] = journal.remainingPlan().replace;
+  assert.deepEqual(remaining.conflictingWorklogs, []);
+
+  // The replacement itself is what finishes the operation
+  record(
+    journal,
+    "replace-create",
+    { payload: { issueKey: "PROJ-9" }, planId: replace.planId },
+    "done",
+    { tempoWorklogId: 20 },
+  );
+  assert.deepEqual(journal.remainingPlan().replace, []);
+});
+
+test("summary: the last entry of an operation wins", () => {
+  const journal = ImportJournal.create(tempDir());
+  const plan = journal.setPlan(planned());
+
+  // Failed first, done on resume
+  record(journal, "add", { payload: plan.add[0] }, "failed");
+  record(journal, "add", { payload: plan.add[0] }, "done", {
+    tempoWorklogId: 30,
+  });
+  // Failed twice: reported once
+  record(journal, "update", { payload: plan.update[0] }, "failed");
+  record(journal, "update", { payload: plan.update[0] }, "failed");
+  // Deletes count per worklog
+  const replaceId = plan.replace[0].planId;
+  record(
+    journal,
+    "replace-delete",
+    { tempoWorklogId: 3, planId: replaceId },
+    "failed",
+  );
+  record(journal, "replace-delete", { tempoWorklogId: 4, planId: replaceId });
+
+  const summary = journal.summary();
+  assert.deepEqual(summary.created, [30]);
+  assert.deepEqual(summary.deleted, [4]);
+  assert.deepEqual(
+    summary.failed.map((failure) => [
+      failure.operation,
+      failure.tempoWorklogId,
+    ]),
+    [
+      ["update", null],
+      ["replace-delete", 3],
+    ],
+  );
+  assert.equal(summary.failed[0].issueKey, null);
+  assert.equal(summary.failed[0].error, "Tempo said no");
+});
+
+test("begin keeps a snapshot, not the raw worklog of the payload", () => {
+  const journal = ImportJournal.create(tempDir());
+  const [update] = journal.setPlan(planned()).update;
+
+  const entry = journal.begin("update", {
+    payload: update,
+    original: update.original,
+    tempoWorklogId: 5,
+  });
+  assert.equal(entry.planId, "update-1");
+  assert.deepEqual(entry.payload, { tempoWorklogId: 5 });
+  assert.equal(entry.original.issueKey, "PROJ-5");
+  assert.equal(entry.original.authorAccountId, "712020:me");
+});
+
+test("toPayload restores a snapshot as a Tempo worklog", () => {
+  const snapshot = ImportJournal.snapshot(
+    worklog(6, {
+      billableSeconds: 1800,
+      attributes: {
+        values: [{ key: "_Account_", value: "ACC-1", self: "https://x" }],
+      },
+    }),
+  );
+
+  assert.deepEqual(ImportJournal.toPayload(snapshot), {
+    issueId: 106,
+    timeSpentSeconds: 3600,
+    startDate: "2025-10-14",
+    startTime: "09:00:00",
+    description: "Worklog 6",
+    authorAccountId: "712020:me",
+    billableSeconds: 1800,
+    attributes: [{ key: "_Account_", value: "ACC-1" }],
+  });
+
+  const plain = ImportJournal.toPayload(ImportJournal.snapshot(worklog(7)));
+  assert.equal("billableSeconds" in plain, false);
+  assert.equal("attributes" in plain, false);
+});
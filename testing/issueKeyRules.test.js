@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const IssueKeyRules = require("../src/utils/issueKeyRules");
+
+test("the first matching rule wins", () => {
+  const rules = new IssueKeyRules([
+    { match: "^Team Daily$", issue: "PROJ-42" },
+    { match: "daily", flags: "i", issue: "PROJ-7" },
+  ]);
+
+  assert.equal(rules.match("Team Daily").issueKey, "PROJ-42");
+  assert.equal(rules.match("Daily sync with ops").issueKey, "PROJ-7");
+  assert.equal(rules.match("Code review"), null);
+  assert.equal(rules.match(""), null);
+});
+
+test("g and y flags do not make matching stateful", () => {
+  const rules = new IssueKeyRules([
+    { match: "standup", flags: "gi", issue: "PROJ-1" },
+  ]);
+
+  assert.equal(rules.rules[0].pattern.flags, "i");
+  assert.equal(rules.match("Standup").issueKey, "PROJ-1");
+  assert.equal(rules.match("Standup").issueKey, "PROJ-1");
+});
+
+test("invalid rules are reported with their position", () => {
+  assert.throws(() => new IssueKeyRules({}), /must be a list/);
+  assert.throws(
+    () => new IssueKeyRules([{ match: "x" }]),
+    /issueRules\[0\] needs match/,
+  );
+  assert.throws(
+    () => new IssueKeyRules([{ match: "x", issue: "proj-1" }]),
+    /issueRules\[0\]: "proj-1" is not an issue key/,
+  );
+  assert.throws(
+    () => new IssueKeyRules([{ match: "(", issue: "PROJ-1" }]),
+    /issueRules\[0\]: invalid regular expression/,
+  );
+});
+
+test("issueKeys lists every target issue once", () => {
+  const rules = new IssueKeyRules([
+    { match: "a", issue: "PROJ-1" },
+    { match: "b", issue: "PROJ-2" },
+    { match: "c", issue: "PROJ-1" },
+  ]);
+  assert.deepEqual(rules.issueKeys, ["PROJ-1", "PROJ-2"]);
+});
+
+test("fromConfig compiles the rules of one config once", () => {
+  const config = { issueKeyRules: [{ match: "a", issue: "PROJ-1" }] };
+  assert.equal(
+    IssueKeyRules.fromConfig(config),
+    IssueKeyRules.fromConfig(config),
+  );
+});
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const {
+  upsertIssueMappings,
+  saveIssueMappings,
+} = require("../src/utils/issueMappingWriter");
+
+const CONFIG = `# Tempo CLI Configuration
+user:
+  name: "Jane"
+
+# Issue Mappings
+issueMapping:
+  "PROJ-1":
+    id: "101"
+    summary: "First"  # keep me
+
+# Files
+files:
+  exportDir: "exports"
+`;
+
+test("new entries are appended to the section, comments survive", () => {
+  const updated = upsertIssueMappings(CONFIG, {
+    "PROJ-2": { id: 102, summary: "Second" },
+  });
+
+  assert.ok(updated.includes('summary: "First"  # keep me'));
+  assert.ok(updated.includes("# Files\nfiles:"));
+  assert.deepEqual(yaml.load(updated).issueMapping, {
+    "PROJ-1": { id: "101", summary: "First" },
+    "PROJ-2": { id: "102", summary: "Second" },
+  });
+  assert.equal(yaml.load(updated).files.exportDir, "exports");
+});
+
+test("existing entries are replaced in place", () => {
+  const updated = upsertIssueMappings(CONFIG, { "PROJ-1": { id: 999 } });
+  const parsed = yaml.load(updated);
+
+  assert.deepEqual(parsed.issueMapping, { "PROJ-1": { id: "999" } });
+  assert.equal(updated.match(/PROJ-1/g).length, 1);
+});
+
+test("an empty or missing section is created", () => {
+  const empty = upsertIssueMappings("user:\n  name: x\nissueMapping: {}\n", {
+    "PROJ-3": { id: "3" },
+  });
+  assert.deepEqual(yaml.load(empty).issueMapping, { "PROJ-3": { id: "3" } });
+
+  const missing = upsertIssueMappings("user:\n  name: x\n", {
+    "PROJ-4": { id: "4" },
+  });
+  assert.deepEqual(yaml.load(missing).issueMapping, { "PROJ-4": { id: "4" } });
+});
+
+test("CRLF files keep their line endings", () => {
+  const updated = upsertIssueMappings(CONFIG.replace(/\n/g, "\r\n"), {
+    "PROJ-2": { id: "2" },
+  });
+  assert.ok(!/[^\r]\n/.test(updated));
+});
+
+test("saveIssueMappings writes the file", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "tempo-booker-"));
+  const configPath = path.join(directory, "config.yaml");
+  try {
+    fs.writeFileSync(configPath, CONFIG);
+    saveIssueMappings(configPath, { "PROJ-5": { id: "5", summary: 'A "q"' } });
+
+    const parsed = yaml.load(fs.readFileSync(configPath, "utf8"));
+    assert.deepEqual(parsed.issueMapping["PROJ-5"], {
+      id: "5",
+      summary: 'A "q"',
+    });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
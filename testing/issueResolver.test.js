@@ -0,0 +1,231 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { useTempHome } = require("./support/tempHome");
+
+useTempHome(`issueMapping:
+  "PROJ-1":
+    id: "101"
+    summary: "Mapped"
+`);
+const config = require("../src/utils/config");
+const IssueCache = require("../src/utils/issueCache");
+const issueResolver = require("../src/services/issueResolver");
+
+// Fake providers answer from a fixed table and record what they were asked
+const calls = {};
+const fakeProvider = (name, known, extra = {}) => ({
+  name,
+  async resolve(issueKeys) {
+    calls[name] = [...(calls[name] || []), issueKeys];
+    const found = {};
+    for (const issueKey of issueKeys) {
+      if (known[issueKey]) {
+        found[issueKey] = {
+          id: known[issueKey],
+          summary: `${issueKey} from ${name}`,
+        };
+      }
+    }
+    return found;
+  },
+  ...extra,
+});
+
+issueResolver.registerProvider(
+  fakeProvider("first", { "PROJ-2": 202 }, { cacheable: true }),
+);
+issueResolver.registerProvider(
+  fakeProvider("second", { "PROJ-2": 902, "PROJ-3": 303 }),
+);
+issueResolver.registerProvider({
+  name: "broken",
+  async resolve() {
+    throw new Error("site unreachable");
+  },
+});
+issueResolver.registerProvider(
+  fakeProvider(
+    "offline",
+    { "PROJ-3": 303 },
+    {
+      unavailable: () => "no credentials",
+    },
+  ),
+);
+
+const useChain = (providers, settings = {}) => {
+  config.yaml.issueResolution = {
+    providers,
+    learnMappings: false,
+    ...settings,
+  };
+};
+
+test.beforeEach(() => {
+  issueResolver.clearCache(true);
+  for (const name of Object.keys(calls)) delete calls[name];
+});
+
+test("providers are asked in chain order for the keys still open", async () => {
+  useChain(["static", "first", "second"]);
+
+  const results = await issueResolver.resolveIssues(
+    ["PROJ-1", "PROJ-2", "PROJ-3", "PROJ-4"],
+    true,
+  );
+
+  assert.deepEqual(
+    Object.fromEntries(
+      Object.entries(results).map(([key, result]) => [
+        key,
+        [result.id, result.method],
+      ]),
+    ),
+    {
+      "PROJ-1": [101, "static"],
+      "PROJ-2": [202, "first"],
+      "PROJ-3": [303, "second"],
+    },
+  );
+  assert.deepEqual(calls.first, [["PROJ-2", "PROJ-3", "PROJ-4"]]);
+  assert.deepEqual(calls.second, [["PROJ-3", "PROJ-4"]]);
+});
+
+test("the chain order decides which provider wins", async () => {
+  useChain(["second", "first"]);
+
+  const result = await issueResolver.resolveIssue("PROJ-2", true);
+  assert.equal(result.id, 902);
+  assert.equal(result.method, "second");
+  assert.equal(calls.first, undefined);
+});
+
+test("answers are kept for the rest of the run", async () => {
+  useChain(["first"]);
+
+  await issueResolver.resolveIssue("PROJ-2", true);
+  await issueResolver.resolveIssues(["PROJ-2"], true);
+  assert.equal(calls.first.length, 1);
+});
+
+test("disabled, unavailable and unknown providers are skipped", async () => {
+  useChain(["static", "offline", "nope", "second"], {
+    useConfigMappings: false,
+  });
+
+  const chain = issueResolver
+    .chain()
+    .map(({ name, skipped }) => [name, skipped]);
+  assert.deepEqual(chain.slice(0, 2), [
+    ["static", "issueResolution.useConfigMappings is false"],
+    ["offline", "no credentials"],
+  ]);
+  assert.match(chain[2][1], /^unknown provider \(available: static, cache,/);
+  assert.equal(chain[3][1], null);
+
+  const results = await issueResolver.resolveIssues(["PROJ-1", "PROJ-3"], true);
+  assert.deepEqual(Object.keys(results), ["PROJ-3"]);
+  assert.equal(calls.offline, undefined);
+});
+
+test("explain reports hit, miss, skipped and error steps", async () => {
+  useChain(["static", "offline", "broken", "first", "second"]);
+
+  const { result, steps } = await issueResolver.explain("PROJ-3");
+  assert.equal(result.method, "second");
+  assert.deepEqual(
+    steps.map(({ provider, status, detail }) => [provider, status, detail]),
+    [
+      ["static", "miss", null],
+      ["offline", "skipped", "no credentials"],
+      ["broken", "error", "site unreachable"],
+      ["first", "miss", null],
+      ["second", "hit", null],
+    ],
+  );
+  assert.ok(steps.every((step) => step.status === "skipped" || step.ms >= 0));
+
+  const unknown = await issueResolver.explain("PROJ-9");
+  assert.equal(unknown.result, null);
+  assert.equal(unknown.steps.at(-1).status, "miss");
+});
+
+test("cacheable answers are saved and served by the cache provider", async () => {
+  useChain(["cache", "first"], { cacheTtlHours: 1 });
+
+  await issueResolver.resolveIssue("PROJ-2", true);
+  const saved = JSON.parse(fs.readFileSync(config.issueCacheFile, "utf8"));
+  assert.equal(saved.issues["PROJ-2"].id, 202);
+  assert.equal(saved.issues["PROJ-2"].provider, "first");
+
+  // A new run: answered from the file
+  issueResolver.clearCache();
+  issueResolver.issueCache = null;
+  const cached = await issueResolver.resolveIssue("PROJ-2", true);
+  assert.equal(cached.method, "cache");
+  assert.equal(calls.first.length, 1);
+});
+
+test("expired cache entries are looked up again", async () => {
+  useChain(["cache", "first"], { cacheTtlHours: 1 });
+
+  await issueResolver.resolveIssue("PROJ-2", true);
+  const cache = issueResolver.cache;
+  const twoHoursAgo = new Date(Date.now() - 2 * 3600 * 1000);
+  cache.data.issues["PROJ-2"].resolvedAt = twoHoursAgo.toISOString();
+
+  issueResolver.clearCache();
+  const result = await issueResolver.resolveIssue("PROJ-2", true);
+  assert.equal(result.method, "first");
+  assert.equal(calls.first.length, 2);
+});
+
+test("TTL 0 keeps cache entries forever", () => {
+  const cache = new IssueCache("unused.json", { version: 1, issues: {} }, 0);
+  cache.set("PROJ-2", { id: 202 }, "first", new Date("2000-01-01"));
+  assert.equal(cache.get("PROJ-2").id, 202);
+
+  cache.ttlHours = 24;
+  assert.equal(cache.get("PROJ-2"), null);
+  assert.equal(cache.get("PROJ-2", new Date("2000-01-01T12:00:00Z")).id, 202);
+});
+
+test("a damaged cache file is rebuilt", async () => {
+  useChain(["cache", "first"]);
+  fs.mkdirSync(path.dirname(config.issueCacheFile), {
+    recursive: true,
+  });
+  fs.writeFileSync(config.issueCacheFile, '{"version": 1, "issu');
+  issueResolver.issueCache = null;
+
+  const result = await issueResolver.resolveIssue("PROJ-2", true);
+  assert.equal(result.method, "first");
+  const saved = JSON.parse(fs.readFileSync(config.issueCacheFile, "utf8"));
+  assert.deepEqual(Object.keys(saved.issues), ["PROJ-2"]);
+});
+
+test("explain changes neither the issue cache nor issueMapping", async () => {
+  issueResolver.registerProvider(
+    fakeProvider(
+      "learning",
+      { "PROJ-5": 505 },
+      { cacheable: true, learn: true },
+    ),
+  );
+  useChain(["static", "cache", "learning"], { learnMappings: true });
+  const configPath = config.getConfigPath();
+  const before = fs.readFileSync(configPath, "utf8");
+
+  const { result } = await issueResolver.explain("PROJ-5");
+  assert.equal(result.id, 505);
+  assert.equal(fs.readFileSync(configPath, "utf8"), before);
+  assert.equal(fs.existsSync(config.issueCacheFile), false);
+  assert.equal(issueResolver.cache.get("PROJ-5"), null);
+
+  // A plain resolve learns it
+  await issueResolver.resolveIssue("PROJ-5", true);
+  assert.equal(Number(config.issueMapping["PROJ-5"].id), 505);
+  assert.equal(issueResolver.cache.get("PROJ-5").id, 505);
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { McpClient, McpError } = require("../src/services/mcpClient");
+
+const STUB = path.join(__dirname, "..", "src", "scripts", "mcp-stub-server.js");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "tempo-booker-mcp-"));
+const issuesFile = path.join(tempDir, "issues.json");
+fs.writeFileSync(
+  issuesFile,
+  JSON.stringify({ "PROJ-1": { id: "10001", summary: "Stub issue" } }),
+);
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const stubClient = () =>
+  new McpClient({
+    command: process.execPath,
+    args: [STUB, issuesFile],
+    timeoutMs: 5000,
+  });
+
+// A server written inline, e.g. one that never answers
+const scriptClient = (script, timeoutMs = 5000) =>
+  new McpClient({ command: process.execPath, args: ["-e", script], timeoutMs });
+
+const exited = (child) => child.exitCode !== null || child.signalCode !== null;
+
+test("initialize, listTools and callTool against the stub server", async () => {
+  const client = stubClient();
+  try {
+    await client.start();
+    assert.equal(client.protocolVersion, "2025-06-18");
+    assert.equal(client.serverInfo.name, "tempo-booker-stub");
+    assert.deepEqual(client.serverCapabilities, { tools: {} });
+
+    const tools = await client.listTools();
+    assert.deepEqual(
+      tools.map((tool) => tool.name),
+      ["getJiraIssue"],
+    );
+
+    const result = await client.callTool("getJiraIssue", {
+      cloudId: "site",
+      issueIdOrKey: "PROJ-1",
+    });
+    assert.deepEqual(JSON.parse(McpClient.textOf(result)), {
+      id: "10001",
+      key: "PROJ-1",
+      fields: { summary: "Stub issue" },
+    });
+  } finally {
+    await client.close();
+  }
+});
+
+test("a tool reporting isError throws McpError(TOOL_ERROR)", async () => {
+  const client = stubClient();
+  try {
+    await client.start();
+    await assert.rejects(
+      client.callTool("getJiraIssue", {
+        cloudId: "site",
+        issueIdOrKey: "PROJ-404",
+      }),
+      (error) =>
+        error instanceof McpError &&
+        error.code === McpClient.TOOL_ERROR &&
+        /Issue PROJ-404 does not exist/.test(error.message),
+    );
+
+    // Protocol errors keep the JSON-RPC code
+    await assert.rejects(
+      client.callTool("nope"),
+      (error) => error instanceof McpError && error.code === -32602,
+    );
+  } finally {
+    await client.close();
+  }
+});
+
+test("close() ends the server", async () => {
+  const client = stubClient();
+  await client.start();
+  const child = client.child;
+
+  await client.close();
+  assert.ok(exited(child));
+  assert.equal(client.running, false);
+  await assert.rejects(client.listTools(), /MCP server is not running/);
+});
+
+test("a server that never answers times out and is stopped", async () => {
+  const client = scriptClient("setInterval(() => {}, 1000)", 300);
+  // The server is spawned before start() first waits
+  const starting = client.start();
+  const child = client.child;
+
+  await assert.rejects(
+    starting,
+    (error) =>
+      error instanceof McpError &&
+      /MCP initialize timed out after 300ms/.test(error.message),
+  );
+  assert.ok(exited(child));
+  assert.equal(client.child, null);
+});
+
+test("a server that exits early fails the pending request", async () => {
+  const client = scriptClient(
+    "process.stderr.write('missing credentials\\n'); process.exit(3)",
+  );
+
+  await assert.rejects(
+    client.start(),
+    /MCP server exited with code 3: missing credentials/,
+  );
+  assert.equal(client.running, false);
+});
+
+test("a command that cannot be started is reported", async () => {
+  const client = new McpClient({
+    command: path.join(tempDir, "no-such-server"),
+    timeoutMs: 5000,
+  });
+
+  await assert.rejects(client.start(), /Could not start MCP server/);
+  assert.throws(() => new McpClient({}), McpError);
+});
@@ -0,0 +1,218 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough, Writable } = require("stream");
+const { useTempHome } = require("./support/tempHome");
+
+useTempHome();
+const McpServer = require("../src/services/mcpServer");
+const tools = require("../src/services/mcpTools");
+
+// The tool calls that reached run()
+let runs;
+
+const server = () => {
+  runs = [];
+  const mcp = new McpServer({ instructions: "Book time" });
+  mcp.registerTool({
+    ...tools.deleteWorklog,
+    run: async (args) => {
+      runs.push(["delete_worklog", args]);
+      return { deleted: args.tempoWorklogId };
+    },
+  });
+  mcp.registerTool({
+    name: "echo",
+    description: "Log the text and return it",
+    inputSchema: {
+      properties: {
+        text: { type: "string" },
+        times: { type: "integer" },
+        tags: { type: "array" },
+      },
+      required: ["text"],
+    },
+    run: async (args) => {
+      runs.push(["echo", args]);
+      console.log(`\x1b[32mechoing ${args.text}\x1b[0m`);
+      if (args.text === "fail") throw new Error("echo failed");
+      return { text: args.text };
+    },
+  });
+  return mcp;
+};
+
+// Feed JSON-RPC lines into listen() and collect the answers
+const exchange = async (mcp, messages) => {
+  const input = new PassThrough();
+  const written = [];
+  const output = new Writable({
+    write(chunk, encoding, done) {
+      written.push(chunk.toString());
+      done();
+    },
+  });
+
+  const listening = mcp.listen(input, output);
+  for (const message of messages) {
+    input.write(
+      (typeof message === "string" ? message : JSON.stringify(message)) + "\n",
+    );
+  }
+  input.end();
+  await listening;
+
+  return written
+    .join("")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+};
+
+const call = (id, name, args) => ({
+  jsonrpc: "2.0",
+  id,
+  method: "tools/call",
+  params: { name, arguments: args },
+});
+const textOf = (response) =>
+  response.result.content.map((block) => block.text).join("\n");
+
+test.before(() => McpServer.redirectConsole());
+
+test("initialize, ping and tools/list", async () => {
+  const [init, ping, list] = await exchange(server(), [
+    {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: { protocolVersion: "2024-11-05" },
+    },
+    { jsonrpc: "2.0", method: "notifications/initialized" },
+    { jsonrpc: "2.0", id: 2, method: "ping" },
+    { jsonrpc: "2.0", id: 3, method: "tools/list" },
+  ]);
+
+  assert.equal(init.id, 1);
+  assert.equal(init.result.protocolVersion, "2024-11-05");
+  assert.equal(init.result.serverInfo.name, "tempo-booker");
+  assert.equal(init.result.instructions, "Book time");
+  assert.deepEqual(ping, { jsonrpc: "2.0", id: 2, result: {} });
+
+  const deleteTool = list.result.tools.find(
+    (tool) => tool.name === "delete_worklog",
+  );
+  assert.deepEqual(deleteTool.inputSchema.required, ["tempoWorklogId"]);
+  assert.equal(deleteTool.inputSchema.properties.confirm.type, "boolean");
+  assert.equal(deleteTool.annotations.destructiveHint, true);
+  assert.equal(deleteTool.destructive, undefined);
+});
+
+test("an unknown protocol version gets the newest one", async () => {
+  const [init] = await exchange(server(), [
+    {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "initialize",
+      params: { protocolVersion: "1999-01-01" },
+    },
+  ]);
+  assert.equal(init.result.protocolVersion, "2025-06-18");
+});
+
+test("malformed messages get JSON-RPC errors", async () => {
+  const responses = await exchange(server(), [
+    "{ not json",
+    "[1, 2]",
+    { jsonrpc: "2.0", id: 7, method: "resources/list" },
+    { jsonrpc: "2.0", id: 8, result: {} }, // a response: ignored
+  ]);
+
+  assert.deepEqual(responses, [
+    {
+      jsonrpc: "2.0",
+      id: null,
+      error: { code: -32700, message: "Parse error" },
+    },
+    {
+      jsonrpc: "2.0",
+      id: null,
+      error: { code: -32600, message: "Invalid request" },
+    },
+    {
+      jsonrpc: "2.0",
+      id: 7,
+      error: { code: -32601, message: "Method not found: resources/list" },
+    },
+  ]);
+});
+
+test("unknown tools are a protocol error", async () => {
+  const [response] = await exchange(server(), [call(1, "format_disk", {})]);
+  assert.deepEqual(response.error, {
+    code: -32602,
+    message: "Unknown tool: format_disk",
+  });
+});
+
+test("missing, mistyped and unknown arguments are refused", async () => {
+  const responses = await exchange(server(), [
+    call(1, "echo", {}),
+    call(2, "echo", { text: "" }),
+    call(3, "echo", { text: 42 }),
+    call(4, "echo", { text: "x", times: "2" }),
+    call(5, "echo", { text: "x", tags: "a" }),
+    call(6, "echo", { text: "x", color: "red" }),
+    call(7, "delete_worklog", { tempoWorklogId: "12", confirm: true }),
+  ]);
+
+  assert.ok(responses.every((response) => response.result.isError === true));
+  assert.deepEqual(responses.map(textOf), [
+    "Missing argument text",
+    "Missing argument text",
+    "Argument text must be string, got number",
+    "Argument times must be integer, got string",
+    "Argument tags must be array, got string",
+    "Unknown argument color (expected: text, times, tags)",
+    "Argument tempoWorklogId must be integer, got string",
+  ]);
+  assert.deepEqual(runs, []);
+  assert.equal(
+    McpServer.checkArguments({ inputSchema: {} }, []),
+    "Arguments must be an object",
+  );
+});
+
+test("delete_worklog only runs with confirm: true", async () => {
+  const responses = await exchange(server(), [
+    call(1, "delete_worklog", { tempoWorklogId: 12 }),
+    call(2, "delete_worklog", { tempoWorklogId: 12, confirm: false }),
+    call(3, "delete_worklog", { tempoWorklogId: 12, confirm: "true" }),
+    call(4, "delete_worklog", { tempoWorklogId: 12, confirm: true }),
+  ]);
+
+  for (const response of responses.slice(0, 2)) {
+    assert.equal(response.result.isError, true);
+    assert.match(textOf(response), /cannot be undone.*confirm: true/);
+  }
+  assert.match(textOf(responses[2]), /confirm must be boolean/);
+  assert.equal(responses[3].result.isError, undefined);
+  assert.deepEqual(responses[3].result.structuredContent, { deleted: 12 });
+  assert.deepEqual(runs, [
+    ["delete_worklog", { tempoWorklogId: 12, confirm: true }],
+  ]);
+});
+
+test("logged output becomes the text of the result", async () => {
+  const [ok, failed] = await exchange(server(), [
+    call(1, "echo", { text: "hello" }),
+    call(2, "echo", { text: "fail" }),
+  ]);
+
+  assert.deepEqual(ok.result.content[0], {
+    type: "text",
+    text: "echoing hello",
+  });
+  assert.deepEqual(ok.result.structuredContent, { text: "hello" });
+  assert.equal(failed.result.isError, true);
+  assert.equal(textOf(failed), "echo failed\n\nechoing fail");
+});
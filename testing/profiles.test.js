@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const Profiles = require("../src/utils/profiles");
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "tempo-booker-"));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+let count = 0;
+const registry = () => {
+  const filePath = path.join(directory, `profiles-${++count}.yaml`);
+  const profiles = Profiles.open(filePath);
+  profiles.add("clientA", "/work/clientA/config.yaml");
+  profiles.add("client-b", "/work/client-b/config.yaml");
+  return profiles;
+};
+const stored = (profiles) =>
+  yaml.load(fs.readFileSync(profiles.filePath, "utf8"));
+
+test("extractProfile takes --profile out of the arguments", () => {
+  assert.deepEqual(
+    Profiles.extractProfile(["--profile", "clientA", "table", "-o", "json"]),
+    { profile: "clientA", args: ["table", "-o", "json"] },
+  );
+  assert.deepEqual(Profiles.extractProfile(["table", "--profile=client-b"]), {
+    profile: "client-b",
+    args: ["table"],
+  });
+  assert.deepEqual(Profiles.extractProfile(["table"]), {
+    profile: null,
+    args: ["table"],
+  });
+  assert.deepEqual(Profiles.extractProfile(["table", "--profile"]), {
+    profile: null,
+    args: ["table"],
+  });
+});
+
+test("a missing registry only knows the default profile", () => {
+  const profiles = Profiles.open(path.join(directory, "missing.yaml"));
+
+  assert.equal(profiles.current, "default");
+  assert.deepEqual(profiles.names(), ["default"]);
+  assert.equal(profiles.configPath("default"), null);
+  assert.equal(fs.existsSync(profiles.filePath), false);
+});
+
+test("configPath refuses unknown names", () => {
+  const profiles = registry();
+
+  assert.equal(profiles.configPath("clientA"), "/work/clientA/config.yaml");
+  assert.throws(
+    () => profiles.configPath("clientC"),
+    /Unknown profile "clientC" \(known: default, client-b, clientA\)/,
+  );
+  assert.throws(() => profiles.configPath("clienta"), /Unknown profile/);
+});
+
+test("use switches the current profile and saves it", () => {
+  const profiles = registry();
+
+  profiles.use("clientA");
+  assert.equal(profiles.current, "clientA");
+  assert.equal(Profiles.open(profiles.filePath).current, "clientA");
+
+  assert.throws(() => profiles.use("clientC"), /Unknown profile/);
+  assert.equal(stored(profiles).current, "clientA");
+
+  profiles.use("default");
+  assert.equal(Profiles.open(profiles.filePath).current, "default");
+});
+
+test("remove forgets a profile and falls back to the default one", () => {
+  const profiles = registry();
+  profiles.use("clientA");
+
+  profiles.remove("client-b");
+  assert.deepEqual(Object.keys(stored(profiles).profiles), ["clientA"]);
+  assert.equal(stored(profiles).current, "clientA");
+
+  profiles.remove("clientA");
+  assert.deepEqual(stored(profiles), { current: "default", profiles: {} });
+
+  assert.throws(() => profiles.remove("clientA"), /Unknown profile/);
+  assert.throws(
+    () => profiles.remove("default"),
+    /default profile cannot be removed/,
+  );
+});
+
+test("add validates names and refuses duplicates", () => {
+  const profiles = registry();
+
+  assert.throws(() => profiles.add("clientA", "/x"), /already exists/);
+  assert.throws(() => profiles.add("../x", "/x"), /Invalid profile name/);
+  assert.throws(() => profiles.add("", "/x"), /Invalid profile name/);
+});
+
+test("a current profile that was removed by hand reads as default", () => {
+  const filePath = path.join(directory, "edited.yaml");
+  fs.writeFileSync(filePath, "current: gone\nprofiles: {}\n");
+
+  assert.equal(Profiles.open(filePath).current, "default");
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const RateLimiter = require("../src/utils/rateLimiter");
+
+const elapsedSince = (start) => Date.now() - start;
+
+test("requests are released one interval apart", async () => {
+  const limiter = new RateLimiter(20); // 50ms apart
+  const start = Date.now();
+  const released = [];
+
+  await Promise.all(
+    [0, 1, 2].map(async () => {
+      await limiter.acquire();
+      released.push(elapsedSince(start));
+    }),
+  );
+
+  assert.ok(released[0] < 40);
+  assert.ok(released[1] >= 45);
+  assert.ok(released[2] >= 95);
+});
+
+test("without a rate every request goes through at once", async () => {
+  const limiter = new RateLimiter(0);
+  const start = Date.now();
+  for (let i = 0; i < 5; i++) {
+    await limiter.acquire();
+  }
+  assert.ok(elapsedSince(start) < 40);
+});
+
+test("pause() holds back the next request", async () => {
+  const limiter = new RateLimiter(0);
+  limiter.pause(80);
+
+  const start = Date.now();
+  await limiter.acquire();
+  assert.ok(elapsedSince(start) >= 75);
+});
+
+test("a shorter pause does not shorten one already running", async () => {
+  const limiter = new RateLimiter(0);
+  limiter.pause(80);
+  limiter.pause(10);
+
+  const start = Date.now();
+  await limiter.acquire();
+  assert.ok(elapsedSince(start) >= 75);
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempHome } = require("./support/tempHome");
+
+useTempHome('api:\n  tempoToken: "legacy-config-token"\n');
+const SecureTokenManager = require("../src/utils/secureTokenManager");
+
+// Only the environment and config.yaml, never the developer's keychain
+const manager = () => {
+  const tokens = new SecureTokenManager();
+  tokens.macosKeychainAvailable = false;
+  tokens.keytarAvailable = false;
+  tokens.prompted = [];
+  tokens.promptForToken = async (accountName) => {
+    tokens.prompted.push(accountName);
+    return { token: "typed", method: "interactive" };
+  };
+  return tokens;
+};
+
+test.beforeEach(() => {
+  for (const name of Object.keys(process.env)) {
+    if (name.startsWith("TEMPO_API_TOKEN")) delete process.env[name];
+  }
+});
+
+test("every profile has its own environment variable", () => {
+  assert.equal(SecureTokenManager.environmentVariable(), "TEMPO_API_TOKEN");
+  assert.equal(
+    SecureTokenManager.environmentVariable("default"),
+    "TEMPO_API_TOKEN",
+  );
+  assert.equal(
+    SecureTokenManager.environmentVariable("clientA"),
+    "TEMPO_API_TOKEN_CLIENTA",
+  );
+  assert.equal(
+    SecureTokenManager.environmentVariable("client-b_2"),
+    "TEMPO_API_TOKEN_CLIENT_B_2",
+  );
+});
+
+test("the default profile falls back to TEMPO_API_TOKEN, then config.yaml", async () => {
+  const tokens = manager();
+
+  process.env.TEMPO_API_TOKEN = " env-token ";
+  assert.deepEqual(await tokens.getToken(), {
+    token: "env-token",
+    method: "environment",
+  });
+
+  delete process.env.TEMPO_API_TOKEN;
+  assert.deepEqual(await tokens.getToken("default"), {
+    token: "legacy-config-token",
+    method: "config_file_insecure",
+  });
+});
+
+test("other profiles never get the default profile's token", async () => {
+  const tokens = manager();
+  process.env.TEMPO_API_TOKEN = "default-token";
+
+  assert.deepEqual(await tokens.getToken("clientA"), {
+    token: "typed",
+    method: "interactive",
+  });
+  assert.deepEqual(tokens.prompted, ["clientA"]);
+  assert.equal(await tokens.hasStoredToken("clientA"), false);
+
+  process.env.TEMPO_API_TOKEN_CLIENTA = "client-a-token";
+  assert.deepEqual(await tokens.getToken("clientA"), {
+    token: "client-a-token",
+    method: "environment",
+  });
+  assert.equal(await tokens.hasStoredToken("clientA"), true);
+});
+
+test("without a keychain a stored token goes to the profile's variable", async () => {
+  const tokens = manager();
+
+  await tokens.storeToken("client-b-token", "client-b");
+  assert.equal(process.env.TEMPO_API_TOKEN_CLIENT_B, "client-b-token");
+  assert.equal(process.env.TEMPO_API_TOKEN, undefined);
+});
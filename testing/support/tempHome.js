@@ -0,0 +1,26 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Point HOME at a fresh temp directory holding
+ * Documents/tempo-workspace/config.yaml, so src/utils/config.js loads that
+ * file instead of the developer's own, and work in that directory (the
+ * default workspace). Has to run before anything under src/ is required;
+ * returns the workspace directory.
+ */
+function useTempHome(configYaml = "{}\n") {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "tempo-booker-test-"));
+  const workspaceDir = path.join(home, "Documents", "tempo-workspace");
+  fs.mkdirSync(workspaceDir, { recursive: true });
+  fs.writeFileSync(path.join(workspaceDir, "config.yaml"), configYaml, "utf8");
+
+  process.env.HOME = home;
+  process.chdir(workspaceDir);
+  delete process.env.TEMPO_BOOKER_PROFILE;
+  delete process.env.TEMPO_API_TOKEN;
+  process.on("exit", () => fs.rmSync(home, { recursive: true, force: true }));
+  return workspaceDir;
+}
+
+module.exports = { useTempHome };
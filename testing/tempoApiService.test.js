@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempHome } = require("./support/tempHome");
+
+useTempHome(`api:
+  retry:
+    maxAttempts: 4
+    baseDelayMs: 100
+`);
+const tempoApi = require("../src/services/tempoApiService");
+
+const failure = (status, method = "get", retryCount = 0, headers = {}) => ({
+  config: { method, _retryCount: retryCount },
+  response: status ? { status, headers } : undefined,
+});
+
+test("429 and 503 are retried for every method", () => {
+  for (const method of ["get", "post", "put", "delete"]) {
+    assert.equal(tempoApi.shouldRetry(failure(429, method)), true);
+    assert.equal(tempoApi.shouldRetry(failure(503, method)), true);
+  }
+});
+
+test("other 5xx responses and network errors only for idempotent methods", () => {
+  for (const method of ["get", "put", "delete"]) {
+    assert.equal(tempoApi.shouldRetry(failure(500, method)), true);
+    assert.equal(tempoApi.shouldRetry(failure(502, method)), true);
+    assert.equal(tempoApi.shouldRetry(failure(null, method)), true);
+  }
+  assert.equal(tempoApi.shouldRetry(failure(500, "post")), false);
+  assert.equal(tempoApi.shouldRetry(failure(504, "POST")), false);
+  assert.equal(tempoApi.shouldRetry(failure(null, "post")), false);
+});
+
+test("client errors are never retried", () => {
+  for (const status of [400, 401, 403, 404, 409]) {
+    assert.equal(tempoApi.shouldRetry(failure(status)), false);
+  }
+});
+
+test("retries stop after api.retry.maxAttempts attempts", () => {
+  assert.equal(tempoApi.shouldRetry(failure(429, "get", 2)), true);
+  assert.equal(tempoApi.shouldRetry(failure(429, "get", 3)), false);
+});
+
+test("Retry-After in seconds is honoured and capped at a minute", () => {
+  const delay = (value) =>
+    tempoApi.getRetryDelay(failure(429, "get", 0, { "retry-after": value }), 1);
+
+  assert.equal(delay("2"), 2000);
+  assert.equal(delay("0"), 0);
+  assert.equal(delay("3600"), 60000);
+});
+
+test("Retry-After as an HTTP date is honoured", () => {
+  const retryAfter = new Date(Date.now() + 5000).toUTCString();
+  const delay = tempoApi.getRetryDelay(
+    failure(503, "get", 0, { "retry-after": retryAfter }),
+    1,
+  );
+
+  // HTTP dates have whole seconds
+  assert.ok(delay > 3900 && delay <= 5000, `got ${delay}`);
+});
+
+test("without Retry-After the delay backs off exponentially", () => {
+  const delay = (attempt, headers) =>
+    tempoApi.getRetryDelay(failure(500, "get", 0, headers), attempt);
+
+  for (let i = 0; i < 20; i++) {
+    const first = delay(1);
+    const third = delay(3);
+    assert.ok(first >= 100 && first < 200, `got ${first}`);
+    assert.ok(third >= 400 && third < 500, `got ${third}`);
+  }
+
+  // A date in the past or garbage falls back to the backoff as well
+  const past = delay(1, { "retry-after": new Date(0).toUTCString() });
+  assert.ok(past >= 100 && past < 200);
+  const garbage = delay(1, { "retry-after": "soon" });
+  assert.ok(garbage >= 100 && garbage < 200);
+});
+
+test("a 429 is retried through the client and pauses the rate limiter", async () => {
+  const statuses = [429, 200];
+  const pauses = [];
+  const pause = tempoApi.rateLimiter.pause;
+  tempoApi.rateLimiter.pause = (ms) => pauses.push(ms);
+  tempoApi.apiClient.defaults.adapter = async (requestConfig) => {
+    const status = statuses.shift();
+    const response = {
+      status,
+      statusText: String(status),
+      headers: status === 429 ? { "retry-after": "0" } : {},
+      config: requestConfig,
+      data: { ok: status === 200 },
+    };
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.config = requestConfig;
+      error.response = response;
+      error.isAxiosError = true;
+      throw error;
+    }
+    return response;
+  };
+
+  try {
+    const response = await tempoApi.apiClient.post("/worklogs", {});
+    assert.deepEqual(response.data, { ok: true });
+    assert.deepEqual(statuses, []);
+    assert.deepEqual(pauses, [0]);
+  } finally {
+    tempoApi.rateLimiter.pause = pause;
+  }
+});
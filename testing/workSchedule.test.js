@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useTempHome } = require("./support/tempHome");
+
+useTempHome();
+const WorkSchedule = require("../src/utils/workSchedule");
+const AbsenceFile = require("../src/utils/absenceFile");
+const HolidayCalendar = require("../src/utils/holidayCalendar");
+const complianceController = require("../src/controllers/complianceController");
+
+// 2025-10-03 (Friday) is German Unity Day
+const schedule = (settings = {}) =>
+  new WorkSchedule(
+    {
+      hoursPerWeekday: {
+        monday: 8,
+        tuesday: 8,
+        wednesday: 8,
+        thursday: 8,
+        friday: 6,
+      },
+      maxHoursPerDay: 10,
+      maxGapMinutes: 15,
+      ...settings,
+    },
+    [
+      { date: "2025-10-06", type: "vacation", reason: "Autumn break" },
+      { date: "2025-10-07", type: "other", hours: 3, reason: "Doctor" },
+    ].map((entry) => AbsenceFile.normalize(entry)),
+    new HolidayCalendar({ country: "DE" }),
+  );
+
+const worklog = (startTime, hours) => ({
+  startDate: "2025-10-01",
+  startTime,
+  timeSpentSeconds: hours * 3600,
+});
+
+test("expected hours follow the weekly pattern", () => {
+  const week = schedule();
+  assert.equal(week.expectedHours("2025-10-01"), 8);
+  assert.equal(week.expectedHours("2025-10-10"), 6);
+  assert.equal(week.expectedHours("2025-10-04"), 0);
+  assert.deepEqual(week.dayOff("2025-10-05"), {
+    kind: "schedule",
+    reason: null,
+  });
+  assert.equal(week.dayOff("2025-10-01"), null);
+});
+
+test("holidays and absences reduce the expected hours", () => {
+  const week = schedule();
+  assert.equal(week.expectedHours("2025-10-03"), 0);
+  assert.deepEqual(week.dayOff("2025-10-03"), {
+    kind: "holiday",
+    reason: "Tag der Deutschen Einheit",
+  });
+
+  assert.equal(week.expectedHours("2025-10-06"), 0);
+  assert.deepEqual(week.dayOff("2025-10-06"), {
+    kind: "absence",
+    reason: "Autumn break",
+  });
+
+  // Part of the day off is still a working day
+  assert.equal(week.expectedHours("2025-10-07"), 5);
+  assert.equal(week.dayOff("2025-10-07"), null);
+});
+
+test("without a holiday calendar only the pattern counts", () => {
+  const week = new WorkSchedule({ hoursPerWeekday: { friday: 6 } });
+  assert.equal(week.expectedHours("2025-10-03"), 6);
+  assert.equal(week.holidayOn("2025-10-03"), null);
+});
+
+test("gaps longer than maxGapMinutes are reported", () => {
+  const gaps = complianceController.findGaps(
+    [
+      worklog("13:00:00", 2),
+      worklog("09:00:00", 2),
+      worklog("11:10:00", 0.5), // 10 min break: fine
+      worklog("10:00:00", 0.5), // inside the first worklog
+    ],
+    15,
+  );
+
+  assert.deepEqual(gaps, [{ start: "11:40:00", end: "13:00:00", minutes: 80 }]);
+  assert.deepEqual(
+    complianceController.findGaps([worklog("09:00:00", 1)], 15),
+    [],
+  );
+  assert.deepEqual(
+    complianceController.findGaps(
+      [worklog("09:00:00", 1), worklog("12:00:00", 1)],
+      null,
+    ),
+    [],
+  );
+});
+
+test("missing hours, overtime and gaps of a working day", () => {
+  const day = complianceController.checkDay(
+    "2025-10-01",
+    [worklog("09:00:00", 2), worklog("11:30:00", 1)],
+    schedule(),
+  );
+
+  assert.equal(day.expected, 8);
+  assert.equal(day.booked, 3);
+  assert.equal(day.missing, 5);
+  assert.deepEqual(
+    day.findings.map((finding) => finding.type),
+    ["missing", "gap"],
+  );
+
+  const long = complianceController.checkDay(
+    "2025-10-02",
+    [worklog("07:00:00", 6), worklog("13:00:00", 5.5)],
+    schedule(),
+  );
+  assert.deepEqual(long.findings, [
+    {
+      type: "over",
+      hours: 1.5,
+      message: "11.5h booked, more than the 10h maximum",
+    },
+  ]);
+});
+
+test("a holiday needs no hours, but overtime still counts", () => {
+  const free = complianceController.checkDay("2025-10-03", [], schedule());
+  assert.equal(free.expected, 0);
+  assert.deepEqual(free.findings, []);
+  assert.equal(free.absence, "Tag der Deutschen Einheit");
+
+  const worked = complianceController.checkDay(
+    "2025-10-03",
+    [worklog("08:00:00", 4), worklog("13:00:00", 7)],
+    schedule(),
+  );
+  assert.equal(worked.missing, 0);
+  assert.deepEqual(
+    worked.findings.map((finding) => finding.type),
+    ["over", "gap"],
+  );
+});
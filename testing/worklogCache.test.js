@@ -0,0 +1,195 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { useTempHome } = require("./support/tempHome");
+
+useTempHome(`user:
+  accountId: "712020:me"
+cache:
+  maxAgeSeconds: 3600
+`);
+const tempoApi = require("../src/services/tempoApiService");
+const worklogCache = require("../src/services/worklogCache");
+
+const ME = "712020:me";
+
+const worklog = (tempoWorklogId, startDate, description = "") => ({
+  tempoWorklogId,
+  startDate,
+  startTime: "09:00:00",
+  description,
+  author: { accountId: ME },
+});
+
+// Tempo as seen by the cache: `worklogs` answers date range downloads,
+// `changed` answers updatedFrom requests
+let tempo;
+test.beforeEach(() => {
+  worklogCache.clear();
+  tempo = { worklogs: [], changed: [], calls: [] };
+  tempoApi.getWorklogs = async (params) => {
+    tempo.calls.push(params);
+    const results = params.updatedFrom
+      ? tempo.changed
+      : tempo.worklogs.filter(
+          (w) => w.startDate >= params.from && w.startDate <= params.to,
+        );
+    return { results, metadata: { count: results.length } };
+  };
+});
+
+const read = (from, to, options = {}) =>
+  worklogCache.getWorklogs({ from, to, author: ME }, true, options);
+const ids = (response) => response.results.map((w) => w.tempoWorklogId);
+
+test("ranges merge when they overlap or touch", () => {
+  worklogCache.load(ME);
+  worklogCache.addRange("2025-10-06", "2025-10-10");
+  worklogCache.addRange("2025-10-01", "2025-10-05");
+  worklogCache.addRange("2025-10-20", "2025-10-25");
+  worklogCache.addRange("2025-10-08", "2025-10-09");
+  worklogCache.addRange("2025-10-24", "2025-10-31");
+
+  assert.deepEqual(worklogCache.data.ranges, [
+    { from: "2025-10-01", to: "2025-10-10" },
+    { from: "2025-10-20", to: "2025-10-31" },
+  ]);
+  assert.deepEqual(worklogCache.uncovered("2025-09-28", "2025-10-22"), [
+    { from: "2025-09-28", to: "2025-09-30" },
+    { from: "2025-10-11", to: "2025-10-19" },
+  ]);
+  assert.equal(worklogCache.covers("2025-10-03", "2025-10-09"), true);
+  assert.equal(worklogCache.covers("2025-10-03", "2025-10-11"), false);
+});
+
+test("known days are served from the cache, new days downloaded", async () => {
+  tempo.worklogs = [
+    worklog(1, "2025-10-13"),
+    worklog(2, "2025-10-15"),
+    worklog(3, "2025-10-22"),
+  ];
+
+  assert.deepEqual(ids(await read("2025-10-13", "2025-10-19")), [1, 2]);
+  assert.deepEqual(ids(await read("2025-10-14", "2025-10-15")), [2]);
+  assert.equal(tempo.calls.length, 1);
+
+  // Only the missing week is requested
+  const response = await read("2025-10-13", "2025-10-26");
+  assert.deepEqual(ids(response), [1, 2, 3]);
+  assert.equal(response.metadata.cached, true);
+  assert.deepEqual(
+    tempo.calls.map(({ from, to }) => [from, to]),
+    [
+      ["2025-10-13", "2025-10-19"],
+      ["2025-10-20", "2025-10-26"],
+    ],
+  );
+});
+
+test("a stale cache asks Tempo only for updated worklogs", async () => {
+  tempo.worklogs = [worklog(1, "2025-10-13", "old"), worklog(2, "2025-10-14")];
+  await read("2025-10-13", "2025-10-19");
+  const syncedAt = new Date(worklogCache.data.syncedAt);
+
+  tempo.changed = [worklog(1, "2025-10-13", "new"), worklog(4, "2025-10-16")];
+  const response = await read("2025-10-13", "2025-10-19", {
+    maxAgeSeconds: 0,
+  });
+
+  const refresh = tempo.calls[1];
+  assert.deepEqual(
+    [refresh.from, refresh.to, refresh.author],
+    ["2025-10-13", "2025-10-19", ME],
+  );
+  // With a few minutes of overlap
+  assert.ok(new Date(refresh.updatedFrom) < syncedAt);
+  assert.ok(syncedAt - new Date(refresh.updatedFrom) <= 5 * 60 * 1000 + 1000);
+  assert.deepEqual(ids(response), [1, 2, 4]);
+  assert.equal(response.results[0].description, "new");
+});
+
+test("worklogs moved outside the cached ranges are dropped", async () => {
+  tempo.worklogs = [worklog(1, "2025-10-13"), worklog(2, "2025-10-14")];
+  await read("2025-10-13", "2025-10-19");
+
+  // Changed in Tempo...
+  tempo.changed = [worklog(1, "2025-11-03")];
+  await read("2025-10-13", "2025-10-19", { maxAgeSeconds: 0 });
+  assert.deepEqual(ids(await read("2025-10-13", "2025-10-19")), [2]);
+
+  // ...and through this CLI
+  worklogCache.applyChange({
+    type: "updated",
+    worklogId: 2,
+    worklog: worklog(2, "2025-12-01"),
+  });
+  assert.deepEqual(ids(await read("2025-10-13", "2025-10-19")), []);
+  assert.deepEqual(worklogCache.load(ME).worklogs, {});
+});
+
+test("writes through the CLI are applied to the cache", async () => {
+  tempo.worklogs = [worklog(1, "2025-10-13"), worklog(2, "2025-10-14")];
+  await read("2025-10-13", "2025-10-19");
+
+  worklogCache.applyChange({
+    type: "created",
+    worklogId: 5,
+    worklog: worklog(5, "2025-10-15"),
+  });
+  worklogCache.applyChange({ type: "deleted", worklogId: 1 });
+  // Outside the cached days: not added
+  worklogCache.applyChange({
+    type: "created",
+    worklogId: 6,
+    worklog: worklog(6, "2025-12-01"),
+  });
+
+  assert.deepEqual(ids(await read("2025-10-13", "2025-10-19")), [2, 5]);
+  assert.equal(tempo.calls.length, 1);
+});
+
+test("reload downloads the range again and drops remote deletes", async () => {
+  tempo.worklogs = [worklog(1, "2025-10-13"), worklog(2, "2025-10-14")];
+  await read("2025-10-13", "2025-10-19");
+
+  tempo.worklogs = [worklog(2, "2025-10-14")];
+  assert.deepEqual(ids(await read("2025-10-13", "2025-10-19")), [1, 2]);
+  assert.deepEqual(
+    ids(await read("2025-10-13", "2025-10-19", { reload: true })),
+    [2],
+  );
+  assert.equal(tempo.calls.length, 2);
+  assert.equal(tempo.calls[1].updatedFrom, undefined);
+});
+
+test("requests the cache cannot answer go to Tempo", async () => {
+  await worklogCache.getWorklogs({ from: "2025-10-13", to: "2025-10-19" });
+  await worklogCache.getWorklogs({
+    from: "2025-10-13",
+    to: "2025-10-19",
+    author: "712020:someone-else",
+  });
+  await worklogCache.getWorklogs({
+    from: "2025-10-13",
+    to: "2025-10-19",
+    author: ME,
+    issueId: 10001,
+  });
+
+  assert.equal(tempo.calls.length, 3);
+  assert.deepEqual(worklogCache.load(ME).ranges, []);
+});
+
+test("a damaged cache file is rebuilt", async () => {
+  tempo.worklogs = [worklog(1, "2025-10-13")];
+  await read("2025-10-13", "2025-10-19");
+
+  fs.writeFileSync(worklogCache.filePath, "{ truncated");
+  worklogCache.data = null;
+  assert.deepEqual(ids(await read("2025-10-13", "2025-10-19")), [1]);
+  assert.equal(tempo.calls.length, 2);
+  assert.deepEqual(fs.readdirSync(path.dirname(worklogCache.filePath)), [
+    "worklogs.json",
+  ]);
+});
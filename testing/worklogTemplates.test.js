@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { useTempHome } = require("./support/tempHome");
+
+const workspaceDir = useTempHome(`holidays:
+  country: DE
+templates:
+  - name: Standup
+    issue: PROJ-1
+    description: Team Daily
+    start: "9:30"
+    end: "09:45"
+  - name: Retro
+    issue: PROJ-2
+    weekdays: [fri]
+    start: "15:00"
+    end: "16:00"
+    from: 2025-09-26
+    everyWeeks: 2
+  - name: Friday review
+    issue: PROJ-3
+    weekdays: fri
+    start: "11:00"
+    end: "11:30"
+    skipHolidays: false
+`);
+fs.writeFileSync(
+  path.join(workspaceDir, "absences.yaml"),
+  "- date: 2025-10-08\n  type: sick\n",
+);
+const { parseTemplates, occursOn } = require("../src/utils/worklogTemplates");
+const templateController = require("../src/controllers/templateController");
+
+const quiet = new Proxy({}, { get: () => () => {} });
+
+test("defaults: weekdays Monday to Friday, every week, skip holidays", () => {
+  const [template] = parseTemplates([
+    { issue: "PROJ-1", description: "Daily", start: "9:00", end: "9:15" },
+  ]);
+
+  assert.deepEqual(template, {
+    name: "Daily",
+    issueKey: "PROJ-1",
+    description: "Daily",
+    weekdays: [1, 2, 3, 4, 5],
+    startTime: "09:00:00",
+    endTime: "09:15:00",
+    from: null,
+    until: null,
+    everyWeeks: 1,
+    skipHolidays: true,
+  });
+});
+
+test("invalid templates are rejected with their name", () => {
+  const invalid = (raw, pattern) =>
+    assert.throws(
+      () =>
+        parseTemplates([
+          { name: "T", issue: "PROJ-1", start: "9:00", end: "10:00", ...raw },
+        ]),
+      pattern,
+    );
+
+  invalid({ issue: "" }, /Template "T": issue is required/);
+  invalid({ end: "8:00" }, /end must be after start/);
+  invalid({ weekdays: ["mo"] }, /unknown weekday "mo"/);
+  invalid({ everyWeeks: 0 }, /everyWeeks must be 1 or more/);
+  invalid({ everyWeeks: 2 }, /needs a from date/);
+  invalid({ until: "2025-13-01" }, /invalid date/);
+  assert.throws(() => parseTemplates({}), /must be a list/);
+});
+
+test("occurrences respect weekdays and date bounds", () => {
+  const [template] = parseTemplates([
+    {
+      issue: "PROJ-1",
+      weekdays: "mon,wed",
+      start: "9:00",
+      end: "9:15",
+      from: "2025-10-06",
+      until: new Date(Date.UTC(2025, 9, 15)), // unquoted YAML date
+    },
+  ]);
+
+  const days = [
+    "2025-10-01",
+    "2025-10-06",
+    "2025-10-07",
+    "2025-10-08",
+    "2025-10-13",
+    "2025-10-15",
+    "2025-10-20",
+  ].filter((date) => occursOn(template, date));
+  assert.deepEqual(days, [
+    "2025-10-06",
+    "2025-10-08",
+    "2025-10-13",
+    "2025-10-15",
+  ]);
+});
+
+test("everyWeeks counts ISO weeks from the week of from", () => {
+  const [template] = parseTemplates([
+    {
+      issue: "PROJ-1",
+      weekdays: ["monday", "fri"],
+      start: "9:00",
+      end: "9:15",
+      from: "2025-12-24", // a Wednesday
+      everyWeeks: 2,
+    },
+  ]);
+
+  const days = [
+    "2025-12-26",
+    "2025-12-29",
+    "2026-01-02",
+    "2026-01-05",
+    "2026-01-09",
+  ].filter((date) => occursOn(template, date));
+  assert.deepEqual(days, ["2025-12-26", "2026-01-05", "2026-01-09"]);
+});
+
+test("expand skips holidays and absences unless told not to", () => {
+  // 2025-10-03 is a German public holiday, 2025-10-08 a sick day
+  const entries = templateController.expand(
+    "2025-09-29",
+    "2025-10-12",
+    {},
+    quiet,
+  );
+  const byTemplate = (name) =>
+    entries
+      .filter((entry) => entry.template === name)
+      .map((entry) => entry.startDate);
+
+  assert.deepEqual(byTemplate("Standup"), [
+    "2025-09-29",
+    "2025-09-30",
+    "2025-10-01",
+    "2025-10-02",
+    "2025-10-06",
+    "2025-10-07",
+    "2025-10-09",
+    "2025-10-10",
+  ]);
+  // Every other Friday from 2025-09-26; 2025-10-10 is one of them
+  assert.deepEqual(byTemplate("Retro"), ["2025-10-10"]);
+  assert.deepEqual(byTemplate("Friday review"), ["2025-10-03", "2025-10-10"]);
+
+  const standup = entries[0];
+  assert.equal(standup.issueKey, "PROJ-1");
+  assert.equal(standup.startTime, "09:30:00");
+  assert.equal(standup.hours, 0.25);
+  assert.equal(standup.description, "Team Daily");
+});
+
+test("expand can be limited to one template", () => {
+  const entries = templateController.expand(
+    "2025-10-06",
+    "2025-10-10",
+    { only: "retro" },
+    quiet,
+  );
+  assert.deepEqual(
+    entries.map((entry) => entry.template),
+    ["Retro"],
+  );
+  assert.throws(
+    () => templateController.expand("2025-10-06", "2025-10-10", { only: "x" }),
+    /No template named "x" - available: Standup, Retro, Friday review/,
+  );
+});